@@ -0,0 +1,27 @@
+-- Outbound WhatsApp message queue (worker dispatch, retries, dead-lettering)
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS whatsapp_outbound_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  recipient VARCHAR(32) NOT NULL,
+  message_type VARCHAR(20) NOT NULL DEFAULT 'text',
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'delivered', 'read', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  provider_message_id VARCHAR(128),
+  source_event VARCHAR(100),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_outbound_due ON whatsapp_outbound_messages(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_wa_outbound_recipient_sent ON whatsapp_outbound_messages(recipient, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wa_outbound_provider_id ON whatsapp_outbound_messages(provider_message_id);
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- WhatsApp message template registry (per-language variants, approval lifecycle)
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS whatsapp_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  category VARCHAR(100) NOT NULL DEFAULT 'general',
+  language VARCHAR(10) NOT NULL DEFAULT 'en',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'submitted', 'approved', 'rejected')),
+  content TEXT NOT NULL,
+  variables JSONB NOT NULL DEFAULT '[]'::jsonb,
+  rejection_reason TEXT,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used TIMESTAMPTZ,
+  created_by VARCHAR(255),
+  submitted_at TIMESTAMPTZ,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (name, language)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_templates_status ON whatsapp_templates(status);
+CREATE INDEX IF NOT EXISTS idx_wa_templates_category ON whatsapp_templates(category);
+
+-- Seed the templates previously served from the in-memory mock
+INSERT INTO whatsapp_templates (name, category, language, status, content, variables)
+VALUES
+  ('Project Update Notification', 'project_updates', 'en', 'approved',
+   'Hi {{name}}, your project {{project_name}} has been updated. Status: {{status}}. Check your dashboard for details.',
+   '["name", "project_name", "status"]'::jsonb),
+  ('Task Assignment Alert', 'task_management', 'en', 'approved',
+   'Hello {{name}}, you have been assigned a new task: {{task_title}}. Due date: {{due_date}}. Priority: {{priority}}.',
+   '["name", "task_title", "due_date", "priority"]'::jsonb)
+ON CONFLICT (name, language) DO NOTHING;
+
+COMMIT;
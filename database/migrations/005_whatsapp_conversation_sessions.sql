@@ -0,0 +1,15 @@
+-- Multi-turn WhatsApp conversation sessions, stored in user_memory (migration 002)
+-- One row per phone number with role = 'session'; metadata holds flow, state and slots.
+BEGIN;
+
+ALTER TABLE IF EXISTS user_memory
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_memory_session
+  ON user_memory(user_email) WHERE role = 'session';
+
+CREATE INDEX IF NOT EXISTS idx_user_memory_expires
+  ON user_memory(expires_at) WHERE expires_at IS NOT NULL;
+
+COMMIT;
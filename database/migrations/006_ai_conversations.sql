@@ -0,0 +1,36 @@
+-- AI chat conversations and messages, owned by the authenticated user
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_id VARCHAR(255) NOT NULL,
+  title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+  title_source VARCHAR(20) NOT NULL DEFAULT 'default'
+    CHECK (title_source IN ('default', 'auto', 'user')),
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_owner
+  ON ai_conversations(owner_id, updated_at DESC) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS ai_conversation_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES ai_conversations(id) ON DELETE CASCADE,
+  -- 1-based order within the conversation (ai_conversations.message_count at insert)
+  position INTEGER NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('system', 'user', 'assistant')),
+  content TEXT NOT NULL DEFAULT '',
+  model VARCHAR(100),
+  provider VARCHAR(50),
+  finish_reason VARCHAR(20),
+  usage JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (conversation_id, position)
+);
+
+COMMIT;
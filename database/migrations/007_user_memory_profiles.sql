@@ -0,0 +1,13 @@
+-- Durable AI user memory in user_memory (migration 002)
+-- One role = 'profile' row per phone holds preferences and learned patterns in
+-- metadata; interactions and corrections are one row each (role = 'interaction'
+-- / 'correction') and are trimmed by the retention policy.
+BEGIN;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_memory_profile
+  ON user_memory(user_email) WHERE role = 'profile';
+
+CREATE INDEX IF NOT EXISTS idx_user_memory_email_role_created
+  ON user_memory(user_email, role, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Prompt A/B experiments: variants per intent + language and their outcomes
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS prompt_variants (
+  id SERIAL PRIMARY KEY,
+  intent VARCHAR(50) NOT NULL,
+  language VARCHAR(10) NOT NULL DEFAULT 'en',
+  version INTEGER NOT NULL,
+  prompt_text TEXT NOT NULL,
+  -- active variants share traffic; once one is the winner it gets all traffic
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'winner', 'retired')),
+  test_count INTEGER NOT NULL DEFAULT 0,
+  success_count INTEGER NOT NULL DEFAULT 0,
+  promoted_at TIMESTAMPTZ,
+  promoted_by VARCHAR(255),
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (intent, language, version)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_test_results (
+  id SERIAL PRIMARY KEY,
+  variant_id INTEGER NOT NULL REFERENCES prompt_variants(id) ON DELETE CASCADE,
+  subject_key VARCHAR(255),
+  was_successful BOOLEAN NOT NULL,
+  confidence_score NUMERIC(5, 4),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_test_results_variant ON prompt_test_results(variant_id, created_at);
+
+-- Seed the variants previously served from the mock endpoints
+INSERT INTO prompt_variants (intent, language, version, prompt_text)
+VALUES
+  ('create_task', 'en', 1, 'You are an AI assistant helping users with create_task. Be clear and helpful.'),
+  ('create_task', 'en', 2, 'You are an AI assistant helping users with create_task. Be clear, helpful, and ask for missing information when needed.'),
+  ('assign_task', 'en', 1, 'You are an AI assistant helping users with assign_task. Be clear and helpful.'),
+  ('assign_task', 'en', 2, 'You are an AI assistant helping users with assign_task. Be clear, helpful, and consider workload and skills.')
+ON CONFLICT (intent, language, version) DO NOTHING;
+
+COMMIT;
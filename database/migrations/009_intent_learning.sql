@@ -0,0 +1,45 @@
+-- Correction-driven learning for intent and language detection
+-- intent_corrections keeps every correction (user_memory trims its copies per
+-- phone); intent_learning_rules holds the rules learned from them. User rules
+-- apply as soon as they are learned; global rules wait for admin review.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS intent_corrections (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(50) NOT NULL,
+  message TEXT,
+  phrase TEXT,
+  trigger_phrase TEXT,
+  detected_intent VARCHAR(50),
+  corrected_intent VARCHAR(50),
+  detected_language VARCHAR(10),
+  corrected_language VARCHAR(10),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intent_corrections_phrase ON intent_corrections(phrase, corrected_intent);
+CREATE INDEX IF NOT EXISTS idx_intent_corrections_trigger ON intent_corrections(trigger_phrase, corrected_intent);
+CREATE INDEX IF NOT EXISTS idx_intent_corrections_created ON intent_corrections(created_at);
+
+CREATE TABLE IF NOT EXISTS intent_learning_rules (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('user', 'global')),
+  -- '' for global rules so the unique key below also covers them
+  phone VARCHAR(50) NOT NULL DEFAULT '',
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('phrase', 'trigger', 'language')),
+  phrase TEXT NOT NULL DEFAULT '',
+  intent VARCHAR(50),
+  language VARCHAR(10),
+  evidence_count INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'rejected')),
+  reviewed_by VARCHAR(255),
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (scope, phone, kind, phrase)
+);
+
+CREATE INDEX IF NOT EXISTS idx_intent_learning_rules_status ON intent_learning_rules(status, scope);
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- Inbound WhatsApp webhook messages, keyed by the Cloud API message ID (wamid)
+-- Meta retries webhooks it considers slow or failed; a message is only
+-- processed by the request that first inserts its row.
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS whatsapp_inbound_messages (
+  message_id VARCHAR(128) PRIMARY KEY,
+  sender VARCHAR(32),
+  status VARCHAR(20) NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'processed', 'failed')),
+  intent VARCHAR(50),
+  last_error TEXT,
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_wa_inbound_received ON whatsapp_inbound_messages(received_at);
+
+COMMIT;
@@ -1,12 +1,16 @@
+const { t } = require('../shared/i18n');
+
 /**
  * Error handling middleware
+ * Errors carrying a messageKey (and messageVars) are translated for the
+ * request's Accept-Language; others keep their message.
  */
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
   
   // Default error response
   const errorResponse = {
-    error: err.message || 'Internal Server Error',
+    error: err.messageKey ? t(req, err.messageKey, err.messageVars) : (err.message || t(req, 'errors.internal')),
     status: err.status || 500,
     timestamp: new Date().toISOString()
   };
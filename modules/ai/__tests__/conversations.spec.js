@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+const aiService = require('../services');
+const ConversationStore = require('../services/conversationStore');
+const { titleFromMessage } = require('../services/conversationStore');
+const { StubProvider } = require('../services/providers');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USERS = { 'token-ana': { id: 'ana' }, 'token-ben': { id: 'ben' } };
+const as = (name) => ({ Authorization: `Bearer token-${name}` });
+
+describe('AI conversations API', () => {
+  let app;
+  const api = (path) => `/api/modules/ai/conversations${path}`;
+
+  beforeEach(() => {
+    aiService.setProvider(new StubProvider());
+    aiService.logger = silentLogger;
+    aiService.setConversationStore(new ConversationStore({ logger: silentLogger }));
+    app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => USERS[token] || null }) };
+    app.use(express.json());
+    app.use('/api/modules/ai', require('../routes'));
+  });
+
+  test('requires authentication', async () => {
+    expect((await request(app).get(api(''))).status).toBe(401);
+    expect((await request(app).get(api('')).set({ Authorization: 'Bearer nope' })).status).toBe(401);
+  });
+
+  test('conversations are only visible to their owner', async () => {
+    const created = await request(app).post(api('')).set(as('ana')).send({ title: 'Budget' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ userId: 'ana', title: 'Budget', titleSource: 'user' });
+    const id = created.body.id;
+
+    expect((await request(app).get(api(`/${id}`)).set(as('ben'))).status).toBe(404);
+    expect((await request(app).post(api(`/${id}/messages`)).set(as('ben')).send({ content: 'hi' })).status).toBe(404);
+    expect((await request(app).delete(api(`/${id}`)).set(as('ben'))).status).toBe(404);
+    expect((await request(app).get(api('')).set(as('ben'))).body.pagination.total).toBe(0);
+
+    const own = await request(app).get(api(`/${id}`)).set(as('ana'));
+    expect(own.status).toBe(200);
+    expect(own.body.messages).toEqual([]);
+  });
+
+  test('untitled conversations are named after the first user message', async () => {
+    const { body: conversation } = await request(app).post(api('')).set(as('ana')).send({});
+    expect(conversation.title).toBe('New conversation');
+
+    await request(app).post(api(`/${conversation.id}/messages`)).set(as('ana')).send({ content: 'Plan the concrete pour for block B\nand notify the crew' });
+    await request(app).post(api(`/${conversation.id}/messages`)).set(as('ana')).send({ content: 'Something else' });
+    const { body } = await request(app).get(api(`/${conversation.id}`)).set(as('ana'));
+    expect(body).toMatchObject({ title: 'Plan the concrete pour for block B', titleSource: 'auto', messageCount: 2 });
+
+    const renamed = await request(app).patch(api(`/${conversation.id}`)).set(as('ana')).send({ title: 'Block B' });
+    expect(renamed.body).toMatchObject({ title: 'Block B', titleSource: 'user' });
+  });
+
+  test('lists conversations and messages with pagination', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await request(app).post(api('')).set(as('ana')).send({ title: `C${i}` });
+    }
+    const page = await request(app).get(api('?limit=2')).set(as('ana'));
+    expect(page.body.conversations).toHaveLength(2);
+    expect(page.body.pagination).toEqual({ total: 3, limit: 2, offset: 0, hasMore: true });
+
+    const id = page.body.conversations[0].id;
+    for (let i = 1; i <= 5; i++) {
+      await request(app).post(api(`/${id}/messages`)).set(as('ana')).send({ content: `m${i}` });
+    }
+    const messages = await request(app).get(api(`/${id}/messages?limit=2&offset=3`)).set(as('ana'));
+    expect(messages.body.messages.map(m => m.content)).toEqual(['m4', 'm5']);
+    expect(messages.body.messages.map(m => m.position)).toEqual([4, 5]);
+    expect(messages.body.pagination).toMatchObject({ total: 5, hasMore: false });
+  });
+
+  test('soft-deleted conversations disappear from the API', async () => {
+    const { body: conversation } = await request(app).post(api('')).set(as('ana')).send({ title: 'Old' });
+    expect((await request(app).delete(api(`/${conversation.id}`)).set(as('ana'))).status).toBe(200);
+
+    expect((await request(app).get(api(`/${conversation.id}`)).set(as('ana'))).status).toBe(404);
+    expect((await request(app).get(api('')).set(as('ana'))).body.conversations).toEqual([]);
+    expect((await request(app).delete(api(`/${conversation.id}`)).set(as('ana'))).status).toBe(404);
+  });
+
+  test('rejects unknown message roles', async () => {
+    const { body: conversation } = await request(app).post(api('')).set(as('ana')).send({});
+    const res = await request(app).post(api(`/${conversation.id}/messages`)).set(as('ana')).send({ role: 'tool', content: 'x' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('titleFromMessage', () => {
+  test('uses the first non-empty line and cuts long text at a word', () => {
+    expect(titleFromMessage('\n  Order   cement \nmore')).toBe('Order cement');
+    const title = titleFromMessage('Please prepare a detailed schedule for the foundation work including the rebar delivery dates');
+    expect(title.length).toBeLessThanOrEqual(61);
+    expect(title).toMatch(/^Please prepare a detailed schedule for the foundation work…$/);
+    expect(titleFromMessage('   ')).toBe('New conversation');
+  });
+});
+
+describe('ConversationStore (database mode)', () => {
+  test('scopes queries by owner and maps rows', async () => {
+    const calls = [];
+    const database = {
+      query: async (sql, values) => {
+        calls.push({ sql, values });
+        if (sql.includes('INSERT INTO ai_conversation_messages')) {
+          return { rows: [{ id: 'm1', conversation_id: values[0], position: 1, role: values[3], content: values[4], metadata: '{}', created_at: new Date() }] };
+        }
+        if (sql.includes('SELECT * FROM ai_conversations WHERE id')) {
+          const error = new Error('invalid input syntax for type uuid');
+          error.code = '22P02';
+          throw error;
+        }
+        return { rows: [] };
+      }
+    };
+    const store = new ConversationStore({ database, logger: silentLogger });
+
+    const message = await store.addMessage('ana', 'c1', { content: 'Hello there' });
+    expect(message).toMatchObject({ id: 'm1', conversationId: 'c1', role: 'user', content: 'Hello there', metadata: {} });
+    expect(calls[0].sql).toMatch(/owner_id = \$2 AND deleted_at IS NULL/);
+    expect(calls[0].values.slice(0, 3)).toEqual(['c1', 'ana', 'Hello there']);
+
+    expect(await store.get('ana', 'not-a-uuid')).toBeNull();
+  });
+});
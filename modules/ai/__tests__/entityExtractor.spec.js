@@ -0,0 +1,130 @@
+const { extractEntities, serializeDueDate } = require('../services/entityExtractor');
+const { resolveAssignee } = require('../services/assigneeResolver');
+const { extractIntent } = require('../services/intentRouter');
+
+// Wednesday 15 January 2025, 10:00 server time
+const NOW = new Date(2025, 0, 15, 10, 0);
+const at = (month, day, hour = 0, minute = 0) => new Date(2025, month, day, hour, minute);
+
+// [input, expected] — only the listed fields are checked
+const CASES = {
+  en: [
+    ['Fix pump tomorrow 5pm', { title: 'Fix pump', dueDate: at(0, 16, 17), hasTime: true }],
+    ['Send report by next Friday', { title: 'Send report', dueDate: at(0, 17), hasTime: false }],
+    ['Call supplier on Monday at 9am', { title: 'Call supplier', dueDate: at(0, 20, 9) }],
+    ['Order cement in 3 days high priority', { title: 'Order cement', dueDate: at(0, 18), priority: 'high' }],
+    ['Book venue day after tomorrow', { title: 'Book venue', dueDate: at(0, 17) }],
+    ['Inspect site on 3 March', { title: 'Inspect site', dueDate: at(2, 3) }],
+    ['Renew license by Jan 10', { dueDate: new Date(2026, 0, 10) }],
+    ['Submit invoice 20/01 at 14:30', { title: 'Submit invoice', dueDate: at(0, 20, 14, 30) }],
+    ['Fix leak urgent', { title: 'Fix leak', priority: 'urgent', dueDate: null }],
+    ['Clean store room no rush', { title: 'Clean store room', priority: 'low' }],
+    ['Lock up tonight', { title: 'Lock up', dueDate: at(0, 15, 20), hasTime: true }],
+    ['Paint wall for Ravi', { title: 'Paint wall', assignee: { type: 'name', value: 'Ravi' } }],
+    ['@Asha check stock', { title: 'check stock', assignee: { type: 'name', value: 'Asha' } }],
+    ['Pay rent @+91 98000 00011', { title: 'Pay rent', assignee: { type: 'phone', value: '919800000011' } }],
+    ['Plan for the team', { title: 'Plan for the team', assignee: null, dueDate: null }],
+    ['Meeting at 9', { dueDate: at(0, 16, 9) }]
+  ],
+  es: [
+    ['Pagar renta mañana', { title: 'Pagar renta', dueDate: at(0, 16), hasTime: false }],
+    ['Pagar renta mañana a las 5 de la tarde', { title: 'Pagar renta', dueDate: at(0, 16, 17), hasTime: true }],
+    ['Revisar informe el próximo viernes para Ana', { title: 'Revisar informe', dueDate: at(0, 17), assignee: { type: 'name', value: 'Ana' } }],
+    ['Llamar al proveedor pasado mañana', { title: 'Llamar al proveedor', dueDate: at(0, 17) }],
+    ['Comprar cemento en 2 días urgente', { title: 'Comprar cemento', dueDate: at(0, 17), priority: 'urgent' }],
+    ['Entregar planos el 20 de enero', { title: 'Entregar planos', dueDate: at(0, 20) }],
+    ['Limpiar bodega hoy prioridad baja', { title: 'Limpiar bodega', dueDate: at(0, 15), priority: 'low' }],
+    ['Cerrar obra esta noche', { dueDate: at(0, 15, 20), hasTime: true }],
+    ['Pintar pared el sábado', { title: 'Pintar pared', dueDate: at(0, 18) }]
+  ],
+  hi: [
+    ['Ravi ko report bhejo parso', { title: 'report bhejo', dueDate: at(0, 17), assignee: { type: 'name', value: 'Ravi' } }],
+    ['supplier ko call karo kal', { title: 'supplier ko call karo', dueDate: at(0, 16) }],
+    ['bill jama karo kal shaam 5 baje', { title: 'bill jama karo', dueDate: at(0, 16, 17), hasTime: true }],
+    ['site visit agle shukravar', { title: 'site visit', dueDate: at(0, 17) }],
+    ['cement mangao aaj zaroori', { title: 'cement mangao', dueDate: at(0, 15), priority: 'urgent' }],
+    ['report 3 din mein', { title: 'report', dueDate: at(0, 18) }],
+    ['subah 9 baje meeting', { title: 'meeting', dueDate: at(0, 16, 9) }],
+    ['बिजली बिल कल जमा करो ज़रूरी', { title: 'बिजली बिल जमा करो', dueDate: at(0, 16), priority: 'urgent' }],
+    ['सोमवार को रिपोर्ट भेजो', { title: 'रिपोर्ट भेजो', dueDate: at(0, 20) }],
+    ['परसों शाम 6 बजे मीटिंग', { title: 'मीटिंग', dueDate: at(0, 17, 18) }]
+  ]
+};
+
+describe.each(Object.keys(CASES))('extractEntities (%s)', (language) => {
+  test.each(CASES[language])('%s', (input, expected) => {
+    const entities = extractEntities(input, { now: NOW });
+    const { assignee, ...rest } = expected;
+    expect(entities).toMatchObject(rest);
+    if ('assignee' in expected) {
+      if (assignee === null) expect(entities.assignee).toBeNull();
+      else expect(entities.assignee).toMatchObject(assignee);
+    }
+  });
+});
+
+describe('extractIntent with entities', () => {
+  test('create_task payload carries due date, priority and assignee', () => {
+    const { intent, payload } = extractIntent('create task Fix pump tomorrow 5pm for Ravi urgent', 'en', { now: NOW });
+    expect(intent).toBe('create_task');
+    expect(payload).toMatchObject({ title: 'Fix pump', dueDate: at(0, 16, 17), hasTime: true, priority: 'urgent' });
+    expect(payload.assignee).toMatchObject({ type: 'name', value: 'Ravi' });
+  });
+
+  test('serializeDueDate keeps calendar days as dates', () => {
+    expect(serializeDueDate(at(0, 16), false)).toBe('2025-01-16');
+    expect(serializeDueDate(at(0, 16, 17), true)).toBe(at(0, 16, 17).toISOString());
+    expect(serializeDueDate(null)).toBeNull();
+  });
+});
+
+describe('extractEntities in the sender\'s timezone', () => {
+  // 20:00 UTC on Wednesday 15 January 2025 is already Thursday 01:30 in India
+  const UTC_NOW = new Date(Date.UTC(2025, 0, 15, 20, 0));
+
+  test('times and relative days are read on the sender\'s wall clock', () => {
+    const options = { now: UTC_NOW, timezone: 'Asia/Kolkata' };
+    expect(extractEntities('Fix pump tomorrow 5pm', options).dueDate.toISOString()).toBe('2025-01-17T11:30:00.000Z');
+    expect(extractEntities('Call supplier kal shaam 5 baje', options).dueDate.toISOString()).toBe('2025-01-17T11:30:00.000Z');
+    expect(extractEntities('Meeting at 9', options).dueDate.toISOString()).toBe('2025-01-16T03:30:00.000Z');
+    expect(extractEntities('Inspect site on Friday 10am', options).dueDate.toISOString()).toBe('2025-01-17T04:30:00.000Z');
+  });
+
+  test('calendar days are serialized as the sender\'s day', () => {
+    const { dueDate, hasTime } = extractEntities('Send report tomorrow', { now: UTC_NOW, timezone: 'Asia/Kolkata' });
+    expect(serializeDueDate(dueDate, hasTime, 'Asia/Kolkata')).toBe('2025-01-17');
+    expect(serializeDueDate(extractEntities('Send report tomorrow', { now: UTC_NOW, timezone: 'America/New_York' }).dueDate, false, 'America/New_York')).toBe('2025-01-16');
+  });
+
+  test('an unknown timezone falls back to server time', () => {
+    expect(extractEntities('Fix pump tomorrow 5pm', { now: NOW, timezone: 'Mars/Base' }).dueDate).toEqual(at(0, 16, 17));
+  });
+});
+
+describe('resolveAssignee', () => {
+  const contactService = {
+    getContacts: async ({ search }) => [
+      { firstName: 'Ravi', lastName: 'Kumar', phone: '+91 98000 00011' },
+      { firstName: 'Ravina', lastName: 'Shah', phone: '+91 98000 00012' },
+      { firstName: 'Asha', lastName: 'Patel', phone: '+91 98000 00013' },
+      { firstName: 'Asha', lastName: 'Rao', phone: '+91 98000 00014' }
+    ].filter(c => `${c.firstName} ${c.lastName}`.toLowerCase().includes(search.toLowerCase()))
+  };
+  const taskService = {
+    findUsersByName: async (name) => (name.toLowerCase() === 'ravi' ? [{ id: 7, name: 'Ravi Kumar', whatsapp_number: '919800000011' }] : [])
+  };
+
+  test('resolves a unique name across contacts and users', async () => {
+    const result = await resolveAssignee({ type: 'name', value: 'Ravi' }, { contactService, taskService });
+    expect(result).toMatchObject({ status: 'resolved', phone: '919800000011', name: 'Ravi Kumar' });
+  });
+
+  test('reports ambiguous and unknown names', async () => {
+    expect((await resolveAssignee({ type: 'name', value: 'Asha' }, { contactService, taskService })).status).toBe('ambiguous');
+    expect((await resolveAssignee({ type: 'name', value: 'Zoya' }, { contactService, taskService })).status).toBe('not_found');
+  });
+
+  test('phone mentions resolve directly', async () => {
+    expect(await resolveAssignee({ type: 'phone', value: '919800000099' }, {})).toMatchObject({ status: 'resolved', phone: '919800000099' });
+  });
+});
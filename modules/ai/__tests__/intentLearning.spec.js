@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+const IntentLearningService = require('../services/intentLearningService');
+const UserMemoryService = require('../services/userMemoryService');
+const { extractIntent } = require('../services/intentRouter');
+const { detectLanguage } = require('../services/langDetect');
+const { handleIncomingMessage } = require('../../whatsapp/services/messageHandler');
+const userMemoryController = require('../userMemory.controller');
+const aiAnalyticsController = require('../aiAnalytics.controller');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const ADMIN = { Authorization: 'Bearer admin-token' };
+const MEMBER = { Authorization: 'Bearer member-token' };
+const PHONES = ['919800000021', '919800000022', '919800000023', '919800000024'];
+// Each phone's owner signs in with "<phone>-token"
+const USERS = {
+  'admin-token': { id: 'a1', role: 'admin' },
+  'member-token': { id: 'm1', role: 'member' },
+  ...Object.fromEntries(PHONES.map((phone, i) => [`${phone}-token`, { id: `u${i}`, role: 'member', phone }]))
+};
+
+describe('correction-driven intent learning', () => {
+  let app;
+  let learning;
+  let memory;
+
+  beforeEach(async () => {
+    learning = new IntentLearningService({ logger: silentLogger, globalThreshold: 3 });
+    memory = new UserMemoryService({ logger: silentLogger });
+    for (const phone of PHONES) await memory.getOrCreateContext(phone);
+    app = express();
+    app.locals.userMemoryService = memory;
+    app.locals.intentLearningService = learning;
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => USERS[token] || null }) };
+    app.use(express.json());
+    app.use('/api/ai/learning', userMemoryController);
+    app.use('/api/ai/analytics', aiAnalyticsController);
+  });
+
+  const correct = (phoneNumber, correction) => request(app)
+    .post('/api/ai/learning/log-correction')
+    .set({ Authorization: `Bearer ${phoneNumber}-token` })
+    .send({ phoneNumber, correction });
+  const route = async (phone, text) => {
+    const learned = await learning.rulesFor(phone);
+    return extractIntent(text, detectLanguage(text, { preferredLanguage: learned.language }), { learned });
+  };
+
+  test('a correction routes the same phrase to the corrected intent for that user only', async () => {
+    expect((await route(PHONES[0], 'whats pending')).intent).toBe('unknown');
+
+    const res = await correct(PHONES[0], { message: 'Whats pending?', intent: 'unknown', correctedIntent: 'list_tasks' });
+    expect(res.body.learnedRules).toEqual([expect.objectContaining({ scope: 'user', kind: 'phrase', phrase: 'whats pending', intent: 'list_tasks', status: 'accepted' })]);
+
+    expect(await route(PHONES[0], 'whats   pending')).toMatchObject({ intent: 'list_tasks', learned: { scope: 'user', kind: 'phrase' } });
+    expect((await route(PHONES[1], 'whats pending')).intent).toBe('unknown');
+
+    // The WhatsApp pipeline applies the rule too
+    const outcome = await handleIncomingMessage({ from: `+${PHONES[0]}`, text: 'whats pending' }, { logger: silentLogger, learning });
+    expect(outcome.intent).toBe('list_tasks');
+  });
+
+  test('corrections from enough users queue a global rule that applies only once accepted', async () => {
+    for (const phone of PHONES.slice(0, 3)) {
+      await correct(phone, { message: 'make todo order bricks', intent: 'unknown', correctedIntent: 'create_task' });
+    }
+
+    const queue = await request(app).get('/api/ai/learning/rules?status=pending&scope=global').set(ADMIN);
+    expect(queue.body.pagination.total).toBe(2);
+    const byKind = Object.fromEntries(queue.body.data.map(r => [r.kind, r]));
+    expect(byKind.phrase).toMatchObject({ phrase: 'make todo order bricks', intent: 'create_task', evidenceCount: 3 });
+    expect(byKind.trigger).toMatchObject({ phrase: 'make todo', intent: 'create_task', evidenceCount: 3 });
+
+    // Pending rules do nothing for a fourth user
+    expect((await route(PHONES[3], 'make todo fix the gate')).intent).toBe('unknown');
+
+    expect((await request(app).get('/api/ai/learning/rules').set(MEMBER)).status).toBe(403);
+    expect((await request(app).post(`/api/ai/learning/rules/${byKind.trigger.id}/accept`).set(MEMBER)).status).toBe(403);
+    const accepted = await request(app).post(`/api/ai/learning/rules/${byKind.trigger.id}/accept`).set(ADMIN);
+    expect(accepted.body.data).toMatchObject({ status: 'accepted', reviewedBy: 'a1' });
+
+    const routed = await route(PHONES[3], 'Make todo fix the gate tomorrow');
+    expect(routed).toMatchObject({ intent: 'create_task', learned: { scope: 'global', kind: 'trigger' } });
+    expect(routed.payload.title).toBe('fix the gate');
+    expect(routed.payload.dueDate).toBeInstanceOf(Date);
+  });
+
+  test('rejected rules stop applying and repeating the correction keeps them rejected', async () => {
+    const res = await correct(PHONES[0], { message: 'progress pls', intent: 'status_check', correctedIntent: 'list_tasks' });
+    const [rule] = res.body.learnedRules;
+
+    expect((await request(app).post(`/api/ai/learning/rules/${rule.id}/reject`).set(ADMIN)).body.data.status).toBe('rejected');
+    expect((await route(PHONES[0], 'progress pls')).intent).toBe('status_check');
+
+    const again = await correct(PHONES[0], { message: 'progress pls', intent: 'status_check', correctedIntent: 'list_tasks' });
+    expect(again.body.learnedRules[0]).toMatchObject({ status: 'rejected', evidenceCount: 2 });
+    expect((await request(app).post('/api/ai/learning/rules/999/accept').set(ADMIN)).status).toBe(404);
+  });
+
+  test('corrections are only accepted from the signed-in owner of the number', async () => {
+    const correction = { message: 'whats pending', intent: 'unknown', correctedIntent: 'list_tasks' };
+    const anonymous = await request(app).post('/api/ai/learning/log-correction').send({ phoneNumber: PHONES[0], correction });
+    expect(anonymous.status).toBe(401);
+    const other = await request(app).post('/api/ai/learning/log-correction')
+      .set({ Authorization: `Bearer ${PHONES[1]}-token` })
+      .send({ phoneNumber: PHONES[0], correction });
+    expect(other.status).toBe(403);
+
+    expect((await route(PHONES[0], 'whats pending')).intent).toBe('unknown');
+    expect(await memory.getContext(PHONES[0])).toMatchObject({ correctionHistory: [] });
+  });
+
+  test('intents that need a task number are not learned as rules', async () => {
+    const res = await correct(PHONES[0], { message: 'finished the pump', intent: 'unknown', correctedIntent: 'complete_task' });
+    expect(res.body.learnedRules).toEqual([]);
+  });
+
+  test('a language correction becomes the user fallback language', async () => {
+    expect(detectLanguage('ok')).toBe('en');
+    await correct(PHONES[0], { message: 'ok', language: 'en', correctedLanguage: 'es' });
+
+    expect((await learning.rulesFor(PHONES[0])).language).toBe('es');
+    const outcome = await handleIncomingMessage({ from: PHONES[0], text: 'ok' }, { logger: silentLogger, learning });
+    expect(outcome.language).toBe('es');
+    // A confident detection still wins
+    expect(detectLanguage('मेरे काम दिखाओ', { preferredLanguage: 'es' })).toBe('hi');
+  });
+
+  test('analytics report the top confusion pairs', async () => {
+    await correct(PHONES[0], { message: 'check my stuff', intent: 'status_check', correctedIntent: 'list_tasks' });
+    await correct(PHONES[1], { message: 'status of list', intent: 'status_check', correctedIntent: 'list_tasks' });
+    await correct(PHONES[2], { message: 'new one: paint', intent: 'unknown', correctedIntent: 'create_task' });
+    await correct(PHONES[2], { message: 'hola', language: 'en', correctedLanguage: 'es' });
+
+    const res = await request(app).get('/api/ai/analytics/corrections?timeRange=7d');
+    expect(res.body.data).toMatchObject({ totalCorrections: 4, usersCorrecting: 3 });
+    expect(res.body.data.topConfusionPairs[0]).toMatchObject({
+      detectedIntent: 'status_check', correctedIntent: 'list_tasks', count: 2, users: 2, examples: ['status of list', 'check my stuff']
+    });
+    expect(res.body.data.mostCorrectedIntents[0]).toMatchObject({ intent: 'status_check', correctionCount: 2 });
+    expect(res.body.data.languageConfusion).toEqual([expect.objectContaining({ detectedLanguage: 'en', correctedLanguage: 'es', count: 1 })]);
+    expect(res.body.data.learnedRules.accepted).toBe(4);
+    expect((await request(app).get('/api/ai/analytics/corrections?timeRange=forever')).status).toBe(400);
+  });
+
+  test('purging a user removes their corrections and rules', async () => {
+    await correct(PHONES[0], { message: 'whats pending', intent: 'unknown', correctedIntent: 'list_tasks' });
+    const purged = await request(app).delete(`/api/ai/learning/user-context/${PHONES[0]}`).set(ADMIN);
+    expect(purged.body.data.learningRecords).toBe(2);
+    expect((await route(PHONES[0], 'whats pending')).intent).toBe('unknown');
+  });
+
+  test('database mode upserts user rules and counts distinct users per phrase', async () => {
+    const calls = [];
+    const database = {
+      query: async (sql, values) => {
+        calls.push({ sql: sql.replace(/\s+/g, ' '), values });
+        if (sql.includes('INSERT INTO intent_corrections')) return { rows: [{ id: 1, phone: values[0], message: values[1], created_at: new Date() }] };
+        if (sql.includes('INSERT INTO intent_learning_rules')) {
+          return { rows: [{ id: 5, scope: 'user', phone: values[0], kind: values[1], phrase: values[2], intent: values[3], status: 'accepted', evidence_count: 1, created_at: new Date(), updated_at: new Date() }] };
+        }
+        if (sql.includes('COUNT(DISTINCT phone)')) return { rows: [{ intent: 'list_tasks', users: 1 }] };
+        return { rows: [] };
+      }
+    };
+    const dbLearning = new IntentLearningService({ database, logger: silentLogger });
+
+    const { rules } = await dbLearning.recordCorrection('+91 98000 00021', { message: 'Whats pending?', intent: 'unknown', correctedIntent: 'list_tasks' });
+    expect(rules).toEqual([expect.objectContaining({ id: 5, phrase: 'whats pending', intent: 'list_tasks' })]);
+    expect(calls[1].sql).toContain('ON CONFLICT (scope, phone, kind, phrase) DO UPDATE');
+    expect(calls[1].values).toEqual([PHONES[0], 'phrase', 'whats pending', 'list_tasks', null]);
+    expect(calls[2].sql).toContain('WHERE phrase = $1 AND corrected_intent = ANY($2)');
+    // One user is below the global threshold, so no global rule is written
+    expect(calls).toHaveLength(3);
+  });
+});
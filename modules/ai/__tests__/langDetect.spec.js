@@ -0,0 +1,64 @@
+const { detectLanguage, identifyLanguage } = require('../services/langDetect');
+const { handleIncomingMessage } = require('../../whatsapp/services/messageHandler');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('language identification', () => {
+  test('tells romanized Hindi apart from English', () => {
+    expect(detectLanguage('mere kaam dikhao')).toBe('hi');
+    expect(detectLanguage('kal tak report bhej dena')).toBe('hi');
+    expect(detectLanguage('task complete ho gaya bhai')).toBe('hi');
+    expect(detectLanguage('show me my open tasks')).toBe('en');
+    expect(detectLanguage('please send the report by tomorrow')).toBe('en');
+  });
+
+  test('identifies Latin-script languages', () => {
+    expect(detectLanguage('crear tarea comprar cemento')).toBe('es');
+    expect(detectLanguage('mis tareas')).toBe('es');
+    expect(detectLanguage('ver minhas tarefas pendentes')).toBe('pt');
+    expect(detectLanguage('nouvelle tâche appeler le client')).toBe('fr');
+  });
+
+  test('separates languages that share a script', () => {
+    expect(detectLanguage('मेरे काम दिखाओ')).toBe('hi');
+    expect(detectLanguage('माझी कामे दाखवा')).toBe('mr');
+    expect(detectLanguage('میرے کام دکھاؤ')).toBe('ur');
+    expect(detectLanguage('أرني مهامي')).toBe('ar');
+  });
+
+  test('single-script languages are settled by the script', () => {
+    expect(identifyLanguage('મારા કામ બતાવો')).toMatchObject({ language: 'gu', source: 'script', confidence: 1 });
+    expect(detectLanguage('ਮੇਰੇ ਕੰਮ ਦਿਖਾਓ')).toBe('pa');
+    expect(detectLanguage('আমার কাজ দেখাও')).toBe('bn');
+    expect(detectLanguage('என் பணிகளைக் காட்டு')).toBe('ta');
+  });
+
+  test('reports confidence and ranked candidates', () => {
+    const result = identifyLanguage('kya aap meri madad kar sakte ho');
+    expect(result).toMatchObject({ language: 'hi', source: 'ngram', script: 'latin' });
+    expect(result.confidence).toBeGreaterThan(0.5);
+    expect(result.candidates[0]).toEqual({ language: 'hi', confidence: result.confidence });
+    expect(result.candidates.length).toBeGreaterThan(1);
+  });
+
+  test('low confidence falls back to the preferred language, then English', () => {
+    expect(identifyLanguage('ok')).toMatchObject({ language: 'en', source: 'default' });
+    expect(identifyLanguage('ok', { preferredLanguage: 'hi' })).toMatchObject({ language: 'hi', source: 'preferred' });
+    expect(identifyLanguage('1234', { preferredLanguage: 'es' })).toMatchObject({ language: 'es', confidence: 0, script: null });
+    // A confident detection is not overridden
+    expect(detectLanguage('show me my open tasks', { preferredLanguage: 'hi' })).toBe('en');
+    expect(detectLanguage('mis tareas', { preferredLanguage: 'hi', minConfidence: 1 })).toBe('hi');
+  });
+
+  test('WhatsApp messages use the onboarding language when detection is unsure', async () => {
+    const memory = { getPreferredLanguage: async (phone) => (phone === '919800000031' ? 'hi' : null) };
+
+    const unsure = await handleIncomingMessage({ from: '919800000031', text: 'ok' }, { logger: silentLogger, memory });
+    expect(unsure.language).toBe('hi');
+    expect(unsure.languageConfidence).toBeLessThan(0.5);
+
+    const confident = await handleIncomingMessage({ from: '919800000031', text: 'mis tareas' }, { logger: silentLogger, memory });
+    expect(confident.language).toBe('es');
+    expect((await handleIncomingMessage({ from: '919800000032', text: 'ok' }, { logger: silentLogger, memory })).language).toBe('en');
+  });
+});
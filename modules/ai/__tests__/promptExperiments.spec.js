@@ -0,0 +1,168 @@
+const express = require('express');
+const request = require('supertest');
+const PromptExperimentService = require('../services/promptExperimentService');
+const { twoProportionTest } = require('../services/promptExperimentService');
+const aiController = require('../ai.controller');
+const aiAnalyticsController = require('../aiAnalytics.controller');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const ADMIN = { Authorization: 'Bearer admin-token' };
+const MEMBER = { Authorization: 'Bearer member-token' };
+const USERS = { 'admin-token': { id: 'a1', role: 'admin' }, 'member-token': { id: 'm1', role: 'member' } };
+
+describe('prompt A/B experiments', () => {
+  let app;
+  let service;
+
+  beforeEach(() => {
+    service = new PromptExperimentService({ logger: silentLogger, minSamples: 20, confidenceThreshold: 0.95 });
+    app = express();
+    app.locals.promptExperimentService = service;
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => USERS[token] || null }) };
+    app.use(express.json());
+    app.use('/api/ai', aiController);
+    app.use('/api/ai/analytics', aiAnalyticsController);
+  });
+
+  const record = (variant, successes, failures) => Promise.all([
+    ...Array.from({ length: successes }, () => service.recordResult({ variantId: variant.id, wasSuccessful: true })),
+    ...Array.from({ length: failures }, () => service.recordResult({ variantId: variant.id, wasSuccessful: false }))
+  ]);
+
+  test('buckets each subject onto a stable variant and spreads subjects across variants', async () => {
+    const first = await service.assignVariant('create_task', 'en', '+91 98000 00010');
+    const again = await service.assignVariant('create_task', 'en', '919800000010');
+    expect(again.id).toBe(first.id);
+
+    const versions = new Set();
+    for (let i = 0; i < 40; i++) {
+      versions.add((await service.assignVariant('create_task', 'en', `user-${i}`)).version);
+    }
+    expect([...versions].sort()).toEqual([1, 2]);
+
+    // Unknown languages use the English experiment; unknown intents have none
+    expect((await service.assignVariant('create_task', 'hi', 'user-1')).language).toBe('en');
+    expect(await service.assignVariant('general', 'en', 'user-1')).toBeNull();
+  });
+
+  test('variants endpoint reports recorded success rates and the assigned variant', async () => {
+    const [v1] = await service.listVariants('create_task', 'en');
+    await request(app).post('/api/ai/prompts/test-result').set(MEMBER).send({ variant_id: v1.id, intent: 'create_task', language: 'en', was_successful: true });
+    await request(app).post('/api/ai/prompts/test-result').set(MEMBER).send({ variant_id: v1.id, intent: 'create_task', language: 'en', was_successful: false });
+
+    const res = await request(app).get('/api/ai/prompts/variants/create_task/en?phoneNumber=919800000010');
+    expect(res.body.data[0]).toMatchObject({ id: v1.id, version: 1, test_count: 2, success_rate: 0.5, is_active: true });
+    expect(res.body.assignedVariant).toMatchObject({ intent: 'create_task', language: 'en' });
+
+    const analyzed = await request(app).post('/api/ai/analyze').send({ message: 'create a task', phoneNumber: '919800000010' });
+    expect(analyzed.body.data).toMatchObject({ promptVariant: `v${res.body.assignedVariant.version}`, promptVariantId: res.body.assignedVariant.id });
+  });
+
+  test('test results are validated against the variant', async () => {
+    const [v1] = await service.listVariants('assign_task', 'en');
+    expect((await request(app).post('/api/ai/prompts/test-result').send({ variant_id: v1.id, intent: 'assign_task', language: 'en' })).status).toBe(401);
+    expect((await request(app).post('/api/ai/prompts/test-result').set(MEMBER).send({ intent: 'assign_task', language: 'en' })).status).toBe(400);
+    expect((await request(app).post('/api/ai/prompts/test-result').set(MEMBER).send({ variant_id: 999, intent: 'assign_task', language: 'en' })).status).toBe(404);
+    expect((await request(app).post('/api/ai/prompts/test-result').set(MEMBER).send({ variant_id: v1.id, intent: 'create_task', language: 'en' })).status).toBe(400);
+  });
+
+  test('z-test confidence grows with the gap and the sample size', () => {
+    expect(twoProportionTest(10, 20, 10, 20).confidence).toBeCloseTo(0);
+    const small = twoProportionTest(16, 20, 10, 20).confidence;
+    const large = twoProportionTest(80, 100, 50, 100).confidence;
+    expect(small).toBeGreaterThan(0.9);
+    expect(large).toBeGreaterThan(0.999);
+    expect(large).toBeGreaterThan(small);
+  });
+
+  test('promotes the leader automatically once the result is significant', async () => {
+    const [v1, v2] = await service.listVariants('create_task', 'en');
+    await record(v1, 8, 12);
+    await record(v2, 17, 2);
+
+    // 19 samples on v2 is below minSamples, so nothing is decided yet
+    let experiments = (await request(app).get('/api/ai/analytics/experiments')).body.data;
+    let experiment = experiments.experiments.find(e => e.intent === 'create_task');
+    expect(experiment).toMatchObject({ status: 'running', leader: 2, winner: null, total_tests: 39 });
+    expect(experiment.confidence_level).toBeGreaterThan(0.95);
+
+    const { promoted } = await service.recordResult({ variantId: v2.id, wasSuccessful: true });
+    expect(promoted).toMatchObject({ id: v2.id, status: 'winner', promoted_by: 'auto' });
+
+    experiments = (await request(app).get('/api/ai/analytics/experiments')).body.data;
+    experiment = experiments.experiments.find(e => e.intent === 'create_task');
+    expect(experiment).toMatchObject({ status: 'decided', winner: 2, significant: true });
+    expect(experiment.variants.find(v => v.version === 1)).toMatchObject({ status: 'retired', is_active: false });
+    expect(experiments.summary).toMatchObject({ decidedTests: 1, totalTests: 40 });
+    expect(experiments.activeExperiments).toBe(1);
+
+    // Every subject now gets the winner
+    expect((await service.assignVariant('create_task', 'en', 'anyone')).id).toBe(v2.id);
+
+    // A decided experiment takes no more results, for the winner or the retired variants
+    await expect(service.recordResult({ variantId: v1.id, wasSuccessful: true })).rejects.toMatchObject({ status: 409 });
+    await expect(service.recordResult({ variantId: v2.id, wasSuccessful: true })).rejects.toMatchObject({ status: 409 });
+    expect((await service.getExperiment('create_task', 'en')).total_tests).toBe(40);
+  });
+
+  test('close results stay undecided', async () => {
+    const [v1, v2] = await service.listVariants('assign_task', 'en');
+    await record(v1, 14, 11);
+    await record(v2, 15, 10);
+
+    const experiment = await service.getExperiment('assign_task', 'en');
+    expect(experiment).toMatchObject({ status: 'running', significant: false, winner: null });
+    expect(experiment.confidence_level).toBeLessThan(0.5);
+  });
+
+  test('admins can add variants and promote a winner manually', async () => {
+    const body = { intent: 'check_status', language: 'hi', prompt_text: 'Status prompt' };
+    expect((await request(app).post('/api/ai/prompts/variants').send(body)).status).toBe(401);
+    expect((await request(app).post('/api/ai/prompts/variants').set(MEMBER).send(body)).status).toBe(403);
+    expect((await request(app).post('/api/ai/prompts/variants').set(ADMIN).send({ intent: 'check_status' })).status).toBe(400);
+
+    const first = await request(app).post('/api/ai/prompts/variants').set(ADMIN).send(body);
+    const second = await request(app).post('/api/ai/prompts/variants').set(ADMIN).send({ ...body, prompt_text: 'Shorter status prompt' });
+    expect(first.status).toBe(201);
+    expect(second.body.data).toMatchObject({ version: 2, status: 'active' });
+
+    expect((await request(app).post(`/api/ai/prompts/variants/${first.body.data.id}/promote`).set(MEMBER)).status).toBe(403);
+    expect((await request(app).post('/api/ai/prompts/variants/999/promote').set(ADMIN)).status).toBe(404);
+    const promoted = await request(app).post(`/api/ai/prompts/variants/${first.body.data.id}/promote`).set(ADMIN);
+    expect(promoted.body.data).toMatchObject({ version: 1, status: 'winner', promoted_by: 'a1' });
+
+    const variants = await service.listVariants('check_status', 'hi');
+    expect(variants.map(v => v.status)).toEqual(['winner', 'retired']);
+  });
+
+  test('database mode records results and promotes with SQL', async () => {
+    const calls = [];
+    let promotedMeanwhile = false;
+    const variantRow = { id: 7, intent: 'create_task', language: 'en', version: 2, prompt_text: 'p', status: 'active', test_count: 1, success_count: 1 };
+    const database = {
+      query: async (sql, values) => {
+        calls.push({ sql: sql.replace(/\s+/g, ' '), values });
+        if (sql.includes('WHERE id = $1') && sql.startsWith('SELECT')) return { rows: [variantRow] };
+        if (sql.includes('UPDATE prompt_variants')) return { rows: promotedMeanwhile ? [] : [variantRow] };
+        if (sql.includes('FROM prompt_variants WHERE intent')) return { rows: [variantRow] };
+        return { rows: [] };
+      }
+    };
+    const dbService = new PromptExperimentService({ database, logger: silentLogger });
+
+    const { variant, promoted } = await dbService.recordResult({ variantId: '7', wasSuccessful: true, confidenceScore: 0.8, subject: '+91 98000 00010' });
+    expect(variant).toMatchObject({ id: 7, success_rate: 1 });
+    expect(promoted).toBeNull();
+    const write = calls.find(call => call.sql.includes('INSERT INTO prompt_test_results'));
+    expect(write.sql).toContain("WHERE v.id = $1 AND v.status = 'active' AND NOT EXISTS");
+    expect(write.values).toEqual([7, '919800000010', true, 0.8, 1]);
+
+    // Another request promoted a winner between the checks and the write
+    promotedMeanwhile = true;
+    await expect(dbService.recordResult({ variantId: '7', wasSuccessful: true })).rejects.toMatchObject({ status: 409 });
+    promotedMeanwhile = false;
+
+    await dbService.promote(7, 'a1');
+    expect(calls[calls.length - 1].sql).toContain("SET status = CASE WHEN id = $1 THEN 'winner' ELSE 'retired' END");
+  });
+});
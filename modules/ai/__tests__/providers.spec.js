@@ -0,0 +1,223 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const {
+  createProviderFromEnv,
+  StubProvider,
+  OpenAICompatibleProvider,
+  ProviderChain
+} = require('../services/providers');
+const { AIService } = require('../services');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const messages = [{ role: 'user', content: 'Plan the site visit' }];
+
+async function collect(iterator) {
+  const events = [];
+  for await (const event of iterator) events.push(event);
+  return events;
+}
+
+// Minimal OpenAI-compatible server; `handler` decides each response
+function startServer(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => handler(req, res, body ? JSON.parse(body) : {}));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('StubProvider', () => {
+  test('is deterministic and reports usage', async () => {
+    const stub = new StubProvider();
+    const first = await stub.complete({ messages });
+    const second = await stub.complete({ messages });
+    expect(first.text).toBe('[stub-1] Plan the site visit');
+    expect(second).toEqual(first);
+    expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+  });
+
+  test('streams the same text in chunks', async () => {
+    const events = await collect(new StubProvider().stream({ messages }));
+    const done = events.pop();
+    expect(events.map(e => e.text).join('')).toBe('[stub-1] Plan the site visit');
+    expect(done).toMatchObject({ type: 'done', provider: 'stub', finishReason: 'stop' });
+  });
+});
+
+describe('createProviderFromEnv', () => {
+  test('defaults to the stub without an API key', () => {
+    expect(createProviderFromEnv({}).name).toBe('stub');
+  });
+
+  test('builds a chain and skips unconfigured providers', () => {
+    const provider = createProviderFromEnv({
+      AI_PROVIDER: 'openai',
+      OPENAI_API_KEY: 'sk-test',
+      AI_FALLBACK_PROVIDERS: 'ollama, stub'
+    }, silentLogger);
+    expect(provider).toBeInstanceOf(ProviderChain);
+    expect(provider.providers.map(p => p.name)).toEqual(['openai', 'stub']);
+  });
+
+  test('configures named OpenAI-compatible providers from AI_<NAME>_*', () => {
+    const provider = createProviderFromEnv({ AI_PROVIDER: 'ollama', AI_OLLAMA_BASE_URL: 'http://localhost:11434/v1/', AI_OLLAMA_MODEL: 'llama3' });
+    expect(provider.describe()).toMatchObject({ name: 'ollama', model: 'llama3', baseUrl: 'http://localhost:11434/v1', configured: true });
+  });
+});
+
+describe('ProviderChain', () => {
+  test('falls back on retryable errors', async () => {
+    const primary = new StubProvider({ name: 'primary', model: 'p-1' });
+    const backup = new StubProvider({ name: 'backup', model: 'b-1' });
+    primary.failNext(1, 503);
+    const chain = new ProviderChain([primary, backup], { logger: silentLogger });
+
+    const result = await chain.complete({ messages });
+    expect(result).toMatchObject({ provider: 'backup', text: '[b-1] Plan the site visit', fallbackFrom: ['primary'] });
+  });
+
+  test('does not fall back on client errors', async () => {
+    const primary = new StubProvider({ name: 'primary' });
+    primary.failNext(1, 400, 'Bad request');
+    const backup = new StubProvider({ name: 'backup' });
+    const chain = new ProviderChain([primary, backup], { logger: silentLogger });
+
+    await expect(chain.complete({ messages })).rejects.toMatchObject({ status: 400, provider: 'primary' });
+    expect(backup.calls).toBe(0);
+  });
+
+  test('falls back for streams that fail before the first chunk', async () => {
+    const primary = new StubProvider({ name: 'primary' });
+    primary.failNext(1, 429);
+    const chain = new ProviderChain([primary, new StubProvider({ name: 'backup' })], { logger: silentLogger });
+
+    const events = await collect(chain.stream({ messages }));
+    expect(events.pop()).toMatchObject({ type: 'done', provider: 'backup', fallbackFrom: ['primary'] });
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseUrl;
+  let handler;
+
+  beforeAll(async () => {
+    server = await startServer((req, res, body) => handler(req, res, body));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('sends chat completions and reads reported usage', async () => {
+    let received;
+    handler = (req, res, body) => {
+      received = { url: req.url, auth: req.headers.authorization, body };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        model: 'gpt-test',
+        choices: [{ message: { role: 'assistant', content: 'Visit on Monday.' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+      }));
+    };
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'sk-test', model: 'gpt-test' });
+
+    const result = await provider.complete({ messages, maxTokens: 50 });
+    expect(received).toMatchObject({ url: '/v1/chat/completions', auth: 'Bearer sk-test', body: { model: 'gpt-test', max_tokens: 50, stream: false } });
+    expect(result).toMatchObject({ text: 'Visit on Monday.', provider: 'openai', usage: { promptTokens: 12, completionTokens: 4, totalTokens: 16, estimated: false } });
+  });
+
+  test('parses server-sent event streams', async () => {
+    handler = (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      const send = (data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+      send({ model: 'gpt-test', choices: [{ delta: { content: 'Visit ' } }] });
+      send({ choices: [{ delta: { content: 'on Monday.' }, finish_reason: 'stop' }] });
+      send({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 } });
+      send('[DONE]');
+      res.end();
+    };
+    const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'sk-test' });
+
+    const events = await collect(provider.stream({ messages }));
+    const done = events.pop();
+    expect(events.map(e => e.text)).toEqual(['Visit ', 'on Monday.']);
+    expect(done).toMatchObject({ model: 'gpt-test', finishReason: 'stop', usage: { totalTokens: 16 } });
+  });
+
+  test('times out and maps upstream errors to retryable provider errors', async () => {
+    handler = () => {}; // never responds
+    const slow = new OpenAICompatibleProvider({ baseUrl, apiKey: 'sk-test', timeoutMs: 50 });
+    await expect(slow.complete({ messages })).rejects.toMatchObject({ status: 504, code: 'TIMEOUT', retryable: true });
+
+    handler = (req, res) => { res.statusCode = 500; res.end(JSON.stringify({ error: { message: 'overloaded' } })); };
+    const failing = new OpenAICompatibleProvider({ baseUrl, apiKey: 'sk-test' });
+    await expect(failing.complete({ messages })).rejects.toMatchObject({ status: 502, retryable: true });
+  });
+});
+
+describe('AIService with a provider', () => {
+  test('records token usage by type, model and provider', async () => {
+    const ai = new AIService({ provider: new StubProvider(), logger: silentLogger });
+    const reply = await ai.sendMessage('Hello');
+    await ai.generateContent('Weekly summary', 'report');
+
+    const usage = await ai.getUsageAnalytics();
+    expect(reply.response).toBe('[stub-1] Hello');
+    expect(usage.totalRequests).toBe(2);
+    expect(usage.totalTokens).toBe(reply.tokens + usage.byType.generation.tokens);
+    expect(usage.byProvider.stub.requests).toBe(2);
+    expect(usage.byModel['stub-1'].tokens).toBe(usage.totalTokens);
+  });
+
+  test('parses optimization and prediction replies', async () => {
+    const responder = (msgs) => (msgs[0].content.startsWith('Forecast')
+      ? 'Sure: {"trend": "up", "factors": ["season"], "confidence": 0.8}'
+      : 'Better text\nImprovements:\n- Shorter\n- Clearer');
+    const ai = new AIService({ provider: new StubProvider({ responder }), logger: silentLogger });
+
+    expect(await ai.optimizeContent('Some text')).toMatchObject({ optimizedContent: 'Better text', improvements: ['Shorter', 'Clearer'] });
+    expect(await ai.getPredictions({ sales: [1, 2, 3] })).toMatchObject({ predictions: { trend: 'up' }, confidence: 0.8 });
+  });
+
+  test('/chat and /generate return completions and surface provider errors', async () => {
+    const aiService = require('../services');
+    const stub = new StubProvider();
+    aiService.setProvider(stub);
+    aiService.logger = silentLogger;
+    const requested = [];
+    const complete = stub.complete.bind(stub);
+    stub.complete = (params) => {
+      requested.push(params.maxTokens);
+      return complete(params);
+    };
+    const app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => (token === 'token-1' ? { id: 'u1' } : null) }) };
+    app.use(express.json());
+    app.use('/api/modules/ai', require('../routes'));
+    const AUTH = { Authorization: 'Bearer token-1' };
+
+    // The provider is paid for: anonymous callers are refused
+    for (const path of ['chat', 'generate', 'optimize', 'predict']) {
+      expect((await request(app).post(`/api/modules/ai/${path}`).send({ prompt: 'x', content: 'x', data: 'x' })).status).toBe(401);
+    }
+    expect(stub.calls).toBe(0);
+
+    const chat = await request(app).post('/api/modules/ai/chat').set(AUTH).send({ prompt: 'Status?' });
+    expect(chat.status).toBe(200);
+    expect(chat.body).toMatchObject({ response: '[stub-1] Status?', provider: 'stub' });
+
+    const generated = await request(app).post('/api/modules/ai/generate').set(AUTH).send({ prompt: 'Memo', contentType: 'email', options: { maxTokens: 100000 } });
+    expect(generated.body.content).toBe('[stub-1] Memo');
+    await request(app).post('/api/modules/ai/generate').set(AUTH).send({ prompt: 'Memo', options: { maxTokens: 200 } });
+    expect(requested).toEqual([aiService.maxTokens, aiService.maxTokens, 200]);
+
+    stub.failNext(1, 503);
+    const failed = await request(app).post('/api/modules/ai/chat').set(AUTH).send({ prompt: 'Status?' });
+    expect(failed.status).toBe(503);
+    expect(failed.body.provider).toBe('stub');
+  });
+});
@@ -0,0 +1,141 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const aiService = require('../services');
+const { StubProvider } = require('../services/providers');
+const ConversationStore = require('../services/conversationStore');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USER = 'user-1';
+const AUTH = { Authorization: 'Bearer token-1' };
+
+// "event: x\ndata: {...}\n\n" blocks → [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!(await check())) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('AI streaming endpoints', () => {
+  let app;
+  let stub;
+
+  beforeEach(() => {
+    stub = new StubProvider();
+    aiService.setProvider(stub);
+    aiService.logger = silentLogger;
+    aiService.setConversationStore(new ConversationStore({ logger: silentLogger }));
+    app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => (token === 'token-1' ? { id: USER } : null) }) };
+    app.use(express.json());
+    app.use('/api/modules/ai', require('../routes'));
+  });
+
+  test('POST /chat?stream=true emits deltas then the full reply', async () => {
+    const res = await request(app).post('/api/modules/ai/chat?stream=true').set(AUTH).send({ prompt: 'Plan the week' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = parseEvents(res.text);
+    const deltas = events.filter(e => e.event === 'delta').map(e => e.data.text);
+    const done = events[events.length - 1];
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(done.event).toBe('done');
+    expect(done.data).toMatchObject({ response: deltas.join(''), provider: 'stub', tokens: done.data.usage.totalTokens });
+  });
+
+  test('Accept: text/event-stream streams the conversation reply and stores both messages', async () => {
+    const conversation = await aiService.createConversation(USER, 'Site');
+    const res = await request(app)
+      .post(`/api/modules/ai/conversations/${conversation.id}/messages`)
+      .set(AUTH)
+      .set('Accept', 'text/event-stream')
+      .send({ content: 'When is the inspection?' });
+
+    const events = parseEvents(res.text);
+    expect(events[0]).toMatchObject({ event: 'message', data: { message: { role: 'user', content: 'When is the inspection?' } } });
+    const done = events[events.length - 1];
+    expect(done.data.message).toMatchObject({ role: 'assistant', content: '[stub-1] When is the inspection?', finishReason: 'stop' });
+
+    const { messages: stored } = await aiService.getConversationMessages(conversation.id, USER);
+    expect(stored.map(m => m.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('conversation history is sent to the provider', async () => {
+    let seen;
+    aiService.setProvider(new StubProvider({ responder: (messages) => { seen = messages; return 'ok'; } }));
+    const conversation = await aiService.createConversation(USER);
+    await request(app).post(`/api/modules/ai/conversations/${conversation.id}/messages?stream=true`).set(AUTH).send({ content: 'first' });
+    await request(app).post(`/api/modules/ai/conversations/${conversation.id}/messages?stream=true`).set(AUTH).send({ content: 'second' });
+
+    expect(seen.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(seen[3].content).toBe('second');
+  });
+
+  test('non-streaming message requests keep working and 404 for unknown conversations', async () => {
+    const conversation = await aiService.createConversation(USER);
+    const added = await request(app).post(`/api/modules/ai/conversations/${conversation.id}/messages`).set(AUTH).send({ role: 'user', content: 'note' });
+    expect(added.status).toBe(201);
+    expect(added.body).toMatchObject({ role: 'user', content: 'note' });
+
+    const missing = await request(app).post('/api/modules/ai/conversations/nope/messages?stream=true').set(AUTH).send({ content: 'x' });
+    expect(missing.status).toBe(404);
+  });
+
+  test('provider errors are sent as an error event', async () => {
+    stub.failNext(1, 503);
+    const res = await request(app).post('/api/modules/ai/chat?stream=true').set(AUTH).send({ prompt: 'hi' });
+    expect(parseEvents(res.text)).toEqual([{ event: 'error', data: expect.objectContaining({ status: 503, provider: 'stub' }) }]);
+  });
+
+  test('client disconnect cancels generation and stores the partial reply', async () => {
+    const slow = new StubProvider({ latencyMs: 30, responder: () => 'one two three four five six seven eight nine ten' });
+    aiService.setProvider(slow);
+    const conversation = await aiService.createConversation(USER);
+    const server = app.listen(0);
+
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.request({
+          port: server.address().port,
+          method: 'POST',
+          path: `/api/modules/ai/conversations/${conversation.id}/messages?stream=true`,
+          headers: { 'Content-Type': 'application/json', ...AUTH }
+        }, (res) => {
+          res.on('data', (chunk) => {
+            if (chunk.toString().includes('event: delta')) {
+              req.destroy();
+              resolve();
+            }
+          });
+        });
+        req.on('error', () => {});
+        req.on('timeout', reject);
+        req.end(JSON.stringify({ content: 'count' }));
+      });
+
+      let stored = [];
+      await waitFor(async () => {
+        ({ messages: stored } = await aiService.getConversationMessages(conversation.id, USER));
+        return stored.length === 2;
+      });
+      const reply = stored[1];
+      expect(reply).toMatchObject({ role: 'assistant', finishReason: 'cancelled' });
+      expect(reply.content.length).toBeGreaterThan(0);
+      expect(reply.content.length).toBeLessThan('one two three four five six seven eight nine ten'.length);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
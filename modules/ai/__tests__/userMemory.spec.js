@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+const UserMemoryService = require('../services/userMemoryService');
+const userMemoryController = require('../userMemory.controller');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const PHONE = '919800000010';
+const ADMIN = { Authorization: 'Bearer admin-token' };
+const MEMBER = { Authorization: 'Bearer member-token' };
+const OWNER = { Authorization: 'Bearer owner-token' };
+const USERS = {
+  'admin-token': { id: 'a1', role: 'admin' },
+  'member-token': { id: 'm1', role: 'member', phone: '919800000099' },
+  'owner-token': { id: 'o1', role: 'member', phone: `+${PHONE}` }
+};
+
+describe('AI user memory', () => {
+  let app;
+  let service;
+  const api = (path) => `/api/ai/learning${path}`;
+
+  beforeEach(() => {
+    service = new UserMemoryService({ logger: silentLogger, retention: { maxInteractions: 3, maxCorrections: 2 } });
+    app = express();
+    app.locals.userMemoryService = service;
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => USERS[token] || null }) };
+    app.use(express.json());
+    app.use('/api/ai/learning', userMemoryController);
+  });
+
+  test('creates a default context on request and persists updates', async () => {
+    expect((await request(app).get(api(`/user-context/${PHONE}`)).set(OWNER)).status).toBe(404);
+    expect(await service.getContext(PHONE)).toBeNull();
+
+    const created = await request(app).post(api(`/user-context/+${PHONE}`)).set(OWNER);
+    expect(created.body.data).toMatchObject({ phoneNumber: PHONE, onboardingStage: 1, preferredLanguage: 'en', aiInteractionHistory: [] });
+    expect((await request(app).get(api(`/user-context/${PHONE}`)).set(OWNER)).body.data.phoneNumber).toBe(PHONE);
+
+    await request(app).put(api(`/user-context/${PHONE}`)).set(OWNER).send({ preferredLanguage: 'hi', taskPatterns: { morning: 2 } });
+    const updated = await request(app).put(api(`/user-context/${PHONE}`)).set(OWNER).send({ taskPatterns: { evening: 1 }, aiInteractionHistory: { intent: 'create_task' } });
+    expect(updated.body.data).toMatchObject({ preferredLanguage: 'hi', taskPatterns: { morning: 2, evening: 1 } });
+    expect(updated.body.data.aiInteractionHistory).toHaveLength(1);
+
+    // Read back from storage, not from the response
+    const context = await service.getContext(PHONE);
+    expect(context.preferredLanguage).toBe('hi');
+  });
+
+  test('unknown phones are 404 for updates and logging', async () => {
+    expect((await request(app).put(api(`/user-context/${PHONE}`)).set(OWNER).send({ onboardingStage: 2 })).status).toBe(404);
+    expect((await request(app).post(api('/log-interaction')).set(OWNER).send({ phoneNumber: PHONE, interaction: { intent: 'x' } })).status).toBe(404);
+    expect((await request(app).get(api(`/patterns/${PHONE}`)).set(ADMIN)).status).toBe(404);
+  });
+
+  test('contexts need sign-in and belong to the number\'s owner or an admin', async () => {
+    await service.getOrCreateContext(PHONE);
+
+    expect((await request(app).get(api(`/user-context/${PHONE}`))).status).toBe(401);
+    expect((await request(app).post(api(`/user-context/${PHONE}`))).status).toBe(401);
+    expect((await request(app).get(api(`/user-context/${PHONE}`)).set(MEMBER)).status).toBe(403);
+    expect((await request(app).put(api(`/user-context/${PHONE}`)).set(MEMBER).send({ preferredLanguage: 'es' })).status).toBe(403);
+    expect((await request(app).post(api('/log-interaction')).set(MEMBER).send({ phoneNumber: PHONE, interaction: { intent: 'x' } })).status).toBe(403);
+    expect((await request(app).get(api(`/patterns/${PHONE}`)).set(MEMBER)).status).toBe(403);
+
+    // Reading another number never creates a context for it
+    expect((await request(app).get(api('/user-context/919800000077')).set(ADMIN)).status).toBe(404);
+    expect(await service.getContext('919800000077')).toBeNull();
+    expect((await request(app).get(api(`/user-context/${PHONE}`)).set(ADMIN)).status).toBe(200);
+  });
+
+  test('retention keeps only the newest interactions and corrections', async () => {
+    await request(app).post(api(`/user-context/${PHONE}`)).set(OWNER);
+    for (let i = 1; i <= 5; i++) {
+      const res = await request(app).post(api('/log-interaction')).set(OWNER).send({ phoneNumber: PHONE, interaction: { intent: `i${i}`, message: `m${i}` } });
+      expect(res.body.interactionId).toBeTruthy();
+    }
+    for (let i = 1; i <= 3; i++) {
+      await request(app).post(api('/log-correction')).set(OWNER).send({ phoneNumber: PHONE, correction: { intent: 'create_task', originalSuggestion: 'Fix pump', userCorrection: `c${i}` } });
+    }
+
+    const context = await service.getContext(PHONE);
+    expect(context.aiInteractionHistory.map(i => i.intent)).toEqual(['i3', 'i4', 'i5']);
+    expect(context.correctionHistory.map(c => c.userCorrection)).toEqual(['c2', 'c3']);
+    expect(context.failedSuggestions.create_task).toEqual([expect.objectContaining({ suggestion: 'Fix pump', failureCount: 3 })]);
+
+    const patterns = await request(app).get(api(`/patterns/${PHONE}`)).set(OWNER);
+    expect(patterns.body.data.learningProgress).toMatchObject({ totalInteractions: 3, totalCorrections: 2 });
+  });
+
+  test('age-based retention sweeps old events', async () => {
+    const aging = new UserMemoryService({ logger: silentLogger, retention: { maxAgeDays: 30 } });
+    await aging.getOrCreateContext(PHONE);
+    await aging.logInteraction(PHONE, { intent: 'old' });
+    await aging.logInteraction(PHONE, { intent: 'new' });
+    aging.memRows.find(r => r.intent === 'old').created_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+
+    expect(await aging.applyRetention()).toBe(1);
+    expect((await aging.getContext(PHONE)).aiInteractionHistory.map(i => i.intent)).toEqual(['new']);
+  });
+
+  test('export and purge are admin-only and cover everything stored for the phone', async () => {
+    await request(app).post(api(`/user-context/${PHONE}`)).set(OWNER);
+    await request(app).post(api('/log-interaction')).set(OWNER).send({ phoneNumber: PHONE, interaction: { intent: 'list_tasks' } });
+
+    expect((await request(app).get(api(`/user-context/${PHONE}/export`))).status).toBe(401);
+    expect((await request(app).get(api(`/user-context/${PHONE}/export`)).set(MEMBER)).status).toBe(403);
+
+    const exported = await request(app).get(api(`/user-context/${PHONE}/export`)).set(ADMIN);
+    expect(exported.status).toBe(200);
+    expect(exported.headers['content-disposition']).toContain(`user-memory-${PHONE}.json`);
+    expect(exported.body.data.records.map(r => r.role)).toEqual(['profile', 'interaction']);
+    expect(exported.body.data.context.aiInteractionHistory).toHaveLength(1);
+
+    const purged = await request(app).delete(api(`/user-context/${PHONE}`)).set(ADMIN);
+    expect(purged.body.data.deletedRecords).toBe(2);
+    expect(await service.getContext(PHONE)).toBeNull();
+    expect((await request(app).get(api(`/user-context/${PHONE}/export`)).set(ADMIN)).status).toBe(404);
+  });
+
+  test('database mode keys rows by phone digits and trims with SQL', async () => {
+    const calls = [];
+    const database = {
+      query: async (sql, values) => {
+        calls.push({ sql: sql.replace(/\s+/g, ' '), values });
+        if (sql.includes("role = ANY")) return { rows: [{ id: 'p1', role: 'profile', metadata: { onboardingStage: 2 }, updated_at: new Date() }] };
+        if (sql.includes('INSERT INTO user_memory (user_email, role, message, intent, metadata)')) {
+          return { rows: [{ id: 'e1', role: 'interaction', metadata: { intent: 'x' }, created_at: new Date() }] };
+        }
+        return { rows: [], rowCount: 0 };
+      }
+    };
+    const dbService = new UserMemoryService({ database, logger: silentLogger });
+
+    const event = await dbService.logInteraction('+91 98000 00010', { intent: 'x' });
+    expect(event).toMatchObject({ id: 'e1', intent: 'x' });
+    expect(calls[1].values.slice(0, 2)).toEqual([PHONE, 'interaction']);
+    expect(calls[2].sql).toContain('ORDER BY created_at DESC, id DESC OFFSET $3');
+    expect(calls[2].values).toEqual([PHONE, 'interaction', 50]);
+  });
+});
@@ -1,30 +1,47 @@
 const express = require('express');
+const { authMiddleware, adminMiddleware } = require('../auth/middleware/auth');
+const { identifyLanguage } = require('./services/langDetect');
+const { translate, t, resolveLanguage } = require('../../shared/i18n');
 const router = express.Router();
 
+// Prompt A/B experiments (prompt_variants table) published by the AI module
+const experimentService = (req) => req.app.locals.promptExperimentService;
+
 /**
  * POST /api/ai/analyze
  * Analyze user message and return AI response with suggestions
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { message, phoneNumber, language = 'en' } = req.body;
+    const { message, phoneNumber } = req.body;
     
     if (!message || !phoneNumber) {
       return res.status(400).json({
         success: false,
-        error: 'Message and phone number are required'
+        error: t(req, 'errors.ai.message_and_phone_required')
       });
     }
 
+    // An explicit language wins; otherwise identify it from the message
+    const preferred = await preferredLanguage(req, phoneNumber);
+    const detected = identifyLanguage(message, { preferredLanguage: preferred });
+    const language = req.body.language || detected.language;
+
+    // Serve the prompt variant this user is bucketed into for the intent
+    const intent = detectIntent(message);
+    const variant = await experimentService(req)?.assignVariant(intent, language, phoneNumber);
+
     // Mock AI analysis for now
     const aiResponse = {
-      intent: detectIntent(message),
+      intent,
       entities: extractEntities(message),
       language: language,
-      reply: generateMockReply(message, language),
+      languageConfidence: req.body.language ? null : detected.confidence,
+      reply: generateMockReply(message, resolveLanguage(language, preferred)),
       confidence: 0.85,
       contextualSuggestions: generateMockSuggestions(message),
-      promptVariant: 'v1'
+      promptVariant: variant ? `v${variant.version}` : 'v1',
+      promptVariantId: variant ? variant.id : null
     };
 
     res.json({
@@ -37,7 +54,7 @@ router.post('/analyze', async (req, res) => {
     console.error('[AI Controller] Error analyzing message:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to analyze message',
+      error: t(req, 'errors.ai.analyze_failed'),
       details: error.message
     });
   }
@@ -49,18 +66,21 @@ router.post('/analyze', async (req, res) => {
  */
 router.post('/whatsapp/process', async (req, res) => {
   try {
-    const { message, phoneNumber, language = 'en' } = req.body;
+    const { message, phoneNumber } = req.body;
     
     if (!message || !phoneNumber) {
       return res.status(400).json({
         success: false,
-        error: 'Message and phone number are required'
+        error: t(req, 'errors.ai.message_and_phone_required')
       });
     }
 
+    const preferred = await preferredLanguage(req, phoneNumber);
+    const language = req.body.language || identifyLanguage(message, { preferredLanguage: preferred }).language;
+
     // Mock WhatsApp processing
     const whatsappResponse = {
-      message: generateWhatsAppReply(message, language),
+      message: generateWhatsAppReply(message, resolveLanguage(language, preferred)),
       intent: detectIntent(message),
       entities: extractEntities(message),
       confidence: 0.82,
@@ -83,7 +103,7 @@ router.post('/whatsapp/process', async (req, res) => {
     console.error('[AI Controller] Error processing WhatsApp message:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process WhatsApp message',
+      error: t(req, 'errors.ai.process_failed'),
       details: error.message
     });
   }
@@ -91,39 +111,22 @@ router.post('/whatsapp/process', async (req, res) => {
 
 /**
  * GET /api/ai/prompts/variants/:intent/:language
- * Get prompt variants for A/B testing
+ * Get prompt variants for A/B testing with their recorded success rates.
+ * With ?phoneNumber= (or ?userId=) also returns the variant that subject is bucketed into.
  */
 router.get('/prompts/variants/:intent/:language', async (req, res) => {
   try {
     const { intent, language } = req.params;
-    
-    // Mock prompt variants
-    const variants = [
-      {
-        id: 1,
-        intent,
-        language,
-        version: 1,
-        prompt_text: `You are an AI assistant helping users with ${intent}. Be clear and helpful.`,
-        success_rate: 0.75,
-        test_count: 45,
-        is_active: true
-      },
-      {
-        id: 2,
-        intent,
-        language,
-        version: 2,
-        prompt_text: `You are an AI assistant helping users with ${intent}. Be clear, helpful, and ask for missing information when needed.`,
-        success_rate: 0.82,
-        test_count: 38,
-        is_active: true
-      }
-    ];
+    const subject = req.query.phoneNumber || req.query.userId;
+    const experiments = experimentService(req);
+
+    const variants = await experiments.listVariants(intent, language);
+    const assignedVariant = subject ? await experiments.assignVariant(intent, language, subject) : undefined;
 
     res.json({
       success: true,
       data: variants,
+      ...(subject ? { assignedVariant } : {}),
       timestamp: new Date().toISOString()
     });
 
@@ -131,7 +134,69 @@ router.get('/prompts/variants/:intent/:language', async (req, res) => {
     console.error('[AI Controller] Error getting prompt variants:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get prompt variants',
+      error: t(req, 'errors.ai.variants_failed'),
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/prompts/variants
+ * Add a prompt variant to an experiment as its next version (admin only)
+ */
+router.post('/prompts/variants', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { intent, language, prompt_text } = req.body;
+
+    const variant = await experimentService(req).createVariant({
+      intent,
+      language,
+      promptText: prompt_text,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('[AI Controller] Error creating prompt variant:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.ai.create_variant_failed'),
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/prompts/variants/:id/promote
+ * Make a variant the winner of its experiment and retire the others (admin only)
+ */
+router.post('/prompts/variants/:id/promote', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const variant = await experimentService(req).promote(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Prompt variant promoted',
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('[AI Controller] Error promoting prompt variant:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req, 'errors.ai.promote_failed'),
       details: error.message
     });
   }
@@ -139,40 +204,44 @@ router.get('/prompts/variants/:intent/:language', async (req, res) => {
 
 /**
  * POST /api/ai/prompts/test-result
- * Log test results for prompt optimization
+ * Log test results for prompt optimization; promotes a winner once significant.
+ * Signed-in callers only, since enough results decide the experiment.
  */
-router.post('/prompts/test-result', async (req, res) => {
+router.post('/prompts/test-result', authMiddleware, async (req, res) => {
   try {
-    const { variant_id, intent, language, was_successful, confidence_score } = req.body;
+    const { variant_id, intent, language, was_successful, confidence_score, phoneNumber } = req.body;
     
     if (!variant_id || !intent || !language) {
       return res.status(400).json({
         success: false,
-        error: 'variant_id, intent, and language are required'
+        error: t(req, 'errors.ai.test_result_fields_required')
       });
     }
 
-    // Mock logging of test result
-    console.log(`[AI Controller] Test result logged:`, {
-      variant_id,
+    const { variant, promoted } = await experimentService(req).recordResult({
+      variantId: variant_id,
       intent,
       language,
-      was_successful,
-      confidence_score,
-      timestamp: new Date().toISOString()
+      wasSuccessful: was_successful,
+      confidenceScore: confidence_score,
+      subject: phoneNumber
     });
 
     res.json({
       success: true,
       message: 'Test result logged successfully',
+      data: { variant, promoted },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('[AI Controller] Error logging test result:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to log test result',
+      error: t(req, 'errors.ai.test_result_failed'),
       details: error.message
     });
   }
@@ -191,11 +260,19 @@ router.get('/health', (req, res) => {
       'POST /api/ai/analyze',
       'POST /api/ai/whatsapp/process',
       'GET /api/ai/prompts/variants/:intent/:language',
+      'POST /api/ai/prompts/variants',
+      'POST /api/ai/prompts/variants/:id/promote',
       'POST /api/ai/prompts/test-result'
     ]
   });
 });
 
+// Language the user picked during onboarding, used when detection is unsure
+async function preferredLanguage(req, phoneNumber) {
+  const memory = req.app.locals.userMemoryService;
+  return memory ? memory.getPreferredLanguage(phoneNumber) : null;
+}
+
 // Helper functions for mock data
 function detectIntent(message) {
   const lowerMessage = message.toLowerCase();
@@ -242,47 +319,11 @@ function extractEntities(message) {
 }
 
 function generateMockReply(message, language) {
-  const intent = detectIntent(message);
-  const replies = {
-    'en': {
-      'create_task': 'I\'ll help you create a task. What would you like to name it?',
-      'assign_task': 'I can help assign tasks. Who should this be assigned to?',
-      'check_status': 'I\'ll check the status of your tasks. Which project are you interested in?',
-      'help_request': 'I\'m here to help! What would you like to know about?',
-      'general': 'I understand you\'re asking about task management. How can I assist you?'
-    },
-    'hi': {
-      'create_task': 'मैं आपको कार्य बनाने में मदद करूंगा। आप इसे क्या नाम देना चाहते हैं?',
-      'assign_task': 'मैं कार्य सौंपने में मदद कर सकता हूं। इसे किसे सौंपा जाना चाहिए?',
-      'check_status': 'मैं आपके कार्यों की स्थिति की जांच करूंगा। आप किस प्रोजेक्ट में रुचि रखते हैं?',
-      'help_request': 'मैं यहां मदद के लिए हूं! आप क्या जानना चाहते हैं?',
-      'general': 'मैं समझता हूं कि आप कार्य प्रबंधन के बारे में पूछ रहे हैं। मैं आपकी कैसे मदद कर सकता हूं?'
-    }
-  };
-  
-  return replies[language]?.[intent] || replies['en'][intent] || replies['en']['general'];
+  return translate(language, `ai.reply.${detectIntent(message)}`);
 }
 
 function generateWhatsAppReply(message, language) {
-  const intent = detectIntent(message);
-  const replies = {
-    'en': {
-      'create_task': 'Great! Let\'s create a new task. 📝\n\nWhat would you like to name it?',
-      'assign_task': 'Perfect! I can help assign tasks. 👥\n\nWho should this be assigned to?',
-      'check_status': 'Sure! Let me check your task status. 📊\n\nWhich project are you interested in?',
-      'help_request': 'Hi! I\'m your AI assistant. 🤖\n\nHow can I help you today?',
-      'general': 'I\'m here to help with task management! 📋\n\nWhat would you like to do?'
-    },
-    'hi': {
-      'create_task': 'बहुत अच्छा! चलिए एक नया कार्य बनाते हैं। 📝\n\nआप इसे क्या नाम देना चाहते हैं?',
-      'assign_task': 'बिल्कुल! मैं कार्य सौंपने में मदद कर सकता हूं। 👥\n\nइसे किसे सौंपा जाना चाहिए?',
-      'check_status': 'ज़रूर! मैं आपके कार्य की स्थिति की जांच करता हूं। 📊\n\nआप किस प्रोजेक्ट में रुचि रखते हैं?',
-      'help_request': 'नमस्ते! मैं आपका AI सहायक हूं। 🤖\n\nमैं आज आपकी कैसे मदद कर सकता हूं?',
-      'general': 'मैं कार्य प्रबंधन में मदद के लिए यहां हूं! 📋\n\nआप क्या करना चाहते हैं?'
-    }
-  };
-  
-  return replies[language]?.[intent] || replies['en'][intent] || replies['en']['general'];
+  return translate(language, `ai.whatsapp_reply.${detectIntent(message)}`);
 }
 
 function generateMockSuggestions(message) {
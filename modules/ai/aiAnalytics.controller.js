@@ -113,27 +113,23 @@ router.get('/intent-stats', async (req, res) => {
 
 /**
  * GET /api/ai/analytics/corrections
- * Returns user correction data and patterns
+ * Returns user correction data: top confusion pairs, most corrected intents,
+ * trend and learned rule counts. ?timeRange=30d (or e.g. 7d, 24h)
  */
 router.get('/corrections', async (req, res) => {
   try {
     const timeRange = req.query.timeRange || '30d';
-    
-    // Mock corrections data
-    const correctionsData = {
-      totalCorrections: 23,
-      correctionRate: 6.8,
-      mostCorrectedIntents: [
-        { intent: 'assign_task', correctionCount: 8, correctionRate: 9.0, commonCorrections: ['Wrong team member', 'Incorrect project'] },
-        { intent: 'create_task', correctionCount: 6, correctionRate: 3.8, commonCorrections: ['Missing checklist items', 'Wrong priority'] },
-        { intent: 'check_status', correctionCount: 4, correctionRate: 6.0, commonCorrections: ['Outdated information', 'Wrong task status'] }
-      ],
-      correctionTrends: [
-        { date: '2024-01-01', correctionCount: 3, totalInteractions: 45 },
-        { date: '2024-01-02', correctionCount: 2, totalInteractions: 52 },
-        { date: '2024-01-03', correctionCount: 1, totalInteractions: 48 }
-      ]
-    };
+    const match = /^(\d+)([dh])$/.exec(timeRange);
+    if (!match) {
+      return res.status(400).json({
+        success: false,
+        error: 'timeRange must look like 30d or 24h'
+      });
+    }
+    const hours = parseInt(match[1]) * (match[2] === 'd' ? 24 : 1);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const correctionsData = await req.app.locals.intentLearningService.correctionSummary({ since });
 
     res.json({
       success: true,
@@ -154,36 +150,23 @@ router.get('/corrections', async (req, res) => {
 
 /**
  * GET /api/ai/analytics/checklists
- * Returns checklist insights and patterns
+ * Returns checklist insights from task checklists: completion summary, most used
+ * items, items per project and recurring item sequences. ?timeRange=30d (or e.g. 7d, 24h)
  */
 router.get('/checklists', async (req, res) => {
   try {
     const timeRange = req.query.timeRange || '30d';
-    
-    // Mock checklist insights data
-    const checklistData = {
-      topChecklistItems: [
-        { item: 'Review requirements', projectType: 'feature', usageCount: 45, successRate: 89.2 },
-        { item: 'Test functionality', projectType: 'bug', usageCount: 38, successRate: 92.1 },
-        { item: 'Update documentation', projectType: 'documentation', usageCount: 32, successRate: 87.5 }
-      ],
-      checklistByProjectType: {
-        'feature': [
-          { item: 'Review requirements', count: 45, frequency: 0.89 },
-          { item: 'Design solution', count: 38, frequency: 0.76 },
-          { item: 'Implement feature', count: 42, frequency: 0.84 }
-        ],
-        'bug': [
-          { item: 'Test functionality', count: 38, frequency: 0.92 },
-          { item: 'Identify root cause', count: 35, frequency: 0.88 },
-          { item: 'Fix bug', count: 32, frequency: 0.85 }
-        ]
-      },
-      popularChecklistPatterns: [
-        { pattern: 'Review → Design → Implement → Test', frequency: 67, projects: ['feature', 'enhancement'] },
-        { pattern: 'Identify → Fix → Test → Document', frequency: 45, projects: ['bug', 'hotfix'] }
-      ]
-    };
+    const match = /^(\d+)([dh])$/.exec(timeRange);
+    if (!match) {
+      return res.status(400).json({
+        success: false,
+        error: 'timeRange must look like 30d or 24h'
+      });
+    }
+    const hours = parseInt(match[1]) * (match[2] === 'd' ? 24 : 1);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const checklistData = await req.app.locals.taskService.checklistInsights({ since });
 
     res.json({
       success: true,
@@ -204,59 +187,12 @@ router.get('/checklists', async (req, res) => {
 
 /**
  * GET /api/ai/analytics/experiments
- * Returns A/B testing results and prompt optimization data
+ * Returns A/B testing results: per-variant success rates, leader, winner and confidence level
  */
 router.get('/experiments', async (req, res) => {
   try {
-    // Mock A/B testing results
-    const experimentsData = {
-      activeExperiments: 3,
-      experiments: [
-        {
-          intent: 'create_task',
-          language: 'en',
-          variant_a: {
-            version: 1,
-            success_rate: 0.75,
-            test_count: 45,
-            prompt_text: 'You are an AI assistant helping users create tasks...'
-          },
-          variant_b: {
-            version: 2,
-            success_rate: 0.82,
-            test_count: 38,
-            prompt_text: 'You are an AI assistant helping users create tasks... Remember to be helpful and clear.'
-          },
-          winner: 'b',
-          confidence_level: 0.87,
-          total_tests: 83
-        },
-        {
-          intent: 'assign_task',
-          language: 'en',
-          variant_a: {
-            version: 1,
-            success_rate: 0.68,
-            test_count: 32,
-            prompt_text: 'You are an AI assistant helping users assign tasks...'
-          },
-          variant_b: {
-            version: 2,
-            success_rate: 0.71,
-            test_count: 28,
-            prompt_text: 'You are an AI assistant helping users assign tasks... Consider workload and skills.'
-          },
-          winner: 'b',
-          confidence_level: 0.65,
-          total_tests: 60
-        }
-      ],
-      summary: {
-        totalTests: 143,
-        decidedTests: 2,
-        averageConfidence: 0.76
-      }
-    };
+    // Success rates and significance computed from recorded test results
+    const experimentsData = await req.app.locals.promptExperimentService.listExperiments();
 
     res.json({
       success: true,
@@ -4,17 +4,26 @@ const express = require('express');
 const aiController = require('./ai.controller');
 const aiAnalyticsController = require('./aiAnalytics.controller');
 const userMemoryController = require('./userMemory.controller');
+const aiServiceRoutes = require('./routes');
+const aiService = require('./services');
+const ConversationStore = require('./services/conversationStore');
+const UserMemoryService = require('./services/userMemoryService');
+const PromptExperimentService = require('./services/promptExperimentService');
+const IntentLearningService = require('./services/intentLearningService');
+const { createSpeechProviderFromEnv } = require('./services/speech');
 
 module.exports = {
   name: 'ai',
   version: '3.0.0',
   description: 'AI Learning System with conversations, analytics, user memory, and prompt optimization',
-  dependencies: ['logger'],
+  dependencies: ['logger', 'database'],
   routes: [
     // Core AI endpoints
     { method: 'POST', path: '/analyze', handler: 'analyzeMessage' },
     { method: 'POST', path: '/whatsapp/process', handler: 'processWhatsAppMessage' },
     { method: 'GET', path: '/prompts/variants/:intent/:language', handler: 'getPromptVariants' },
+    { method: 'POST', path: '/prompts/variants', handler: 'createPromptVariant' },
+    { method: 'POST', path: '/prompts/variants/:id/promote', handler: 'promotePromptVariant' },
     { method: 'POST', path: '/prompts/test-result', handler: 'logTestResult' },
     
     // Analytics endpoints
@@ -26,12 +35,36 @@ module.exports = {
     { method: 'GET', path: '/analytics/real-time', handler: 'getRealTimeMetrics' },
     { method: 'GET', path: '/analytics/productivity', handler: 'getProductivityInsights' },
     
+    // Conversations (per authenticated user)
+    { method: 'GET', path: '/conversations', handler: 'getConversations' },
+    { method: 'POST', path: '/conversations', handler: 'createConversation' },
+    { method: 'GET', path: '/conversations/:id', handler: 'getConversation' },
+    { method: 'PATCH', path: '/conversations/:id', handler: 'renameConversation' },
+    { method: 'DELETE', path: '/conversations/:id', handler: 'deleteConversation' },
+    { method: 'GET', path: '/conversations/:id/messages', handler: 'getConversationMessages' },
+    { method: 'POST', path: '/conversations/:id/messages', handler: 'addConversationMessage' },
+
+    // Completion endpoints (LLM provider layer)
+    { method: 'POST', path: '/chat', handler: 'chat' },
+    { method: 'POST', path: '/generate', handler: 'generateContent' },
+    { method: 'POST', path: '/optimize', handler: 'optimizeContent' },
+    { method: 'POST', path: '/predict', handler: 'getPredictions' },
+    { method: 'GET', path: '/models', handler: 'getAvailableModels' },
+    { method: 'GET', path: '/usage', handler: 'getUsageAnalytics' },
+    { method: 'GET', path: '/status', handler: 'getServiceStatus' },
+
     // Learning and memory endpoints
     { method: 'GET', path: '/learning/user-context/:phoneNumber', handler: 'getUserContext' },
+    { method: 'POST', path: '/learning/user-context/:phoneNumber', handler: 'createUserContext' },
     { method: 'PUT', path: '/learning/user-context/:phoneNumber', handler: 'updateUserContext' },
+    { method: 'DELETE', path: '/learning/user-context/:phoneNumber', handler: 'purgeUserData' },
+    { method: 'GET', path: '/learning/user-context/:phoneNumber/export', handler: 'exportUserData' },
     { method: 'POST', path: '/learning/log-interaction', handler: 'logInteraction' },
     { method: 'POST', path: '/learning/log-correction', handler: 'logCorrection' },
     { method: 'GET', path: '/learning/patterns/:phoneNumber', handler: 'getLearningPatterns' },
+    { method: 'GET', path: '/learning/rules', handler: 'listLearnedRules' },
+    { method: 'POST', path: '/learning/rules/:id/accept', handler: 'acceptLearnedRule' },
+    { method: 'POST', path: '/learning/rules/:id/reject', handler: 'rejectLearnedRule' },
     
     // Health checks
     { method: 'GET', path: '/health', handler: 'healthCheck' },
@@ -42,11 +75,37 @@ module.exports = {
   initialize(serviceContainer, app) {
     const router = express.Router();
     const logger = serviceContainer.get('logger');
+    this.logger = logger;
+    aiService.logger = logger;
+    aiService.setConversationStore(new ConversationStore({ database: serviceContainer.get('database'), logger }));
+
+    // Durable per-phone AI memory with retention policy
+    const userMemoryService = new UserMemoryService({ database: serviceContainer.get('database'), logger });
+    serviceContainer.register('userMemoryService', userMemoryService);
+    app.locals.userMemoryService = userMemoryService;
+    userMemoryService.startRetentionSweep();
+
+    // Prompt A/B experiments behind /prompts and /analytics/experiments
+    const promptExperimentService = new PromptExperimentService({ database: serviceContainer.get('database'), logger });
+    serviceContainer.register('promptExperimentService', promptExperimentService);
+    app.locals.promptExperimentService = promptExperimentService;
+
+    // Routing rules learned from corrections; the WhatsApp handler reads them per message
+    const intentLearningService = new IntentLearningService({ database: serviceContainer.get('database'), logger });
+    serviceContainer.register('intentLearningService', intentLearningService);
+    app.locals.intentLearningService = intentLearningService;
+
+    // Speech-to-text for WhatsApp voice notes (STT_PROVIDER, stub by default)
+    const speechProvider = createSpeechProviderFromEnv(process.env, logger);
+    serviceContainer.register('speechProvider', speechProvider);
+    app.locals.speechProvider = speechProvider;
+    serviceContainer.register('aiService', aiService);
     
     // Mount AI controllers
     router.use('/', aiController);
     router.use('/analytics', aiAnalyticsController);
     router.use('/learning', userMemoryController);
+    router.use('/', aiServiceRoutes);
     
     // Register routes on both legacy and modular paths
     app.use('/api/ai', router);
@@ -63,7 +122,23 @@ module.exports = {
       'POST /api/ai/analyze',
       'POST /api/ai/whatsapp/process',
       'GET /api/ai/prompts/variants/:intent/:language',
+      'POST /api/ai/prompts/variants',
+      'POST /api/ai/prompts/variants/:id/promote',
       'POST /api/ai/prompts/test-result',
+      'POST /api/ai/chat',
+      'POST /api/ai/generate',
+      'POST /api/ai/optimize',
+      'POST /api/ai/predict',
+      'GET /api/ai/models',
+      'GET /api/ai/usage',
+      'GET /api/ai/status',
+      'GET /api/ai/conversations',
+      'POST /api/ai/conversations',
+      'GET /api/ai/conversations/:id',
+      'PATCH /api/ai/conversations/:id',
+      'DELETE /api/ai/conversations/:id',
+      'GET /api/ai/conversations/:id/messages',
+      'POST /api/ai/conversations/:id/messages',
       
       // Analytics
       'GET /api/ai/analytics/summary',
@@ -76,10 +151,16 @@ module.exports = {
       
       // Learning
       'GET /api/ai/learning/user-context/:phoneNumber',
+      'POST /api/ai/learning/user-context/:phoneNumber',
       'PUT /api/ai/learning/user-context/:phoneNumber',
+      'DELETE /api/ai/learning/user-context/:phoneNumber',
+      'GET /api/ai/learning/user-context/:phoneNumber/export',
       'POST /api/ai/learning/log-interaction',
       'POST /api/ai/learning/log-correction',
       'GET /api/ai/learning/patterns/:phoneNumber',
+      'GET /api/ai/learning/rules',
+      'POST /api/ai/learning/rules/:id/accept',
+      'POST /api/ai/learning/rules/:id/reject',
       
       // Health
       'GET /api/ai/health',
@@ -87,7 +168,7 @@ module.exports = {
       'GET /api/ai/learning/health'
     ];
     
-    logger.info('AI Learning System endpoints:', { endpoints });
+    this.logger.info('AI Learning System endpoints:', { endpoints });
   },
 
   health() {
@@ -115,6 +196,6 @@ module.exports = {
   },
 
   shutdown() {
-    logger.info('AI Learning System module shutdown');
+    this.logger?.info('AI Learning System module shutdown');
   }
 };
@@ -1,8 +1,33 @@
 const express = require('express');
 const aiService = require('../services');
+const { wantsStream, openEventStream } = require('./sse');
+const { authMiddleware } = require('../../auth/middleware/auth');
 
 const router = express.Router();
 
+// Provider failures carry a status (429 rate limited, 502 upstream error, 504 timeout)
+const providerStatus = (error) => (error && error.name === 'ProviderError' ? error.status : 500);
+
+/**
+ * Relay AI events to an SSE client: `delta` per chunk, then `done`
+ * (or `error`). A client disconnect aborts the upstream request.
+ */
+async function pipeEvents(req, res, createEvents) {
+  const stream = openEventStream(req, res);
+  try {
+    for await (const event of createEvents(stream.signal)) {
+      const { type, ...data } = event;
+      stream.send(type, data);
+    }
+  } catch (error) {
+    if (!stream.closed) {
+      stream.send('error', { error: error.message, status: error.status || 500, provider: error.provider, code: error.code });
+    }
+  } finally {
+    stream.close();
+  }
+}
+
 // Health check
 router.get('/health', async (req, res) => {
   try {
@@ -13,8 +38,8 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Chat functionality
-router.post('/chat', async (req, res) => {
+// Chat functionality. Completion routes call the paid provider, so they need a bearer token.
+router.post('/chat', authMiddleware, async (req, res) => {
   try {
     const { prompt, context } = req.body;
     
@@ -22,47 +47,69 @@ router.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required' });
     }
     
+    if (wantsStream(req)) {
+      return pipeEvents(req, res, (signal) => aiService.streamMessage(prompt, context, { signal }));
+    }
+
     const response = await aiService.sendMessage(prompt, context);
     res.json(response);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to process chat message' });
+    res.status(providerStatus(error)).json({ error: 'Failed to process chat message', provider: error.provider, code: error.code });
   }
 });
 
-// Conversation management
-router.post('/conversations', async (req, res) => {
+// Conversation management — every route is scoped to the authenticated user
+const conversationError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+};
+
+const pageParams = (query, defaultLimit) => ({
+  limit: Math.min(parseInt(query.limit) || defaultLimit, 100),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+router.post('/conversations', authMiddleware, async (req, res) => {
   try {
-    const { userId, title } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
-    
-    const conversation = await aiService.createConversation(userId, title);
+    const conversation = await aiService.createConversation(req.user.id, req.body.title);
     res.status(201).json(conversation);
   } catch (error) {
-    res.status(400).json({ error: 'Failed to create conversation' });
+    conversationError(res, error, 'Failed to create conversation');
   }
 });
 
-router.get('/conversations', async (req, res) => {
+router.get('/conversations', authMiddleware, async (req, res) => {
   try {
-    const { userId, limit } = req.query;
+    const { limit, offset } = pageParams(req.query, 20);
+    const { conversations, total } = await aiService.getConversations(req.user.id, { limit, offset });
+    res.json({
+      conversations,
+      pagination: { total, limit, offset, hasMore: offset + limit < total }
+    });
+  } catch (error) {
+    conversationError(res, error, 'Failed to fetch conversations');
+  }
+});
+
+router.get('/conversations/:id', authMiddleware, async (req, res) => {
+  try {
+    const conversation = await aiService.getConversationById(req.params.id, req.user.id);
     
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
     
-    const conversations = await aiService.getConversations(userId, { limit: parseInt(limit) });
-    res.json(conversations);
+    // Most recent page of messages; older ones via GET /conversations/:id/messages
+    const { messages } = await aiService.getConversationMessages(req.params.id, req.user.id, { latest: 50 });
+    res.json({ ...conversation, messages });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch conversations' });
+    conversationError(res, error, 'Failed to fetch conversation');
   }
 });
 
-router.get('/conversations/:id', async (req, res) => {
+router.patch('/conversations/:id', authMiddleware, async (req, res) => {
   try {
-    const conversation = await aiService.getConversationById(req.params.id);
+    const conversation = await aiService.renameConversation(req.params.id, req.body.title, req.user.id);
     
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -70,16 +117,46 @@ router.get('/conversations/:id', async (req, res) => {
     
     res.json(conversation);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch conversation' });
+    conversationError(res, error, 'Failed to update conversation');
+  }
+});
+
+router.get('/conversations/:id/messages', authMiddleware, async (req, res) => {
+  try {
+    const { limit, offset } = pageParams(req.query, 50);
+    const page = await aiService.getConversationMessages(req.params.id, req.user.id, { limit, offset });
+    
+    if (!page) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.json({
+      messages: page.messages,
+      pagination: { total: page.total, limit, offset, hasMore: offset + limit < page.total }
+    });
+  } catch (error) {
+    conversationError(res, error, 'Failed to fetch messages');
   }
 });
 
-router.post('/conversations/:id/messages', async (req, res) => {
+router.post('/conversations/:id/messages', authMiddleware, async (req, res) => {
   try {
-    const { conversationId } = req.params;
-    const message = req.body;
+    const conversationId = req.params.id;
+    const { stream, ...message } = req.body;
+
+    // Streaming mode stores the user message and streams the assistant's reply
+    if (wantsStream(req)) {
+      const content = message.content || message.prompt;
+      if (!content) {
+        return res.status(400).json({ error: 'Message content is required' });
+      }
+      if (!(await aiService.getConversationById(conversationId, req.user.id))) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      return pipeEvents(req, res, (signal) => aiService.streamConversationReply(conversationId, content, { userId: req.user.id, signal }));
+    }
     
-    const newMessage = await aiService.addMessageToConversation(conversationId, message);
+    const newMessage = await aiService.addMessageToConversation(conversationId, message, req.user.id);
     
     if (!newMessage) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -87,13 +164,14 @@ router.post('/conversations/:id/messages', async (req, res) => {
     
     res.status(201).json(newMessage);
   } catch (error) {
-    res.status(400).json({ error: 'Failed to add message to conversation' });
+    conversationError(res, error, 'Failed to add message to conversation');
   }
 });
 
-router.delete('/conversations/:id', async (req, res) => {
+// Soft delete: the conversation disappears from the API but its rows are kept
+router.delete('/conversations/:id', authMiddleware, async (req, res) => {
   try {
-    const deleted = await aiService.deleteConversation(req.params.id);
+    const deleted = await aiService.deleteConversation(req.params.id, req.user.id);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -101,7 +179,7 @@ router.delete('/conversations/:id', async (req, res) => {
     
     res.json({ message: 'Conversation deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete conversation' });
+    conversationError(res, error, 'Failed to delete conversation');
   }
 });
 
@@ -183,7 +261,7 @@ router.delete('/templates/:id', async (req, res) => {
 });
 
 // Content generation
-router.post('/generate', async (req, res) => {
+router.post('/generate', authMiddleware, async (req, res) => {
   try {
     const { prompt, contentType, options } = req.body;
     
@@ -194,12 +272,12 @@ router.post('/generate', async (req, res) => {
     const content = await aiService.generateContent(prompt, contentType, options);
     res.json(content);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to generate content' });
+    res.status(providerStatus(error)).json({ error: 'Failed to generate content', provider: error.provider, code: error.code });
   }
 });
 
 // Content optimization
-router.post('/optimize', async (req, res) => {
+router.post('/optimize', authMiddleware, async (req, res) => {
   try {
     const { content, optimizationType } = req.body;
     
@@ -210,12 +288,12 @@ router.post('/optimize', async (req, res) => {
     const optimization = await aiService.optimizeContent(content, optimizationType);
     res.json(optimization);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to optimize content' });
+    res.status(providerStatus(error)).json({ error: 'Failed to optimize content', provider: error.provider, code: error.code });
   }
 });
 
 // Predictions
-router.post('/predict', async (req, res) => {
+router.post('/predict', authMiddleware, async (req, res) => {
   try {
     const { data, predictionType } = req.body;
     
@@ -226,7 +304,7 @@ router.post('/predict', async (req, res) => {
     const predictions = await aiService.getPredictions(data, predictionType);
     res.json(predictions);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to generate predictions' });
+    res.status(providerStatus(error)).json({ error: 'Failed to generate predictions', provider: error.provider, code: error.code });
   }
 });
 
@@ -0,0 +1,67 @@
+/**
+ * Server-sent events helpers for streaming AI replies.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+// Streaming is requested with ?stream=true, { "stream": true } or Accept: text/event-stream
+function wantsStream(req) {
+  return req.query.stream === 'true'
+    || req.query.stream === '1'
+    || (req.body && req.body.stream === true)
+    || String(req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response to an event stream.
+ * `signal` aborts when the client disconnects before close() is called.
+ * @returns {Object} { send(event, data), close(), signal, get closed() }
+ */
+function openEventStream(req, res) {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx-style proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+  if (heartbeat.unref) heartbeat.unref();
+
+  const finish = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+
+  res.on('close', () => {
+    if (!closed) {
+      finish();
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+    get closed() { return closed; },
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      finish();
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  wantsStream,
+  openEventStream
+};
@@ -0,0 +1,84 @@
+/**
+ * Resolve an assignee candidate from entityExtractor (@mention or name)
+ * to a WhatsApp number, using the contacts directory and the users table.
+ * A candidate resolves only when exactly one person matches.
+ */
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+// Exact full/first/last name matches win over prefix matches
+function rankByName(people, name) {
+  const wanted = name.toLowerCase();
+  const exact = people.filter(p => p.names.some(n => n === wanted));
+  if (exact.length) return exact;
+  return people.filter(p => p.names.some(n => n.startsWith(wanted)));
+}
+
+async function findContacts(contactService, name) {
+  if (!contactService || typeof contactService.getContacts !== 'function') return [];
+  const contacts = await contactService.getContacts({ search: name });
+  return contacts
+    .map(c => {
+      const full = [c.firstName, c.lastName].filter(Boolean).join(' ');
+      return {
+        phone: digitsOnly(c.whatsapp || c.phone),
+        name: full || c.name || null,
+        source: 'contact',
+        names: [full, c.firstName, c.lastName, c.name].filter(Boolean).map(n => n.toLowerCase())
+      };
+    })
+    .filter(c => c.phone);
+}
+
+async function findUsers(taskService, name) {
+  if (!taskService || typeof taskService.findUsersByName !== 'function') return [];
+  const users = await taskService.findUsersByName(name);
+  return users
+    .map(u => ({
+      phone: digitsOnly(u.whatsapp_number),
+      name: u.name,
+      source: 'user',
+      userId: u.id,
+      names: [u.name, ...(u.name || '').split(/\s+/)].filter(Boolean).map(n => n.toLowerCase())
+    }))
+    .filter(u => u.phone);
+}
+
+/**
+ * @param {Object|null} candidate - { type: 'phone'|'name', value, raw }
+ * @param {Object} deps - { contactService, taskService }
+ * @returns {Promise<Object|null>} { status: 'resolved'|'ambiguous'|'not_found', phone, name, source, matches }
+ */
+async function resolveAssignee(candidate, { contactService, taskService } = {}) {
+  if (!candidate) return null;
+
+  if (candidate.type === 'phone') {
+    const phone = digitsOnly(candidate.value);
+    return { status: 'resolved', phone, name: null, source: 'phone', raw: candidate.raw };
+  }
+
+  const [contacts, users] = await Promise.all([
+    findContacts(contactService, candidate.value).catch(() => []),
+    findUsers(taskService, candidate.value).catch(() => [])
+  ]);
+
+  // The same person may be both a contact and a user; keep one entry per number
+  const byPhone = new Map();
+  for (const person of rankByName([...contacts, ...users], candidate.value)) {
+    if (!byPhone.has(person.phone)) byPhone.set(person.phone, person);
+  }
+  const matches = [...byPhone.values()].map(({ names, ...person }) => person);
+
+  if (matches.length === 1) {
+    return { status: 'resolved', ...matches[0], raw: candidate.raw };
+  }
+  return {
+    status: matches.length ? 'ambiguous' : 'not_found',
+    phone: null,
+    name: candidate.value,
+    raw: candidate.raw,
+    matches
+  };
+}
+
+module.exports = { resolveAssignee };
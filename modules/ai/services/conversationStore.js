@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * AI Conversation Store
+ *
+ * Conversations and their messages in ai_conversations /
+ * ai_conversation_messages (migration 006). Every call is scoped to the
+ * owning user; conversations owned by someone else, or soft-deleted, are
+ * reported as not found. Untitled conversations take their title from the
+ * first user message. Falls back to in-memory arrays when no database is
+ * available.
+ */
+
+const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 60;
+const ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ */
+function conversationError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Title from the first user message: first line, whitespace collapsed,
+ * cut at a word boundary
+ * @param {string} content
+ * @returns {string}
+ */
+function titleFromMessage(content) {
+  const line = String(content || '').split('\n').find(l => l.trim()) || '';
+  const text = line.replace(/\s+/g, ' ').trim();
+  if (!text) return DEFAULT_TITLE;
+  if (text.length <= TITLE_MAX_LENGTH) return text;
+  const cut = text.slice(0, TITLE_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+const toJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : value || fallback);
+
+/**
+ * Map database rows to the API shape
+ */
+function toConversation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.owner_id,
+    title: row.title,
+    titleSource: row.title_source,
+    messageCount: row.message_count || 0,
+    lastMessageAt: toIso(row.last_message_at),
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+function toMessage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    position: row.position,
+    role: row.role,
+    content: row.content,
+    model: row.model || null,
+    provider: row.provider || null,
+    finishReason: row.finish_reason || null,
+    usage: toJson(row.usage, null),
+    metadata: toJson(row.metadata, {}),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+class ConversationStore {
+  constructor({ database, logger } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    // In-memory store for mock-safe mode
+    this.conversationMem = [];
+    this.messageMem = [];
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. ConversationStore running in in-memory mode.');
+    }
+  }
+
+  // Malformed UUIDs are simply not found
+  async query(sql, values) {
+    try {
+      return await this.database.query(sql, values);
+    } catch (error) {
+      if (error.code === '22P02') return { rows: [] };
+      throw error;
+    }
+  }
+
+  findMem(ownerId, id) {
+    return this.conversationMem.find(c => c.id === id && c.owner_id === String(ownerId) && !c.deleted_at);
+  }
+
+  /**
+   * Create a conversation; without a title it is named after the first user message
+   * @param {string} ownerId
+   * @param {string} title
+   */
+  async create(ownerId, title = '') {
+    if (!ownerId) throw conversationError('User ID is required', 400);
+    const cleanTitle = String(title || '').trim().slice(0, 255);
+    const titleSource = cleanTitle ? 'user' : 'default';
+
+    if (this.isMockDb) {
+      const now = new Date();
+      const row = {
+        id: crypto.randomUUID(),
+        owner_id: String(ownerId),
+        title: cleanTitle || DEFAULT_TITLE,
+        title_source: titleSource,
+        message_count: 0,
+        last_message_at: null,
+        created_at: now,
+        updated_at: now,
+        deleted_at: null
+      };
+      this.conversationMem.push(row);
+      return toConversation(row);
+    }
+
+    const result = await this.database.query(
+      `INSERT INTO ai_conversations (owner_id, title, title_source)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [String(ownerId), cleanTitle || DEFAULT_TITLE, titleSource]
+    );
+    return toConversation(result.rows[0]);
+  }
+
+  /**
+   * List a user's conversations, most recently active first
+   * @returns {Promise<{conversations: Object[], total: number}>}
+   */
+  async list(ownerId, { limit = 20, offset = 0 } = {}) {
+    if (this.isMockDb) {
+      const owned = this.conversationMem
+        .filter(c => c.owner_id === String(ownerId) && !c.deleted_at)
+        .sort((a, b) => b.updated_at - a.updated_at);
+      return { conversations: owned.slice(offset, offset + limit).map(toConversation), total: owned.length };
+    }
+
+    const countResult = await this.database.query(
+      'SELECT COUNT(*)::int AS total FROM ai_conversations WHERE owner_id = $1 AND deleted_at IS NULL',
+      [String(ownerId)]
+    );
+    const result = await this.database.query(
+      `SELECT * FROM ai_conversations WHERE owner_id = $1 AND deleted_at IS NULL
+       ORDER BY updated_at DESC LIMIT $2 OFFSET $3`,
+      [String(ownerId), limit, offset]
+    );
+    return { conversations: result.rows.map(toConversation), total: countResult.rows[0]?.total || 0 };
+  }
+
+  async get(ownerId, id) {
+    if (this.isMockDb) return toConversation(this.findMem(ownerId, id));
+
+    const result = await this.query(
+      'SELECT * FROM ai_conversations WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL',
+      [id, String(ownerId)]
+    );
+    return toConversation(result.rows[0]);
+  }
+
+  /**
+   * Rename a conversation; a user-set title is never replaced automatically
+   */
+  async rename(ownerId, id, title) {
+    const cleanTitle = String(title || '').trim().slice(0, 255);
+    if (!cleanTitle) throw conversationError('Title is required', 400);
+
+    if (this.isMockDb) {
+      const row = this.findMem(ownerId, id);
+      if (!row) return null;
+      Object.assign(row, { title: cleanTitle, title_source: 'user', updated_at: new Date() });
+      return toConversation(row);
+    }
+
+    const result = await this.query(
+      `UPDATE ai_conversations SET title = $3, title_source = 'user', updated_at = NOW()
+       WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL RETURNING *`,
+      [id, String(ownerId), cleanTitle]
+    );
+    return toConversation(result.rows[0]);
+  }
+
+  /**
+   * Append a message. Returns null when the conversation is not found.
+   * @param {Object} message - { role, content, model, provider, finishReason, usage, metadata }
+   */
+  async addMessage(ownerId, id, message = {}) {
+    const role = message.role || 'user';
+    if (!ROLES.includes(role)) throw conversationError(`role must be one of ${ROLES.join(', ')}`, 400);
+    const content = String(message.content ?? '');
+    const autoTitle = role === 'user' ? titleFromMessage(content) : null;
+    const fields = {
+      role,
+      content,
+      model: message.model || null,
+      provider: message.provider || null,
+      finish_reason: message.finishReason || null,
+      usage: message.usage || null,
+      metadata: message.metadata || {}
+    };
+
+    if (this.isMockDb) {
+      const conversation = this.findMem(ownerId, id);
+      if (!conversation) return null;
+      const now = new Date();
+      conversation.message_count++;
+      conversation.last_message_at = now;
+      conversation.updated_at = now;
+      if (autoTitle && conversation.title_source === 'default') {
+        conversation.title = autoTitle;
+        conversation.title_source = 'auto';
+      }
+      const row = { id: crypto.randomUUID(), conversation_id: id, position: conversation.message_count, ...fields, created_at: now };
+      this.messageMem.push(row);
+      return toMessage(row);
+    }
+
+    // Single statement, so the position counter and the insert cannot drift apart
+    const result = await this.query(
+      `WITH conversation AS (
+         UPDATE ai_conversations
+         SET message_count = message_count + 1,
+             last_message_at = NOW(),
+             updated_at = NOW(),
+             title = CASE WHEN title_source = 'default' AND $3::text IS NOT NULL THEN $3 ELSE title END,
+             title_source = CASE WHEN title_source = 'default' AND $3::text IS NOT NULL THEN 'auto' ELSE title_source END
+         WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL
+         RETURNING id, message_count
+       )
+       INSERT INTO ai_conversation_messages
+         (conversation_id, position, role, content, model, provider, finish_reason, usage, metadata)
+       SELECT id, message_count, $4, $5, $6, $7, $8, $9, $10 FROM conversation
+       RETURNING *`,
+      [
+        id, String(ownerId), autoTitle,
+        fields.role, fields.content, fields.model, fields.provider, fields.finish_reason,
+        fields.usage ? JSON.stringify(fields.usage) : null, JSON.stringify(fields.metadata)
+      ]
+    );
+    return toMessage(result.rows[0]);
+  }
+
+  /**
+   * Page through a conversation's messages in order.
+   * Returns null when the conversation is not found.
+   * @param {Object} options - { limit, offset }, or { latest: n } for the last n messages
+   * @returns {Promise<{messages: Object[], total: number}|null>}
+   */
+  async listMessages(ownerId, id, { limit = 50, offset = 0, latest = null } = {}) {
+    const conversation = await this.get(ownerId, id);
+    if (!conversation) return null;
+    const total = conversation.messageCount;
+    if (latest) {
+      offset = Math.max(total - latest, 0);
+      limit = latest;
+    }
+
+    if (this.isMockDb) {
+      const rows = this.messageMem
+        .filter(m => m.conversation_id === id)
+        .sort((a, b) => a.position - b.position)
+        .slice(offset, offset + limit);
+      return { messages: rows.map(toMessage), total };
+    }
+
+    const result = await this.database.query(
+      `SELECT * FROM ai_conversation_messages WHERE conversation_id = $1
+       ORDER BY position LIMIT $2 OFFSET $3`,
+      [id, limit, offset]
+    );
+    return { messages: result.rows.map(toMessage), total };
+  }
+
+  /**
+   * Soft-delete a conversation; its messages stay in the database
+   * @returns {Promise<boolean>} false when not found
+   */
+  async softDelete(ownerId, id) {
+    if (this.isMockDb) {
+      const row = this.findMem(ownerId, id);
+      if (!row) return false;
+      row.deleted_at = new Date();
+      return true;
+    }
+
+    const result = await this.query(
+      `UPDATE ai_conversations SET deleted_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL RETURNING id`,
+      [id, String(ownerId)]
+    );
+    return result.rows.length > 0;
+  }
+
+  async count() {
+    if (this.isMockDb) return this.conversationMem.filter(c => !c.deleted_at).length;
+    const result = await this.database.query('SELECT COUNT(*)::int AS total FROM ai_conversations WHERE deleted_at IS NULL');
+    return result.rows[0]?.total || 0;
+  }
+}
+
+module.exports = ConversationStore;
+module.exports.titleFromMessage = titleFromMessage;
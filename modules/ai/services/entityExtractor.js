@@ -0,0 +1,354 @@
+/**
+ * Rule-based entity extraction for task messages (no LLM, works offline)
+ * Supported languages: English, Spanish, Hindi (romanized and Devanagari).
+ * Extracts:
+ * - due date/time: "tomorrow 5pm", "next Friday", "in 3 days", "15 Oct", "kal shaam 5 baje", "mañana a las 5"
+ * - priority: urgent | high | medium | low
+ * - assignee candidates: @mentions (phone or name) and "for Ravi" / "para Ana" / "Ravi ko"
+ * Dates are resolved on the sender's wall clock (options.timezone, an IANA name),
+ * or in server local time when no timezone is given. Day/month numeric dates
+ * are read day-first (15/10), as in India and Spain.
+ */
+
+const { zonedParts, zonedTimeToUtc } = require('../../tasks/services/recurrence');
+
+// Word boundaries that also work for accented and Devanagari letters
+const B = '(?<![\\p{L}\\p{M}\\p{N}])';
+const E = '(?![\\p{L}\\p{M}\\p{N}])';
+const rx = (source, flags = 'giu') => new RegExp(source, flags);
+
+const WEEKDAYS = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  domingo: 0, lunes: 1, martes: 2, 'miércoles': 3, miercoles: 3, jueves: 4, viernes: 5, 'sábado': 6, sabado: 6,
+  ravivar: 0, raviwar: 0, itvaar: 0, somvar: 1, somwar: 1, mangalvar: 2, mangalwar: 2, budhvar: 3, budhwar: 3,
+  guruvar: 4, guruwar: 4, brihaspativar: 4, shukravar: 5, shukrawar: 5, shanivar: 6, shaniwar: 6,
+  'रविवार': 0, 'सोमवार': 1, 'मंगलवार': 2, 'बुधवार': 3, 'गुरुवार': 4, 'बृहस्पतिवार': 4, 'शुक्रवार': 5, 'शनिवार': 6
+};
+
+const MONTHS = {
+  january: 0, jan: 0, february: 1, feb: 1, march: 2, mar: 2, april: 3, apr: 3, may: 4, june: 5, jun: 5,
+  july: 6, jul: 6, august: 7, aug: 7, september: 8, sept: 8, sep: 8, october: 9, oct: 9, november: 10, nov: 10,
+  december: 11, dec: 11,
+  enero: 0, febrero: 1, marzo: 2, abril: 3, mayo: 4, junio: 5, julio: 6, agosto: 7, septiembre: 8, setiembre: 8,
+  octubre: 9, noviembre: 10, diciembre: 11
+};
+
+// Relative day words → [day offset, implied hour or null]
+const RELATIVE_DAYS = [
+  ['day after tomorrow', 2, null], ['pasado mañana', 2, null], ['pasado manana', 2, null],
+  ['parso', 2, null], ['parson', 2, null], ['परसों', 2, null],
+  ['tonight', 0, 20], ['esta noche', 0, 20], ['aaj raat', 0, 20], ['आज रात', 0, 20],
+  ['end of day', 0, 18], ['eod', 0, 18], ['fin del día', 0, 18],
+  ['tomorrow', 1, null], ['tmrw', 1, null], ['tmr', 1, null], ['mañana', 1, null], ['manana', 1, null],
+  ['kal', 1, null], ['कल', 1, null],
+  ['today', 0, null], ['hoy', 0, null], ['aaj', 0, null], ['आज', 0, null]
+];
+
+// Words that introduce a date/assignee and should leave the title with it
+const CONNECTORS = ['by', 'on', 'at', 'before', 'due', 'until', 'for', 'to', 'el', 'para', 'antes', 'del', 'de', 'a', 'las', 'ko', 'tak', 'se', 'pehle', 'को', 'तक'];
+
+const PRIORITY_RULES = [
+  ['urgent', rx(`${B}(?:urgent(?:e|ly)?|asap|right away|lo antes posible|zaroori|zaruri|jaruri|jaroori|turant|ज़रूरी|जरूरी|तुरंत)${E}`)],
+  ['high', rx(`${B}(?:high priority|priority high|important|alta prioridad|prioridad alta|importante)${E}`)],
+  ['low', rx(`${B}(?:low priority|priority low|no rush|baja prioridad|prioridad baja|sin prisa|kam zaroori)${E}`)],
+  ['medium', rx(`${B}(?:medium priority|normal priority|priority medium|prioridad media|prioridad normal)${E}`)]
+];
+
+const WEEKDAY_WORDS = Object.keys(WEEKDAYS).join('|');
+const MONTH_WORDS = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const RELATIVE_WORDS = RELATIVE_DAYS.map(([w]) => w).join('|');
+const NOT_NAMES = new Set([
+  ...Object.keys(WEEKDAYS), ...Object.keys(MONTHS), ...RELATIVE_DAYS.map(([w]) => w),
+  'me', 'mi', 'mí', 'myself', 'him', 'her', 'them', 'team', 'everyone', 'all', 'the', 'today', 'tomorrow'
+]);
+
+// Calendar days are held as UTC midnights, so day arithmetic does not depend on any timezone
+const calendarDay = (year, month, day) => new Date(Date.UTC(year, month, day));
+const addDays = (date, n) => calendarDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + n);
+
+/**
+ * Wall clock of a timezone, or of the server when the timezone is missing or unknown
+ * today(now): calendar day at the instant; at(day, hour, minute): instant of that wall-clock time
+ */
+function clockFor(timezone) {
+  let zone = null;
+  try {
+    if (timezone) zone = new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (_) {
+    zone = null;
+  }
+  if (!zone) {
+    return {
+      today: (now) => calendarDay(now.getFullYear(), now.getMonth(), now.getDate()),
+      at: (day, hour = 0, minute = 0) => new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute)
+    };
+  }
+  return {
+    today: (now) => {
+      const p = zonedParts(now, zone);
+      return calendarDay(p.year, p.month - 1, p.day);
+    },
+    at: (day, hour = 0, minute = 0) => zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour, minute }, zone)
+  };
+}
+
+const overlaps = (spans, start, end) => spans.some(s => start < s.end && end > s.start);
+
+/**
+ * First match of a global regex that does not overlap an already claimed span
+ */
+function findFirst(regex, text, spans) {
+  regex.lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (!overlaps(spans, start, end)) return match;
+  }
+  return null;
+}
+
+// Widen a span to swallow a connector word right before it ("by Friday", "para Ana")
+function claim(spans, text, start, end) {
+  const before = text.slice(0, start);
+  const connector = before.match(rx(`(?:^|\\s)((?:${CONNECTORS.join('|')})\\s+)$`, 'iu'));
+  const from = connector ? start - connector[1].length : start;
+  spans.push({ start: overlaps(spans, from, start) ? start : from, end });
+}
+
+function toHour(hour, minute, meridiem) {
+  let h = parseInt(hour, 10);
+  const m = minute ? parseInt(minute, 10) : 0;
+  if (h > 23 || m > 59) return null;
+  const q = (meridiem || '').toLowerCase().replace(/\./g, '');
+
+  if (['pm', 'shaam', 'sham', 'शाम', 'tarde'].includes(q)) {
+    if (h < 12) h += 12;
+  } else if (['am', 'subah', 'सुबह', 'mañana', 'manana'].includes(q)) {
+    if (h === 12) h = 0;
+  } else if (['dopahar', 'दोपहर'].includes(q)) {
+    if (h <= 6) h += 12;
+  } else if (['raat', 'रात', 'noche'].includes(q)) {
+    if (h === 12) h = 0;
+    else if (h >= 6 && h < 12) h += 12;
+  } else if (h >= 1 && h <= 7) {
+    // No am/pm: assume working hours ("at 5" → 17:00)
+    h += 12;
+  }
+  return { hour: h, minute: m };
+}
+
+/**
+ * Find a time of day ("5pm", "17:30", "a las 5 de la tarde", "shaam 5 baje")
+ * @returns {{hour:number, minute:number}|null}
+ */
+function extractTime(text, spans) {
+  const rules = [
+    [rx(`${B}(?:(subah|dopahar|shaam|sham|raat|सुबह|दोपहर|शाम|रात)\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(?:baje|bje|बजे)${E}`), m => toHour(m[2], m[3], m[1])],
+    [rx(`${B}(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)(?![\\p{L}])`), m => toHour(m[1], m[2], m[3])],
+    [rx(`${B}a las (\\d{1,2})(?::(\\d{2}))?(?:\\s+(?:de|por) la (mañana|manana|tarde|noche))?${E}`), m => toHour(m[1], m[2], m[3])],
+    // "17:30" and "07:30" are read as 24h; "5:30" gets the working-hours guess
+    [rx(`${B}(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)(?!\\d)`), m => (m[1].startsWith('0') ? { hour: parseInt(m[1], 10), minute: parseInt(m[2], 10) } : toHour(m[1], m[2], null))],
+    [rx(`${B}at\\s+(\\d{1,2})(?![\\d:])${E}`), m => toHour(m[1], null, null)]
+  ];
+
+  for (const [regex, toTime] of rules) {
+    const match = findFirst(regex, text, spans);
+    if (!match) continue;
+    const time = toTime(match);
+    if (!time) continue;
+    claim(spans, text, match.index, match.index + match[0].length);
+    return time;
+  }
+  return null;
+}
+
+function nextWeekday(today, weekday) {
+  const diff = (weekday - today.getUTCDay() + 7) % 7 || 7;
+  return addDays(today, diff);
+}
+
+function resolveYear(today, month, day, year) {
+  if (year) {
+    const y = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+    return validDate(y, month, day);
+  }
+  const candidate = validDate(today.getUTCFullYear(), month, day);
+  if (candidate && candidate < today) return validDate(today.getUTCFullYear() + 1, month, day);
+  return candidate;
+}
+
+function validDate(year, month, day) {
+  const date = calendarDay(year, month, day);
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Find a calendar date ("tomorrow", "next Friday", "in 3 days", "15/10", "15 de octubre", "agle shukravar")
+ * @param {Date} today - Calendar day (UTC midnight) the phrase is relative to
+ * @returns {{date: Date, impliedHour: number|null}|null} date is a calendar day
+ */
+function extractDate(text, spans, today) {
+  const relative = Object.fromEntries(RELATIVE_DAYS.map(([w, offset, hour]) => [w, { offset, hour }]));
+
+  const rules = [
+    [rx(`${B}(\\d{4})-(\\d{2})-(\\d{2})${E}`), m => validDate(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10))],
+    [rx(`${B}(\\d{1,2})[/.](\\d{1,2})(?:[/.](\\d{2}|\\d{4}))?(?![\\d/.])`), m => resolveYear(today, parseInt(m[2], 10) - 1, parseInt(m[1], 10), m[3])],
+    [rx(`${B}(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+de)?\\s+(${MONTH_WORDS})\\.?(?:(?:\\s+de)?\\s+(\\d{4}))?${E}`), m => resolveYear(today, MONTHS[m[2].toLowerCase()], parseInt(m[1], 10), m[3])],
+    [rx(`${B}(${MONTH_WORDS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${E}`), m => resolveYear(today, MONTHS[m[1].toLowerCase()], parseInt(m[2], 10), m[3])],
+    [rx(`${B}(${RELATIVE_WORDS})${E}`), m => {
+      const r = relative[m[1].toLowerCase()];
+      return { date: addDays(today, r.offset), impliedHour: r.hour };
+    }],
+    [rx(`${B}(?:in|within|en|dentro de)\\s+(\\d{1,3})\\s+(days?|d[ií]as?|weeks?|semanas?)${E}`), m => addDays(today, parseInt(m[1], 10) * (/^(week|semana)/i.test(m[2]) ? 7 : 1))],
+    [rx(`${B}(\\d{1,3})\\s+(din|hafte|hafta)\\s+(?:mein|me|main|में)${E}`), m => addDays(today, parseInt(m[1], 10) * (m[2].toLowerCase() === 'din' ? 1 : 7))],
+    [rx(`${B}(?:(?:next|this|coming|el próximo|el proximo|el|este|agle|agla|is|अगले|इस)\\s+)?(${WEEKDAY_WORDS})${E}`), m => nextWeekday(today, WEEKDAYS[m[1].toLowerCase()])],
+    [rx(`${B}(?:next week|la próxima semana|la proxima semana|agle hafte|agle hafta|अगले हफ्ते)${E}`), () => nextWeekday(today, 1)]
+  ];
+
+  for (const [regex, toDate] of rules) {
+    const match = findFirst(regex, text, spans);
+    if (!match) continue;
+    const value = toDate(match);
+    if (!value) continue;
+    claim(spans, text, match.index, match.index + match[0].length);
+    return value instanceof Date ? { date: value, impliedHour: null } : value;
+  }
+  return null;
+}
+
+/**
+ * Find a priority keyword
+ * @returns {string|null} urgent | high | medium | low
+ */
+function extractPriority(text, spans) {
+  for (const [priority, regex] of PRIORITY_RULES) {
+    const match = findFirst(regex, text, spans);
+    if (match) {
+      claim(spans, text, match.index, match.index + match[0].length);
+      return priority;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find assignee candidates: @phone, @name, and "for/para <Name>", "<Name> ko"
+ * @returns {Array<{type: 'phone'|'name', value: string, raw: string}>}
+ */
+function extractMentions(text, spans) {
+  const found = [];
+  const push = (type, value, match, start = match.index, end = match.index + match[0].length) => {
+    if (overlaps(spans, start, end)) return;
+    if (type === 'name' && NOT_NAMES.has(value.toLowerCase())) return;
+    spans.push({ start, end });
+    found.push({ type, value, raw: match[0].trim() });
+  };
+
+  for (const match of text.matchAll(rx('@(\\+?\\d[\\d\\s-]{6,18}\\d)(?!\\d)'))) {
+    push('phone', match[1].replace(/\D/g, ''), match);
+  }
+  for (const match of text.matchAll(rx('@([\\p{L}][\\p{L}\\p{M}\'.-]*)'))) {
+    push('name', match[1].replace(/[.'-]+$/, ''), match);
+  }
+
+  // Capitalized names after an assignment phrase (case-sensitive, so "for the team" is ignored)
+  const phraseRules = [
+    rx(`${B}(?:assign(?:ed)?\\s+(?:it\\s+)?to|for|asignar(?:la|lo)?\\s+a|asignada\\s+a|para)\\s+(\\p{Lu}[\\p{L}\\p{M}'-]+)${E}`, 'gu'),
+    rx(`${B}(\\p{Lu}[\\p{L}\\p{M}'-]+)\\s+(?:ko|ke liye|को|के लिए)${E}`, 'gu')
+  ];
+  for (const regex of phraseRules) {
+    for (const match of text.matchAll(regex)) {
+      push('name', match[1], match);
+    }
+  }
+
+  return found;
+}
+
+// Remove claimed spans and tidy leftover connectors/punctuation
+function stripSpans(text, spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  let out = '';
+  let cursor = 0;
+  for (const { start, end } of sorted) {
+    if (start < cursor) { cursor = Math.max(cursor, end); continue; }
+    out += text.slice(cursor, start) + ' ';
+    cursor = end;
+  }
+  out += text.slice(cursor);
+
+  const connector = rx(`^(?:${CONNECTORS.join('|')})$`, 'iu');
+  const words = out.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  while (words.length && connector.test(words[words.length - 1].replace(/[,;:]+$/, ''))) words.pop();
+  while (words.length && connector.test(words[0])) words.shift();
+  return words.join(' ').replace(/\s+([,.;:!?])/g, '$1').replace(/[,;:\s-]+$/, '').trim();
+}
+
+/**
+ * Extract task entities from free text
+ * @param {string} text
+ * @param {Object} options - { now: Date, timezone: IANA name the sender's dates are read in }
+ * @returns {Object} { title, dueDate, hasTime, priority, assignee, mentions }
+ */
+function extractEntities(text = '', options = {}) {
+  const now = options.now || new Date();
+  const clock = clockFor(options.timezone);
+  const source = String(text || '');
+  const spans = [];
+
+  const priority = extractPriority(source, spans);
+  const mentions = extractMentions(source, spans);
+  const time = extractTime(source, spans);
+  const date = extractDate(source, spans, clock.today(now));
+
+  let dueDate = null;
+  let hasTime = false;
+  if (date || time) {
+    const base = date ? date.date : clock.today(now);
+    const hour = time ? time.hour : date?.impliedHour;
+    if (hour !== null && hour !== undefined) {
+      const minute = time ? time.minute : 0;
+      dueDate = clock.at(base, hour, minute);
+      // A bare time that has already passed today means tomorrow
+      if (!date && dueDate <= now) dueDate = clock.at(addDays(base, 1), hour, minute);
+      hasTime = true;
+    } else {
+      dueDate = clock.at(base);
+    }
+  }
+
+  return {
+    title: stripSpans(source, spans),
+    dueDate,
+    hasTime,
+    priority,
+    assignee: mentions[0] || null,
+    mentions
+  };
+}
+
+/**
+ * Value for tasks.due_date: a calendar day (YYYY-MM-DD) or a full timestamp when a time was given
+ * @param {string} [timezone] - Timezone the date was extracted in
+ */
+function serializeDueDate(date, hasTime = false, timezone = null) {
+  if (!date) return null;
+  if (hasTime) return date.toISOString();
+  const day = clockFor(timezone).today(date);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a standalone date phrase ("tomorrow 5pm", "viernes", "parso")
+ * @returns {{dueDate: Date, hasTime: boolean}|null}
+ */
+function parseDateExpression(text = '', options = {}) {
+  const { dueDate, hasTime } = extractEntities(text, options);
+  return dueDate ? { dueDate, hasTime } : null;
+}
+
+module.exports = {
+  extractEntities,
+  parseDateExpression,
+  serializeDueDate
+};
@@ -1,87 +1,280 @@
+const winston = require('winston');
+const { createProviderFromEnv, estimateUsage } = require('./providers');
+const ConversationStore = require('./conversationStore');
+
+// System prompts per request type; content types fall back to "text"
+const SYSTEM_PROMPTS = {
+  chat: 'You are a helpful assistant for a team task manager. Answer concisely.',
+  text: 'Write clear, well-structured text for the request.',
+  email: 'Write a professional email for the request. Start with a "Subject:" line.',
+  report: 'Write a concise report for the request, starting with an executive summary.',
+  optimization: 'Improve the given content for {{type}}. Reply with the improved content only, then a line "Improvements:" followed by one "- " bullet per change.',
+  prediction: 'Forecast from the given data ({{type}}). Reply with a JSON object only: {"trend": string, "timeframe": string, "factors": string[], "confidence": number between 0 and 1}.'
+};
+
 class AIService {
-  constructor() {
-    this.conversations = [];
+  /**
+   * @param {Object} options - { provider, conversationStore, logger }; the provider defaults to the one
+   * selected by AI_PROVIDER, the store to an in-memory one until the module sets the database-backed store
+   */
+  constructor(options = {}) {
     this.templates = [];
+    this.provider = options.provider || null;
+    this.startedAt = new Date().toISOString();
+    this.logger = options.logger || winston.createLogger({
+      level: process.env.LOG_LEVEL || 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      defaultMeta: { service: 'ai-service' },
+      transports: [new winston.transports.Console({ format: winston.format.simple() })]
+    });
+    this.conversationStore = options.conversationStore || null;
+    // Messages sent to the provider as conversation history
+    this.historyLimit = parseInt(process.env.AI_CONVERSATION_HISTORY_LIMIT) || 40;
+    // Longest completion any request may ask for
+    this.maxTokens = parseInt(process.env.AI_MAX_TOKENS) || 1024;
     this.usage = {
       totalRequests: 0,
       totalTokens: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      failedRequests: 0,
       byModel: {},
-      byType: {}
+      byType: {},
+      byProvider: {}
     };
   }
 
-  // Chat functionality
-  async sendMessage(prompt, context = '') {
+  // Provider access
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProviderFromEnv(process.env, this.logger);
+      this.logger.info(`AI provider: ${JSON.stringify(this.provider.describe())}`);
+    }
+    return this.provider;
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  getConversationStore() {
+    if (!this.conversationStore) {
+      this.conversationStore = new ConversationStore({ logger: this.logger });
+    }
+    return this.conversationStore;
+  }
+
+  setConversationStore(store) {
+    this.conversationStore = store;
+  }
+
+  buildMessages(system, prompt, context) {
+    const messages = [{ role: 'system', content: system }];
+    if (context) {
+      const text = typeof context === 'string' ? context : JSON.stringify(context);
+      messages.push({ role: 'system', content: `Context:\n${text}` });
+    }
+    messages.push({ role: 'user', content: String(prompt) });
+    return messages;
+  }
+
+  // maxTokens for a request: what it asked for, up to this.maxTokens
+  tokenLimit(requested) {
+    const tokens = parseInt(requested);
+    return tokens > 0 ? Math.min(tokens, this.maxTokens) : this.maxTokens;
+  }
+
+  /**
+   * Run one completion through the configured provider and record usage
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - { type, model, maxTokens, temperature, signal }
+   * @returns {Promise<Object>} { text, model, provider, usage, finishReason }
+   */
+  async complete(messages, options = {}) {
+    const { type = 'chat', maxTokens, ...params } = options;
     this.usage.totalRequests++;
-    
-    // Mock AI response
-    const response = {
+    try {
+      const result = await this.getProvider().complete({ ...params, maxTokens: this.tokenLimit(maxTokens), messages });
+      this.updateUsage(type, result.usage, result.model, result.provider);
+      return result;
+    } catch (error) {
+      this.usage.failedRequests++;
+      this.logger.error('AI completion failed', { type, provider: error.provider, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream one completion; yields { type: 'delta', text } events and a final
+   * { type: 'done', ... } event. Usage is recorded when the stream finishes,
+   * or estimated from the partial text if it is cut short.
+   */
+  async *stream(messages, options = {}) {
+    const { type = 'chat', maxTokens, ...params } = options;
+    const provider = this.getProvider();
+    this.usage.totalRequests++;
+    let text = '';
+    let finished = false;
+    try {
+      for await (const event of provider.stream({ ...params, maxTokens: this.tokenLimit(maxTokens), messages })) {
+        if (event.type === 'delta') text += event.text;
+        if (event.type === 'done') {
+          finished = true;
+          this.updateUsage(type, event.usage, event.model, event.provider);
+        }
+        yield event;
+      }
+    } catch (error) {
+      if (error.code === 'ABORTED') {
+        this.logger.info('AI stream cancelled by client', { type, provider: provider.name });
+      } else {
+        this.usage.failedRequests++;
+        this.logger.error('AI stream failed', { type, provider: error.provider, error: error.message });
+      }
+      throw error;
+    } finally {
+      if (!finished && text) {
+        this.updateUsage(type, estimateUsage(messages, text), params.model || provider.model, provider.name);
+      }
+    }
+  }
+
+  // Chat functionality
+  async sendMessage(prompt, context = '', options = {}) {
+    const result = await this.complete(this.buildMessages(SYSTEM_PROMPTS.chat, prompt, context), { ...options, type: 'chat' });
+
+    return {
       id: Date.now().toString(),
       prompt,
-      response: this.generateMockResponse(prompt),
+      response: result.text,
       context,
       timestamp: new Date().toISOString(),
-      model: 'gpt-3.5-turbo',
-      tokens: Math.floor(Math.random() * 100) + 50
+      model: result.model,
+      provider: result.provider,
+      tokens: result.usage.totalTokens,
+      usage: result.usage
     };
-    
-    // Track usage
-    this.updateUsage('chat', response.tokens, response.model);
-    
-    return response;
   }
 
-  // Conversation management
+  /**
+   * Streaming variant of sendMessage: yields delta events, then a done event
+   * carrying the same fields sendMessage returns.
+   */
+  async *streamMessage(prompt, context = '', options = {}) {
+    const id = Date.now().toString();
+    let response = '';
+    for await (const event of this.stream(this.buildMessages(SYSTEM_PROMPTS.chat, prompt, context), { ...options, type: 'chat' })) {
+      if (event.type === 'delta') {
+        response += event.text;
+        yield event;
+      } else {
+        yield {
+          ...event,
+          id,
+          prompt,
+          response,
+          context,
+          timestamp: new Date().toISOString(),
+          tokens: event.usage.totalTokens
+        };
+      }
+    }
+  }
+
+  // Conversation management (scoped to the owning user)
   async createConversation(userId, title = '') {
-    const conversation = {
-      id: Date.now().toString(),
-      userId,
-      title: title || `Conversation ${Date.now()}`,
-      messages: [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    this.conversations.push(conversation);
-    return conversation;
+    return this.getConversationStore().create(userId, title);
   }
 
+  /**
+   * @param {string} userId
+   * @param {Object} filters - { limit, offset }
+   * @returns {Promise<{conversations: Object[], total: number}>}
+   */
   async getConversations(userId, filters = {}) {
-    let conversations = this.conversations.filter(conv => conv.userId === userId);
-    
-    if (filters.limit) {
-      conversations = conversations.slice(-filters.limit);
-    }
-    
-    return conversations;
+    return this.getConversationStore().list(userId, filters);
   }
 
-  async getConversationById(id) {
-    return this.conversations.find(conv => conv.id === id);
+  async getConversationById(id, userId) {
+    return this.getConversationStore().get(userId, id);
   }
 
-  async addMessageToConversation(conversationId, message) {
-    const conversation = this.conversations.find(conv => conv.id === conversationId);
-    if (!conversation) return null;
-    
-    const newMessage = {
-      id: Date.now().toString(),
-      ...message,
-      timestamp: new Date().toISOString()
-    };
-    
-    conversation.messages.push(newMessage);
-    conversation.updatedAt = new Date().toISOString();
-    
-    return newMessage;
+  async renameConversation(id, title, userId) {
+    return this.getConversationStore().rename(userId, id, title);
   }
 
-  async deleteConversation(id) {
-    const index = this.conversations.findIndex(conv => conv.id === id);
-    if (index === -1) return false;
-    
-    this.conversations.splice(index, 1);
-    return true;
+  async getConversationMessages(id, userId, options = {}) {
+    return this.getConversationStore().listMessages(userId, id, options);
+  }
+
+  async addMessageToConversation(conversationId, message, userId) {
+    return this.getConversationStore().addMessage(userId, conversationId, message);
+  }
+
+  // Prior user/assistant turns as provider messages
+  async conversationMessages(conversationId, userId) {
+    const { messages } = await this.getConversationStore().listMessages(userId, conversationId, { latest: this.historyLimit });
+    const history = messages
+      .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content)
+      .map(m => ({ role: m.role, content: m.content }));
+    return [{ role: 'system', content: SYSTEM_PROMPTS.chat }, ...history];
+  }
+
+  /**
+   * Add a user message to a conversation and stream the assistant's reply.
+   * Yields { type: 'message' } for the stored user message, delta events, then
+   * { type: 'done', message } once the reply is stored. A reply cut short by an
+   * abort or provider error is stored with finishReason 'cancelled' or 'error'.
+   * @param {string} conversationId
+   * @param {string} content - User message text
+   * @param {Object} options - { userId, signal, model, maxTokens, temperature }
+   */
+  async *streamConversationReply(conversationId, content, options = {}) {
+    const { userId, ...params } = options;
+    const userMessage = await this.addMessageToConversation(conversationId, { role: 'user', content }, userId);
+    if (!userMessage) {
+      const error = new Error('Conversation not found');
+      error.status = 404;
+      throw error;
+    }
+    yield { type: 'message', message: userMessage };
+
+    let text = '';
+    let lastEvent = null;
+    let assistantMessage = null;
+    let finishReason = 'cancelled';
+    const store = (extra) => this.addMessageToConversation(conversationId, {
+      role: 'assistant',
+      content: text,
+      model: lastEvent?.model || this.getProvider().model,
+      provider: lastEvent?.provider || this.getProvider().name,
+      ...extra
+    }, userId);
+
+    try {
+      const messages = await this.conversationMessages(conversationId, userId);
+      for await (const event of this.stream(messages, { ...params, type: 'conversation' })) {
+        if (event.type === 'delta') {
+          text += event.text;
+          yield event;
+        } else {
+          lastEvent = event;
+        }
+      }
+      assistantMessage = await store({ usage: lastEvent.usage, finishReason: lastEvent.finishReason });
+      yield { ...lastEvent, message: assistantMessage };
+    } catch (error) {
+      if (error.code !== 'ABORTED') finishReason = 'error';
+      throw error;
+    } finally {
+      if (!assistantMessage && text) {
+        await store({ finishReason });
+      }
+    }
+  }
+
+  async deleteConversation(id, userId) {
+    return this.getConversationStore().softDelete(userId, id);
   }
 
   // Content analysis
@@ -98,7 +291,7 @@ class AIService {
       timestamp: new Date().toISOString()
     };
     
-    this.updateUsage('analysis', 100, 'gpt-4');
+    this.updateUsage('analysis', 0, 'heuristic');
     return analysis;
   }
 
@@ -156,112 +349,102 @@ class AIService {
 
   // Content generation
   async generateContent(prompt, contentType = 'text', options = {}) {
-    this.usage.totalRequests++;
-    
-    const content = {
+    const system = SYSTEM_PROMPTS[contentType] && !['chat', 'optimization', 'prediction'].includes(contentType)
+      ? SYSTEM_PROMPTS[contentType]
+      : SYSTEM_PROMPTS.text;
+    const { maxTokens, temperature, model, context } = options || {};
+    const result = await this.complete(this.buildMessages(system, prompt, context), {
+      type: 'generation', maxTokens, temperature, model
+    });
+
+    return {
       id: Date.now().toString(),
       prompt,
       contentType,
-      content: this.generateMockContent(prompt, contentType),
+      content: result.text,
       options,
       timestamp: new Date().toISOString(),
-      model: 'gpt-4',
-      tokens: Math.floor(Math.random() * 200) + 100
+      model: result.model,
+      provider: result.provider,
+      tokens: result.usage.totalTokens,
+      usage: result.usage
     };
-    
-    this.updateUsage('generation', content.tokens, content.model);
-    return content;
   }
 
   // Content optimization
   async optimizeContent(content, optimizationType = 'general') {
-    this.usage.totalRequests++;
-    
-    const optimization = {
+    const system = SYSTEM_PROMPTS.optimization.replace('{{type}}', optimizationType);
+    const result = await this.complete(this.buildMessages(system, content), { type: 'optimization' });
+    const { optimizedContent, improvements } = parseOptimization(result.text);
+
+    return {
       id: Date.now().toString(),
       originalContent: content,
       optimizationType,
-      optimizedContent: this.generateMockOptimization(content, optimizationType),
-      improvements: this.generateMockImprovements(),
+      optimizedContent,
+      improvements,
       timestamp: new Date().toISOString(),
-      model: 'gpt-4',
-      tokens: Math.floor(Math.random() * 150) + 75
+      model: result.model,
+      provider: result.provider,
+      tokens: result.usage.totalTokens,
+      usage: result.usage
     };
-    
-    this.updateUsage('optimization', optimization.tokens, optimization.model);
-    return optimization;
   }
 
   // Predictions
   async getPredictions(data, predictionType = 'general') {
-    this.usage.totalRequests++;
-    
-    const predictions = {
+    const system = SYSTEM_PROMPTS.prediction.replace('{{type}}', predictionType);
+    const input = typeof data === 'string' ? data : JSON.stringify(data);
+    const result = await this.complete(this.buildMessages(system, input), { type: 'prediction', temperature: 0 });
+    const predictions = parseJsonObject(result.text) || { summary: result.text };
+    const confidence = Number(predictions.confidence);
+
+    return {
       id: Date.now().toString(),
       data,
       predictionType,
-      predictions: this.generateMockPredictions(data, predictionType),
-      confidence: Math.random() * 0.4 + 0.6, // 60-100%
+      predictions,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null,
       timestamp: new Date().toISOString(),
-      model: 'gpt-4',
-      tokens: Math.floor(Math.random() * 120) + 60
+      model: result.model,
+      provider: result.provider,
+      tokens: result.usage.totalTokens,
+      usage: result.usage
     };
-    
-    this.updateUsage('prediction', predictions.tokens, predictions.model);
-    return predictions;
   }
 
-  // Usage analytics
+  // Usage analytics (since process start)
   async getUsageAnalytics(timeRange = '30d') {
     return {
       timeRange,
+      since: this.startedAt,
       totalRequests: this.usage.totalRequests,
+      failedRequests: this.usage.failedRequests,
       totalTokens: this.usage.totalTokens,
-      byModel: {
-        'gpt-3.5-turbo': { requests: Math.floor(this.usage.totalRequests * 0.6), tokens: Math.floor(this.usage.totalTokens * 0.5) },
-        'gpt-4': { requests: Math.floor(this.usage.totalRequests * 0.4), tokens: Math.floor(this.usage.totalTokens * 0.5) }
-      },
-      byType: {
-        chat: { requests: Math.floor(this.usage.totalRequests * 0.4), tokens: Math.floor(this.usage.totalTokens * 0.3) },
-        analysis: { requests: Math.floor(this.usage.totalRequests * 0.2), tokens: Math.floor(this.usage.totalTokens * 0.2) },
-        generation: { requests: Math.floor(this.usage.totalRequests * 0.2), tokens: Math.floor(this.usage.totalTokens * 0.3) },
-        optimization: { requests: Math.floor(this.usage.totalRequests * 0.1), tokens: Math.floor(this.usage.totalTokens * 0.1) },
-        prediction: { requests: Math.floor(this.usage.totalRequests * 0.1), tokens: Math.floor(this.usage.totalTokens * 0.1) }
-      }
+      promptTokens: this.usage.promptTokens,
+      completionTokens: this.usage.completionTokens,
+      byModel: this.usage.byModel,
+      byType: this.usage.byType,
+      byProvider: this.usage.byProvider
     };
   }
 
-  // Available models
+  // Available models, as reported by the configured providers
   async getAvailableModels() {
-    return [
-      {
-        id: 'gpt-3.5-turbo',
-        name: 'GPT-3.5 Turbo',
-        description: 'Fast and efficient for most tasks',
-        maxTokens: 4096,
-        costPer1kTokens: 0.002
-      },
-      {
-        id: 'gpt-4',
-        name: 'GPT-4',
-        description: 'Most capable model for complex tasks',
-        maxTokens: 8192,
-        costPer1kTokens: 0.03
-      },
-      {
-        id: 'claude-3-sonnet',
-        name: 'Claude 3 Sonnet',
-        description: 'Balanced performance and cost',
-        maxTokens: 200000,
-        costPer1kTokens: 0.015
-      }
-    ];
+    const provider = this.getProvider();
+    try {
+      return await provider.listModels();
+    } catch (error) {
+      this.logger.warn('Failed to list AI models', { provider: provider.name, error: error.message });
+      return [{ id: provider.model, provider: provider.name }];
+    }
   }
 
   // Service status
   async getServiceStatus() {
+    const provider = this.getProvider();
     return {
-      status: 'operational',
+      status: provider.isConfigured() ? 'operational' : 'degraded',
       module: 'ai',
       timestamp: new Date().toISOString(),
       services: {
@@ -271,13 +454,10 @@ class AIService {
         optimization: 'active',
         prediction: 'active'
       },
-      models: {
-        'gpt-3.5-turbo': 'available',
-        'gpt-4': 'available',
-        'claude-3-sonnet': 'available'
-      },
+      provider: provider.describe(),
       usage: {
         totalRequests: this.usage.totalRequests,
+        failedRequests: this.usage.failedRequests,
         totalTokens: this.usage.totalTokens
       }
     };
@@ -290,38 +470,33 @@ class AIService {
       module: 'ai',
       timestamp: new Date().toISOString(),
       services: {
-        conversations: this.conversations.length,
+        conversations: await this.getConversationStore().count(),
         templates: this.templates.length,
-        totalRequests: this.usage.totalRequests
+        totalRequests: this.usage.totalRequests,
+        provider: this.getProvider().name
       }
     };
   }
 
   // Utility methods
-  updateUsage(type, tokens, model) {
-    this.usage.totalTokens += tokens;
-    
-    if (!this.usage.byModel[model]) {
-      this.usage.byModel[model] = { requests: 0, tokens: 0 };
-    }
-    this.usage.byModel[model].requests++;
-    this.usage.byModel[model].tokens += tokens;
-    
-    if (!this.usage.byType[type]) {
-      this.usage.byType[type] = { requests: 0, tokens: 0 };
-    }
-    this.usage.byType[type].requests++;
-    this.usage.byType[type].tokens += tokens;
-  }
+  updateUsage(type, usage, model, provider = 'internal') {
+    const counts = typeof usage === 'number'
+      ? { promptTokens: 0, completionTokens: usage, totalTokens: usage }
+      : usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const add = (bucket, key) => {
+      if (!bucket[key]) bucket[key] = { requests: 0, tokens: 0, promptTokens: 0, completionTokens: 0 };
+      bucket[key].requests++;
+      bucket[key].tokens += counts.totalTokens;
+      bucket[key].promptTokens += counts.promptTokens;
+      bucket[key].completionTokens += counts.completionTokens;
+    };
 
-  generateMockResponse(prompt) {
-    const responses = [
-      "I understand you're asking about that. Let me help you with a comprehensive answer.",
-      "Based on your question, here's what I can tell you about this topic.",
-      "That's an interesting question. Here's my analysis and recommendations.",
-      "I've analyzed your request and here are the key insights you need to know."
-    ];
-    return responses[Math.floor(Math.random() * responses.length)];
+    this.usage.totalTokens += counts.totalTokens;
+    this.usage.promptTokens += counts.promptTokens;
+    this.usage.completionTokens += counts.completionTokens;
+    add(this.usage.byModel, model);
+    add(this.usage.byType, type);
+    add(this.usage.byProvider, provider);
   }
 
   generateMockAnalysis(content, type) {
@@ -333,36 +508,33 @@ class AIService {
     return analyses[type] || analyses.general;
   }
 
-  generateMockContent(prompt, type) {
-    const contents = {
-      text: "Here's the generated content based on your prompt: " + prompt.substring(0, 50) + "...",
-      email: "Subject: Response to your inquiry\n\nDear User,\n\nThank you for your question...",
-      report: "Executive Summary\n\nBased on the analysis, here are the key findings..."
-    };
-    return contents[type] || contents.text;
-  }
-
-  generateMockOptimization(content, type) {
-    return `Optimized version of: ${content.substring(0, 100)}...`;
-  }
+}
 
-  generateMockImprovements() {
-    return [
-      "Improved clarity and readability",
-      "Enhanced structure and organization",
-      "Better keyword optimization",
-      "More engaging tone"
-    ];
-  }
+// Split "<content>\nImprovements:\n- a\n- b" into its parts
+function parseOptimization(text) {
+  const match = /\n\s*improvements:\s*\n?/i.exec(text);
+  if (!match) return { optimizedContent: text.trim(), improvements: [] };
+  return {
+    optimizedContent: text.slice(0, match.index).trim(),
+    improvements: text.slice(match.index + match[0].length)
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(Boolean)
+  };
+}
 
-  generateMockPredictions(data, type) {
-    return {
-      trend: "Upward trend expected",
-      confidence: "High confidence in prediction",
-      timeframe: "Next 30 days",
-      factors: ["Market conditions", "User behavior", "Seasonal patterns"]
-    };
+// First JSON object in a reply, tolerating code fences and surrounding prose
+function parseJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    const value = JSON.parse(text.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (_) {
+    return null;
   }
 }
 
 module.exports = new AIService();
+module.exports.AIService = AIService;
@@ -0,0 +1,557 @@
+const winston = require('winston');
+const { normalizePhrase, LEARNABLE_INTENTS } = require('./intentRouter');
+const { phoneKey } = require('./userMemoryService');
+
+/**
+ * Intent Learning Service
+ *
+ * Turns corrections logged via /learning/log-correction into routing rules
+ * (migration 009):
+ * - user 'phrase' rules: the exact message a user corrected now routes to the
+ *   intent they chose, for that user, immediately
+ * - user 'language' rules: the language a user corrected us to becomes their
+ *   fallback when detection finds nothing better
+ * - global 'phrase' and 'trigger' rules: proposed once
+ *   AI_LEARNING_GLOBAL_THRESHOLD (3) different users made the same correction,
+ *   and applied to everyone only after an admin accepts them
+ * Admins can also reject user rules. Falls back to in-memory rows when no
+ * database is available.
+ */
+
+const STATUS = { pending: 'pending', accepted: 'accepted', rejected: 'rejected' };
+const KIND = { phrase: 'phrase', trigger: 'trigger', language: 'language' };
+const SCOPE = { user: 'user', global: 'global' };
+
+// Longer messages are too specific to be worth an exact-match rule
+const MAX_PHRASE_LENGTH = 200;
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ */
+function learningError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Candidate create_task trigger: the phrase the user says it started with, or
+ * the first two words of a longer message ("make todo fix the pump" → "make todo")
+ */
+function triggerFrom(correction, phrase) {
+  if (correction.triggerPhrase) return normalizePhrase(correction.triggerPhrase) || null;
+  const words = phrase.split(' ');
+  if (words.length < 3 || words.slice(0, 2).some(w => /\d/.test(w))) return null;
+  return words.slice(0, 2).join(' ');
+}
+
+/**
+ * Map an intent_learning_rules row to the API shape
+ */
+function toRule(row) {
+  return {
+    id: Number(row.id),
+    scope: row.scope,
+    phone: row.phone || null,
+    kind: row.kind,
+    phrase: row.phrase,
+    intent: row.intent || null,
+    language: row.language || null,
+    evidenceCount: Number(row.evidence_count) || 0,
+    status: row.status,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: row.reviewed_at ? new Date(row.reviewed_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+/**
+ * Map an intent_corrections row to the API shape
+ */
+function toCorrection(row) {
+  return {
+    id: Number(row.id),
+    phone: row.phone,
+    message: row.message,
+    detectedIntent: row.detected_intent || null,
+    correctedIntent: row.corrected_intent || null,
+    detectedLanguage: row.detected_language || null,
+    correctedLanguage: row.corrected_language || null,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+const sameTarget = (row, intent, language) => (row.intent || null) === intent && (row.language || null) === language;
+
+class IntentLearningService {
+  constructor({ database, logger, globalThreshold } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.globalThreshold = globalThreshold || parseInt(process.env.AI_LEARNING_GLOBAL_THRESHOLD) || 3;
+
+    // In-memory rows for mock-safe mode, same columns as the migration 009 tables
+    this.correctionMem = [];
+    this.ruleMem = [];
+    this.nextCorrectionId = 1;
+    this.nextRuleId = 1;
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. IntentLearningService running in in-memory mode.');
+    }
+  }
+
+  // Corrections
+
+  /**
+   * Store a correction and learn from it.
+   * @param {string} phoneNumber
+   * @param {Object} correction - { message, intent, correctedIntent, language, correctedLanguage, triggerPhrase }
+   *   intent / language are what the bot detected; correctedIntent / correctedLanguage what the user meant
+   * @returns {Promise<{ correction: Object, rules: Object[] }|null>} null when the correction names no intent or language
+   */
+  async recordCorrection(phoneNumber, correction = {}) {
+    const key = phoneKey(phoneNumber);
+    if (!key) throw learningError('Phone number is required', 400);
+
+    const correctedIntent = correction.correctedIntent || null;
+    const correctedLanguage = correction.correctedLanguage ? String(correction.correctedLanguage).toLowerCase() : null;
+    if (!correctedIntent && !correctedLanguage) return null;
+
+    const message = String(correction.message || '').trim();
+    const normalized = normalizePhrase(message);
+    const phrase = normalized && normalized.length <= MAX_PHRASE_LENGTH ? normalized : null;
+    const detectedIntent = correction.intent || null;
+    const detectedLanguage = correction.language || null;
+    const triggerPhrase = phrase && correctedIntent === 'create_task' && detectedIntent !== 'create_task'
+      ? triggerFrom(correction, phrase)
+      : null;
+
+    const row = await this.insertCorrection({
+      phone: key,
+      message,
+      phrase,
+      trigger_phrase: triggerPhrase,
+      detected_intent: detectedIntent,
+      corrected_intent: correctedIntent,
+      detected_language: detectedLanguage,
+      corrected_language: correctedLanguage
+    });
+
+    const rules = [];
+    if (phrase && LEARNABLE_INTENTS.includes(correctedIntent) && correctedIntent !== detectedIntent) {
+      rules.push(await this.upsertUserRule(key, KIND.phrase, phrase, { intent: correctedIntent }));
+      rules.push(await this.proposeGlobalRule(KIND.phrase, 'phrase', phrase));
+    }
+    if (triggerPhrase) {
+      rules.push(await this.proposeGlobalRule(KIND.trigger, 'trigger_phrase', triggerPhrase));
+    }
+    if (correctedLanguage && correctedLanguage !== detectedLanguage) {
+      rules.push(await this.upsertUserRule(key, KIND.language, '', { language: correctedLanguage }));
+    }
+
+    return { correction: toCorrection(row), rules: rules.filter(Boolean).map(toRule) };
+  }
+
+  async insertCorrection(fields) {
+    if (this.isMockDb) {
+      const row = { id: this.nextCorrectionId++, ...fields, created_at: new Date() };
+      this.correctionMem.push(row);
+      return row;
+    }
+    const result = await this.database.query(
+      `INSERT INTO intent_corrections
+         (phone, message, phrase, trigger_phrase, detected_intent, corrected_intent, detected_language, corrected_language)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [fields.phone, fields.message, fields.phrase, fields.trigger_phrase, fields.detected_intent,
+        fields.corrected_intent, fields.detected_language, fields.corrected_language]
+    );
+    return result.rows[0];
+  }
+
+  // Rules
+
+  /**
+   * Create or update a user's rule. Repeating the same correction adds
+   * evidence (and keeps a rejected rule rejected); a different target replaces it.
+   */
+  async upsertUserRule(key, kind, phrase, { intent = null, language = null }) {
+    if (this.isMockDb) {
+      const now = new Date();
+      const row = this.ruleMem.find(r => r.scope === SCOPE.user && r.phone === key && r.kind === kind && r.phrase === phrase);
+      if (!row) {
+        const created = this.memRule({ scope: SCOPE.user, phone: key, kind, phrase, intent, language, status: STATUS.accepted });
+        this.ruleMem.push(created);
+        return created;
+      }
+      const same = sameTarget(row, intent, language);
+      Object.assign(row, {
+        evidence_count: same ? row.evidence_count + 1 : 1,
+        status: same && row.status === STATUS.rejected ? STATUS.rejected : STATUS.accepted,
+        intent,
+        language,
+        updated_at: now
+      });
+      return row;
+    }
+
+    const same = `intent_learning_rules.intent IS NOT DISTINCT FROM EXCLUDED.intent
+      AND intent_learning_rules.language IS NOT DISTINCT FROM EXCLUDED.language`;
+    const result = await this.database.query(
+      `INSERT INTO intent_learning_rules (scope, phone, kind, phrase, intent, language, status)
+       VALUES ('user', $1, $2, $3, $4, $5, 'accepted')
+       ON CONFLICT (scope, phone, kind, phrase) DO UPDATE SET
+         evidence_count = CASE WHEN ${same} THEN intent_learning_rules.evidence_count + 1 ELSE 1 END,
+         status = CASE WHEN ${same} AND intent_learning_rules.status = 'rejected' THEN 'rejected' ELSE 'accepted' END,
+         intent = EXCLUDED.intent,
+         language = EXCLUDED.language,
+         updated_at = NOW()
+       RETURNING *`,
+      [key, kind, phrase, intent, language]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Propose (or refresh) a global rule for a phrase or trigger once enough
+   * different users corrected it to the same intent. If the most common
+   * intent changes, the rule goes back to the review queue.
+   * @returns {Promise<Object|null>} The rule row, or null below the threshold
+   */
+  async proposeGlobalRule(kind, column, phrase) {
+    const leader = await this.topCorrectedIntent(column, phrase);
+    if (!leader || leader.users < this.globalThreshold) return null;
+
+    let row;
+    if (this.isMockDb) {
+      const now = new Date();
+      row = this.ruleMem.find(r => r.scope === SCOPE.global && r.kind === kind && r.phrase === phrase);
+      if (!row) {
+        row = this.memRule({ scope: SCOPE.global, phone: '', kind, phrase, intent: leader.intent, evidence_count: leader.users, status: STATUS.pending });
+        this.ruleMem.push(row);
+      } else {
+        if (row.intent !== leader.intent) {
+          Object.assign(row, { intent: leader.intent, status: STATUS.pending, reviewed_by: null, reviewed_at: null });
+        }
+        Object.assign(row, { evidence_count: leader.users, updated_at: now });
+      }
+    } else {
+      const changed = 'intent_learning_rules.intent IS DISTINCT FROM EXCLUDED.intent';
+      const result = await this.database.query(
+        `INSERT INTO intent_learning_rules (scope, phone, kind, phrase, intent, evidence_count, status)
+         VALUES ('global', '', $1, $2, $3, $4, 'pending')
+         ON CONFLICT (scope, phone, kind, phrase) DO UPDATE SET
+           status = CASE WHEN ${changed} THEN 'pending' ELSE intent_learning_rules.status END,
+           reviewed_by = CASE WHEN ${changed} THEN NULL ELSE intent_learning_rules.reviewed_by END,
+           reviewed_at = CASE WHEN ${changed} THEN NULL ELSE intent_learning_rules.reviewed_at END,
+           intent = EXCLUDED.intent,
+           evidence_count = EXCLUDED.evidence_count,
+           updated_at = NOW()
+         RETURNING *`,
+        [kind, phrase, leader.intent, leader.users]
+      );
+      row = result.rows[0];
+    }
+
+    if (row.status === STATUS.pending && Number(row.evidence_count) === this.globalThreshold) {
+      this.logger.info('Learned intent rule queued for review', { kind, phrase, intent: row.intent });
+    }
+    return row;
+  }
+
+  /**
+   * The learnable intent most users corrected a phrase (or trigger) to
+   * @returns {Promise<{ intent: string, users: number }|null>}
+   */
+  async topCorrectedIntent(column, value) {
+    if (this.isMockDb) {
+      const usersByIntent = new Map();
+      for (const row of this.correctionMem) {
+        if (row[column] !== value || !LEARNABLE_INTENTS.includes(row.corrected_intent)) continue;
+        if (!usersByIntent.has(row.corrected_intent)) usersByIntent.set(row.corrected_intent, new Set());
+        usersByIntent.get(row.corrected_intent).add(row.phone);
+      }
+      const [top] = [...usersByIntent.entries()]
+        .map(([intent, users]) => ({ intent, users: users.size }))
+        .sort((a, b) => b.users - a.users);
+      return top || null;
+    }
+
+    // column is one of our own column names, never user input
+    const result = await this.database.query(
+      `SELECT corrected_intent AS intent, COUNT(DISTINCT phone)::int AS users
+       FROM intent_corrections
+       WHERE ${column} = $1 AND corrected_intent = ANY($2)
+       GROUP BY corrected_intent
+       ORDER BY users DESC, MAX(created_at) DESC
+       LIMIT 1`,
+      [value, LEARNABLE_INTENTS]
+    );
+    return result.rows[0] || null;
+  }
+
+  memRule(fields) {
+    const now = new Date();
+    return {
+      id: this.nextRuleId++,
+      intent: null,
+      language: null,
+      evidence_count: 1,
+      reviewed_by: null,
+      reviewed_at: null,
+      created_at: now,
+      updated_at: now,
+      ...fields
+    };
+  }
+
+  /**
+   * Accepted rules that apply to a phone, in the form extractIntent and
+   * detectLanguage take. User rules win over global ones for the same phrase.
+   * @returns {Promise<{ overrides: Map, triggers: Object[], language: string|null }>}
+   */
+  async rulesFor(phoneNumber) {
+    const key = phoneKey(phoneNumber);
+    let rows;
+    if (this.isMockDb) {
+      rows = this.ruleMem.filter(r => r.status === STATUS.accepted && (r.scope === SCOPE.global || r.phone === key));
+    } else {
+      const result = await this.database.query(
+        `SELECT * FROM intent_learning_rules
+         WHERE status = 'accepted' AND (scope = 'global' OR (scope = 'user' AND phone = $1))`,
+        [key]
+      );
+      rows = result.rows;
+    }
+
+    const learned = { overrides: new Map(), triggers: [], language: null };
+    const ordered = [...rows].sort((a, b) => (a.scope === b.scope ? 0 : a.scope === SCOPE.global ? -1 : 1));
+    for (const rule of ordered.map(toRule)) {
+      if (rule.kind === KIND.phrase) learned.overrides.set(rule.phrase, rule);
+      else if (rule.kind === KIND.trigger) learned.triggers.push(rule);
+      else if (rule.kind === KIND.language) learned.language = rule.language;
+    }
+    learned.triggers.sort((a, b) => b.phrase.length - a.phrase.length);
+    return learned;
+  }
+
+  // Review queue
+
+  /**
+   * List rules, newest first. The review queue is { status: 'pending' }.
+   * @returns {Promise<{ rules: Object[], total: number }>}
+   */
+  async listRules({ status, scope, kind, limit = 50, offset = 0 } = {}) {
+    const filters = { status, scope, kind };
+    if (this.isMockDb) {
+      const matching = this.ruleMem
+        .filter(r => Object.entries(filters).every(([field, value]) => !value || r[field] === value))
+        .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id);
+      return { rules: matching.slice(offset, offset + limit).map(toRule), total: matching.length };
+    }
+
+    const conditions = [];
+    const values = [];
+    for (const [field, value] of Object.entries(filters)) {
+      if (!value) continue;
+      values.push(value);
+      conditions.push(`${field} = $${values.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.database.query(
+      `SELECT *, COUNT(*) OVER()::int AS total_count FROM intent_learning_rules ${where}
+       ORDER BY updated_at DESC, id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    return { rules: result.rows.map(toRule), total: result.rows[0]?.total_count || 0 };
+  }
+
+  /**
+   * Accept or reject a learned rule
+   * @param {string} decision - 'accepted' or 'rejected'
+   */
+  async reviewRule(id, decision, reviewer = null) {
+    if (![STATUS.accepted, STATUS.rejected].includes(decision)) {
+      throw learningError('Decision must be accepted or rejected', 400);
+    }
+    const ruleId = parseInt(id);
+    if (!Number.isInteger(ruleId)) throw learningError('Rule not found', 404);
+
+    let row;
+    if (this.isMockDb) {
+      row = this.ruleMem.find(r => r.id === ruleId);
+      if (row) Object.assign(row, { status: decision, reviewed_by: reviewer, reviewed_at: new Date(), updated_at: new Date() });
+    } else {
+      const result = await this.database.query(
+        `UPDATE intent_learning_rules
+         SET status = $2, reviewed_by = $3, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [ruleId, decision, reviewer]
+      );
+      row = result.rows[0];
+    }
+    if (!row) throw learningError('Rule not found', 404);
+
+    this.logger.info('Learned intent rule reviewed', { id: ruleId, decision, reviewer });
+    return toRule(row);
+  }
+
+  // Analytics
+
+  /**
+   * Correction analytics since a date: totals, top confusion pairs
+   * (detected → corrected intent), most corrected intents, language
+   * confusions, daily trend and the rule counts per status
+   */
+  async correctionSummary({ since = new Date(0), limit = 10 } = {}) {
+    const { total, users, intentPairs, languagePairs, trend, ruleCounts } = await this.aggregateCorrections(since);
+
+    const byDetected = new Map();
+    for (const pair of intentPairs) {
+      const intent = pair.detectedIntent || 'unknown';
+      if (!byDetected.has(intent)) byDetected.set(intent, { intent, correctionCount: 0, commonCorrections: [] });
+      const entry = byDetected.get(intent);
+      entry.correctionCount += pair.count;
+      entry.commonCorrections.push(pair.correctedIntent);
+    }
+
+    return {
+      totalCorrections: total,
+      usersCorrecting: users,
+      topConfusionPairs: intentPairs.slice(0, limit),
+      mostCorrectedIntents: [...byDetected.values()]
+        .sort((a, b) => b.correctionCount - a.correctionCount)
+        .slice(0, limit),
+      languageConfusion: languagePairs.slice(0, limit),
+      correctionTrends: trend,
+      learnedRules: {
+        pending: ruleCounts.pending || 0,
+        accepted: ruleCounts.accepted || 0,
+        rejected: ruleCounts.rejected || 0
+      }
+    };
+  }
+
+  async aggregateCorrections(since) {
+    if (this.isMockDb) {
+      const rows = this.correctionMem.filter(r => r.created_at >= since);
+      const pairs = (detected, corrected) => {
+        const groups = new Map();
+        for (const row of rows) {
+          if (!row[corrected] || row[corrected] === row[detected]) continue;
+          const id = `${row[detected]}→${row[corrected]}`;
+          if (!groups.has(id)) groups.set(id, { detected: row[detected] || null, corrected: row[corrected], rows: [] });
+          groups.get(id).rows.push(row);
+        }
+        return [...groups.values()]
+          .map(g => ({
+            detected: g.detected,
+            corrected: g.corrected,
+            count: g.rows.length,
+            users: new Set(g.rows.map(r => r.phone)).size,
+            examples: g.rows.slice(-3).reverse().map(r => r.message).filter(Boolean)
+          }))
+          .sort((a, b) => b.count - a.count);
+      };
+      const trend = new Map();
+      for (const row of rows) {
+        const date = row.created_at.toISOString().slice(0, 10);
+        trend.set(date, (trend.get(date) || 0) + 1);
+      }
+      const ruleCounts = {};
+      for (const rule of this.ruleMem) ruleCounts[rule.status] = (ruleCounts[rule.status] || 0) + 1;
+
+      return {
+        total: rows.length,
+        users: new Set(rows.map(r => r.phone)).size,
+        intentPairs: pairs('detected_intent', 'corrected_intent').map(p => ({
+          detectedIntent: p.detected, correctedIntent: p.corrected, count: p.count, users: p.users, examples: p.examples
+        })),
+        languagePairs: pairs('detected_language', 'corrected_language').map(p => ({
+          detectedLanguage: p.detected, correctedLanguage: p.corrected, count: p.count, users: p.users
+        })),
+        trend: [...trend.entries()].sort().map(([date, correctionCount]) => ({ date, correctionCount })),
+        ruleCounts
+      };
+    }
+
+    const [totals, intentPairs, languagePairs, trend, rules] = await Promise.all([
+      this.database.query(
+        `SELECT COUNT(*)::int AS total, COUNT(DISTINCT phone)::int AS users
+         FROM intent_corrections WHERE created_at >= $1`,
+        [since]
+      ),
+      this.database.query(
+        `SELECT detected_intent, corrected_intent, COUNT(*)::int AS count, COUNT(DISTINCT phone)::int AS users,
+                (ARRAY_AGG(message ORDER BY created_at DESC) FILTER (WHERE message <> ''))[1:3] AS examples
+         FROM intent_corrections
+         WHERE created_at >= $1 AND corrected_intent IS NOT NULL
+           AND corrected_intent IS DISTINCT FROM detected_intent
+         GROUP BY detected_intent, corrected_intent
+         ORDER BY count DESC`,
+        [since]
+      ),
+      this.database.query(
+        `SELECT detected_language, corrected_language, COUNT(*)::int AS count, COUNT(DISTINCT phone)::int AS users
+         FROM intent_corrections
+         WHERE created_at >= $1 AND corrected_language IS NOT NULL
+           AND corrected_language IS DISTINCT FROM detected_language
+         GROUP BY detected_language, corrected_language
+         ORDER BY count DESC`,
+        [since]
+      ),
+      this.database.query(
+        `SELECT TO_CHAR(created_at, 'YYYY-MM-DD') AS date, COUNT(*)::int AS count
+         FROM intent_corrections WHERE created_at >= $1
+         GROUP BY 1 ORDER BY 1`,
+        [since]
+      ),
+      this.database.query('SELECT status, COUNT(*)::int AS count FROM intent_learning_rules GROUP BY status')
+    ]);
+
+    return {
+      total: totals.rows[0]?.total || 0,
+      users: totals.rows[0]?.users || 0,
+      intentPairs: intentPairs.rows.map(r => ({
+        detectedIntent: r.detected_intent, correctedIntent: r.corrected_intent, count: r.count, users: r.users, examples: r.examples || []
+      })),
+      languagePairs: languagePairs.rows.map(r => ({
+        detectedLanguage: r.detected_language, correctedLanguage: r.corrected_language, count: r.count, users: r.users
+      })),
+      trend: trend.rows.map(r => ({ date: r.date, correctionCount: r.count })),
+      ruleCounts: Object.fromEntries(rules.rows.map(r => [r.status, r.count]))
+    };
+  }
+
+  // Data-subject requests
+
+  /**
+   * Delete a phone's corrections and user rules. Global rules only keep a
+   * count of users, so they stay.
+   * @returns {Promise<number>} Rows deleted
+   */
+  async purgeUser(phoneNumber) {
+    const key = phoneKey(phoneNumber);
+    if (!key) throw learningError('Phone number is required', 400);
+
+    if (this.isMockDb) {
+      const before = this.correctionMem.length + this.ruleMem.length;
+      this.correctionMem = this.correctionMem.filter(r => r.phone !== key);
+      this.ruleMem = this.ruleMem.filter(r => !(r.scope === SCOPE.user && r.phone === key));
+      return before - this.correctionMem.length - this.ruleMem.length;
+    }
+
+    const corrections = await this.database.query('DELETE FROM intent_corrections WHERE phone = $1', [key]);
+    const rules = await this.database.query("DELETE FROM intent_learning_rules WHERE scope = 'user' AND phone = $1", [key]);
+    return (corrections.rowCount || 0) + (rules.rowCount || 0);
+  }
+}
+
+module.exports = IntentLearningService;
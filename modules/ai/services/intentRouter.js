@@ -1,15 +1,122 @@
 /**
  * Basic intent extraction for WhatsApp/AI text
- * Supported intents: create_task, status_check, help, unknown
- * Extracts a naive task title after trigger phrase for create_task
+ * Supported intents: create_task, list_tasks, status_check, complete_task,
+ * reassign_task, set_due_date, set_priority, add_comment, help, unknown
+ * For create_task, the text after the trigger phrase is run through
+ * entityExtractor: due date, priority and assignee are pulled out and the
+ * rest becomes the title.
+ * Task commands refer to tasks by their number in the user's open task list.
+ * Rules learned from user corrections (intentLearningService) can be passed
+ * in options.learned: exact phrase overrides win over the built-in patterns,
+ * learned trigger phrases are tried before falling back to unknown.
  */
-function extractIntent(text = '', lang = 'en') {
+
+const { extractEntities } = require('./entityExtractor');
+
+const PRIORITY_WORDS = {
+  urgent: 'urgent', urgente: 'urgent', zaroori: 'urgent', turant: 'urgent',
+  high: 'high', alta: 'high', alto: 'high', jaldi: 'high',
+  medium: 'medium', normal: 'medium', media: 'medium', medio: 'medium',
+  low: 'low', baja: 'low', bajo: 'low', dheere: 'low'
+};
+
+// Task commands: each pattern captures the task number first
+const TASK_COMMANDS = [
+  {
+    intent: 'complete_task',
+    patterns: [
+      /^(?:done|complete|completed|finish|finished|close|hecho|terminado|terminada|completar|completada|ho gaya|hogaya|khatam)\s*#?(\d+)$/,
+      /^(?:mark|task|tarea)?\s*#?(\d+)\s*(?:as\s+)?(?:done|complete|completed|finished|hecho|terminada|ho gaya|hogaya|khatam)$/
+    ],
+    payload: (m) => ({ taskNumber: parseInt(m[1], 10) })
+  },
+  {
+    intent: 'reassign_task',
+    patterns: [
+      /^(?:re)?(?:assign|asignar|reasignar)\s+(?:task\s+|tarea\s+)?#?(\d+)\s+(?:to|a|ko)\s+(.+)$/
+    ],
+    payload: (m, original) => ({ taskNumber: parseInt(m[1], 10), assignee: original.slice(original.length - m[2].length).trim() })
+  },
+  {
+    intent: 'set_due_date',
+    patterns: [
+      /^(?:due|deadline|vence|vencimiento|fecha)\s+#?(\d+)\s+(.+)$/,
+      /^#?(\d+)\s+(?:due|vence)\s+(.+)$/
+    ],
+    payload: (m) => ({ taskNumber: parseInt(m[1], 10), dueText: m[2].trim() })
+  },
+  {
+    intent: 'set_priority',
+    patterns: [
+      /^(?:priority|prioridad)\s+#?(\d+)\s+(\S+)$/,
+      /^#?(\d+)\s+(?:priority|prioridad)\s+(\S+)$/
+    ],
+    payload: (m) => ({ taskNumber: parseInt(m[1], 10), priority: PRIORITY_WORDS[m[2]] || null, priorityText: m[2] })
+  },
+  {
+    intent: 'add_comment',
+    patterns: [
+      /^(?:comment|note|comentario|nota|tippani)\s+#?(\d+)\s*[:\-]?\s+(.+)$/
+    ],
+    payload: (m, original) => ({ taskNumber: parseInt(m[1], 10), comment: original.slice(original.length - m[2].length).trim() })
+  }
+];
+
+const LIST_PATTERN = /^(?:my tasks|my task|list|list tasks|show tasks|open tasks|tasks|pending tasks|mis tareas|ver tareas|listar tareas|tareas|mere kaam|mera kaam|kaam dikhao|meri list)$/;
+
+// Intents a learned rule may route to: their payload comes from the text alone
+const LEARNABLE_INTENTS = ['create_task', 'list_tasks', 'status_check', 'help'];
+
+function createTaskPayload(rest, options) {
+  const { title, dueDate, hasTime, priority, assignee } = extractEntities(rest, options);
+  return { title, dueDate, hasTime, priority, assignee };
+}
+
+/**
+ * Key used to match learned phrases: lower case, single spaces, no trailing punctuation
+ */
+function normalizePhrase(text = '') {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!?,;:]+$/, '').trim();
+}
+
+function learnedResult(rule, rest, options) {
+  return {
+    intent: rule.intent,
+    payload: rule.intent === 'create_task' ? createTaskPayload(rest, options) : {},
+    learned: { ruleId: rule.id, kind: rule.kind, scope: rule.scope }
+  };
+}
+
+/**
+ * @param {string} text - Message text
+ * @param {string} lang - Detected language
+ * @param {Object} options - { now, timezone } reference time and IANA timezone for relative dates,
+ *   { learned: { overrides: Map<phrase, rule>, triggers: rule[] } } learned rules
+ */
+function extractIntent(text = '', lang = 'en', options = {}) {
   const t = (text || '').trim();
   const l = (lang || 'en').toLowerCase();
   const lowered = t.toLowerCase();
+  const { learned } = options;
+  const phrase = normalizePhrase(t);
+
+  // A phrase this user (or, once reviewed, everyone) corrected before
+  const override = learned?.overrides?.get(phrase);
+  if (override) return learnedResult(override, t, options);
 
   // Help
-  if (/^help$|^\?$|^menu$/.test(lowered)) return { intent: 'help', payload: {} };
+  if (/^help$|^\?$|^menu$|^ayuda$|^madad$/.test(lowered)) return { intent: 'help', payload: {} };
+
+  // List open tasks
+  if (LIST_PATTERN.test(lowered)) return { intent: 'list_tasks', payload: {} };
+
+  // Commands on an existing task (by number)
+  for (const command of TASK_COMMANDS) {
+    for (const pattern of command.patterns) {
+      const match = lowered.match(pattern);
+      if (match) return { intent: command.intent, payload: command.payload(match, t) };
+    }
+  }
 
   // Status check keywords
   if (/(status|progress|estado|haalat)/i.test(lowered)) return { intent: 'status_check', payload: {} };
@@ -17,24 +124,30 @@ function extractIntent(text = '', lang = 'en') {
   // Create task — multilingual triggers
   const triggers = [
     'create task', 'add task', 'new task',
-    'crear tarea', 'agregar tarea',
+    'crear tarea', 'agregar tarea', 'nueva tarea',
     'kaam banao', 'kaam banana', 'task banao'
   ];
   const trigger = triggers.find(tr => lowered.includes(tr));
   if (trigger) {
     const idx = lowered.indexOf(trigger) + trigger.length;
-    const title = t.slice(idx).trim() || t;
-    return { intent: 'create_task', payload: { title } };
+    const rest = t.slice(idx).replace(/^[\s:\-]+/, '').trim();
+    return { intent: 'create_task', payload: createTaskPayload(rest, options) };
   }
 
   // Simple imperative like: "Task: ..." or "Todo: ..."
   const colonMatch = lowered.match(/^(task|todo|tarea)[:\-]\s*(.+)$/i);
   if (colonMatch) {
-    return { intent: 'create_task', payload: { title: colonMatch[2].trim() } };
+    return { intent: 'create_task', payload: createTaskPayload(t.slice(t.length - colonMatch[2].length).trim(), options) };
   }
 
-  return { intent: 'unknown', payload: {} };
-}
+  // Trigger phrases learned from corrections; the words after one are the payload text
+  const learnedTrigger = learned?.triggers?.find(rule => phrase === rule.phrase || phrase.startsWith(rule.phrase + ' '));
+  if (learnedTrigger) {
+    const rest = t.split(/\s+/).slice(learnedTrigger.phrase.split(' ').length).join(' ');
+    return learnedResult(learnedTrigger, rest, options);
+  }
 
-module.exports = { extractIntent };
+  return { intent: 'unknown', payload: {}, language: l };
+}
 
+module.exports = { extractIntent, normalizePhrase, PRIORITY_WORDS, LEARNABLE_INTENTS };
@@ -0,0 +1,114 @@
+/**
+ * Training text for the n-gram language identifier (langDetect.js).
+ * Short, chat-style sentences close to what users send over WhatsApp: task
+ * commands, status questions and everyday phrases. 'hi' has both Devanagari
+ * and romanized (Hinglish) text, so romanized Hindi is told apart from English.
+ * Add sentences here to improve a language; profiles are built at load time.
+ */
+
+const LATIN = {
+  en: [
+    'create task fix the water pump', 'add task order cement for the site', 'new task call the supplier tomorrow',
+    'show my tasks', 'my open tasks please', 'list all pending tasks', 'what is the status of the report',
+    'check progress on the kitchen work', 'mark task two as done', 'the job is finished', 'assign this to ravi',
+    'please send the invoice by friday', 'remind me about the meeting today', 'can you help me with this',
+    'i need help', 'thank you very much', 'good morning team', 'where is the delivery',
+    'the truck will arrive in the evening', 'is the painting complete yet', 'change the due date to next week',
+    'set priority high for this one', 'who is working on the roof', 'when will the plumber come',
+    'we are waiting for the parts', 'the client called about the quote', 'please update the schedule',
+    'what should i do next', 'nothing to report today', 'let me know when it is ready', 'yes that is right',
+    'no please cancel it', 'skip this step', 'maybe later', 'the gate needs repair', 'clean the office',
+    'buy more paint and brushes', 'the meeting moved to monday', 'how many tasks are left', 'sure, will do',
+    'whenever you are free', 'send me the photos', 'the wall is still wet', 'urgent: fix the leak now'
+  ],
+  es: [
+    'crear tarea arreglar la bomba de agua', 'agregar tarea pedir cemento para la obra', 'nueva tarea llamar al proveedor mañana',
+    'mis tareas', 'ver mis tareas pendientes', 'listar tareas abiertas', 'cuál es el estado del informe',
+    'revisar el progreso de la cocina', 'hecho', 'hecho dos', 'la tarea está terminada', 'asignar esto a ravi',
+    'por favor envía la factura el viernes', 'recuérdame la reunión de hoy', 'puedes ayudarme con esto', 'necesito ayuda',
+    'muchas gracias', 'buenos días equipo', 'dónde está la entrega', 'el camión llega por la tarde',
+    'ya está terminada la pintura', 'cambiar la fecha de vencimiento a la próxima semana', 'prioridad alta para esta',
+    'quién trabaja en el techo', 'cuándo viene el plomero', 'estamos esperando las piezas', 'el cliente llamó por el presupuesto',
+    'por favor actualiza el horario', 'qué hago ahora', 'nada que reportar hoy', 'avísame cuando esté listo', 'sí, correcto',
+    'no, cancélalo por favor', 'la puerta necesita reparación', 'limpiar la oficina', 'comprar más pintura y brochas',
+    'la reunión se movió al lunes', 'cuántas tareas quedan', 'claro, lo hago', 'quiero ver el proyecto', 'comentario sobre la tarea',
+    'la pared sigue mojada', 'urgente: arreglar la fuga ya', 'vence mañana', 'hola, buenas tardes', 'hola equipo, qué tal',
+    'no sé todavía', 'vale, de acuerdo'
+  ],
+  pt: [
+    'criar tarefa consertar a bomba de água', 'adicionar tarefa pedir cimento para a obra', 'nova tarefa ligar para o fornecedor amanhã',
+    'minhas tarefas', 'ver minhas tarefas pendentes', 'listar tarefas abertas', 'qual é o status do relatório',
+    'verificar o andamento da cozinha', 'feito', 'a tarefa está concluída', 'atribuir isso ao ravi',
+    'por favor envie a fatura na sexta', 'me lembre da reunião de hoje', 'você pode me ajudar com isso', 'preciso de ajuda',
+    'muito obrigado', 'bom dia equipe', 'onde está a entrega', 'o caminhão chega à tarde', 'a pintura já está pronta',
+    'mudar o prazo para a próxima semana', 'prioridade alta para esta', 'quem está trabalhando no telhado',
+    'quando o encanador vem', 'estamos esperando as peças', 'o cliente ligou sobre o orçamento', 'por favor atualize a agenda',
+    'o que eu faço agora', 'nada a relatar hoje', 'me avise quando estiver pronto', 'sim, está certo', 'não, cancele por favor',
+    'o portão precisa de conserto', 'limpar o escritório', 'comprar mais tinta e pincéis', 'a reunião mudou para segunda',
+    'quantas tarefas faltam', 'claro, vou fazer', 'a parede ainda está molhada', 'urgente: consertar o vazamento agora',
+    'obrigada pela ajuda', 'não consigo abrir o arquivo', 'as informações estão corretas'
+  ],
+  fr: [
+    'créer une tâche réparer la pompe à eau', 'ajouter une tâche commander du ciment', 'nouvelle tâche appeler le fournisseur demain',
+    'mes tâches', 'voir mes tâches en attente', 'quel est le statut du rapport', 'vérifier l\'avancement de la cuisine',
+    'c\'est fait', 'la tâche est terminée', 'assigner ceci à ravi', 's\'il vous plaît envoyez la facture vendredi',
+    'rappelle-moi la réunion d\'aujourd\'hui', 'pouvez-vous m\'aider avec ça', 'j\'ai besoin d\'aide', 'merci beaucoup',
+    'bonjour l\'équipe', 'où est la livraison', 'le camion arrive ce soir', 'la peinture est-elle finie',
+    'changer la date d\'échéance à la semaine prochaine', 'priorité haute pour celle-ci', 'qui travaille sur le toit',
+    'quand vient le plombier', 'nous attendons les pièces', 'le client a appelé pour le devis', 'mettez à jour le planning',
+    'que dois-je faire maintenant', 'rien à signaler aujourd\'hui', 'dites-moi quand c\'est prêt', 'oui c\'est correct',
+    'non annulez s\'il vous plaît', 'le portail doit être réparé', 'nettoyer le bureau', 'la réunion est déplacée à lundi',
+    'je ne sais pas encore', 'je suis en retard', 'oui bien sûr', 'salut, ça va', 'il faut finir avant demain'
+  ],
+  // Romanized Hindi / Hinglish
+  hi: [
+    'kaam banao pump theek karna hai', 'task banao cement mangwana hai', 'naya kaam kal supplier ko call karna',
+    'mere kaam dikhao', 'mera kaam kya hai', 'meri list bhejo', 'report ka status kya hai', 'kitchen ka kaam kahan tak pahuncha',
+    'kaam ho gaya', 'ho gaya bhai', 'kaam khatam ho gaya', 'yeh ravi ko de do', 'friday tak bill bhej dena please',
+    'aaj ki meeting yaad dilana', 'kya aap meri madad kar sakte ho', 'mujhe madad chahiye', 'bahut bahut dhanyavaad',
+    'shukriya bhai', 'delivery kahan hai', 'truck shaam ko aayega', 'painting ho gayi kya', 'date agle hafte kar do',
+    'yeh zaroori hai jaldi karo', 'chhat pe kaun kaam kar raha hai', 'plumber kab aayega', 'hum parts ka intezaar kar rahe hain',
+    'client ne quote ke baare mein phone kiya tha', 'schedule update kar do', 'ab main kya karun', 'aaj kuch nahi hai',
+    'jab ready ho jaye to batana', 'haan sahi hai', 'nahi cancel kar do', 'gate ki repair karni hai', 'office saaf karna hai',
+    'aur paint le aao', 'meeting somvar ko hai', 'kitne kaam bache hain', 'theek hai kar dunga', 'abhi turant karo',
+    'kal tak khatam kar dena', 'deewar abhi bhi geeli hai', 'bhai photo bhejo', 'achha theek hai', 'koi baat nahi',
+    'task complete ho gaya', 'meeting cancel ho gayi', 'report send kar diya hai', 'site pe kaun hai abhi',
+    'payment abhi tak nahi aaya', 'delivery kal subah tak ho jayegi', 'pump ki problem solve ho gayi'
+  ]
+};
+
+// Languages sharing a script are told apart with these
+const SCRIPT_SHARED = {
+  devanagari: {
+    hi: [
+      'नया कार्य बनाओ', 'मेरे काम दिखाओ', 'यह काम कल तक पूरा करो', 'मुझे मदद चाहिए', 'रिपोर्ट की स्थिति क्या है',
+      'काम हो गया है', 'यह रवि को सौंप दो', 'आज की बैठक याद दिलाना', 'बहुत धन्यवाद', 'डिलीवरी कहाँ है',
+      'ट्रक शाम को आएगा', 'छत पर कौन काम कर रहा है', 'हम पुर्जों का इंतज़ार कर रहे हैं', 'अब मैं क्या करूँ',
+      'आज कुछ नहीं है', 'हाँ यह सही है', 'नहीं इसे रद्द करो', 'दरवाज़े की मरम्मत करनी है', 'कितने काम बाकी हैं',
+      'मैं कल आऊँगा', 'उसका फ़ोन नहीं लग रहा है', 'क्या आप मेरी मदद कर सकते हैं'
+    ],
+    mr: [
+      'नवीन काम तयार करा', 'माझी कामे दाखवा', 'हे काम उद्यापर्यंत पूर्ण कर', 'मला मदत हवी आहे', 'अहवालाची स्थिती काय आहे',
+      'काम झाले आहे', 'हे रवीला द्या', 'आजच्या बैठकीची आठवण करून द्या', 'खूप धन्यवाद', 'डिलिव्हरी कुठे आहे',
+      'ट्रक संध्याकाळी येईल', 'छतावर कोण काम करत आहे', 'आम्ही भागांची वाट पाहत आहोत', 'आता मी काय करू',
+      'आज काही नाही', 'हो हे बरोबर आहे', 'नाही हे रद्द करा', 'दाराची दुरुस्ती करायची आहे', 'किती कामे बाकी आहेत',
+      'मी उद्या येईन', 'त्याचा फोन लागत नाही', 'तुम्ही मला मदत करू शकता का'
+    ]
+  },
+  arabic: {
+    ar: [
+      'أنشئ مهمة جديدة', 'أرني مهامي', 'أكمل هذه المهمة غدا', 'أحتاج إلى مساعدة', 'ما هي حالة التقرير',
+      'تم إنجاز العمل', 'أعطها إلى رافي', 'ذكرني بالاجتماع اليوم', 'شكرا جزيلا', 'أين التوصيل',
+      'ستصل الشاحنة في المساء', 'من يعمل على السطح', 'نحن ننتظر القطع', 'ماذا أفعل الآن', 'لا شيء اليوم',
+      'نعم هذا صحيح', 'لا ألغها من فضلك', 'كم مهمة متبقية'
+    ],
+    ur: [
+      'نیا کام بناؤ', 'میرے کام دکھاؤ', 'یہ کام کل تک مکمل کرو', 'مجھے مدد چاہیے', 'رپورٹ کی کیا صورتحال ہے',
+      'کام ہو گیا ہے', 'یہ روی کو دے دو', 'آج کی میٹنگ یاد دلانا', 'بہت شکریہ', 'ڈلیوری کہاں ہے',
+      'ٹرک شام کو آئے گا', 'چھت پر کون کام کر رہا ہے', 'ہم پرزوں کا انتظار کر رہے ہیں', 'اب میں کیا کروں', 'آج کچھ نہیں ہے',
+      'ہاں یہ صحیح ہے', 'نہیں اسے منسوخ کرو', 'کتنے کام باقی ہیں'
+    ]
+  }
+};
+
+module.exports = { LATIN, SCRIPT_SHARED };
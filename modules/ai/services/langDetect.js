@@ -1,22 +1,167 @@
 /**
- * Lightweight language detection utility (heuristic)
- * - ASCII dominant → 'en'
- * - Devanagari range → 'hi'
- * - Arabic range → 'ar'
- * - Basic Spanish keywords → 'es'
+ * Offline language identification
+ * - The dominant Unicode script settles most languages outright (Gujarati,
+ *   Gurmukhi, Bengali, Tamil, Telugu, Kannada, Malayalam)
+ * - Scripts shared by several languages (Latin: en/es/pt/fr/romanized hi;
+ *   Devanagari: hi/mr; Arabic: ar/ur) are scored with a naive Bayes model over
+ *   words and character trigrams trained on langCorpus.js
+ * - Below LANG_DETECT_MIN_CONFIDENCE (0.5) the user's preferred language wins
+ *   (options.preferredLanguage: onboarding choice or a learned correction),
+ *   else English
  */
-function detectLanguage(text = '') {
-  if (!text) return 'en';
-  const hasDevanagari = /[\u0900-\u097F]/.test(text);
-  if (hasDevanagari) return 'hi';
-  const hasArabic = /[\u0600-\u06FF]/.test(text);
-  if (hasArabic) return 'ar';
-  const lowered = text.toLowerCase();
-  const spanishHints = ['crear tarea', 'asignar', 'proyecto', 'pendiente'];
-  if (spanishHints.some(k => lowered.includes(k))) return 'es';
-  // Default: English
-  return 'en';
+
+const { LATIN, SCRIPT_SHARED } = require('./langCorpus');
+
+const DEFAULT_LANGUAGE = 'en';
+const SMOOTHING = 0.5;
+
+const SCRIPTS = [
+  { script: 'latin', pattern: /[a-zÀ-ɏ]/, languages: Object.keys(LATIN) },
+  { script: 'devanagari', pattern: /[ऀ-ॿ]/, languages: Object.keys(SCRIPT_SHARED.devanagari) },
+  { script: 'arabic', pattern: /[؀-ۿݐ-ݿ]/, languages: Object.keys(SCRIPT_SHARED.arabic) },
+  { script: 'bengali', pattern: /[ঀ-৿]/, languages: ['bn'] },
+  { script: 'gurmukhi', pattern: /[਀-੿]/, languages: ['pa'] },
+  { script: 'gujarati', pattern: /[઀-૿]/, languages: ['gu'] },
+  { script: 'tamil', pattern: /[஀-௿]/, languages: ['ta'] },
+  { script: 'telugu', pattern: /[ఀ-౿]/, languages: ['te'] },
+  { script: 'kannada', pattern: /[ಀ-೿]/, languages: ['kn'] },
+  { script: 'malayalam', pattern: /[ഀ-ൿ]/, languages: ['ml'] }
+];
+
+const SUPPORTED_LANGUAGES = [...new Set(SCRIPTS.flatMap(s => s.languages))];
+
+// Letters (any script, with combining marks) and single spaces only
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}]+/gu, ' ')
+    .trim();
+}
+
+// Whole words plus character trigrams of each space-padded word
+function features(normalized) {
+  const result = [];
+  for (const word of normalized.split(' ').filter(Boolean)) {
+    result.push(`w:${word}`);
+    const padded = ` ${word} `;
+    const chars = [...padded];
+    for (let i = 0; i + 3 <= chars.length; i++) result.push(chars.slice(i, i + 3).join(''));
+  }
+  return result;
+}
+
+function buildModel(corpora) {
+  const profiles = {};
+  const vocabulary = new Set();
+  for (const [language, sentences] of Object.entries(corpora)) {
+    const counts = new Map();
+    let total = 0;
+    for (const sentence of sentences) {
+      for (const feature of features(normalize(sentence))) {
+        counts.set(feature, (counts.get(feature) || 0) + 1);
+        vocabulary.add(feature);
+        total++;
+      }
+    }
+    profiles[language] = { counts, total };
+  }
+  return { profiles, vocabularySize: vocabulary.size };
+}
+
+const MODELS = {
+  latin: buildModel(LATIN),
+  devanagari: buildModel(SCRIPT_SHARED.devanagari),
+  arabic: buildModel(SCRIPT_SHARED.arabic)
+};
+
+/**
+ * Posterior per language. Log-likelihoods are divided by the square root of
+ * the feature count so long messages don't become certain from many weak hints.
+ * @returns {Array<{ language: string, confidence: number }>} best first
+ */
+function classify(model, feats) {
+  const scores = Object.entries(model.profiles).map(([language, { counts, total }]) => {
+    const denominator = Math.log(total + SMOOTHING * model.vocabularySize);
+    let logLikelihood = 0;
+    for (const feature of feats) logLikelihood += Math.log((counts.get(feature) || 0) + SMOOTHING) - denominator;
+    return { language, score: logLikelihood / Math.sqrt(feats.length) };
+  });
+  const best = Math.max(...scores.map(s => s.score));
+  const weights = scores.map(s => ({ language: s.language, weight: Math.exp(s.score - best) }));
+  const sum = weights.reduce((acc, w) => acc + w.weight, 0);
+  return weights
+    .map(w => ({ language: w.language, confidence: w.weight / sum }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Script with the most letters in the text, and its share of all letters
+function dominantScript(normalized) {
+  const counts = new Map();
+  let letters = 0;
+  for (const char of normalized) {
+    if (char === ' ') continue;
+    const match = SCRIPTS.find(s => s.pattern.test(char));
+    if (!match) continue;
+    letters++;
+    counts.set(match, (counts.get(match) || 0) + 1);
+  }
+  if (!letters) return null;
+  const [script, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return { ...script, share: count / letters, letters };
 }
 
-module.exports = { detectLanguage };
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Identify the language of a message.
+ * @param {string} text
+ * @param {Object} options - { preferredLanguage, minConfidence }
+ * @returns {{ language: string, confidence: number, script: string|null,
+ *   source: 'script'|'ngram'|'preferred'|'default', candidates: Array<{ language, confidence }> }}
+ *   confidence is for the detected candidate, even when the preferred language was used
+ */
+function identifyLanguage(text = '', options = {}) {
+  const minConfidence = options.minConfidence ?? (parseFloat(process.env.LANG_DETECT_MIN_CONFIDENCE) || 0.5);
+  const fallback = options.preferredLanguage || DEFAULT_LANGUAGE;
+  const normalized = normalize(text);
+  const script = dominantScript(normalized);
+
+  let candidates = [];
+  let source = 'script';
+  if (script && script.languages.length === 1) {
+    candidates = [{ language: script.languages[0], confidence: script.share }];
+  } else if (script && script.letters >= 2) {
+    // Only the letters of the dominant script are scored ("task" inside Hindi text is noise)
+    const own = normalized.split(' ').filter(word => [...word].some(char => script.pattern.test(char))).join(' ');
+    candidates = classify(MODELS[script.script], features(own))
+      .map(c => ({ language: c.language, confidence: c.confidence * script.share }));
+    source = 'ngram';
+  }
+
+  const best = candidates[0];
+  const result = {
+    script: script ? script.script : null,
+    candidates: candidates.slice(0, 3).map(c => ({ language: c.language, confidence: round(c.confidence) }))
+  };
+  if (best && best.confidence >= minConfidence) {
+    return { language: best.language, confidence: round(best.confidence), source, ...result };
+  }
+  return {
+    language: fallback,
+    confidence: best ? round(best.confidence) : 0,
+    source: options.preferredLanguage ? 'preferred' : 'default',
+    ...result
+  };
+}
+
+/**
+ * Language code for a message (see identifyLanguage)
+ * @param {string} text
+ * @param {Object} options - { preferredLanguage, minConfidence }
+ */
+function detectLanguage(text = '', options = {}) {
+  return identifyLanguage(text, options).language;
+}
 
+module.exports = { detectLanguage, identifyLanguage, SUPPORTED_LANGUAGES };
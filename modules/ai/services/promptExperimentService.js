@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * Prompt Experiment Service
+ *
+ * A/B tests prompt variants per intent + language (migration 008):
+ * - every subject (phone number or user id) is bucketed deterministically
+ *   onto one active variant, so a user keeps seeing the same prompt
+ * - outcomes are recorded per variant; the leader is compared with the
+ *   runner-up using a two-proportion z-test
+ * - once both have PROMPT_EXPERIMENT_MIN_SAMPLES (30) results and the
+ *   confidence reaches PROMPT_EXPERIMENT_CONFIDENCE (0.95), the leader is
+ *   promoted to winner and receives all traffic. Admins can promote earlier.
+ * Falls back to in-memory rows when no database is available.
+ */
+
+const STATUS = { active: 'active', winner: 'winner', retired: 'retired' };
+const FALLBACK_LANGUAGE = 'en';
+
+// Seeded in migration 008 as well
+const DEFAULT_VARIANTS = [
+  { intent: 'create_task', language: 'en', version: 1, prompt_text: 'You are an AI assistant helping users with create_task. Be clear and helpful.' },
+  { intent: 'create_task', language: 'en', version: 2, prompt_text: 'You are an AI assistant helping users with create_task. Be clear, helpful, and ask for missing information when needed.' },
+  { intent: 'assign_task', language: 'en', version: 1, prompt_text: 'You are an AI assistant helping users with assign_task. Be clear and helpful.' },
+  { intent: 'assign_task', language: 'en', version: 2, prompt_text: 'You are an AI assistant helping users with assign_task. Be clear, helpful, and consider workload and skills.' }
+];
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ */
+function experimentError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test
+ * @returns {{ z: number, pValue: number, confidence: number }}
+ */
+function twoProportionTest(successA, totalA, successB, totalB) {
+  if (!totalA || !totalB) return { z: 0, pValue: 1, confidence: 0 };
+  const pooled = (successA + successB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (se === 0) return { z: 0, pValue: 1, confidence: 0 };
+  const z = (successA / totalA - successB / totalB) / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return { z, pValue, confidence: Math.max(0, 1 - pValue) };
+}
+
+/**
+ * Stable bucket in [0, buckets) for a subject within one experiment
+ */
+function bucketFor(subjectKey, intent, language, buckets) {
+  const digest = crypto.createHash('sha256').update(`${intent}:${language}:${subjectKey}`).digest();
+  return digest.readUInt32BE(0) % buckets;
+}
+
+// "+91 98000 00010" and "919800000010" bucket the same way
+const subjectKeyOf = (subject) => String(subject ?? '').replace(/[\s+\-()]/g, '');
+
+/**
+ * Map a prompt_variants row to the API shape
+ */
+function toVariant(row) {
+  const testCount = Number(row.test_count) || 0;
+  const successCount = Number(row.success_count) || 0;
+  return {
+    id: Number(row.id),
+    intent: row.intent,
+    language: row.language,
+    version: Number(row.version),
+    prompt_text: row.prompt_text,
+    status: row.status,
+    is_active: row.status !== STATUS.retired,
+    success_count: successCount,
+    test_count: testCount,
+    success_rate: testCount ? round(successCount / testCount) : 0,
+    promoted_at: row.promoted_at ? new Date(row.promoted_at).toISOString() : null,
+    promoted_by: row.promoted_by || null
+  };
+}
+
+class PromptExperimentService {
+  constructor({ database, logger, minSamples, confidenceThreshold } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.minSamples = minSamples || parseInt(process.env.PROMPT_EXPERIMENT_MIN_SAMPLES) || 30;
+    this.confidenceThreshold = confidenceThreshold || parseFloat(process.env.PROMPT_EXPERIMENT_CONFIDENCE) || 0.95;
+
+    // In-memory rows for mock-safe mode, same columns as prompt_variants / prompt_test_results
+    this.variantMem = [];
+    this.resultMem = [];
+    this.nextVariantId = 1;
+    this.nextResultId = 1;
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. PromptExperimentService running in in-memory mode.');
+      const now = new Date();
+      for (const variant of DEFAULT_VARIANTS) {
+        this.variantMem.push(this.memVariant({ ...variant, created_at: now }));
+      }
+    }
+  }
+
+  memVariant(fields) {
+    const now = new Date();
+    return {
+      id: this.nextVariantId++,
+      status: STATUS.active,
+      test_count: 0,
+      success_count: 0,
+      promoted_at: null,
+      promoted_by: null,
+      created_by: null,
+      created_at: now,
+      updated_at: now,
+      ...fields
+    };
+  }
+
+  // Variants
+
+  async loadVariants(intent, language) {
+    if (this.isMockDb) {
+      return this.variantMem
+        .filter(v => (!intent || v.intent === intent) && (!language || v.language === language))
+        .sort((a, b) => a.intent.localeCompare(b.intent) || a.language.localeCompare(b.language) || a.version - b.version);
+    }
+    const conditions = [];
+    const values = [];
+    if (intent) {
+      values.push(intent);
+      conditions.push(`intent = $${values.length}`);
+    }
+    if (language) {
+      values.push(language);
+      conditions.push(`language = $${values.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await this.database.query(
+      `SELECT * FROM prompt_variants ${where} ORDER BY intent, language, version`,
+      values
+    );
+    return result.rows;
+  }
+
+  async loadVariant(id) {
+    const numericId = parseInt(id);
+    if (!Number.isInteger(numericId)) return null;
+    if (this.isMockDb) {
+      return this.variantMem.find(v => v.id === numericId) || null;
+    }
+    const result = await this.database.query('SELECT * FROM prompt_variants WHERE id = $1', [numericId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * All variants of an experiment, oldest version first
+   */
+  async listVariants(intent, language) {
+    return (await this.loadVariants(intent, language)).map(toVariant);
+  }
+
+  /**
+   * Add a variant to an experiment as the next version
+   */
+  async createVariant({ intent, language = FALLBACK_LANGUAGE, promptText, createdBy = null }) {
+    if (!intent || !promptText) {
+      throw experimentError('intent and prompt_text are required', 400);
+    }
+
+    if (this.isMockDb) {
+      const versions = this.variantMem.filter(v => v.intent === intent && v.language === language).map(v => v.version);
+      const row = this.memVariant({
+        intent,
+        language,
+        version: Math.max(0, ...versions) + 1,
+        prompt_text: promptText,
+        created_by: createdBy
+      });
+      this.variantMem.push(row);
+      return toVariant(row);
+    }
+
+    const result = await this.database.query(
+      `INSERT INTO prompt_variants (intent, language, version, prompt_text, created_by)
+       SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4
+       FROM prompt_variants WHERE intent = $1 AND language = $2
+       RETURNING *`,
+      [intent, language, promptText, createdBy]
+    );
+    return toVariant(result.rows[0]);
+  }
+
+  /**
+   * Pick the variant a subject sees. A promoted winner takes all traffic;
+   * otherwise the subject is hashed onto one of the active variants. Languages
+   * without variants fall back to English.
+   * @returns {Promise<Object|null>} null when the intent has no variants
+   */
+  async assignVariant(intent, language, subject) {
+    let rows = await this.loadVariants(intent, language);
+    if (rows.length === 0 && language !== FALLBACK_LANGUAGE) {
+      rows = await this.loadVariants(intent, FALLBACK_LANGUAGE);
+    }
+
+    const winner = rows.find(r => r.status === STATUS.winner);
+    if (winner) return toVariant(winner);
+
+    const active = rows.filter(r => r.status === STATUS.active);
+    if (active.length === 0) return null;
+    const key = subjectKeyOf(subject);
+    // Without a subject there is nothing to keep stable; serve the baseline
+    const index = key ? bucketFor(key, intent, active[0].language, active.length) : 0;
+    return toVariant(active[index]);
+  }
+
+  // Outcomes
+
+  /**
+   * Record whether a variant's reply worked, then check for a winner.
+   * Only active variants of an undecided experiment take results (409 otherwise).
+   * @returns {Promise<{ variant: Object, promoted: Object|null }>}
+   */
+  async recordResult({ variantId, intent, language, wasSuccessful, confidenceScore = null, subject = null }) {
+    const row = await this.loadVariant(variantId);
+    if (!row) throw experimentError('Prompt variant not found', 404);
+    if ((intent && row.intent !== intent) || (language && row.language !== language)) {
+      throw experimentError('Variant does not belong to this intent and language', 400);
+    }
+    const closed = () => experimentError('This experiment is decided or the variant was retired; results are no longer recorded', 409);
+    if (row.status !== STATUS.active) throw closed();
+    if ((await this.loadVariants(row.intent, row.language)).some(v => v.status === STATUS.winner)) throw closed();
+
+    const success = wasSuccessful === true || wasSuccessful === 'true';
+    const score = confidenceScore === null || confidenceScore === undefined ? null : Number(confidenceScore);
+    const subjectKey = subject ? subjectKeyOf(subject) : null;
+    let updated;
+
+    if (this.isMockDb) {
+      this.resultMem.push({
+        id: this.nextResultId++,
+        variant_id: row.id,
+        subject_key: subjectKey,
+        was_successful: success,
+        confidence_score: Number.isFinite(score) ? score : null,
+        created_at: new Date()
+      });
+      row.test_count += 1;
+      row.success_count += success ? 1 : 0;
+      row.updated_at = new Date();
+      updated = row;
+    } else {
+      // The status checks are repeated here, so a promotion in between is not counted into
+      const result = await this.database.query(
+        `WITH counted AS (
+           UPDATE prompt_variants v
+           SET test_count = test_count + 1, success_count = success_count + $5, updated_at = NOW()
+           WHERE v.id = $1 AND v.status = 'active' AND NOT EXISTS (
+             SELECT 1 FROM prompt_variants w WHERE w.intent = v.intent AND w.language = v.language AND w.status = 'winner'
+           )
+           RETURNING v.*
+         ), logged AS (
+           INSERT INTO prompt_test_results (variant_id, subject_key, was_successful, confidence_score)
+           SELECT id, $2, $3, $4 FROM counted
+         )
+         SELECT * FROM counted`,
+        [row.id, subjectKey, success, Number.isFinite(score) ? score : null, success ? 1 : 0]
+      );
+      updated = result.rows[0];
+      if (!updated) throw closed();
+    }
+
+    const promoted = await this.autoPromote(updated.intent, updated.language);
+    // Promotion changes statuses within the experiment, so re-read the variant
+    const variant = promoted ? await this.loadVariant(row.id) : updated;
+    return { variant: toVariant(variant), promoted };
+  }
+
+  // Significance and promotion
+
+  /**
+   * Summarise one experiment: per-variant success rates, the current leader
+   * and how confident we are that it beats the runner-up
+   */
+  summarize(intent, language, rows) {
+    const variants = rows.map(toVariant);
+    const winner = variants.find(v => v.status === STATUS.winner) || null;
+    // Retired variants stay in the comparison so a decided experiment still reports its margin
+    const ranked = [...variants].sort((a, b) => b.success_rate - a.success_rate || b.test_count - a.test_count);
+    const [leader, runnerUp] = ranked;
+    const test = leader && runnerUp
+      ? twoProportionTest(leader.success_count, leader.test_count, runnerUp.success_count, runnerUp.test_count)
+      : { z: 0, pValue: 1, confidence: 0 };
+    const sampled = Boolean(leader && runnerUp) &&
+      leader.test_count >= this.minSamples && runnerUp.test_count >= this.minSamples;
+
+    return {
+      intent,
+      language,
+      status: winner ? 'decided' : 'running',
+      variants,
+      leader: leader ? leader.version : null,
+      winner: winner ? winner.version : null,
+      confidence_level: round(test.confidence),
+      p_value: round(test.pValue),
+      significant: sampled && test.confidence >= this.confidenceThreshold,
+      total_tests: variants.reduce((sum, v) => sum + v.test_count, 0),
+      min_samples: this.minSamples
+    };
+  }
+
+  async getExperiment(intent, language) {
+    const rows = await this.loadVariants(intent, language);
+    if (rows.length === 0) return null;
+    return this.summarize(intent, language, rows);
+  }
+
+  /**
+   * Promote the leader when the result is significant
+   * @returns {Promise<Object|null>} The promoted variant, or null
+   */
+  async autoPromote(intent, language) {
+    const experiment = await this.getExperiment(intent, language);
+    if (!experiment || experiment.status === 'decided' || !experiment.significant) return null;
+
+    const leader = experiment.variants.find(v => v.version === experiment.leader);
+    this.logger.info('Promoting prompt variant after significant result', {
+      intent,
+      language,
+      version: leader.version,
+      confidence: experiment.confidence_level
+    });
+    return this.promote(leader.id, 'auto');
+  }
+
+  /**
+   * Make a variant the winner of its experiment; the other variants are retired
+   */
+  async promote(variantId, promotedBy = null) {
+    const row = await this.loadVariant(variantId);
+    if (!row) throw experimentError('Prompt variant not found', 404);
+
+    if (this.isMockDb) {
+      const now = new Date();
+      for (const variant of this.variantMem) {
+        if (variant.intent !== row.intent || variant.language !== row.language) continue;
+        if (variant === row) {
+          Object.assign(variant, { status: STATUS.winner, promoted_at: now, promoted_by: promotedBy, updated_at: now });
+        } else if (variant.status !== STATUS.retired) {
+          Object.assign(variant, { status: STATUS.retired, updated_at: now });
+        }
+      }
+      return toVariant(row);
+    }
+
+    const result = await this.database.query(
+      `UPDATE prompt_variants
+       SET status = CASE WHEN id = $1 THEN 'winner' ELSE 'retired' END,
+           promoted_at = CASE WHEN id = $1 THEN NOW() ELSE promoted_at END,
+           promoted_by = CASE WHEN id = $1 THEN $2 ELSE promoted_by END,
+           updated_at = NOW()
+       WHERE intent = $3 AND language = $4 AND (id = $1 OR status <> 'retired')
+       RETURNING *`,
+      [row.id, promotedBy, row.intent, row.language]
+    );
+    return toVariant(result.rows.find(r => Number(r.id) === Number(row.id)));
+  }
+
+  // Reporting
+
+  /**
+   * Every experiment with real success rates and confidence levels
+   */
+  async listExperiments() {
+    const groups = new Map();
+    for (const row of await this.loadVariants()) {
+      const key = `${row.intent}:${row.language}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    const experiments = [...groups.values()].map(rows => this.summarize(rows[0].intent, rows[0].language, rows));
+    const confidences = experiments.map(e => e.confidence_level);
+
+    return {
+      activeExperiments: experiments.filter(e => e.status === 'running').length,
+      experiments,
+      summary: {
+        totalTests: experiments.reduce((sum, e) => sum + e.total_tests, 0),
+        decidedTests: experiments.filter(e => e.status === 'decided').length,
+        averageConfidence: confidences.length ? round(confidences.reduce((a, b) => a + b, 0) / confidences.length) : 0,
+        confidenceThreshold: this.confidenceThreshold,
+        minSamples: this.minSamples
+      }
+    };
+  }
+}
+
+module.exports = PromptExperimentService;
+module.exports.twoProportionTest = twoProportionTest;
+module.exports.bucketFor = bucketFor;
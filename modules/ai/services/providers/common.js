@@ -0,0 +1,79 @@
+/**
+ * Shared pieces for LLM providers: error type, token estimates, timeouts.
+ *
+ * Provider interface:
+ * - complete({ messages, model, maxTokens, temperature, signal }) → { text, model, provider, usage, finishReason }
+ * - stream(sameParams) → async iterator of { type: 'delta', text } then one { type: 'done', model, provider, usage, finishReason }
+ * - listModels() → [{ id, provider }]
+ * - isConfigured() / describe()
+ * usage is { promptTokens, completionTokens, totalTokens, estimated }.
+ */
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { provider, status, code, retryable }
+   */
+  constructor(message, { provider, status = 502, code = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Rough count used when a provider does not report usage (≈ 4 characters per token)
+function estimateTokens(text = '') {
+  const length = String(text || '').length;
+  return length === 0 ? 0 : Math.ceil(length / 4);
+}
+
+function estimateUsage(messages = [], completion = '') {
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+  const completionTokens = estimateTokens(completion);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+/**
+ * AbortController that fires after timeoutMs of inactivity or when the caller's signal aborts.
+ * Call touch() to restart the timer (e.g. on each streamed chunk) and done() to clean up.
+ */
+function createDeadline(timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  let timer = null;
+  let timedOut = false;
+
+  const touch = () => {
+    if (timer) clearTimeout(timer);
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+      if (timer.unref) timer.unref();
+    }
+  };
+  const onParentAbort = () => controller.abort();
+
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  }
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    get timedOut() { return timedOut; },
+    done() {
+      if (timer) clearTimeout(timer);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  };
+}
+
+module.exports = {
+  ProviderError,
+  estimateTokens,
+  estimateUsage,
+  createDeadline
+};
@@ -0,0 +1,75 @@
+const StubProvider = require('./stubProvider');
+const OpenAICompatibleProvider = require('./openaiProvider');
+const ProviderChain = require('./providerChain');
+const { ProviderError, estimateTokens, estimateUsage } = require('./common');
+
+/**
+ * Build a provider by name from environment settings.
+ * - stub:   deterministic local replies (default when no API key is set)
+ * - openai: OPENAI_API_KEY, OPENAI_BASE_URL, AI_MODEL
+ * - other:  any OpenAI-compatible server via AI_<NAME>_BASE_URL, AI_<NAME>_API_KEY, AI_<NAME>_MODEL
+ * @param {string} name
+ * @param {Object} env
+ */
+function createProvider(name, env = process.env) {
+  const key = String(name || '').trim().toLowerCase();
+  const timeoutMs = Number(env.AI_TIMEOUT_MS) || undefined;
+
+  if (key === 'stub') {
+    return new StubProvider({ model: env.AI_STUB_MODEL });
+  }
+  if (key === 'openai') {
+    return new OpenAICompatibleProvider({
+      name: 'openai',
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: env.OPENAI_API_KEY,
+      model: env.AI_MODEL || env.OPENAI_MODEL,
+      timeoutMs
+    });
+  }
+
+  const prefix = `AI_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  return new OpenAICompatibleProvider({
+    name: key,
+    baseUrl: env[`${prefix}BASE_URL`],
+    apiKey: env[`${prefix}API_KEY`],
+    model: env[`${prefix}MODEL`] || env.AI_MODEL,
+    timeoutMs,
+    // Self-hosted servers usually do not need a key
+    requiresKey: false
+  });
+}
+
+/**
+ * Provider (or fallback chain) selected by AI_PROVIDER and AI_FALLBACK_PROVIDERS.
+ * Providers that are not configured are skipped; if none are left the stub is used.
+ * @param {Object} env
+ * @param {Object} logger
+ */
+function createProviderFromEnv(env = process.env, logger = null) {
+  const primary = env.AI_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'stub');
+  const fallbacks = String(env.AI_FALLBACK_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const names = [...new Set([primary, ...fallbacks].map(n => n.toLowerCase()))];
+
+  const providers = names
+    .map(name => createProvider(name, env))
+    .filter(provider => {
+      if (provider.isConfigured()) return true;
+      logger?.warn?.(`AI provider ${provider.name} is not configured; skipping`);
+      return false;
+    });
+
+  if (providers.length === 0) providers.push(new StubProvider());
+  return providers.length === 1 ? providers[0] : new ProviderChain(providers, { logger });
+}
+
+module.exports = {
+  createProvider,
+  createProviderFromEnv,
+  StubProvider,
+  OpenAICompatibleProvider,
+  ProviderChain,
+  ProviderError,
+  estimateTokens,
+  estimateUsage
+};
@@ -0,0 +1,185 @@
+const axios = require('axios');
+const { ProviderError, estimateUsage, createDeadline } = require('./common');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Provider for OpenAI-compatible /chat/completions APIs (OpenAI, Azure-style
+ * gateways, vLLM, Ollama, LM Studio, ...).
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - { name, baseUrl, apiKey, model, timeoutMs, requiresKey, http }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || 'gpt-4o-mini';
+    this.timeoutMs = Number(options.timeoutMs) || DEFAULT_TIMEOUT_MS;
+    this.requiresKey = options.requiresKey !== undefined ? options.requiresKey : true;
+    this.http = options.http || axios;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl) && (!this.requiresKey || Boolean(this.apiKey));
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: 'openai-compatible',
+      model: this.model,
+      baseUrl: this.baseUrl,
+      configured: this.isConfigured()
+    };
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  body({ messages, model, maxTokens, temperature }, stream) {
+    const body = { model: model || this.model, messages, stream };
+    if (maxTokens) body.max_tokens = maxTokens;
+    if (temperature !== undefined) body.temperature = temperature;
+    if (stream) body.stream_options = { include_usage: true };
+    return body;
+  }
+
+  toProviderError(error, deadline) {
+    if (error instanceof ProviderError) return error;
+    if (deadline?.timedOut) {
+      return new ProviderError(`${this.name} timed out after ${this.timeoutMs}ms`, {
+        provider: this.name, status: 504, code: 'TIMEOUT', retryable: true
+      });
+    }
+    if (axios.isCancel(error) || error.name === 'CanceledError' || error.name === 'AbortError') {
+      return new ProviderError('Request aborted', { provider: this.name, status: 499, code: 'ABORTED' });
+    }
+
+    const status = error.response?.status;
+    if (status) {
+      const detail = error.response.data?.error?.message || error.message;
+      return new ProviderError(`${this.name} returned ${status}: ${detail}`, {
+        provider: this.name,
+        status: status === 429 ? 429 : 502,
+        code: `HTTP_${status}`,
+        retryable: status === 429 || status >= 500
+      });
+    }
+    // No response at all: connection refused, DNS, reset
+    return new ProviderError(`${this.name} unreachable: ${error.message}`, {
+      provider: this.name, status: 502, code: error.code || 'NETWORK', retryable: true
+    });
+  }
+
+  normalizeUsage(usage, messages, text) {
+    if (!usage) return estimateUsage(messages, text);
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      estimated: false
+    };
+  }
+
+  async complete(params = {}) {
+    const deadline = createDeadline(this.timeoutMs, params.signal);
+    try {
+      const response = await this.http.post(`${this.baseUrl}/chat/completions`, this.body(params, false), {
+        headers: this.headers(),
+        signal: deadline.signal
+      });
+      const data = response.data || {};
+      const choice = data.choices?.[0] || {};
+      const text = choice.message?.content || '';
+      return {
+        text,
+        model: data.model || params.model || this.model,
+        provider: this.name,
+        usage: this.normalizeUsage(data.usage, params.messages || [], text),
+        finishReason: choice.finish_reason || 'stop'
+      };
+    } catch (error) {
+      throw this.toProviderError(error, deadline);
+    } finally {
+      deadline.done();
+    }
+  }
+
+  /**
+   * Stream a completion. The timeout applies to the wait for each chunk,
+   * so long answers are fine as long as tokens keep arriving.
+   */
+  async *stream(params = {}) {
+    const deadline = createDeadline(this.timeoutMs, params.signal);
+    const messages = params.messages || [];
+    let model = params.model || this.model;
+    let usage = null;
+    let finishReason = 'stop';
+    let text = '';
+
+    try {
+      const response = await this.http.post(`${this.baseUrl}/chat/completions`, this.body(params, true), {
+        headers: this.headers(),
+        responseType: 'stream',
+        signal: deadline.signal
+      });
+
+      let buffer = '';
+      for await (const raw of response.data) {
+        deadline.touch();
+        buffer += raw.toString('utf8');
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') continue;
+
+          let chunk;
+          try {
+            chunk = JSON.parse(payload);
+          } catch (_) {
+            continue;
+          }
+          if (chunk.model) model = chunk.model;
+          if (chunk.usage) usage = chunk.usage;
+          const choice = chunk.choices?.[0];
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          const delta = choice?.delta?.content;
+          if (delta) {
+            text += delta;
+            yield { type: 'delta', text: delta };
+          }
+        }
+      }
+    } catch (error) {
+      throw this.toProviderError(error, deadline);
+    } finally {
+      deadline.done();
+    }
+
+    yield { type: 'done', model, provider: this.name, usage: this.normalizeUsage(usage, messages, text), finishReason };
+  }
+
+  async listModels() {
+    const deadline = createDeadline(this.timeoutMs);
+    try {
+      const response = await this.http.get(`${this.baseUrl}/models`, { headers: this.headers(), signal: deadline.signal });
+      return (response.data?.data || []).map(m => ({ id: m.id, provider: this.name, ownedBy: m.owned_by || null }));
+    } catch (error) {
+      throw this.toProviderError(error, deadline);
+    } finally {
+      deadline.done();
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,77 @@
+/**
+ * Tries providers in order, moving on when one fails with a retryable error
+ * (timeout, network, 429, 5xx). Streams only fall back before the first
+ * chunk has been sent; after that the error is passed to the caller.
+ */
+class ProviderChain {
+  constructor(providers, { logger } = {}) {
+    if (!providers || providers.length === 0) throw new Error('ProviderChain needs at least one provider');
+    this.providers = providers;
+    this.logger = logger || null;
+    this.name = providers[0].name;
+    this.model = providers[0].model;
+  }
+
+  isConfigured() {
+    return this.providers.some(p => p.isConfigured());
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: 'chain',
+      model: this.model,
+      configured: this.isConfigured(),
+      providers: this.providers.map(p => p.describe())
+    };
+  }
+
+  canFallBack(error, index) {
+    return Boolean(error && error.retryable) && index < this.providers.length - 1;
+  }
+
+  logFallback(provider, error) {
+    this.logger?.warn?.(`AI provider ${provider.name} failed (${error.message}); trying next provider`);
+  }
+
+  async complete(params = {}) {
+    const fallbackFrom = [];
+    for (let i = 0; i < this.providers.length; i++) {
+      const provider = this.providers[i];
+      try {
+        const result = await provider.complete(params);
+        return fallbackFrom.length ? { ...result, fallbackFrom } : result;
+      } catch (error) {
+        if (!this.canFallBack(error, i)) throw error;
+        this.logFallback(provider, error);
+        fallbackFrom.push(provider.name);
+      }
+    }
+  }
+
+  async *stream(params = {}) {
+    const fallbackFrom = [];
+    for (let i = 0; i < this.providers.length; i++) {
+      const provider = this.providers[i];
+      let started = false;
+      try {
+        for await (const event of provider.stream(params)) {
+          started = true;
+          yield event.type === 'done' && fallbackFrom.length ? { ...event, fallbackFrom } : event;
+        }
+        return;
+      } catch (error) {
+        if (started || !this.canFallBack(error, i)) throw error;
+        this.logFallback(provider, error);
+        fallbackFrom.push(provider.name);
+      }
+    }
+  }
+
+  async listModels() {
+    const lists = await Promise.all(this.providers.map(p => p.listModels().catch(() => [{ id: p.model, provider: p.name }])));
+    return lists.flat();
+  }
+}
+
+module.exports = ProviderChain;
@@ -0,0 +1,101 @@
+const { ProviderError, estimateUsage } = require('./common');
+
+/**
+ * Deterministic local provider for tests and offline development.
+ * Replies are derived from the last user message, so the same input always
+ * gives the same output. failNext() makes the next calls fail, to exercise
+ * fallback chains and error handling.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'stub';
+    this.model = options.model || 'stub-1';
+    this.latencyMs = options.latencyMs || 0;
+    this.responder = options.responder || null;
+    this.failures = [];
+    this.calls = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return { name: this.name, type: 'stub', model: this.model, configured: true };
+  }
+
+  /**
+   * Make the next `count` calls fail
+   * @param {number} count
+   * @param {number} status - HTTP-like status; 429/5xx are retryable
+   */
+  failNext(count = 1, status = 503, message = 'Stub provider failure') {
+    for (let i = 0; i < count; i++) this.failures.push({ status, message });
+  }
+
+  reply(messages) {
+    if (this.responder) return String(this.responder(messages));
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    return `[${this.model}] ${String(lastUser?.content || '').trim()}`;
+  }
+
+  async wait(signal) {
+    if (!this.latencyMs) return;
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, this.latencyMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ProviderError('Request aborted', { provider: this.name, status: 499, code: 'ABORTED' }));
+      }, { once: true });
+    });
+  }
+
+  checkFailure() {
+    this.calls++;
+    const failure = this.failures.shift();
+    if (failure) {
+      throw new ProviderError(failure.message, {
+        provider: this.name,
+        status: failure.status,
+        retryable: failure.status === 429 || failure.status >= 500
+      });
+    }
+  }
+
+  async complete({ messages = [], model, signal } = {}) {
+    this.checkFailure();
+    await this.wait(signal);
+    const text = this.reply(messages);
+    return {
+      text,
+      model: model || this.model,
+      provider: this.name,
+      usage: { ...estimateUsage(messages, text), estimated: false },
+      finishReason: 'stop'
+    };
+  }
+
+  async *stream({ messages = [], model, signal } = {}) {
+    this.checkFailure();
+    const text = this.reply(messages);
+    // Word-sized chunks, keeping the separating spaces
+    for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+      await this.wait(signal);
+      if (signal?.aborted) throw new ProviderError('Request aborted', { provider: this.name, status: 499, code: 'ABORTED' });
+      yield { type: 'delta', text: chunk };
+    }
+    yield {
+      type: 'done',
+      model: model || this.model,
+      provider: this.name,
+      usage: { ...estimateUsage(messages, text), estimated: false },
+      finishReason: 'stop'
+    };
+  }
+
+  async listModels() {
+    return [{ id: this.model, provider: this.name }];
+  }
+}
+
+module.exports = StubProvider;
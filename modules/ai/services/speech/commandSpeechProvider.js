@@ -0,0 +1,92 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { ProviderError } = require('../providers/common');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const EXTENSIONS = { 'audio/ogg': '.ogg', 'audio/mpeg': '.mp3', 'audio/mp4': '.m4a', 'audio/aac': '.aac', 'audio/amr': '.amr', 'audio/wav': '.wav' };
+
+/**
+ * Offline speech-to-text through a local command (whisper.cpp, vosk, a wrapper script, ...).
+ * The audio is written to a temporary file and STT_COMMAND is run with
+ * {file} and {language} replaced, e.g.
+ *   STT_COMMAND="whisper-cli -m /models/ggml-base.bin -nt -l {language} -f {file}"
+ * stdout is the transcript. A command may instead print JSON
+ * { text, confidence, language } to report its confidence.
+ */
+class CommandSpeechProvider {
+  /**
+   * @param {Object} options - { name, command, timeoutMs, run }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'command';
+    this.command = String(options.command || '').trim();
+    this.timeoutMs = Number(options.timeoutMs) || DEFAULT_TIMEOUT_MS;
+    this.run = options.run || runCommand;
+  }
+
+  isConfigured() {
+    return Boolean(this.command);
+  }
+
+  describe() {
+    return { name: this.name, type: 'command', model: this.command.split(/\s+/)[0] || null, configured: this.isConfigured() };
+  }
+
+  async transcribe({ audio, mimeType = null, language = null } = {}) {
+    if (!this.isConfigured()) {
+      throw new ProviderError('STT_COMMAND is not set', { provider: this.name, status: 503, code: 'NOT_CONFIGURED' });
+    }
+
+    const extension = EXTENSIONS[String(mimeType || '').split(';')[0].trim()] || '.audio';
+    const file = path.join(os.tmpdir(), `voice-${crypto.randomUUID()}${extension}`);
+    await fs.writeFile(file, audio);
+    try {
+      const [program, ...args] = this.command.split(/\s+/)
+        .map(part => part.replace('{file}', file).replace('{language}', language || 'auto'));
+      const stdout = await this.run(program, args, this.timeoutMs);
+      return this.parse(stdout, language);
+    } catch (error) {
+      if (error instanceof ProviderError) throw error;
+      throw new ProviderError(`${this.name} failed: ${error.message}`, {
+        provider: this.name,
+        status: error.killed ? 504 : 502,
+        code: error.killed ? 'TIMEOUT' : 'COMMAND_FAILED'
+      });
+    } finally {
+      await fs.rm(file, { force: true });
+    }
+  }
+
+  parse(stdout, language) {
+    const output = String(stdout || '').trim();
+    if (output.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(output);
+        return {
+          text: String(parsed.text || '').trim(),
+          confidence: typeof parsed.confidence === 'number' ? parsed.confidence : null,
+          language: parsed.language || language || null,
+          provider: this.name,
+          model: this.describe().model
+        };
+      } catch (_) {
+        // Not JSON after all; use the raw output
+      }
+    }
+    return { text: output, confidence: null, language: language || null, provider: this.name, model: this.describe().model };
+  }
+}
+
+function runCommand(program, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    execFile(program, args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+      if (error) return reject(error);
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = CommandSpeechProvider;
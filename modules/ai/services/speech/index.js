@@ -0,0 +1,73 @@
+const StubSpeechProvider = require('./stubSpeechProvider');
+const CommandSpeechProvider = require('./commandSpeechProvider');
+const OpenAISpeechProvider = require('./openaiSpeechProvider');
+
+/**
+ * Speech-to-text providers for voice notes.
+ *
+ * Provider interface:
+ * - transcribe({ audio: Buffer, mimeType, language, signal }) → { text, confidence, language, provider, model }
+ *   confidence is 0-1, or null when the engine does not report one
+ * - isConfigured() / describe()
+ */
+
+/**
+ * Build a speech provider by name from environment settings.
+ * - stub:    deterministic local transcripts (the default); STT_STUB_TRANSCRIPT
+ * - command: offline local engine run per voice note; STT_COMMAND, STT_TIMEOUT_MS
+ * - openai:  OPENAI_API_KEY, OPENAI_BASE_URL, STT_MODEL
+ * - other:   any OpenAI-compatible server via STT_<NAME>_BASE_URL, STT_<NAME>_API_KEY, STT_<NAME>_MODEL
+ * @param {string} name
+ * @param {Object} env
+ */
+function createSpeechProvider(name, env = process.env) {
+  const key = String(name || '').trim().toLowerCase();
+  const timeoutMs = Number(env.STT_TIMEOUT_MS) || undefined;
+
+  if (key === 'stub') {
+    return new StubSpeechProvider({ defaultText: env.STT_STUB_TRANSCRIPT });
+  }
+  if (key === 'command') {
+    return new CommandSpeechProvider({ command: env.STT_COMMAND, timeoutMs });
+  }
+  if (key === 'openai') {
+    return new OpenAISpeechProvider({
+      name: 'openai',
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: env.OPENAI_API_KEY,
+      model: env.STT_MODEL,
+      timeoutMs
+    });
+  }
+
+  const prefix = `STT_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+  return new OpenAISpeechProvider({
+    name: key,
+    baseUrl: env[`${prefix}BASE_URL`],
+    apiKey: env[`${prefix}API_KEY`],
+    model: env[`${prefix}MODEL`] || env.STT_MODEL,
+    timeoutMs,
+    requiresKey: false
+  });
+}
+
+/**
+ * Provider selected by STT_PROVIDER (default stub). An unconfigured provider
+ * falls back to the stub so voice notes still get a reply.
+ * @param {Object} env
+ * @param {Object} logger
+ */
+function createSpeechProviderFromEnv(env = process.env, logger = null) {
+  const provider = createSpeechProvider(env.STT_PROVIDER || 'stub', env);
+  if (provider.isConfigured()) return provider;
+  logger?.warn?.(`Speech provider ${provider.name} is not configured; using the stub`);
+  return new StubSpeechProvider({ defaultText: env.STT_STUB_TRANSCRIPT });
+}
+
+module.exports = {
+  createSpeechProvider,
+  createSpeechProviderFromEnv,
+  StubSpeechProvider,
+  CommandSpeechProvider,
+  OpenAISpeechProvider
+};
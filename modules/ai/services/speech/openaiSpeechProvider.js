@@ -0,0 +1,74 @@
+const axios = require('axios');
+const { ProviderError } = require('../providers/common');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Speech-to-text through an OpenAI-compatible /audio/transcriptions endpoint
+ * (OpenAI Whisper, or a self-hosted faster-whisper / LocalAI server).
+ * Confidence is the mean per-segment probability from verbose_json output.
+ */
+class OpenAISpeechProvider {
+  /**
+   * @param {Object} options - { name, baseUrl, apiKey, model, timeoutMs, requiresKey, http }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || 'whisper-1';
+    this.timeoutMs = Number(options.timeoutMs) || DEFAULT_TIMEOUT_MS;
+    this.requiresKey = options.requiresKey !== undefined ? options.requiresKey : true;
+    this.http = options.http || axios;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl) && (!this.requiresKey || Boolean(this.apiKey));
+  }
+
+  describe() {
+    return { name: this.name, type: 'openai-compatible', model: this.model, baseUrl: this.baseUrl, configured: this.isConfigured() };
+  }
+
+  async transcribe({ audio, mimeType = 'audio/ogg', language = null, signal } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType || 'application/octet-stream' }), 'voice-note');
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+
+    try {
+      const response = await this.http.post(`${this.baseUrl}/audio/transcriptions`, form, {
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeoutMs,
+        signal
+      });
+      const data = response.data || {};
+      return {
+        text: String(data.text || '').trim(),
+        confidence: segmentConfidence(data.segments),
+        language: data.language || language || null,
+        provider: this.name,
+        model: this.model
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      throw new ProviderError(`${this.name} transcription failed: ${error.response?.data?.error?.message || error.message}`, {
+        provider: this.name,
+        status: status === 429 ? 429 : 502,
+        code: status ? `HTTP_${status}` : (error.code || 'NETWORK'),
+        retryable: !status || status === 429 || status >= 500
+      });
+    }
+  }
+}
+
+// Mean of exp(avg_logprob) over segments, or null when the server gives none
+function segmentConfidence(segments) {
+  const scored = (segments || []).filter(s => typeof s.avg_logprob === 'number');
+  if (scored.length === 0) return null;
+  const mean = scored.reduce((sum, s) => sum + Math.exp(s.avg_logprob), 0) / scored.length;
+  return Math.round(mean * 1000) / 1000;
+}
+
+module.exports = OpenAISpeechProvider;
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic local speech-to-text for tests and offline development.
+ * Audio is matched by SHA-256 against the transcripts given up front;
+ * anything else gets defaultText (STT_STUB_TRANSCRIPT), or an empty
+ * transcript with confidence 0 so callers treat it as not understood.
+ */
+class StubSpeechProvider {
+  /**
+   * @param {Object} options - { name, transcripts: { [sha256]: string | { text, confidence, language } }, defaultText, responder }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'stub';
+    this.model = 'stub-stt';
+    this.transcripts = new Map(Object.entries(options.transcripts || {}));
+    this.defaultText = options.defaultText || '';
+    this.responder = options.responder || null;
+    this.calls = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  describe() {
+    return { name: this.name, type: 'stub', model: this.model, configured: true };
+  }
+
+  /**
+   * Register the transcript returned for some audio bytes
+   * @param {Buffer} audio
+   * @param {string|Object} result - Text, or { text, confidence, language }
+   */
+  addTranscript(audio, result) {
+    this.transcripts.set(crypto.createHash('sha256').update(audio).digest('hex'), result);
+  }
+
+  async transcribe({ audio, language = null } = {}) {
+    this.calls++;
+    const hash = crypto.createHash('sha256').update(audio || Buffer.alloc(0)).digest('hex');
+    let result = this.responder ? this.responder({ audio, language }) : this.transcripts.get(hash);
+    if (result === undefined) result = this.defaultText;
+    if (typeof result === 'string') result = { text: result };
+
+    const text = String(result.text || '').trim();
+    return {
+      text,
+      confidence: result.confidence ?? (text ? 1 : 0),
+      language: result.language || language || null,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = StubSpeechProvider;
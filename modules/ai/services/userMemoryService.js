@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * AI User Memory Service
+ *
+ * Per-phone AI context stored in user_memory (migrations 002/007), keyed by
+ * phone number in user_email:
+ * - role = 'profile': one row; metadata holds preferences and learned patterns
+ * - role = 'interaction' / 'correction': one row per logged event
+ * The retention policy keeps the newest AI_MEMORY_MAX_INTERACTIONS (50) and
+ * AI_MEMORY_MAX_CORRECTIONS (20) rows per phone, and with
+ * AI_MEMORY_RETENTION_DAYS set, sweeps older events. exportUser / purgeUser
+ * cover data-subject requests. Falls back to in-memory rows when no database
+ * is available.
+ */
+
+const PROFILE_FIELDS = [
+  'onboardingStage',
+  'preferredLanguage',
+  'taskPatterns',
+  'projectPreferences',
+  'userPreferences',
+  'learningData',
+  'failedSuggestions'
+];
+
+// Object fields merged key by key on update instead of being replaced
+const MERGED_FIELDS = ['taskPatterns', 'failedSuggestions'];
+
+const EVENT_ROLES = { interaction: 'interaction', correction: 'correction' };
+
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ */
+function memoryError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Phone numbers are stored as digits only, matching WhatsApp sender ids
+function phoneKey(phoneNumber) {
+  const raw = String(phoneNumber || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  return digits || raw;
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+const toJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value || {});
+
+function defaultProfile() {
+  return {
+    onboardingStage: 1,
+    preferredLanguage: 'en',
+    taskPatterns: {},
+    projectPreferences: {},
+    userPreferences: {},
+    learningData: {},
+    failedSuggestions: {}
+  };
+}
+
+/**
+ * Map an interaction/correction row to the API shape: the logged payload plus id and timestamp
+ */
+function toEvent(row) {
+  return {
+    ...toJson(row.metadata),
+    id: row.id,
+    timestamp: new Date(row.created_at).toISOString()
+  };
+}
+
+class UserMemoryService {
+  constructor({ database, logger, retention = {} } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.retention = {
+      maxInteractions: retention.maxInteractions || parseInt(process.env.AI_MEMORY_MAX_INTERACTIONS) || 50,
+      maxCorrections: retention.maxCorrections || parseInt(process.env.AI_MEMORY_MAX_CORRECTIONS) || 20,
+      maxAgeDays: retention.maxAgeDays || parseInt(process.env.AI_MEMORY_RETENTION_DAYS) || null
+    };
+    this.sweepTimer = null;
+
+    // In-memory rows for mock-safe mode, same columns as user_memory
+    this.memRows = [];
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. UserMemoryService running in in-memory mode.');
+    }
+  }
+
+  // Storage primitives
+
+  async loadRows(key, roles) {
+    if (this.isMockDb) {
+      return this.memRows.filter(r => r.user_email === key && roles.includes(r.role));
+    }
+    const result = await this.database.query(
+      `SELECT id, role, message, intent, metadata, created_at, updated_at FROM user_memory
+       WHERE user_email = $1 AND role = ANY($2) ORDER BY created_at, id`,
+      [key, roles]
+    );
+    return result.rows;
+  }
+
+  async saveProfile(key, profile) {
+    const metadata = {};
+    for (const field of PROFILE_FIELDS) metadata[field] = profile[field];
+
+    if (this.isMockDb) {
+      const now = new Date();
+      const row = this.memRows.find(r => r.user_email === key && r.role === 'profile');
+      if (row) {
+        Object.assign(row, { metadata, updated_at: now });
+      } else {
+        this.memRows.push({ id: crypto.randomUUID(), user_email: key, role: 'profile', message: 'profile', intent: null, metadata, created_at: now, updated_at: now });
+      }
+      return;
+    }
+
+    await this.database.query(
+      `INSERT INTO user_memory (user_email, role, message, metadata, updated_at)
+       VALUES ($1, 'profile', 'profile', $2, NOW())
+       ON CONFLICT (user_email) WHERE role = 'profile'
+       DO UPDATE SET metadata = EXCLUDED.metadata, updated_at = NOW()`,
+      [key, JSON.stringify(metadata)]
+    );
+  }
+
+  async insertEvent(key, role, payload) {
+    const message = String(payload.message || payload.userMessage || payload.text || payload.userCorrection || '');
+    const intent = payload.intent ? String(payload.intent).slice(0, 50) : null;
+
+    let row;
+    if (this.isMockDb) {
+      row = { id: crypto.randomUUID(), user_email: key, role, message, intent, metadata: payload, created_at: new Date(), updated_at: new Date() };
+      this.memRows.push(row);
+    } else {
+      const result = await this.database.query(
+        `INSERT INTO user_memory (user_email, role, message, intent, metadata)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [key, role, message, intent, JSON.stringify(payload)]
+      );
+      row = result.rows[0];
+    }
+
+    await this.trim(key, role);
+    return toEvent(row);
+  }
+
+  // Retention: keep only the newest N events of a kind per phone
+  async trim(key, role) {
+    const keep = role === EVENT_ROLES.interaction ? this.retention.maxInteractions : this.retention.maxCorrections;
+
+    if (this.isMockDb) {
+      const rows = this.memRows.filter(r => r.user_email === key && r.role === role);
+      const excess = new Set(rows.slice(0, Math.max(rows.length - keep, 0)));
+      if (excess.size) this.memRows = this.memRows.filter(r => !excess.has(r));
+      return excess.size;
+    }
+
+    const result = await this.database.query(
+      `DELETE FROM user_memory WHERE id IN (
+         SELECT id FROM user_memory WHERE user_email = $1 AND role = $2
+         ORDER BY created_at DESC, id DESC OFFSET $3
+       )`,
+      [key, role, keep]
+    );
+    return result.rowCount || 0;
+  }
+
+  // Context API (the shape served by /api/ai/learning/user-context)
+
+  async buildContext(key, rows) {
+    const profileRow = rows.find(r => r.role === 'profile');
+    const events = rows.filter(r => Object.values(EVENT_ROLES).includes(r.role));
+    const lastEvent = events[events.length - 1];
+    const times = [profileRow?.updated_at, lastEvent?.created_at].filter(Boolean).map(t => new Date(t).getTime());
+
+    return {
+      phoneNumber: key,
+      ...defaultProfile(),
+      ...(profileRow ? toJson(profileRow.metadata) : {}),
+      lastInteractionAt: times.length ? new Date(Math.max(...times)).toISOString() : new Date().toISOString(),
+      aiInteractionHistory: events.filter(r => r.role === EVENT_ROLES.interaction).map(toEvent),
+      correctionHistory: events.filter(r => r.role === EVENT_ROLES.correction).map(toEvent)
+    };
+  }
+
+  /**
+   * Get a user's context, or null when nothing is stored for the phone
+   */
+  async getContext(phoneNumber) {
+    const key = phoneKey(phoneNumber);
+    const rows = await this.loadRows(key, ['profile', EVENT_ROLES.interaction, EVENT_ROLES.correction]);
+    if (!rows.some(r => r.role === 'profile')) return null;
+    return this.buildContext(key, rows);
+  }
+
+  /**
+   * Get a user's context, creating the default profile on first contact
+   */
+  async getOrCreateContext(phoneNumber) {
+    const existing = await this.getContext(phoneNumber);
+    if (existing) return existing;
+    await this.saveProfile(phoneKey(phoneNumber), defaultProfile());
+    return this.getContext(phoneNumber);
+  }
+
+  /**
+   * The language chosen during onboarding, or null when the phone has no profile
+   */
+  async getPreferredLanguage(phoneNumber) {
+    const [profile] = await this.loadRows(phoneKey(phoneNumber), ['profile']);
+    return profile ? toJson(profile.metadata).preferredLanguage || null : null;
+  }
+
+  /**
+   * Apply updates to a context. aiInteractionHistory / correctionHistory
+   * entries are appended as events; taskPatterns and failedSuggestions are
+   * merged; other profile fields are replaced.
+   * @returns {Promise<Object|null>} Updated context, or null when not found
+   */
+  async updateContext(phoneNumber, updates = {}) {
+    const context = await this.getContext(phoneNumber);
+    if (!context) return null;
+    const key = phoneKey(phoneNumber);
+
+    const profile = {};
+    for (const field of PROFILE_FIELDS) {
+      profile[field] = context[field];
+      if (updates[field] === undefined) continue;
+      profile[field] = MERGED_FIELDS.includes(field)
+        ? { ...(context[field] || {}), ...updates[field] }
+        : updates[field];
+    }
+    await this.saveProfile(key, profile);
+
+    for (const interaction of updates.aiInteractionHistory ? toArray(updates.aiInteractionHistory) : []) {
+      await this.insertEvent(key, EVENT_ROLES.interaction, interaction);
+    }
+    for (const correction of updates.correctionHistory ? toArray(updates.correctionHistory) : []) {
+      await this.insertEvent(key, EVENT_ROLES.correction, correction);
+    }
+
+    return this.getContext(phoneNumber);
+  }
+
+  /**
+   * Record an AI interaction
+   * @returns {Promise<Object|null>} Stored interaction, or null when the user is unknown
+   */
+  async logInteraction(phoneNumber, interaction) {
+    const key = phoneKey(phoneNumber);
+    const [profile] = await this.loadRows(key, ['profile']);
+    if (!profile) return null;
+    return this.insertEvent(key, EVENT_ROLES.interaction, interaction);
+  }
+
+  /**
+   * Record a user correction and count the failed suggestion per intent
+   * @returns {Promise<Object|null>} Stored correction, or null when the user is unknown
+   */
+  async logCorrection(phoneNumber, correction) {
+    const key = phoneKey(phoneNumber);
+    const [profileRow] = await this.loadRows(key, ['profile']);
+    if (!profileRow) return null;
+
+    const event = await this.insertEvent(key, EVENT_ROLES.correction, correction);
+    const profile = { ...defaultProfile(), ...toJson(profileRow.metadata) };
+
+    if (correction.intent && correction.originalSuggestion) {
+      const failed = { ...(profile.failedSuggestions || {}) };
+      const list = [...(failed[correction.intent] || [])];
+      const index = list.findIndex(s => s.suggestion === correction.originalSuggestion);
+      const now = new Date().toISOString();
+
+      if (index >= 0) {
+        list[index] = { ...list[index], failureCount: list[index].failureCount + 1, lastFailed: now };
+      } else {
+        list.push({ suggestion: correction.originalSuggestion, failureCount: 1, lastFailed: now, context: correction.context || {} });
+      }
+      failed[correction.intent] = list;
+      profile.failedSuggestions = failed;
+    }
+
+    await this.saveProfile(key, profile);
+    return event;
+  }
+
+  // Data-subject requests
+
+  /**
+   * Everything stored in user_memory for a phone, including conversation sessions
+   * @returns {Promise<Object|null>} null when nothing is stored
+   */
+  async exportUser(phoneNumber) {
+    const key = phoneKey(phoneNumber);
+    let rows;
+    if (this.isMockDb) {
+      rows = this.memRows.filter(r => r.user_email === key);
+    } else {
+      const result = await this.database.query(
+        'SELECT * FROM user_memory WHERE user_email = $1 ORDER BY created_at, id',
+        [key]
+      );
+      rows = result.rows;
+    }
+    if (rows.length === 0) return null;
+
+    return {
+      phoneNumber: key,
+      exportedAt: new Date().toISOString(),
+      context: rows.some(r => r.role === 'profile') ? await this.buildContext(key, rows) : null,
+      records: rows.map(r => ({
+        id: r.id,
+        role: r.role,
+        message: r.message,
+        intent: r.intent || null,
+        metadata: toJson(r.metadata),
+        createdAt: new Date(r.created_at).toISOString(),
+        updatedAt: r.updated_at ? new Date(r.updated_at).toISOString() : null,
+        expiresAt: r.expires_at ? new Date(r.expires_at).toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Delete everything stored in user_memory for a phone
+   * @returns {Promise<number>} Rows deleted
+   */
+  async purgeUser(phoneNumber) {
+    const key = phoneKey(phoneNumber);
+    if (!key) throw memoryError('Phone number is required', 400);
+
+    let deleted;
+    if (this.isMockDb) {
+      const before = this.memRows.length;
+      this.memRows = this.memRows.filter(r => r.user_email !== key);
+      deleted = before - this.memRows.length;
+    } else {
+      const result = await this.database.query('DELETE FROM user_memory WHERE user_email = $1', [key]);
+      deleted = result.rowCount || 0;
+    }
+    this.logger.info('User memory purged', { phoneNumber: key, deleted });
+    return deleted;
+  }
+
+  // Retention sweep
+
+  /**
+   * Delete interactions and corrections older than the configured age
+   * @returns {Promise<number>} Rows deleted
+   */
+  async applyRetention(now = new Date()) {
+    if (!this.retention.maxAgeDays) return 0;
+    const cutoff = new Date(now.getTime() - this.retention.maxAgeDays * 24 * 60 * 60 * 1000);
+    const roles = Object.values(EVENT_ROLES);
+
+    if (this.isMockDb) {
+      const before = this.memRows.length;
+      this.memRows = this.memRows.filter(r => !(roles.includes(r.role) && r.created_at < cutoff));
+      return before - this.memRows.length;
+    }
+
+    const result = await this.database.query(
+      'DELETE FROM user_memory WHERE role = ANY($1) AND created_at < $2',
+      [roles, cutoff]
+    );
+    return result.rowCount || 0;
+  }
+
+  startRetentionSweep(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.sweepTimer || !this.retention.maxAgeDays) return;
+    const sweep = () => this.applyRetention()
+      .then(deleted => deleted && this.logger.info('User memory retention sweep', { deleted }))
+      .catch(error => this.logger.error('User memory retention sweep failed', { error: error.message }));
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+    sweep();
+  }
+
+  async stats() {
+    if (this.isMockDb) {
+      const count = (role) => this.memRows.filter(r => r.role === role).length;
+      return { totalUsers: count('profile'), totalInteractions: count('interaction'), totalCorrections: count('correction') };
+    }
+    const result = await this.database.query(
+      `SELECT COUNT(*) FILTER (WHERE role = 'profile')::int AS users,
+              COUNT(*) FILTER (WHERE role = 'interaction')::int AS interactions,
+              COUNT(*) FILTER (WHERE role = 'correction')::int AS corrections
+       FROM user_memory`
+    );
+    const row = result.rows[0] || {};
+    return { totalUsers: row.users || 0, totalInteractions: row.interactions || 0, totalCorrections: row.corrections || 0 };
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      service: 'UserMemoryService',
+      storage: this.isMockDb ? 'memory' : 'database',
+      retention: this.retention,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  shutdown() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = UserMemoryService;
+module.exports.phoneKey = phoneKey;
@@ -1,14 +1,37 @@
 const express = require('express');
+const { authMiddleware, adminMiddleware } = require('../auth/middleware/auth');
+const { phoneKey } = require('./services/userMemoryService');
 const router = express.Router();
 
-// Mock user memory storage (in production, this would be a database)
-const userMemoryStore = new Map();
+// Durable storage (user_memory table) published by the AI module
+const memoryService = (req) => req.app.locals.userMemoryService;
+
+// Correction-driven intent rules (intent_learning_rules table), when the AI module provides them
+const learningService = (req) => req.app.locals.intentLearningService;
+
+/**
+ * Signed-in users may only use the memory of their own number; admins may use any.
+ * Runs after authMiddleware.
+ * @param {Function} phoneOf - Reads the phone number from the request
+ */
+const ownNumberOrAdmin = (phoneOf) => (req, res, next) => {
+  if (['admin', 'super_admin'].includes(req.user.role)) return next();
+  const phone = phoneOf(req);
+  if (phone && req.user.phone && phoneKey(req.user.phone) === phoneKey(phone)) return next();
+  return res.status(403).json({
+    success: false,
+    error: 'Access to this phone number is not allowed'
+  });
+};
+
+const ownContext = ownNumberOrAdmin(req => req.params.phoneNumber);
+const ownBody = ownNumberOrAdmin(req => req.body?.phoneNumber);
 
 /**
  * GET /api/ai/learning/user-context/:phoneNumber
  * Returns memory context of user by phone number
  */
-router.get('/user-context/:phoneNumber', async (req, res) => {
+router.get('/user-context/:phoneNumber', authMiddleware, ownContext, async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     
@@ -19,27 +42,13 @@ router.get('/user-context/:phoneNumber', async (req, res) => {
       });
     }
 
-    // Get existing user context or create new one
-    let userContext = userMemoryStore.get(phoneNumber);
-    
+    const userContext = await memoryService(req).getContext(phoneNumber);
+
     if (!userContext) {
-      // Initialize new user context
-      userContext = {
-        phoneNumber,
-        onboardingStage: 1,
-        preferredLanguage: 'en',
-        lastInteractionAt: new Date().toISOString(),
-        taskPatterns: {},
-        projectPreferences: {},
-        aiInteractionHistory: [],
-        userPreferences: {},
-        learningData: {},
-        correctionHistory: [],
-        failedSuggestions: {}
-      };
-      
-      // Store the new context
-      userMemoryStore.set(phoneNumber, userContext);
+      return res.status(404).json({
+        success: false,
+        error: 'User context not found'
+      });
     }
 
     res.json({
@@ -58,11 +67,35 @@ router.get('/user-context/:phoneNumber', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai/learning/user-context/:phoneNumber
+ * Creates the default memory context for a phone number; returns the existing one if present
+ */
+router.post('/user-context/:phoneNumber', authMiddleware, ownContext, async (req, res) => {
+  try {
+    const userContext = await memoryService(req).getOrCreateContext(req.params.phoneNumber);
+
+    res.json({
+      success: true,
+      data: userContext,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[User Memory Controller] Error creating user context:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user context',
+      details: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/ai/learning/user-context/:phoneNumber
  * Updates memory context with new preferences, failed suggestions, etc.
  */
-router.put('/user-context/:phoneNumber', async (req, res) => {
+router.put('/user-context/:phoneNumber', authMiddleware, ownContext, async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     const updates = req.body;
@@ -81,64 +114,16 @@ router.put('/user-context/:phoneNumber', async (req, res) => {
       });
     }
 
-    // Get existing user context
-    let userContext = userMemoryStore.get(phoneNumber);
+    // Appends history entries, merges taskPatterns / failedSuggestions, replaces other fields
+    const updatedContext = await memoryService(req).updateContext(phoneNumber, updates);
     
-    if (!userContext) {
+    if (!updatedContext) {
       return res.status(404).json({
         success: false,
         error: 'User context not found'
       });
     }
 
-    // Apply updates
-    const updatedContext = { ...userContext, ...updates };
-    
-    // Handle special cases for arrays and objects
-    if (updates.aiInteractionHistory) {
-      updatedContext.aiInteractionHistory = [
-        ...(userContext.aiInteractionHistory || []),
-        ...(Array.isArray(updates.aiInteractionHistory) ? updates.aiInteractionHistory : [updates.aiInteractionHistory])
-      ];
-      
-      // Keep only last 50 interactions
-      if (updatedContext.aiInteractionHistory.length > 50) {
-        updatedContext.aiInteractionHistory = updatedContext.aiInteractionHistory.slice(-50);
-      }
-    }
-
-    if (updates.correctionHistory) {
-      updatedContext.correctionHistory = [
-        ...(userContext.correctionHistory || []),
-        ...(Array.isArray(updates.correctionHistory) ? updates.correctionHistory : [updates.correctionHistory])
-      ];
-      
-      // Keep only last 20 corrections
-      if (updatedContext.correctionHistory.length > 20) {
-        updatedContext.correctionHistory = updatedContext.correctionHistory.slice(-20);
-      }
-    }
-
-    if (updates.failedSuggestions) {
-      updatedContext.failedSuggestions = {
-        ...(userContext.failedSuggestions || {}),
-        ...updates.failedSuggestions
-      };
-    }
-
-    if (updates.taskPatterns) {
-      updatedContext.taskPatterns = {
-        ...(userContext.taskPatterns || {}),
-        ...updates.taskPatterns
-      };
-    }
-
-    // Update timestamp
-    updatedContext.lastInteractionAt = new Date().toISOString();
-    
-    // Store updated context
-    userMemoryStore.set(phoneNumber, updatedContext);
-
     res.json({
       success: true,
       message: 'User context updated successfully',
@@ -160,7 +145,7 @@ router.put('/user-context/:phoneNumber', async (req, res) => {
  * POST /api/ai/learning/log-interaction
  * Logs a new AI interaction for learning purposes
  */
-router.post('/log-interaction', async (req, res) => {
+router.post('/log-interaction', authMiddleware, ownBody, async (req, res) => {
   try {
     const { phoneNumber, interaction } = req.body;
     
@@ -171,39 +156,16 @@ router.post('/log-interaction', async (req, res) => {
       });
     }
 
-    // Get user context
-    let userContext = userMemoryStore.get(phoneNumber);
+    // Stored as its own row; the retention policy trims old interactions
+    const newInteraction = await memoryService(req).logInteraction(phoneNumber, interaction);
     
-    if (!userContext) {
+    if (!newInteraction) {
       return res.status(404).json({
         success: false,
         error: 'User context not found'
       });
     }
 
-    // Add interaction to history
-    const newInteraction = {
-      ...interaction,
-      timestamp: new Date().toISOString(),
-      id: `interaction_${Date.now()}`
-    };
-
-    userContext.aiInteractionHistory = [
-      ...(userContext.aiInteractionHistory || []),
-      newInteraction
-    ];
-
-    // Keep only last 50 interactions
-    if (userContext.aiInteractionHistory.length > 50) {
-      userContext.aiInteractionHistory = userContext.aiInteractionHistory.slice(-50);
-    }
-
-    // Update last interaction timestamp
-    userContext.lastInteractionAt = new Date().toISOString();
-
-    // Store updated context
-    userMemoryStore.set(phoneNumber, userContext);
-
     res.json({
       success: true,
       message: 'Interaction logged successfully',
@@ -223,9 +185,11 @@ router.post('/log-interaction', async (req, res) => {
 
 /**
  * POST /api/ai/learning/log-correction
- * Logs user corrections for failed AI suggestions
+ * Logs user corrections for failed AI suggestions. When the correction names
+ * correctedIntent / correctedLanguage for the user's message, routing rules
+ * are learned from it (returned as learnedRules).
  */
-router.post('/log-correction', async (req, res) => {
+router.post('/log-correction', authMiddleware, ownBody, async (req, res) => {
   try {
     const { phoneNumber, correction } = req.body;
     
@@ -236,65 +200,25 @@ router.post('/log-correction', async (req, res) => {
       });
     }
 
-    // Get user context
-    let userContext = userMemoryStore.get(phoneNumber);
+    // Stored as its own row; also counts the failed suggestion per intent
+    const newCorrection = await memoryService(req).logCorrection(phoneNumber, correction);
     
-    if (!userContext) {
+    if (!newCorrection) {
       return res.status(404).json({
         success: false,
         error: 'User context not found'
       });
     }
 
-    // Add correction to history
-    const newCorrection = {
-      ...correction,
-      timestamp: new Date().toISOString(),
-      id: `correction_${Date.now()}`
-    };
-
-    userContext.correctionHistory = [
-      ...(userContext.correctionHistory || []),
-      newCorrection
-    ];
-
-    // Keep only last 20 corrections
-    if (userContext.correctionHistory.length > 20) {
-      userContext.correctionHistory = userContext.correctionHistory.slice(-20);
-    }
-
-    // Update failed suggestions tracking
-    if (correction.intent && correction.originalSuggestion) {
-      if (!userContext.failedSuggestions[correction.intent]) {
-        userContext.failedSuggestions[correction.intent] = [];
-      }
-
-      const failedSuggestion = {
-        suggestion: correction.originalSuggestion,
-        failureCount: 1,
-        lastFailed: new Date().toISOString(),
-        context: correction.context || {}
-      };
-
-      // Check if this suggestion already exists
-      const existingIndex = userContext.failedSuggestions[correction.intent]
-        .findIndex(s => s.suggestion === correction.originalSuggestion);
-
-      if (existingIndex >= 0) {
-        userContext.failedSuggestions[correction.intent][existingIndex].failureCount += 1;
-        userContext.failedSuggestions[correction.intent][existingIndex].lastFailed = new Date().toISOString();
-      } else {
-        userContext.failedSuggestions[correction.intent].push(failedSuggestion);
-      }
-    }
-
-    // Store updated context
-    userMemoryStore.set(phoneNumber, userContext);
+    const learned = learningService(req)
+      ? await learningService(req).recordCorrection(phoneNumber, correction)
+      : null;
 
     res.json({
       success: true,
       message: 'Correction logged successfully',
       correctionId: newCorrection.id,
+      learnedRules: learned ? learned.rules : [],
       timestamp: new Date().toISOString()
     });
 
@@ -312,7 +236,7 @@ router.post('/log-correction', async (req, res) => {
  * GET /api/ai/learning/patterns/:phoneNumber
  * Returns learning patterns and insights for a user
  */
-router.get('/patterns/:phoneNumber', async (req, res) => {
+router.get('/patterns/:phoneNumber', authMiddleware, ownContext, async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     
@@ -324,7 +248,7 @@ router.get('/patterns/:phoneNumber', async (req, res) => {
     }
 
     // Get user context
-    const userContext = userMemoryStore.get(phoneNumber);
+    const userContext = await memoryService(req).getContext(phoneNumber);
     
     if (!userContext) {
       return res.status(404).json({
@@ -364,29 +288,165 @@ router.get('/patterns/:phoneNumber', async (req, res) => {
 });
 
 /**
- * GET /api/ai/learning/health
- * Health check endpoint
+ * GET /api/ai/learning/user-context/:phoneNumber/export
+ * Returns everything stored for a phone number (data-subject access request)
+ */
+router.get('/user-context/:phoneNumber/export', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const data = await memoryService(req).exportUser(phoneNumber);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'No stored data for this phone number'
+      });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="user-memory-${data.phoneNumber}.json"`);
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[User Memory Controller] Error exporting user data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export user data',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/ai/learning/user-context/:phoneNumber
+ * Permanently deletes everything stored for a phone number (erasure request)
+ */
+router.delete('/user-context/:phoneNumber', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const deleted = await memoryService(req).purgeUser(phoneNumber);
+    const learningRecords = learningService(req) ? await learningService(req).purgeUser(phoneNumber) : 0;
+
+    // In-memory WhatsApp sessions are not in user_memory when running without a database
+    const sessionCleared = req.app.locals.whatsappSessions
+      ? await req.app.locals.whatsappSessions.clear(phoneNumber.replace(/\D/g, ''))
+      : false;
+
+    res.json({
+      success: true,
+      message: 'User data purged successfully',
+      data: { deletedRecords: deleted, learningRecords, sessionCleared: Boolean(sessionCleared) },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[User Memory Controller] Error purging user data:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to purge user data',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/learning/rules
+ * Lists learned intent rules; ?status=pending is the admin review queue
  */
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'User Memory Controller is healthy',
-    timestamp: new Date().toISOString(),
-    endpoints: [
-      'GET /api/ai/learning/user-context/:phoneNumber',
-      'PUT /api/ai/learning/user-context/:phoneNumber',
-      'POST /api/ai/learning/log-interaction',
-      'POST /api/ai/learning/log-correction',
-      'GET /api/ai/learning/patterns/:phoneNumber'
-    ],
-    stats: {
-      totalUsers: userMemoryStore.size,
-      totalInteractions: Array.from(userMemoryStore.values())
-        .reduce((sum, user) => sum + (user.aiInteractionHistory?.length || 0), 0),
-      totalCorrections: Array.from(userMemoryStore.values())
-        .reduce((sum, user) => sum + (user.correctionHistory?.length || 0), 0)
+router.get('/rules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { status, scope, kind } = req.query;
+
+    const { rules, total } = await learningService(req).listRules({ status, scope, kind, limit, offset });
+
+    res.json({
+      success: true,
+      data: rules,
+      pagination: { total, limit, offset, hasMore: offset + rules.length < total },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[User Memory Controller] Error listing learned rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list learned rules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/learning/rules/:id/accept
+ * POST /api/ai/learning/rules/:id/reject
+ * Review a learned rule: accepted rules are applied when routing messages
+ */
+for (const [action, decision] of [['accept', 'accepted'], ['reject', 'rejected']]) {
+  router.post(`/rules/:id/${action}`, authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+      const rule = await learningService(req).reviewRule(req.params.id, decision, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Rule ${decision}`,
+        data: rule,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('[User Memory Controller] Error reviewing learned rule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review learned rule',
+        details: error.message
+      });
     }
   });
+}
+
+/**
+ * GET /api/ai/learning/health
+ * Health check endpoint
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const service = memoryService(req);
+    res.json({
+      success: true,
+      message: 'User Memory Controller is healthy',
+      timestamp: new Date().toISOString(),
+      endpoints: [
+        'GET /api/ai/learning/user-context/:phoneNumber',
+        'POST /api/ai/learning/user-context/:phoneNumber',
+        'PUT /api/ai/learning/user-context/:phoneNumber',
+        'DELETE /api/ai/learning/user-context/:phoneNumber',
+        'GET /api/ai/learning/user-context/:phoneNumber/export',
+        'POST /api/ai/learning/log-interaction',
+        'POST /api/ai/learning/log-correction',
+        'GET /api/ai/learning/patterns/:phoneNumber',
+        'GET /api/ai/learning/rules',
+        'POST /api/ai/learning/rules/:id/accept',
+        'POST /api/ai/learning/rules/:id/reject'
+      ],
+      storage: service.isMockDb ? 'memory' : 'database',
+      retention: service.retention,
+      stats: await service.stats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'User memory health check failed',
+      details: error.message
+    });
+  }
 });
 
 // Helper functions
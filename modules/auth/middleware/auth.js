@@ -1,3 +1,5 @@
+const { t } = require('../../../shared/i18n');
+
 const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -5,7 +7,7 @@ const authMiddleware = async (req, res, next) => {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
-        error: 'Authorization header required'
+        error: t(req, 'errors.auth.header_required')
       });
     }
 
@@ -13,7 +15,7 @@ const authMiddleware = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
-        error: 'Token required'
+        error: t(req, 'errors.auth.token_required')
       });
     }
 
@@ -23,7 +25,7 @@ const authMiddleware = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid or expired token'
+        error: t(req, 'errors.auth.invalid_token')
       });
     }
 
@@ -35,7 +37,7 @@ const authMiddleware = async (req, res, next) => {
     console.error('Auth middleware error:', error);
     res.status(401).json({
       success: false,
-      error: 'Authentication failed'
+      error: t(req, 'errors.auth.failed')
     });
   }
 };
@@ -45,14 +47,14 @@ const adminMiddleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
-        error: 'Authentication required'
+        error: t(req, 'errors.auth.required')
       });
     }
 
     if (!['admin', 'super_admin'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: t(req, 'errors.auth.admin_required')
       });
     }
 
@@ -62,7 +64,7 @@ const adminMiddleware = (req, res, next) => {
     console.error('Admin middleware error:', error);
     res.status(403).json({
       success: false,
-      error: 'Access denied'
+      error: t(req, 'errors.auth.access_denied')
     });
   }
 };
@@ -72,14 +74,14 @@ const managerMiddleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
-        error: 'Authentication required'
+        error: t(req, 'errors.auth.required')
       });
     }
 
     if (!['admin', 'manager'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
-        error: 'Manager or admin access required'
+        error: t(req, 'errors.auth.manager_required')
       });
     }
 
@@ -89,7 +91,7 @@ const managerMiddleware = (req, res, next) => {
     console.error('Manager middleware error:', error);
     res.status(403).json({
       success: false,
-      error: 'Access denied'
+      error: t(req, 'errors.auth.access_denied')
     });
   }
 };
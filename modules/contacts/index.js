@@ -1,5 +1,6 @@
 const express = require('express');
 const logger = require('winston');
+const contactService = require('./services');
 
 module.exports = {
   name: 'contacts',
@@ -9,6 +10,10 @@ module.exports = {
   initialize: async (serviceContainer, app) => {
     const router = express.Router();
 
+    // Shared directory used by other modules (e.g. resolving WhatsApp @mentions)
+    serviceContainer.register('contactService', contactService);
+    app.locals.contactService = contactService;
+
     // Minimal routes
     router.get('/health', (req, res) => {
       res.json({ success: true, data: { status: 'healthy', module: 'contacts', version: '1.0.0' } });
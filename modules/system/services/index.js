@@ -166,7 +166,9 @@ class SystemService {
       },
       whatsapp: {
         accessToken: process.env.META_ACCESS_TOKEN ? 'configured' : 'not configured',
-        phoneNumberId: process.env.META_PHONE_NUMBER_ID ? 'configured' : 'not configured'
+        phoneNumberId: process.env.META_PHONE_NUMBER_ID ? 'configured' : 'not configured',
+        verifyToken: process.env.META_VERIFY_TOKEN ? 'configured' : 'not configured',
+        appSecret: process.env.META_APP_SECRET ? 'configured' : 'not configured'
       },
       security: {
         jwtSecret: process.env.JWT_SECRET ? 'configured' : 'not configured',
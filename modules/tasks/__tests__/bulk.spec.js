@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { silentLogger, as, settle, createTaskApp, sqlTaskService } = require('./support/taskApp');
+const { registerTaskNotifications } = require('../../whatsapp/services/taskNotifier');
+
+const USERS = {
+  'token-lead': { id: 'lead', phone: '+919800000071', role: 'admin' },
+  'token-crew': { id: 'crew', phone: '+919800000074', role: 'member' }
+};
+
+describe('Bulk task operations', () => {
+  let app;
+  let eventBus;
+  let taskService;
+  let taskActivity;
+  let events;
+  let queued;
+  const api = (path) => `/api/modules/tasks${path}`;
+  const bulk = (body) => request(app).post(api('/bulk')).set(as('lead')).send(body);
+
+  beforeEach(() => {
+    ({ app, eventBus, taskService, taskActivity } = createTaskApp({ users: USERS, activity: true }));
+
+    events = [];
+    ['task:updated', 'task:deleted', 'task:restored', 'task:bulk'].forEach((name) => {
+      eventBus.on(name, async (data) => events.push({ name, data }), { moduleName: 'test', id: `test_${name}` });
+    });
+    queued = [];
+    registerTaskNotifications(eventBus, { enqueueText: async (to, text, options) => queued.push({ to, text, options }) }, silentLogger);
+  });
+
+  test('updates many tasks, reports each one and emits a single batched event', async () => {
+    const a = await taskService.createTask({ title: 'Tile bathroom', tags: ['interior'], assigned_to_whatsapp: '919800000072' });
+    const b = await taskService.createTask({ title: 'Fit sink', tags: ['plumbing', 'interior'], assigned_to_whatsapp: '919800000072' });
+    const blocked = await taskService.createTask({ title: 'Handover', assigned_to_whatsapp: '919800000073' });
+    await taskService.addDependency(blocked.id, b.id);
+    await settle();
+    events = [];
+    queued = [];
+
+    const res = await bulk({
+      action: 'update',
+      ids: [a.id, b.id, blocked.id, 'mem-404'],
+      changes: { priority: 'urgent', add_tags: ['phase-2'], remove_tags: ['interior'] }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ action: 'update', succeeded: 3, failed: 1, rolledBack: false });
+    expect(res.body.data.results.map(r => [r.id, r.success, r.status])).toEqual([
+      [a.id, true, undefined], [b.id, true, undefined], [blocked.id, true, undefined], ['mem-404', false, 404]
+    ]);
+    expect((await taskService.getTaskById(b.id)).tags).toEqual(['plumbing', 'phase-2']);
+
+    await settle();
+    expect(events.map(e => e.name)).toEqual(['task:bulk']);
+    expect(events[0].data).toMatchObject({ action: 'update', actor: { id: 'lead', whatsapp: '+919800000071' } });
+    expect(events[0].data.items).toHaveLength(3);
+    expect(queued.map(m => [m.to, m.text])).toEqual([
+      ['919800000072', '🔔 2 of your tasks were updated (priority: urgent): Tile bathroom, Fit sink'],
+      ['919800000073', '🔔 1 of your tasks were updated (priority: urgent): Handover']
+    ]);
+    expect((await taskActivity.list(a.id)).entries.map(e => [e.action, e.actor_id])).toEqual([['created', null], ['updated', 'lead']]);
+
+    // Completing a blocked task fails on its own; the rest go ahead
+    const closing = await bulk({ action: 'update', ids: [blocked.id, a.id], changes: { status: 'completed' } });
+    expect(closing.body.data.results).toMatchObject([
+      { id: blocked.id, success: false, status: 409, blockers: [expect.objectContaining({ id: b.id })] },
+      { id: a.id, success: true, task: { status: 'completed' } }
+    ]);
+
+    expect((await bulk({ action: 'update', ids: [a.id], changes: { deleted_at: null } })).status).toBe(400);
+    expect((await bulk({ action: 'archive', ids: [a.id] })).status).toBe(400);
+    expect((await request(app).post(api('/bulk')).send({ action: 'delete', ids: [a.id] })).status).toBe(401);
+  });
+
+  test('deletes by filter, restores by ids and rolls back atomic batches', async () => {
+    const old = await taskService.createTask({ title: 'Old survey', tags: ['archive'] });
+    const older = await taskService.createTask({ title: 'Older survey', tags: ['archive'] });
+    const keep = await taskService.createTask({ title: 'Current survey' });
+
+    const removed = await bulk({ action: 'delete', filter: { tags: 'archive' } });
+    expect(removed.body.data).toMatchObject({ succeeded: 2, failed: 0 });
+    expect((await taskService.getDeletedTasks()).total).toBe(2);
+
+    // Atomic: the missing task undoes the whole restore
+    const atomic = await bulk({ action: 'restore', ids: [old.id, keep.id], atomic: true });
+    expect(atomic.status).toBe(409);
+    expect(atomic.body.data).toMatchObject({
+      rolledBack: true,
+      succeeded: 0,
+      results: [{ id: old.id, success: false, error: 'Rolled back' }, { id: keep.id, success: false, status: 409 }]
+    });
+    expect((await taskService.getDeletedTasks()).total).toBe(2);
+
+    const restored = await bulk({ action: 'restore', ids: [old.id, older.id] });
+    expect(restored.body.data.results.map(r => r.task.status)).toEqual(['pending', 'pending']);
+    expect((await bulk({ action: 'restore', filter: { status: 'pending' } })).status).toBe(400);
+
+    await settle();
+    expect(events.filter(e => e.name === 'task:bulk').map(e => e.data.action)).toEqual(['delete', 'restore']);
+    expect((await taskActivity.list(old.id)).entries.map(e => e.action)).toEqual(['created', 'deleted', 'restored']);
+
+    // Members may change the tasks they name, but not select tasks by filter
+    const byFilter = await request(app).post(api('/bulk')).set(as('crew')).send({ action: 'delete', filter: {} });
+    expect(byFilter.status).toBe(403);
+    expect((await taskService.getDeletedTasks()).total).toBe(0);
+    const byIds = await request(app).post(api('/bulk')).set(as('crew')).send({ action: 'update', ids: [keep.id], changes: { priority: 'low' } });
+    expect(byIds.body.data).toMatchObject({ succeeded: 1, failed: 0 });
+  });
+
+  test('runs in one transaction with a savepoint per task', async () => {
+    const { service, statements } = sqlTaskService((sql, values) => {
+      if (/^UPDATE tasks/.test(sql)) {
+        return { rows: values[values.length - 1] === '2' ? [] : [{ id: Number(values[values.length - 1]), priority: values[0] }] };
+      }
+      return null;
+    }, eventBus);
+
+    // A malformed id is reported missing instead of failing the whole batch in the database
+    const outcome = await service.bulkOperation({ action: 'update', ids: ['1', '2', 'mem-1'], changes: { priority: 'low' } });
+    expect(outcome).toMatchObject({
+      succeeded: 1,
+      failed: 2,
+      results: [{ id: 1, success: true }, { id: '2', status: 404 }, { id: 'mem-1', status: 404 }]
+    });
+    expect(statements.map(({ sql }) => sql.split(' ').slice(0, 3).join(' '))).toEqual([
+      'BEGIN',
+      'SAVEPOINT bulk_task', 'UPDATE tasks SET', 'RELEASE SAVEPOINT bulk_task',
+      'SAVEPOINT bulk_task', 'UPDATE tasks SET', 'ROLLBACK TO SAVEPOINT',
+      'COMMIT'
+    ]);
+  });
+
+  test('reads each task on the transaction client, locking it before its tags change (SQL)', async () => {
+    const { service, database, statements } = sqlTaskService((sql, values) => {
+      if (/^SELECT \* FROM tasks WHERE id = \$1/.test(sql)) {
+        return { rows: [values[0] === '1' ? { id: 1, tags: ['site', 'old'], project_id: 3 } : { id: 9, parent_task_id: null }] };
+      }
+      if (/^SELECT \* FROM task_custom_fields/.test(sql)) return { rows: [{ key: 'owner', type: 'user', label: 'Owner', project_id: null }] };
+      if (/^SELECT id::text AS id FROM users/.test(sql)) return { rows: [{ id: '42' }] };
+      if (/^UPDATE tasks/.test(sql)) return { rows: [{ id: 1, status: 'completed' }] };
+      return null;
+    }, eventBus);
+    // Reads that reach the pool would run outside the transaction
+    const pool = [];
+    database.getClient = async () => ({ query: async (sql) => { pool.push(sql); return { rows: [] }; }, release: () => {} });
+
+    const outcome = await service.bulkOperation({
+      action: 'update',
+      ids: ['1'],
+      changes: { status: 'completed', parent_task_id: 9, custom_fields: { owner: 42 }, add_tags: ['roof'], remove_tags: ['old'] }
+    });
+    expect(outcome).toMatchObject({ succeeded: 1, failed: 0 });
+    expect(pool).toEqual([]);
+    expect(statements.map(({ sql }) => sql.replace(/ (WHERE|ORDER BY|SET) .*?( FOR UPDATE)?$/, '$2'))).toEqual([
+      'BEGIN',
+      'SAVEPOINT bulk_task',
+      'SELECT * FROM tasks FOR UPDATE',
+      'SELECT t.* FROM task_dependencies d JOIN tasks t ON t.id = d.blocked_by_task_id',
+      'SELECT t.* FROM task_dependencies d JOIN tasks t ON t.id = d.task_id',
+      'SELECT * FROM tasks',
+      'SELECT * FROM tasks FOR UPDATE',
+      'SELECT * FROM task_custom_fields',
+      'SELECT id::text AS id FROM users',
+      'UPDATE tasks',
+      'RELEASE SAVEPOINT bulk_task',
+      'COMMIT'
+    ]);
+    expect(statements[2].values).toEqual(['1']);
+    expect(statements.find(({ sql }) => /^UPDATE/.test(sql)).values).toEqual(expect.arrayContaining([['site', 'roof'], JSON.stringify({ owner: '42' })]));
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { silentLogger, as, settle, createTaskApp, sqlTaskService } = require('./support/taskApp');
+const { extractMentions } = require('../services/mentions');
+const MessageQueue = require('../../whatsapp/services/messageQueue');
+const { registerTaskNotifications } = require('../../whatsapp/services/taskNotifier');
+const { handleIncomingMessage } = require('../../whatsapp/services/messageHandler');
+
+const USERS = {
+  'token-ana': { id: 'ana', phone: '+919800000061', role: 'member' },
+  'token-ben': { id: 'ben', phone: '+919800000062', role: 'member' },
+  'token-root': { id: 'root', phone: null, role: 'admin' },
+  'token-owner': { id: 'owner', phone: null, role: 'super_admin' }
+};
+
+describe('Task comments and activity API', () => {
+  let app;
+  let eventBus;
+  let taskService;
+  let taskActivity;
+  let task;
+  const api = (path = '') => `/api/modules/tasks/${task.id}${path}`;
+
+  beforeEach(async () => {
+    ({ app, eventBus, taskService, taskActivity } = createTaskApp({ users: USERS, activity: true }));
+    task = await taskService.createTask({ title: 'Order cement', created_by_whatsapp: '919800000061' });
+  });
+
+  test('comments are added with mentions, edited and deleted by their author', async () => {
+    expect((await request(app).post(api('/comments')).send({ body: 'hi' })).status).toBe(401);
+    expect((await request(app).post(api('/comments')).set(as('ana')).send({ body: '  ' })).status).toBe(400);
+    expect((await request(app).post('/api/modules/tasks/nope/comments').set(as('ana')).send({ body: 'hi' })).status).toBe(404);
+
+    const created = await request(app).post(api('/comments')).set(as('ana')).send({ body: 'Can you check stock @+919800000062?' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({
+      body: 'Can you check stock @+919800000062?',
+      author_id: 'ana',
+      author_whatsapp: '+919800000061',
+      mentions: [{ handle: '+919800000062', phone: '919800000062', user_id: null }]
+    });
+    const commentId = created.body.data.id;
+
+    expect((await request(app).put(api(`/comments/${commentId}`)).set(as('ben')).send({ body: 'mine now' })).status).toBe(403);
+    expect((await request(app).put(api(`/comments/${commentId}`)).set(as('owner')).send({ body: 'Check stock @+919800000062' })).status).toBe(200);
+    const edited = await request(app).put(api(`/comments/${commentId}`)).set(as('ana')).send({ body: 'Stock is fine' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.data).toMatchObject({ body: 'Stock is fine', mentions: [] });
+    expect(edited.body.data.edited_at).toBeTruthy();
+
+    const list = await request(app).get(api('/comments'));
+    expect(list.body).toMatchObject({ success: true, count: 1, data: [{ id: commentId, body: 'Stock is fine' }] });
+
+    expect((await request(app).delete(api(`/comments/${commentId}`)).set(as('ben'))).status).toBe(403);
+    expect((await request(app).delete(api(`/comments/${commentId}`)).set(as('root'))).status).toBe(200);
+    expect((await request(app).get(api('/comments'))).body.count).toBe(0);
+    expect((await request(app).delete(api(`/comments/${commentId}`)).set(as('ana'))).status).toBe(404);
+  });
+
+  test('the activity timeline is assembled from task and comment events', async () => {
+    await taskService.updateTask(task.id, { priority: 'high', updated_at: 'ignored' }, { actor: { id: null, whatsapp: '919800000062' } });
+    await request(app).post(api('/comments')).set(as('ben')).send({ body: 'On it' });
+    await taskService.deleteTask(task.id);
+    await settle();
+
+    const res = await request(app).get(api('/activity'));
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(e => e.action)).toEqual(['created', 'updated', 'commented', 'deleted']);
+    expect(res.body.data[0]).toMatchObject({ actor_whatsapp: '919800000061', changes: { title: 'Order cement' } });
+    expect(res.body.data[1]).toMatchObject({ actor_whatsapp: '919800000062', changes: { priority: 'high' } });
+    expect(res.body.data[2]).toMatchObject({ actor_id: 'ben', changes: { body: 'On it', source: 'api' } });
+    expect(res.body.pagination).toMatchObject({ total: 4, limit: 100, offset: 0 });
+
+    // The timeline outlives the task; unknown tasks are a 404
+    expect((await request(app).get(api('/activity?limit=1&offset=3'))).body.data[0].action).toBe('deleted');
+    expect((await request(app).get('/api/modules/tasks/nope/activity')).status).toBe(404);
+  });
+
+  test('mentioned WhatsApp users are notified and can reply by quoting the notification', async () => {
+    const queue = new MessageQueue({ eventBus, logger: silentLogger });
+    registerTaskNotifications(eventBus, queue, silentLogger);
+
+    await taskService.addComment(task.id, { body: '@919800000062 @+919800000062 please call @919800000061', author_whatsapp: '919800000061', source: 'whatsapp' });
+    await settle();
+
+    const [notification, ...others] = queue.memStore;
+    expect(others).toHaveLength(0);
+    expect(notification).toMatchObject({
+      recipient: '919800000062',
+      payload: { body: '💬 919800000061 mentioned you on Order cement: @919800000062 @+919800000062 please call @919800000061' },
+      metadata: { taskId: task.id }
+    });
+
+    // Once sent, the notification has a WhatsApp message ID that replies quote
+    notification.provider_message_id = 'wamid.NOTIFY1';
+    const outcome = await handleIncomingMessage(
+      { from: '919800000062', text: 'Called, 40 bags arrive Monday', replyTo: 'wamid.NOTIFY1', verified: true },
+      { taskService, queue, logger: silentLogger }
+    );
+    expect(outcome).toMatchObject({ intent: 'add_comment', result: { type: 'comment_added', taskId: task.id, via: 'reply' } });
+    expect(outcome.message).toBe('Comment added to Order cement');
+    expect((await taskService.getComments(task.id)).map(c => [c.author_whatsapp, c.body])).toEqual([
+      ['919800000061', '@919800000062 @+919800000062 please call @919800000061'],
+      ['919800000062', 'Called, 40 bags arrive Monday']
+    ]);
+
+    await taskService.deleteTask(task.id);
+    const late = await handleIncomingMessage({ from: '919800000062', text: 'ok', replyTo: 'wamid.NOTIFY1', verified: true }, { taskService, queue, logger: silentLogger });
+    expect(late.result.type).toBe('quoted_task_missing');
+  });
+
+  test('comments are stored with resolved mentions and changed only by their author (SQL)', async () => {
+    const { service, statements } = sqlTaskService((sql, values) => {
+      if (/^SELECT \* FROM tasks/.test(sql)) return { rows: [{ id: 7, title: 'Order cement' }] };
+      if (/FROM users/.test(sql)) return { rows: values[0] === 'Ravi' ? [{ id: 'ravi', name: 'Ravi', whatsapp_number: '919800000063' }] : [] };
+      if (/^INSERT INTO task_comments/.test(sql)) return { rows: [{ id: 31, task_id: 7, body: values[1], mentions: JSON.parse(values[5]) }] };
+      if (/^SELECT \* FROM task_comments/.test(sql)) return { rows: [{ id: 31, task_id: 7, author_id: 'ana', author_whatsapp: '+919800000061' }] };
+      if (/^UPDATE task_comments/.test(sql)) return { rows: [{ id: 31, task_id: 7 }] };
+      return null;
+    });
+
+    const comment = await service.addComment('7', { body: 'Ask @Ravi', author_id: 'ana' });
+    expect(comment.mentions).toEqual([{ handle: 'Ravi', name: 'Ravi', phone: '919800000063', user_id: 'ravi' }]);
+    expect(statements.find(s => /^INSERT INTO task_comments/.test(s.sql)).values)
+      .toEqual([7, 'Ask @Ravi', 'ana', null, 'api', JSON.stringify(comment.mentions)]);
+
+    await expect(service.deleteComment(7, 31, { id: 'ben' })).rejects.toMatchObject({ status: 403 });
+    expect(statements.some(s => /^UPDATE task_comments/.test(s.sql))).toBe(false);
+    await service.deleteComment(7, 31, { whatsapp: '919800000061' });
+    expect(statements[statements.length - 1]).toEqual({
+      sql: 'UPDATE task_comments SET deleted_at = NOW() WHERE task_id = $1 AND id = $2 AND deleted_at IS NULL RETURNING *',
+      values: [7, 31]
+    });
+  });
+
+  test('mentions are parsed from @phone and @name handles', () => {
+    expect(extractMentions('ping @Ravi, @ravi and @+971500000000. mail a@b.com')).toEqual([
+      { handle: 'Ravi', phone: null, name: 'Ravi' },
+      { handle: '+971500000000', phone: '971500000000', name: null }
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const { createTaskApp, sqlTaskService } = require('./support/taskApp');
+
+describe('Optimistic concurrency on tasks', () => {
+  let app;
+  let taskService;
+  const api = (path) => `/api/modules/tasks${path}`;
+
+  beforeEach(() => {
+    ({ app, taskService } = createTaskApp());
+  });
+
+  test('an edit based on an old ETag is rejected with the current copy', async () => {
+    const created = await request(app).post(api('/')).send({ title: 'Approve drawings' });
+    expect(created.headers.etag).toBe('"1"');
+    const { id } = created.body.data;
+
+    // Two managers open the task
+    const etag = (await request(app).get(api(`/${id}`))).headers.etag;
+    expect(etag).toBe('"1"');
+
+    const first = await request(app).put(api(`/${id}`)).set('If-Match', etag).send({ priority: 'high' });
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe('"2"');
+    expect(first.body.data).toMatchObject({ priority: 'high', version: 2 });
+
+    const second = await request(app).put(api(`/${id}`)).set('If-Match', etag).send({ priority: 'low' });
+    expect(second.status).toBe(409);
+    expect(second.headers.etag).toBe('"2"');
+    expect(second.body).toMatchObject({ success: false, current: { id, priority: 'high', version: 2 } });
+
+    // Retrying with the current version, from the header or the body
+    expect((await request(app).put(api(`/${id}`)).set('If-Match', 'W/"2"').send({ priority: 'low' })).body.data.version).toBe(3);
+    expect((await request(app).put(api(`/${id}`)).send({ version: 2, status: 'in_progress' })).status).toBe(409);
+    expect((await request(app).put(api(`/${id}`)).send({ version: 3, status: 'in_progress' })).body.data).toMatchObject({ status: 'in_progress', version: 4 });
+
+    // Without If-Match (or with *) the last write wins, as before
+    expect((await request(app).put(api(`/${id}`)).set('If-Match', '*').send({ title: 'Approve final drawings' })).status).toBe(200);
+    expect((await request(app).put(api(`/${id}`)).set('If-Match', 'v5').send({ title: 'x' })).status).toBe(400);
+
+    expect((await request(app).delete(api(`/${id}`)).set('If-Match', '"4"')).status).toBe(409);
+    expect((await request(app).delete(api(`/${id}`)).set('If-Match', '"5"')).status).toBe(200);
+    expect((await request(app).put(api(`/${id}`)).set('If-Match', '"6"').send({ title: 'x' })).status).toBe(404);
+  });
+
+  test('the version check is part of the UPDATE', async () => {
+    const { service, statements } = sqlTaskService((sql) => (/^SELECT/.test(sql) ? { rows: [{ id: 7, version: 4, title: 'Approve drawings' }] } : null));
+
+    await expect(service.updateTask(7, { priority: 'high' }, { expectedVersion: 3 }))
+      .rejects.toMatchObject({ status: 409, current: { id: 7, version: 4 } });
+    expect(statements.map(s => s.sql)).toEqual(['BEGIN', expect.stringMatching(/^UPDATE/), expect.stringMatching(/^SELECT/), 'ROLLBACK']);
+    expect(statements[1]).toEqual({
+      sql: 'UPDATE tasks SET priority = $1, updated_at = NOW(), version = tasks.version + 1 ' +
+        'FROM (SELECT * FROM tasks WHERE id = $2 FOR UPDATE) AS previous ' +
+        'WHERE tasks.id = previous.id AND tasks.deleted_at IS NULL AND tasks.version = ANY($3::int[]) ' +
+        'RETURNING tasks.*, to_jsonb(previous) AS previous_row',
+      values: ['high', 7, [3]]
+    });
+  });
+});
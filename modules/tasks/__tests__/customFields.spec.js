@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { as, createTaskApp, sqlTaskService } = require('./support/taskApp');
+const { parseTaskQuery, buildWhere, sortExpression, cursorCondition } = require('../services/taskQuery');
+
+const USERS = {
+  'token-admin': { id: 'admin', phone: '+919800000091', role: 'admin' },
+  'token-member': { id: 'member', phone: '+919800000092', role: 'user' },
+  'token-owner': { id: 'owner', phone: null, role: 'super_admin' }
+};
+
+describe('Custom task fields', () => {
+  let app;
+  let taskService;
+  const api = (path) => `/api/modules/tasks${path}`;
+  const define = (body, user = 'admin') => request(app).post(api('/custom-fields')).set(as(user)).send(body);
+  const titles = (res) => res.body.data.map(t => t.title);
+
+  beforeEach(async () => {
+    ({ app, taskService } = createTaskApp({ users: USERS }));
+
+    await define({ key: 'client_contact', label: 'Client contact', type: 'contact' });
+    await define({ key: 'site', label: 'Site', type: 'select', options: ['Pune', 'Nashik'], required: true, project_id: 3 });
+    await define({ key: 'invoice_no', label: 'Invoice number', type: 'number', project_id: 3 });
+    await define({ key: 'handover', label: 'Handover', type: 'date', project_id: 3 });
+  });
+
+  test('admins define typed fields per project or for the organization', async () => {
+    expect((await request(app).get(api('/custom-fields?project_id=3'))).body.data.map(f => [f.key, f.project_id]))
+      .toEqual([['client_contact', null], ['handover', 3], ['invoice_no', 3], ['site', 3]]);
+    expect((await request(app).get(api('/custom-fields?project_id=4'))).body.data.map(f => f.key)).toEqual(['client_contact']);
+
+    const refused = await define({ key: 'engineer', type: 'user' }, 'member');
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('Admin access required');
+    expect((await define({ key: 'engineer', type: 'user' }, 'owner')).status).toBe(201);
+    expect((await request(app).post(api('/custom-fields')).send({ key: 'engineer', type: 'user' })).status).toBe(401);
+    expect((await define({ key: 'site', type: 'text' })).status).toBe(409);
+    expect((await define({ key: 'Site Name', type: 'text' })).status).toBe(400);
+    expect((await define({ key: 'weather', type: 'rating' })).status).toBe(400);
+    expect((await define({ key: 'zone', type: 'select', options: [] })).status).toBe(400);
+
+    const [site] = (await taskService.getCustomFields({ projectId: 3 })).filter(f => f.key === 'site');
+    const edited = await request(app).put(api(`/custom-fields/${site.id}`)).set(as('admin')).send({ options: ['Pune', 'Nashik', 'Mumbai'] });
+    expect(edited.body.data).toMatchObject({ key: 'site', type: 'select', options: ['Pune', 'Nashik', 'Mumbai'], required: true });
+    expect((await request(app).put(api(`/custom-fields/${site.id}`)).set(as('admin')).send({ type: 'text' })).status).toBe(400);
+    expect((await request(app).delete(api('/custom-fields/mem-field-404')).set(as('admin'))).status).toBe(404);
+  });
+
+  test('validates values on create and merges them on update', async () => {
+    const create = (body) => request(app).post(api('/')).send({ title: 'Pour slab', project_id: 3, ...body });
+
+    expect((await create({})).body.error).toBe('Required custom fields missing: site');
+    expect((await create({ custom_fields: { site: 'Delhi' } })).body.error).toBe('Site must be one of: Pune, Nashik');
+    expect((await create({ custom_fields: { site: 'Pune', invoice_no: 'INV-7' } })).body.error).toBe('Invoice number must be a number');
+    expect((await create({ custom_fields: { site: 'Pune', handover: '2030-02-30' } })).status).toBe(400);
+    expect((await create({ custom_fields: { site: 'Pune', colour: 'red' } })).body.error).toBe('Unknown custom fields: colour');
+    expect((await create({ project_id: 4, custom_fields: { site: 'Pune' } })).status).toBe(400);
+
+    const created = await create({ custom_fields: { site: 'Pune', invoice_no: '1042', client_contact: '+91 98000 00093', handover: '' } });
+    expect(created.status).toBe(201);
+    expect(created.body.data.custom_fields).toEqual({ site: 'Pune', invoice_no: 1042, client_contact: '919800000093' });
+    const { id } = created.body.data;
+
+    // Tasks from chat are not held back by required fields
+    expect((await taskService.createTask({ title: 'Site visit', project_id: 3 }, { source: 'whatsapp' })).custom_fields).toEqual({});
+
+    const updated = await request(app).put(api(`/${id}`)).send({ custom_fields: { handover: '2030-06-01', invoice_no: null } });
+    expect(updated.body.data.custom_fields).toEqual({ site: 'Pune', client_contact: '919800000093', handover: '2030-06-01' });
+    expect((await request(app).put(api(`/${id}`)).send({ custom_fields: { site: null } })).body.error).toBe('Site is required');
+    expect((await request(app).put(api(`/${id}`)).send({ custom_fields: ['Pune'] })).status).toBe(400);
+  });
+
+  test('filters and sorts the task list by custom field values', async () => {
+    const add = (title, customFields) => taskService.createTask({ title, project_id: 3, custom_fields: customFields });
+    await add('Slab A', { site: 'Pune', invoice_no: 200 });
+    await add('Slab B', { site: 'Nashik', invoice_no: 30 });
+    await add('Slab C', { site: 'Pune', invoice_no: 1000 });
+    await add('Slab D', { site: 'Pune' });
+
+    expect(titles(await request(app).get(api('/?cf.site=Pune&sort=title')))).toEqual(['Slab A', 'Slab C', 'Slab D']);
+    expect(titles(await request(app).get(api('/?cf.invoice_no=30,1000&sort=title')))).toEqual(['Slab B', 'Slab C']);
+
+    const first = await request(app).get(api('/?sort=cf.invoice_no&order=asc&limit=2'));
+    expect(titles(first)).toEqual(['Slab B', 'Slab A']);
+    const second = await request(app).get(api(`/?sort=cf.invoice_no&order=asc&limit=2&cursor=${first.body.nextCursor}`));
+    expect(titles(second)).toEqual(['Slab C', 'Slab D']);
+    expect((await request(app).get(api('/?sort=cf.Invoice'))).status).toBe(400);
+  });
+
+  test('builds jsonb SQL for custom field filters, sorts and updates', async () => {
+    const query = parseTaskQuery({ 'cf.site': 'Pune,Nashik', sort: 'cf.invoice_no' });
+    const { where, values } = buildWhere(query);
+    expect(where).toEqual(['deleted_at IS NULL', 'custom_fields->>$1 = ANY($2)']);
+    expect(values).toEqual(['site', ['Pune', 'Nashik']]);
+    expect(sortExpression(query.sort)).toBe("(custom_fields->'invoice_no')");
+    const params = [];
+    const param = (value) => `$${params.push(value)}`;
+    expect(cursorCondition(sortExpression(query.sort), 'asc', { value: 30, id: 7 }, param, query.sort))
+      .toBe("((custom_fields->'invoice_no') > $2::jsonb OR ((custom_fields->'invoice_no') = $2::jsonb AND id > $1) OR (custom_fields->'invoice_no') IS NULL)");
+    expect(params).toEqual([7, '30']);
+
+    const { service, statements } = sqlTaskService((sql) => {
+      if (/FROM task_custom_fields/.test(sql)) return { rows: [{ id: 1, key: 'site', label: 'Site', type: 'text', options: [], required: false, project_id: 3 }] };
+      if (/^SELECT \* FROM tasks/.test(sql)) return { rows: [{ id: 7, project_id: 3, version: 2 }] };
+      return { rows: [{ id: 7, version: 3, custom_fields: { site: 'Pune' }, previous_row: { custom_fields: {} } }] };
+    });
+
+    expect((await service.updateTask(7, { custom_fields: { site: ' Pune ' } })).custom_fields).toEqual({ site: 'Pune' });
+    const update = statements.find(s => /^UPDATE tasks/.test(s.sql));
+    expect(update.sql).toContain("SET custom_fields = jsonb_strip_nulls(COALESCE(tasks.custom_fields, '{}'::jsonb) || $1::jsonb)");
+    expect(update.values).toEqual(['{"site":"Pune"}', 7]);
+  });
+});
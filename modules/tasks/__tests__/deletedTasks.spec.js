@@ -0,0 +1,115 @@
+const request = require('supertest');
+const { settle, createTaskApp, sqlTaskService } = require('./support/taskApp');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Deleted tasks', () => {
+  let app;
+  let eventBus;
+  let taskService;
+  let taskActivity;
+  const api = (path) => `/api/modules/tasks${path}`;
+
+  beforeEach(() => {
+    ({ app, eventBus, taskService, taskActivity } = createTaskApp({ activity: true }));
+    taskService.retention.purgeAfterDays = 7;
+  });
+
+  test('deleted tasks are listed and restored with the status they had', async () => {
+    const restored = [];
+    eventBus.on('task:restored', async (data) => restored.push(data), { moduleName: 'test', id: 'test_restored' });
+
+    const tiles = await taskService.createTask({ title: 'Order tiles' });
+    const grout = await taskService.createTask({ title: 'Order grout' });
+    await taskService.updateTask(tiles.id, { status: 'in_progress' });
+    await request(app).delete(api(`/${tiles.id}`));
+    await request(app).delete(api(`/${grout.id}`));
+
+    const list = await request(app).get(api('/deleted?limit=1'));
+    expect(list.body).toMatchObject({
+      success: true,
+      count: 1,
+      pagination: { total: 2, limit: 1, offset: 0 },
+      retentionDays: 7,
+      data: [{ id: grout.id, status: 'deleted' }]
+    });
+    const { deleted_at: deletedAt, purge_at: purgeAt } = list.body.data[0];
+    expect(new Date(purgeAt) - new Date(deletedAt)).toBe(7 * DAY_MS);
+
+    const res = await request(app).post(api(`/${tiles.id}/restore`));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: tiles.id, status: 'in_progress', deleted_at: null });
+    expect((await request(app).get(api(`/${tiles.id}`))).status).toBe(200);
+    expect((await request(app).get(api('/deleted'))).body.data.map(t => t.id)).toEqual([grout.id]);
+
+    expect((await request(app).post(api(`/${tiles.id}/restore`))).status).toBe(409);
+    expect((await request(app).post(api('/nope/restore'))).status).toBe(404);
+
+    await settle();
+    expect(restored).toEqual([expect.objectContaining({ id: tiles.id, task: expect.objectContaining({ status: 'in_progress' }) })]);
+    expect((await taskActivity.list(tiles.id)).entries.map(e => e.action)).toEqual(['created', 'updated', 'deleted', 'restored']);
+  });
+
+  test('tasks deleted longer than the retention period are purged with their data', async () => {
+    const wall = await taskService.createTask({ title: 'Build wall' });
+    const paint = await taskService.createTask({ title: 'Paint wall' });
+    const trim = await taskService.createTask({ title: 'Trim', parent_task_id: wall.id });
+    const recent = await taskService.createTask({ title: 'Recently deleted' });
+    await taskService.addComment(wall.id, { body: 'Use red bricks' });
+    await taskService.addChecklistItem(wall.id, { title: 'Mix mortar' });
+    await taskService.addDependency(paint.id, wall.id);
+    await taskService.deleteTask(wall.id);
+    await taskService.deleteTask(recent.id);
+    await settle();
+
+    const now = new Date(Date.now() + 8 * DAY_MS);
+    expect(await taskService.purgeDeletedTasks(new Date(Date.now() + 6 * DAY_MS))).toEqual([]);
+    expect(await taskService.purgeDeletedTasks(now)).toEqual([wall.id, recent.id]);
+    await settle();
+
+    expect((await taskService.getDeletedTasks()).total).toBe(0);
+    expect((await request(app).post(api(`/${wall.id}/restore`))).status).toBe(404);
+    expect(taskService.commentMem).toHaveLength(0);
+    expect(taskService.checklistMem).toHaveLength(0);
+    expect((await taskService.getTaskById(trim.id)).parent_task_id).toBeNull();
+    expect((await taskService.updateTask(paint.id, { status: 'completed' })).status).toBe('completed');
+    expect((await request(app).get(api(`/${wall.id}/activity`))).status).toBe(404);
+
+    // Retention 0 keeps deleted tasks
+    taskService.retention.purgeAfterDays = 0;
+    await taskService.deleteTask(paint.id);
+    expect(await taskService.purgeDeletedTasks(new Date(Date.now() + 365 * DAY_MS))).toEqual([]);
+    expect((await request(app).get(api('/deleted'))).body.data[0]).toMatchObject({ id: paint.id, purge_at: null });
+  });
+
+  test('listing, restoring and purging deleted tasks (SQL)', async () => {
+    const deletedAt = '2030-01-10T09:00:00.000Z';
+    const { service, statements } = sqlTaskService((sql, values) => {
+      if (/^SELECT \* FROM tasks WHERE deleted_at IS NOT NULL/.test(sql)) return { rows: [{ id: 5, status: 'deleted', deleted_at: deletedAt }] };
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ total: 3 }] };
+      if (/^UPDATE tasks SET deleted_at = NULL/.test(sql)) {
+        if (values[0] === '5') return { rows: [{ id: 5, status: 'in_progress', version: 3 }] };
+        if (values[0] === '6') throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      }
+      if (/^SELECT \* FROM tasks WHERE id/.test(sql) && values[0] === '7') return { rows: [{ id: 7, status: 'pending' }] };
+      if (/^DELETE FROM tasks/.test(sql)) return { rows: [{ id: 5 }, { id: 8 }] };
+      return null;
+    });
+    service.retention.purgeAfterDays = 7;
+
+    const list = await service.getDeletedTasks({ limit: 1, offset: 2 });
+    expect(list).toEqual({ tasks: [{ id: 5, status: 'deleted', deleted_at: deletedAt, purge_at: '2030-01-17T09:00:00.000Z' }], total: 3 });
+    expect(statements[0]).toMatchObject({ sql: expect.stringContaining('ORDER BY deleted_at DESC, id DESC LIMIT $1 OFFSET $2'), values: [1, 2] });
+
+    expect(await service.restoreTask('5')).toMatchObject({ id: 5, status: 'in_progress' });
+    expect(statements.find(s => /^UPDATE/.test(s.sql)).sql).toContain("status = COALESCE(status_before_delete, 'pending')");
+    // A clashing occurrence, a task that is not deleted, and no task at all
+    await expect(service.restoreTask('6')).rejects.toMatchObject({ status: 409, message: 'Another occurrence of this series is due at the same time' });
+    await expect(service.restoreTask('7')).rejects.toMatchObject({ status: 409, message: 'Task is not deleted' });
+    await expect(service.restoreTask('9')).rejects.toMatchObject({ status: 404 });
+
+    statements.length = 0;
+    expect(await service.purgeDeletedTasks(new Date('2030-01-20T00:00:00Z'))).toEqual([5, 8]);
+    expect(statements).toEqual([{ sql: 'DELETE FROM tasks WHERE deleted_at < $1 RETURNING id', values: [new Date('2030-01-13T00:00:00Z')] }]);
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const TaskHistory = require('../services/taskHistory');
+const { as, settle, createTaskApp, silentLogger, sqlTaskService } = require('./support/taskApp');
+
+const { diff } = TaskHistory;
+
+const USERS = { 'token-lead': { id: 'lead', phone: '+919800000081', role: 'admin' } };
+
+describe('Task change history', () => {
+  let app;
+  let taskService;
+  let taskHistory;
+  const api = (path) => `/api/modules/tasks${path}`;
+  const history = async (id) => (await request(app).get(api(`/${id}/history`))).body.data;
+
+  beforeEach(() => {
+    ({ app, taskService, taskHistory } = createTaskApp({ users: USERS, history: true }));
+  });
+
+  test('records each changed field with who, when and the channel', async () => {
+    const task = await taskService.createTask({ title: 'Pour slab', priority: 'medium' });
+
+    await request(app).put(api(`/${task.id}`)).set(as('lead')).send({ priority: 'high', title: 'Pour slab' });
+    await request(app).put(api(`/${task.id}`)).send({ due_date: '2030-05-01' });
+    await taskService.updateTask(task.id, { status: 'in_progress' }, { actor: { id: null, whatsapp: '919800000082' }, source: 'whatsapp' });
+    await taskService.bulkOperation({ action: 'update', ids: [task.id], changes: { add_tags: ['concrete'] } }, { actor: { id: 'lead' } });
+    // A batch rolled back leaves no revisions
+    await taskService.bulkOperation({ action: 'update', ids: [task.id, 'mem-404'], changes: { priority: 'low' }, atomic: true });
+    await settle();
+
+    const revisions = await history(task.id);
+    expect(revisions.map(r => [r.changes, r.actor_id, r.actor_whatsapp, r.source, r.task_version])).toEqual([
+      [{ priority: { from: 'medium', to: 'high' } }, 'lead', '+919800000081', 'api', 2],
+      [{ due_date: { from: null, to: '2030-05-01T00:00:00.000Z' } }, null, null, 'api', 3],
+      [{ status: { from: 'pending', to: 'in_progress' } }, null, '919800000082', 'whatsapp', 4],
+      [{ tags: { from: [], to: ['concrete'] } }, 'lead', null, 'api', 5]
+    ]);
+    expect(revisions[0].created_at).toEqual(expect.any(String));
+
+    expect((await request(app).get(api('/mem-404/history'))).status).toBe(404);
+    expect((await request(app).get(api(`/${task.id}/history?limit=1&offset=3`))).body).toMatchObject({
+      count: 1,
+      pagination: { total: 4, limit: 1, offset: 3 }
+    });
+  });
+
+  test('reverts a revision, refusing to undo later edits unless forced', async () => {
+    const task = await taskService.createTask({ title: 'Order rebar', priority: 'low' });
+    const revert = (revisionId, body = {}) => request(app).post(api(`/${task.id}/history/${revisionId}/revert`)).set(as('lead')).send(body);
+
+    await taskService.updateTask(task.id, { priority: 'high', title: 'Order rebar 12mm' });
+    await taskService.updateTask(task.id, { title: 'Order rebar 16mm' });
+    await settle();
+    const [first] = await history(task.id);
+
+    const refused = await revert(first.id);
+    expect(refused.status).toBe(409);
+    expect(refused.body).toMatchObject({ error: expect.stringContaining('title'), current: { title: 'Order rebar 16mm' } });
+
+    const forced = await revert(first.id, { force: true });
+    expect(forced.status).toBe(200);
+    expect(forced.headers.etag).toBe('"4"');
+    expect(forced.body.data).toMatchObject({ priority: 'low', title: 'Order rebar' });
+
+    await settle();
+    const revisions = await history(task.id);
+    expect(revisions).toHaveLength(3);
+    expect(revisions[2]).toMatchObject({
+      revert_of: first.id,
+      actor_id: 'lead',
+      changes: { priority: { from: 'high', to: 'low' }, title: { from: 'Order rebar 16mm', to: 'Order rebar' } }
+    });
+
+    // The revert can itself be reverted, and If-Match still applies
+    expect((await revert(revisions[2].id).set('If-Match', '"3"')).status).toBe(409);
+    expect((await revert(revisions[2].id).set('If-Match', '"4"')).body.data).toMatchObject({ priority: 'high', title: 'Order rebar 16mm' });
+
+    expect((await revert('999')).status).toBe(404);
+    expect((await request(app).post(api(`/${task.id}/history/${first.id}/revert`))).status).toBe(401);
+  });
+
+  test('a revert checks the version it compared and writes every field or none', async () => {
+    const task = await taskService.createTask({ title: 'Cure slab', priority: 'low' });
+    await taskService.updateTask(task.id, { priority: 'high' });
+    await settle();
+    const [raised] = await history(task.id);
+
+    // Someone edits the task between the revert's check and its write
+    const read = taskService.getTaskById.bind(taskService);
+    taskService.getTaskById = async (...args) => {
+      taskService.getTaskById = read;
+      const current = await read(...args);
+      await taskService.updateTask(task.id, { title: 'Cure slab 7 days' });
+      return current;
+    };
+    const raced = await taskHistory.revert(task.id, raised.id).catch(error => error);
+    expect(raced).toMatchObject({ status: 409, current: { title: 'Cure slab 7 days', version: 3 } });
+    expect((await taskService.getTaskById(task.id)).priority).toBe('high');
+
+    // A recurrence that cannot be restored (no due date) leaves the other fields alone too
+    const mixed = await taskHistory.record({
+      taskId: task.id,
+      changes: { priority: { from: 'low', to: 'high' }, recurrence_rule: { from: 'FREQ=WEEKLY', to: null } }
+    });
+    await expect(taskHistory.revert(task.id, mixed.id)).rejects.toMatchObject({ status: 400 });
+    expect(await taskService.getTaskById(task.id)).toMatchObject({ priority: 'high', version: 3 });
+    expect((await history(task.id)).map(r => r.id)).toEqual([raised.id, expect.any(String), mixed.id]);
+  });
+
+  test('compares database values by meaning and forgets purged tasks', async () => {
+    // pg returns NUMERIC as text and timestamps as Dates; to_jsonb gives numbers and offset strings
+    expect(diff(
+      { estimated_hours: 4, due_date: '2030-05-01T10:00:00Z', priority: 'high' },
+      { estimated_hours: 4, due_date: '2030-05-01T10:00:00+00:00', priority: 'low' },
+      { estimated_hours: '4.0', due_date: new Date('2030-05-01T10:00:00Z'), priority: 'high' }
+    )).toEqual({ priority: { from: 'low', to: 'high' } });
+    expect(diff({ priority: 'high' }, null, {})).toEqual({});
+
+    const task = await taskService.createTask({ title: 'Strip formwork' });
+    await taskService.updateTask(task.id, { priority: 'urgent' });
+    await taskService.deleteTask(task.id);
+    taskService.taskMem.find(t => t.id === task.id).deleted_at = '2000-01-01T00:00:00.000Z';
+    await taskService.purgeDeletedTasks();
+    await settle();
+    expect((await taskHistory.list(task.id)).total).toBe(0);
+  });
+
+  test('revisions are written in the transaction of the update (SQL)', async () => {
+    let failRevision = false;
+    const { service, client, statements } = sqlTaskService((sql, values) => {
+      if (/^UPDATE tasks/.test(sql)) {
+        return { rows: [{ id: 7, version: 5, priority: values[0], previous_row: { id: 7, version: 4, priority: 'low' } }] };
+      }
+      if (/^INSERT INTO task_revisions/.test(sql)) {
+        if (failRevision) throw new Error('disk full');
+        return { rows: [{ id: 1, task_id: values[0] }] };
+      }
+      return null;
+    });
+    const sqlHistory = new TaskHistory({ database: { query: client.query }, taskService: service, logger: silentLogger });
+    sqlHistory.subscribe(service.eventBus);
+    const updated = [];
+    service.eventBus.on('task:updated', async ({ id }) => updated.push(id), { moduleName: 'test', id: 'test_updated' });
+    const kinds = () => statements.map(({ sql }) => sql.split(' ').slice(0, 3).join(' '));
+
+    await service.updateTask(7, { priority: 'high' }, { actor: { id: 'lead' } });
+    expect(kinds()).toEqual(['BEGIN', 'UPDATE tasks SET', 'INSERT INTO task_revisions', 'COMMIT']);
+    expect(statements[2].values).toEqual([7, 5, 'lead', null, 'api', JSON.stringify({ priority: { from: 'low', to: 'high' } }), null]);
+
+    // A revision that cannot be written takes the update down with it
+    statements.length = 0;
+    failRevision = true;
+    await expect(service.updateTask(7, { priority: 'urgent' })).rejects.toThrow('disk full');
+    expect(kinds()).toEqual(['BEGIN', 'UPDATE tasks SET', 'INSERT INTO task_revisions', 'ROLLBACK']);
+    await settle();
+    expect(updated).toEqual([7]);
+
+    // Bulk updates write theirs inside each task's savepoint
+    statements.length = 0;
+    failRevision = false;
+    await service.bulkOperation({ action: 'update', ids: ['7'], changes: { priority: 'high' } });
+    expect(kinds()).toEqual([
+      'BEGIN', 'SAVEPOINT bulk_task', 'UPDATE tasks SET', 'INSERT INTO task_revisions', 'RELEASE SAVEPOINT bulk_task', 'COMMIT'
+    ]);
+  });
+
+  test('a revert writes its fields and the recurrence in one transaction (SQL)', async () => {
+    const row = { id: 7, version: 4, priority: 'low', due_date: new Date('2030-05-01T00:00:00Z'), recurrence_rule: null, recurrence_exdates: [] };
+    const { service, client, statements } = sqlTaskService((sql, values) => {
+      if (/^SELECT \* FROM task_revisions/.test(sql)) {
+        return { rows: [{ id: 3, task_id: '7', changes: { priority: { from: 'high', to: 'low' }, recurrence_rule: { from: 'FREQ=DAILY', to: null } } }] };
+      }
+      if (/^SELECT \* FROM tasks WHERE id = \$1/.test(sql)) return { rows: [row] };
+      if (/^UPDATE tasks SET priority/.test(sql)) return { rows: [{ ...row, version: 5, priority: values[0], previous_row: row }] };
+      if (/^UPDATE tasks SET recurrence_rule/.test(sql)) return { rows: [{ ...row, version: 6, priority: 'high', recurrence_rule: values[1] }] };
+      if (/^INSERT INTO task_revisions/.test(sql)) return { rows: [{ id: 4 }] };
+      return null;
+    });
+    const sqlHistory = new TaskHistory({ database: { query: client.query }, taskService: service, logger: silentLogger });
+    sqlHistory.subscribe(service.eventBus);
+
+    const reverted = await sqlHistory.revert('7', '3');
+    expect(reverted).toMatchObject({ version: 6, priority: 'high', recurrence_rule: 'FREQ=DAILY' });
+    const kinds = statements.map(({ sql }) => sql.replace(/ (WHERE|SET) .*?( FOR UPDATE)?$/, '$2'));
+    expect(kinds.slice(kinds.indexOf('BEGIN'))).toEqual([
+      'BEGIN',
+      'SELECT * FROM tasks FOR UPDATE',
+      'UPDATE tasks',
+      'INSERT INTO task_revisions (task_id, task_version, actor_id, actor_whatsapp, source, changes, revert_of) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      'SELECT * FROM tasks FOR UPDATE',
+      'UPDATE tasks',
+      'INSERT INTO task_revisions (task_id, task_version, actor_id, actor_whatsapp, source, changes, revert_of) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      'COMMIT'
+    ]);
+  });
+});
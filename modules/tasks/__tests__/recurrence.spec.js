@@ -0,0 +1,171 @@
+const express = require('express');
+const request = require('supertest');
+const EventBus = require('../../../shared/events/eventBus');
+const TaskService = require('../services/taskService');
+const RecurrenceScheduler = require('../services/recurrenceScheduler');
+const { upcomingOccurrences, normalizeRecurrence } = require('../services/recurrence');
+const MessageQueue = require('../../whatsapp/services/messageQueue');
+const { registerTaskNotifications } = require('../../whatsapp/services/taskNotifier');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const iso = (dates) => dates.map(d => d.toISOString());
+
+describe('RRULE occurrences', () => {
+  test('weekly rules keep the local time across daylight saving changes', () => {
+    const dates = upcomingOccurrences('FREQ=WEEKLY;BYDAY=MO', {
+      start: new Date('2025-03-03T14:00:00Z'), // 09:00 in New York (EST)
+      timezone: 'America/New_York',
+      after: new Date('2025-03-01T00:00:00Z'),
+      limit: 3
+    });
+    expect(iso(dates)).toEqual(['2025-03-03T14:00:00.000Z', '2025-03-10T13:00:00.000Z', '2025-03-17T13:00:00.000Z']);
+  });
+
+  test('monthly rules support ordinal weekdays and skip months without the day', () => {
+    const options = { start: new Date('2025-01-31T09:00:00Z'), timezone: 'UTC', after: new Date('2025-01-01T00:00:00Z'), limit: 3 };
+    expect(iso(upcomingOccurrences('FREQ=MONTHLY;BYDAY=-1FR', options))).toEqual([
+      '2025-01-31T09:00:00.000Z', '2025-02-28T09:00:00.000Z', '2025-03-28T09:00:00.000Z'
+    ]);
+    expect(iso(upcomingOccurrences('FREQ=MONTHLY;BYMONTHDAY=31', options))).toEqual([
+      '2025-01-31T09:00:00.000Z', '2025-03-31T09:00:00.000Z', '2025-05-31T09:00:00.000Z'
+    ]);
+  });
+
+  test('exceptions are skipped but still count toward COUNT, and UNTIL ends the series', () => {
+    const options = { start: new Date('2025-06-02T08:00:00Z'), timezone: 'UTC', after: new Date('2025-06-01T00:00:00Z'), limit: 10 };
+    expect(iso(upcomingOccurrences('FREQ=DAILY;COUNT=4', { ...options, exdates: ['2025-06-03'] }))).toEqual([
+      '2025-06-02T08:00:00.000Z', '2025-06-04T08:00:00.000Z', '2025-06-05T08:00:00.000Z'
+    ]);
+    expect(upcomingOccurrences('FREQ=DAILY;INTERVAL=2;UNTIL=20250607T000000Z', options)).toHaveLength(3);
+  });
+
+  test('invalid rules, timezones and exceptions are rejected with a 400', () => {
+    expect(normalizeRecurrence({ rule: 'rrule:freq=weekly;byday=mo', timezone: 'Asia/Kolkata', exdates: ['2025-12-25', '2025-12-25'] }))
+      .toEqual({ rule: 'FREQ=WEEKLY;BYDAY=MO', timezone: 'Asia/Kolkata', exdates: ['2025-12-25'] });
+    for (const bad of [{ rule: 'FREQ=HOURLY' }, { rule: 'FREQ=DAILY;BYHOUR=9' }, { rule: 'FREQ=DAILY', timezone: 'Mars/Olympus' }, { rule: 'FREQ=DAILY', exdates: ['soon'] }]) {
+      expect(() => normalizeRecurrence(bad)).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+});
+
+describe('Recurring tasks', () => {
+  let app;
+  let eventBus;
+  let taskService;
+  let scheduler;
+  let queue;
+  const api = (path) => `/api/modules/tasks${path}`;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    eventBus.logger = silentLogger;
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+    scheduler = new RecurrenceScheduler({ taskService, eventBus, logger: silentLogger, options: { pollIntervalMs: 0 } });
+    scheduler.subscribe();
+    queue = new MessageQueue({ eventBus, logger: silentLogger });
+    registerTaskNotifications(eventBus, queue, silentLogger);
+
+    app = express();
+    app.locals.taskService = taskService;
+    app.use(express.json());
+    app.use('/api/modules/tasks', require('../routes'));
+  });
+
+  test('completing an occurrence creates the next one and reminds the assignee', async () => {
+    const created = await request(app).post(api('')).send({
+      title: 'Site safety walk',
+      assigned_to_whatsapp: '919800000081',
+      due_date: '2030-03-01T04:30:00Z', // 10:00 in Kolkata
+      recurrence_rule: 'FREQ=WEEKLY;BYDAY=FR',
+      recurrence_timezone: 'Asia/Kolkata',
+      recurrence_exdates: ['2030-03-08']
+    });
+    expect(created.status).toBe(201);
+    const first = created.body.data;
+    await settle();
+    queue.memStore.length = 0;
+
+    const schedule = await request(app).get(api(`/${first.id}/recurrence`));
+    expect(schedule.body.data).toMatchObject({ rule: 'FREQ=WEEKLY;BYDAY=FR', timezone: 'Asia/Kolkata', exdates: ['2030-03-08'], seriesId: first.id });
+    expect(schedule.body.data.upcoming.slice(0, 2)).toEqual(['2030-03-15T04:30:00.000Z', '2030-03-22T04:30:00.000Z']);
+
+    await request(app).put(api(`/${first.id}`)).send({ status: 'completed' });
+    await settle();
+    await settle();
+
+    const previous = await taskService.getTaskById(first.id);
+    const next = await taskService.getTaskById(previous.recurrence_next_id);
+    expect(next).toMatchObject({
+      title: 'Site safety walk',
+      status: 'pending',
+      assigned_to_whatsapp: '919800000081',
+      recurrence_series_id: first.id,
+      recurrence_rule: 'FREQ=WEEKLY;BYDAY=FR'
+    });
+    expect(new Date(next.due_date).toISOString()).toBe('2030-03-15T04:30:00.000Z');
+
+    // The new occurrence sends a reminder instead of a "new task assigned" message
+    expect(queue.memStore.map(m => m.source_event)).toEqual(['task:updated', 'task:recurred']);
+    expect(queue.memStore[1]).toMatchObject({
+      recipient: '919800000081',
+      payload: { body: expect.stringMatching(/^🔁 Recurring task: Site safety walk, due Mar 15, 2030, 10:00/) },
+      metadata: { taskId: next.id }
+    });
+
+    // Completing the old occurrence again does not fork the series
+    await taskService.updateTask(first.id, { status: 'completed' });
+    await settle();
+    expect((await taskService.getAllTasks()).filter(t => t.recurrence_series_id === first.id)).toHaveLength(1);
+  });
+
+  test('the scheduler creates occurrences whose date arrived and skips missed ones', async () => {
+    const task = await taskService.createTask({
+      title: 'Pay site wages',
+      created_by_whatsapp: '919800000082',
+      due_date: '2025-05-01T06:00:00Z',
+      recurrence_rule: 'FREQ=DAILY'
+    });
+
+    expect(await scheduler.tick(new Date('2025-05-01T12:00:00Z'))).toEqual([]);
+    const [next] = await scheduler.tick(new Date('2025-05-04T07:00:00Z'));
+    expect(new Date(next.due_date).toISOString()).toBe('2025-05-04T06:00:00.000Z');
+    expect(await scheduler.tick(new Date('2025-05-04T08:00:00Z'))).toEqual([]);
+    expect((await taskService.getTaskById(task.id)).status).toBe('pending');
+  });
+
+  test('an occurrence that already exists is linked instead of created again', async () => {
+    const task = await taskService.createTask({ title: 'Pay site wages', due_date: '2025-05-01T06:00:00Z', recurrence_rule: 'FREQ=DAILY' });
+    // Another instance created the next occurrence but stopped before linking it
+    const orphan = await taskService.createTask({
+      title: 'Pay site wages', due_date: '2025-05-02T06:00:00Z', recurrence_rule: 'FREQ=DAILY', recurrence_series_id: task.id
+    });
+    const createTask = taskService.createTask.bind(taskService);
+    taskService.createTask = async () => { throw Object.assign(new Error('duplicate key value'), { code: '23505' }); };
+
+    expect(await scheduler.advance(await taskService.getTaskById(task.id), { now: new Date('2025-05-02T07:00:00Z'), reason: 'due' })).toBeNull();
+    expect((await taskService.getTaskById(task.id)).recurrence_next_id).toBe(orphan.id);
+    taskService.createTask = createTask;
+
+    // The series carries on from the linked occurrence
+    const [next] = await scheduler.tick(new Date('2025-05-03T07:00:00Z'));
+    expect(next).toMatchObject({ recurrence_series_id: task.id, due_date: '2025-05-03T06:00:00.000Z' });
+  });
+
+  test('recurrence can be changed and stopped', async () => {
+    const task = await taskService.createTask({ title: 'Inventory count', due_date: '2025-01-06T09:00:00Z' });
+    expect((await request(app).put(api(`/${task.id}/recurrence`)).send({ rule: 'FREQ=SOMETIMES' })).status).toBe(400);
+    expect((await request(app).put(api('/nope/recurrence')).send({ rule: 'FREQ=DAILY' })).status).toBe(404);
+    expect((await request(app).post(api('')).send({ title: 'No date', recurrence_rule: 'FREQ=DAILY' })).status).toBe(400);
+
+    const set = await request(app).put(api(`/${task.id}/recurrence`)).send({ rule: 'FREQ=MONTHLY;BYDAY=1MO' });
+    expect(set.body.data).toMatchObject({ recurrence_rule: 'FREQ=MONTHLY;BYDAY=1MO', recurrence_timezone: 'UTC' });
+    expect((await request(app).get(api(`/${task.id}/recurrence`))).body.data.upcoming[0]).toBe('2025-02-03T09:00:00.000Z');
+
+    await request(app).delete(api(`/${task.id}/recurrence`));
+    await taskService.updateTask(task.id, { status: 'completed' });
+    await settle();
+    expect(await taskService.getAllTasks()).toHaveLength(1);
+  });
+});
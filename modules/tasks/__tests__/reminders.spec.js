@@ -0,0 +1,215 @@
+const express = require('express');
+const request = require('supertest');
+const EventBus = require('../../../shared/events/eventBus');
+const TaskService = require('../services/taskService');
+const TaskActivityLog = require('../services/taskActivity');
+const NotificationCenter = require('../services/notificationCenter');
+const ReminderScheduler = require('../services/reminderScheduler');
+
+const { quietHoursEnd } = NotificationCenter;
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USERS = {
+  'token-asha': { id: 'asha', phone: '+919800000091', email: 'asha@example.com', role: 'member' },
+  'token-nophone': { id: 'np', phone: null, role: 'member' }
+};
+const as = (name) => ({ Authorization: `Bearer token-${name}` });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const at = (iso) => new Date(iso);
+
+describe('Due-date reminders', () => {
+  let app;
+  let eventBus;
+  let taskService;
+  let taskActivity;
+  let notificationCenter;
+  let scheduler;
+  let sent;
+  const api = (path) => `/api/modules/tasks${path}`;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    eventBus.logger = silentLogger;
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+    taskActivity = new TaskActivityLog({ logger: silentLogger });
+    taskActivity.subscribe(eventBus);
+    notificationCenter = new NotificationCenter({
+      logger: silentLogger,
+      options: { channels: ['whatsapp', 'in_app'], quietHours: null, timezone: 'UTC' }
+    });
+
+    sent = [];
+    const channel = (name) => async ({ recipient, subject, body, task }) => {
+      sent.push({ channel: name, recipient, subject, body, taskId: task.id });
+    };
+    scheduler = new ReminderScheduler({
+      taskService,
+      eventBus,
+      notificationCenter,
+      logger: silentLogger,
+      channels: { whatsapp: channel('whatsapp'), email: channel('email') },
+      options: { pollIntervalMs: 0, offsets: [1440, 60], overdueAfterMinutes: 30, retryDelayMs: 60000 }
+    });
+    scheduler.subscribe();
+
+    app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => USERS[token] || null }) };
+    app.locals.taskService = taskService;
+    app.locals.taskActivity = taskActivity;
+    app.locals.taskNotifications = notificationCenter;
+    app.locals.reminderScheduler = scheduler;
+    app.use(express.json());
+    app.use('/api/modules/tasks', require('../routes'));
+  });
+
+  test('reminders go to the assignee before the due date and overdue tasks escalate to the creator and watchers', async () => {
+    const task = await taskService.createTask({
+      title: 'Submit permit',
+      due_date: '2030-01-10T12:00:00Z',
+      assigned_to_whatsapp: '919800000091',
+      created_by_whatsapp: '919800000092',
+      watchers: ['+91 98000 00093']
+    });
+    await settle();
+
+    const planned = await request(app).get(api(`/${task.id}/reminders`));
+    expect(planned.body.data.map(j => [j.kind, j.recipient, j.run_at])).toEqual([
+      ['reminder', '919800000091', '2030-01-09T12:00:00.000Z'],
+      ['reminder', '919800000091', '2030-01-10T11:00:00.000Z'],
+      ['overdue', '919800000092', '2030-01-10T12:30:00.000Z'],
+      ['overdue', '919800000093', '2030-01-10T12:30:00.000Z']
+    ]);
+
+    expect(await scheduler.tick(at('2030-01-09T11:59:00Z'))).toMatchObject({ sent: 0 });
+    expect(await scheduler.tick(at('2030-01-09T12:00:00Z'))).toMatchObject({ sent: 1 });
+    expect(sent).toEqual([{
+      channel: 'whatsapp',
+      recipient: '919800000091',
+      subject: 'Reminder: Submit permit is due Jan 10, 2030, 12:00 PM',
+      body: '⏰ Reminder: Submit permit is due Jan 10, 2030, 12:00 PM',
+      taskId: task.id
+    }]);
+    expect((await notificationCenter.list('919800000091')).unread).toBe(1);
+
+    // Moving the due date replaces what has not been sent yet
+    await taskService.updateTask(task.id, { due_date: '2030-01-12T12:00:00Z' });
+    await settle();
+    const replanned = await scheduler.listForTask(task.id);
+    expect(replanned.filter(j => j.status === 'pending').map(j => j.run_at)).toEqual([
+      '2030-01-11T12:00:00.000Z', '2030-01-12T11:00:00.000Z', '2030-01-12T12:30:00.000Z', '2030-01-12T12:30:00.000Z'
+    ]);
+    expect(replanned.filter(j => j.status === 'cancelled')).toHaveLength(3);
+
+    // Caught up after the due date, only the escalation goes out
+    sent = [];
+    expect(await scheduler.tick(at('2030-01-12T12:31:00Z'))).toMatchObject({ sent: 2, cancelled: 2 });
+    expect(sent.map(m => [m.recipient, m.body])).toEqual([
+      ['919800000092', '⚠️ Overdue: Submit permit was due Jan 12, 2030, 12:00 PM and is not done yet'],
+      ['919800000093', '⚠️ Overdue: Submit permit was due Jan 12, 2030, 12:00 PM and is not done yet']
+    ]);
+    await settle();
+    const actions = (await taskActivity.list(task.id)).entries.map(e => e.action);
+    expect(actions.filter(a => a === 'overdue_escalated')).toHaveLength(2);
+
+    // Planning again (e.g. after a restart) does not resend
+    await scheduler.reconcile(at('2030-01-12T13:00:00Z'));
+    expect(await scheduler.tick(at('2030-01-12T13:00:00Z'))).toMatchObject({ sent: 0 });
+  });
+
+  test('quiet hours defer reminders and completing the task cancels the rest', async () => {
+    expect((await request(app).put(api('/notifications/preferences')).set(as('asha')).send({ channels: ['sms'] })).status).toBe(400);
+    expect((await request(app).put(api('/notifications/preferences')).set(as('nophone')).send({ channels: ['in_app'] })).status).toBe(400);
+    const saved = await request(app).put(api('/notifications/preferences')).set(as('asha')).send({
+      channels: ['email', 'in_app'],
+      quiet_hours: { start: '22:00', end: '07:00' },
+      timezone: 'Asia/Kolkata'
+    });
+    expect(saved.body.data).toMatchObject({ phone: '919800000091', email: 'asha@example.com', channels: ['email', 'in_app'] });
+
+    // Due 22:30 IST: the day-before reminder falls in quiet hours, the 1h one does not
+    const task = await taskService.createTask({ title: 'Night pour', due_date: '2030-01-10T17:00:00Z', assigned_to_whatsapp: '919800000091' });
+    await settle();
+
+    expect(await scheduler.tick(at('2030-01-09T17:00:00Z'))).toMatchObject({ deferred: 1, sent: 0 });
+    const [deferred] = await scheduler.listForTask(task.id);
+    expect(deferred).toMatchObject({ status: 'pending', run_at: '2030-01-10T01:30:00.000Z' });
+
+    expect(await scheduler.tick(at('2030-01-10T01:30:00Z'))).toMatchObject({ sent: 1 });
+    expect(sent).toEqual([expect.objectContaining({ channel: 'email', subject: 'Reminder: Night pour is due Jan 10, 2030, 10:30 PM' })]);
+
+    const inbox = await request(app).get(api('/notifications?unread=true')).set(as('asha'));
+    expect(inbox.body).toMatchObject({ count: 1, unread: 1, data: [{ task_id: task.id, kind: 'reminder' }] });
+    expect((await request(app).post(api(`/notifications/${inbox.body.data[0].id}/read`)).set(as('asha'))).status).toBe(200);
+    expect((await request(app).get(api('/notifications?unread=true')).set(as('asha'))).body.unread).toBe(0);
+
+    await taskService.updateTask(task.id, { status: 'completed' });
+    await settle();
+    expect((await scheduler.listForTask(task.id)).map(j => j.status)).toEqual(['sent', 'cancelled', 'cancelled']);
+  });
+
+  test('failed channels are retried without repeating the ones that worked', async () => {
+    let failures = 1;
+    scheduler.registerChannel('whatsapp', async ({ recipient }) => {
+      if (failures-- > 0) throw new Error('Queue unavailable');
+      sent.push({ channel: 'whatsapp', recipient });
+    });
+    const task = await taskService.createTask({ title: 'Renew insurance', due_date: '2030-03-01T09:00:00Z', created_by_whatsapp: '919800000094', reminder_offsets: ['2h'] });
+    await settle();
+    expect((await scheduler.listForTask(task.id)).map(j => j.offset_minutes)).toEqual([120, -30]);
+
+    expect(await scheduler.tick(at('2030-03-01T07:00:00Z'))).toMatchObject({ retry: 1 });
+    const [job] = await scheduler.listForTask(task.id);
+    expect(job).toMatchObject({ status: 'pending', channels: ['in_app'], last_error: 'whatsapp: Queue unavailable', run_at: '2030-03-01T07:01:00.000Z' });
+
+    expect(await scheduler.tick(at('2030-03-01T07:01:00Z'))).toMatchObject({ sent: 1 });
+    expect(sent).toEqual([{ channel: 'whatsapp', recipient: '919800000094' }]);
+    expect((await notificationCenter.list('919800000094')).notifications).toHaveLength(1);
+
+    expect((await request(app).put(api(`/${task.id}`)).send({ reminder_offsets: ['soon'] })).status).toBe(400);
+  });
+
+  test('jobs abandoned while sending are claimed again once the lease expires', async () => {
+    scheduler.options.sendingLeaseMs = 5 * 60 * 1000;
+    await taskService.createTask({ title: 'Book crane', due_date: '2030-04-01T09:00:00Z', created_by_whatsapp: '919800000095', reminder_offsets: ['1h'] });
+    await settle();
+
+    // A worker claimed the reminder and stopped before delivering it
+    expect(await scheduler.claimDue(at('2030-04-01T08:00:00Z'))).toHaveLength(1);
+    expect(await scheduler.tick(at('2030-04-01T08:04:00Z'))).toMatchObject({ sent: 0 });
+    expect(await scheduler.tick(at('2030-04-01T08:05:00Z'))).toMatchObject({ sent: 1 });
+    expect(sent.map(m => m.recipient)).toEqual(['919800000095']);
+
+    const statements = [];
+    const database = { query: async (sql, values) => { statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), values }); return { rows: [] }; } };
+    const stored = new ReminderScheduler({ database, taskService, eventBus, notificationCenter, logger: silentLogger, options: { sendingLeaseMs: 60000 } });
+    await stored.claimDue(at('2030-04-01T08:00:00Z'));
+    expect(statements[0].sql).toContain("WHERE (status = 'pending' AND run_at <= $1) OR (status = 'sending' AND updated_at <= $1::timestamptz - $3 * INTERVAL '1 millisecond')");
+    expect(statements[0].values).toEqual([at('2030-04-01T08:00:00Z'), 20, 60000]);
+  });
+
+  test('tasks long overdue when first planned do not escalate', async () => {
+    const stale = await taskService.createTask({ title: 'File 2019 returns', due_date: '2020-01-10T12:00:00Z', created_by_whatsapp: '919800000096' });
+    await settle();
+    expect(await scheduler.listForTask(stale.id)).toEqual([]);
+
+    // A first deploy reconciles every open task, including ones overdue for years
+    const recent = await taskService.createTask({ title: 'Pour slab', due_date: '2030-05-01T09:00:00Z', created_by_whatsapp: '919800000097', reminder_offsets: [] });
+    await settle();
+    await scheduler.cancel(recent.id);
+    await scheduler.reconcile(at('2030-05-01T15:00:00Z'));
+    expect(await scheduler.listForTask(stale.id)).toEqual([]);
+    expect((await scheduler.listForTask(recent.id)).filter(j => j.status === 'pending').map(j => [j.kind, j.run_at]))
+      .toEqual([['overdue', '2030-05-01T09:30:00.000Z']]);
+
+    expect(await scheduler.tick(at('2030-05-01T15:00:00Z'))).toMatchObject({ sent: 1 });
+    expect(sent.map(m => m.recipient)).toEqual(['919800000097']);
+  });
+
+  test('quiet hours may wrap midnight', () => {
+    const night = { start: '22:00', end: '07:00' };
+    expect(quietHoursEnd(night, 'UTC', at('2030-01-01T23:00:00Z'))).toEqual(at('2030-01-02T07:00:00Z'));
+    expect(quietHoursEnd(night, 'UTC', at('2030-01-02T06:59:00Z'))).toEqual(at('2030-01-02T07:00:00Z'));
+    expect(quietHoursEnd(night, 'UTC', at('2030-01-02T07:00:00Z'))).toBeNull();
+    expect(quietHoursEnd({ start: '13:00', end: '14:00' }, 'America/New_York', at('2030-07-01T17:30:00Z'))).toEqual(at('2030-07-01T18:00:00Z'));
+  });
+});
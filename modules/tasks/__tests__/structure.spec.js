@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const TaskService = require('../services/taskService');
+const { handleIncomingMessage } = require('../../whatsapp/services/messageHandler');
+const { sqlTaskService } = require('./support/taskApp');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('Subtasks, checklists and dependencies', () => {
+  let app;
+  let taskService;
+  const api = (path) => `/api/modules/tasks${path}`;
+  const create = async (title, extra = {}) => (await request(app).post(api('')).send({ title, ...extra })).body.data;
+
+  beforeEach(() => {
+    taskService = new TaskService(null, { emit: async () => {} });
+    taskService.logger = silentLogger;
+    app = express();
+    app.locals.taskService = taskService;
+    app.use(express.json());
+    app.use('/api/modules/tasks', require('../routes'));
+    app.use('/api/ai/analytics', require('../../ai/aiAnalytics.controller'));
+  });
+
+  test('checklist items and subtasks roll up into the parent task progress', async () => {
+    const parent = await create('Open new branch');
+    expect((await request(app).post(api('/nope/subtasks')).send({ title: 'Lost' })).status).toBe(404);
+    const lease = (await request(app).post(api(`/${parent.id}/subtasks`)).send({ title: 'Sign lease' })).body.data;
+    await request(app).post(api(`/${parent.id}/subtasks`)).send({ title: 'Hire staff' });
+    expect(lease.parent_task_id).toBe(parent.id);
+
+    expect((await request(app).post(api(`/${parent.id}/checklist`)).send({ title: ' ' })).status).toBe(400);
+    const items = [];
+    for (const title of ['Budget approved', 'Site visit', 'Permits']) {
+      items.push((await request(app).post(api(`/${parent.id}/checklist`)).send({ title })).body.data);
+    }
+    expect(items.map(i => i.position)).toEqual([0, 1, 2]);
+
+    await request(app).put(api(`/${parent.id}/checklist/${items[0].id}`)).send({ completed: true });
+    await request(app).put(api(`/${lease.id}`)).send({ status: 'completed' });
+    await request(app).put(api(`/${parent.id}/checklist/${items[2].id}`)).send({ position: -1, title: 'Permits filed' });
+    await request(app).delete(api(`/${parent.id}/checklist/${items[1].id}`));
+
+    const checklist = await request(app).get(api(`/${parent.id}/checklist`));
+    expect(checklist.body.data.map(i => [i.title, i.completed])).toEqual([['Permits filed', false], ['Budget approved', true]]);
+    expect(checklist.body.progress).toEqual({ checklist: { total: 2, completed: 1 }, subtasks: { total: 2, completed: 1 }, percent: 50 });
+    expect((await request(app).get(api(`/${parent.id}`))).body.data.progress.percent).toBe(50);
+    expect((await request(app).get(api(`/${parent.id}/subtasks`))).body.count).toBe(2);
+
+    // A task cannot move under its own subtask
+    const moved = await request(app).put(api(`/${parent.id}`)).send({ parent_task_id: lease.id });
+    expect(moved.status).toBe(409);
+  });
+
+  test('blocking dependencies reject cycles and keep blocked tasks open', async () => {
+    const pour = await create('Pour foundation');
+    const frame = await create('Frame walls');
+    const roof = await create('Roof');
+
+    expect((await request(app).post(api(`/${frame.id}/dependencies`)).send({ blocked_by: frame.id })).status).toBe(400);
+    expect((await request(app).post(api(`/${frame.id}/dependencies`)).send({ blocked_by: pour.id })).status).toBe(201);
+    expect((await request(app).post(api(`/${roof.id}/dependencies`)).send({ blocked_by: frame.id })).status).toBe(201);
+    const cycle = await request(app).post(api(`/${pour.id}/dependencies`)).send({ blocked_by: roof.id });
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.error).toBe('Dependency would create a cycle');
+
+    const deps = await request(app).get(api(`/${frame.id}/dependencies`));
+    expect(deps.body.data).toMatchObject({ blockedBy: [{ id: pour.id }], blocking: [{ id: roof.id }], openBlockers: 1 });
+
+    const refused = await request(app).put(api(`/${frame.id}`)).send({ status: 'completed' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.blockers).toEqual([{ id: pour.id, title: 'Pour foundation', status: 'pending' }]);
+
+    await request(app).put(api(`/${pour.id}`)).send({ status: 'completed' });
+    expect((await request(app).put(api(`/${frame.id}`)).send({ status: 'completed' })).body.data.status).toBe('completed');
+
+    expect((await request(app).delete(api(`/${roof.id}/dependencies/${frame.id}`))).status).toBe(200);
+    expect((await request(app).delete(api(`/${roof.id}/dependencies/${frame.id}`))).status).toBe(404);
+  });
+
+  test('the cycle check and insert of a dependency share one locked transaction (SQL)', async () => {
+    // Task 3 already waits for task 2
+    const { service, statements } = sqlTaskService((sql, values) => {
+      if (/^SELECT \* FROM tasks/.test(sql)) return { rows: [{ id: Number(values[0]) }] };
+      if (/^WITH RECURSIVE/.test(sql)) return { rows: values[0] === 3 && values[1] === 2 ? [{ '?column?': 1 }] : [] };
+      if (/^INSERT INTO task_dependencies/.test(sql)) return { rows: [{ task_id: values[0], blocked_by_task_id: values[1] }] };
+      return null;
+    });
+    const transactional = () => statements.filter(s => !/^SELECT \* FROM tasks/.test(s.sql)).map(s => s.sql.split(' ')[0] + (/advisory/.test(s.sql) ? ' lock' : ''));
+
+    expect(await service.addDependency('4', '3')).toEqual({ task_id: 4, blocked_by_task_id: 3 });
+    expect(transactional()).toEqual(['BEGIN', 'SELECT lock', 'WITH', 'INSERT', 'COMMIT']);
+
+    statements.length = 0;
+    await expect(service.addDependency('2', '3')).rejects.toMatchObject({ status: 409 });
+    expect(transactional()).toEqual(['BEGIN', 'SELECT lock', 'WITH', 'ROLLBACK']);
+  });
+
+  test('"done" over WhatsApp names the open blockers', async () => {
+    const from = '919800000071';
+    const paint = await taskService.createTask({ title: 'Paint', created_by_whatsapp: from });
+    const plaster = await taskService.createTask({ title: 'Plaster', created_by_whatsapp: '919800000072' });
+    await taskService.addDependency(paint.id, plaster.id);
+
+    const outcome = await handleIncomingMessage({ from, text: 'done 1', verified: true }, { taskService, logger: silentLogger });
+    expect(outcome.result).toMatchObject({ type: 'task_blocked', blockers: [{ title: 'Plaster' }] });
+    expect(outcome.message).toBe('Paint is waiting on: Plaster. Finish those first.');
+    expect((await taskService.getTaskById(paint.id)).status).toBe('pending');
+  });
+
+  test('checklist analytics report on real checklists', async () => {
+    for (const [title, project] of [['Kitchen', 1], ['Bathroom', 1], ['Garden', 2]]) {
+      const task = await create(title, { project_id: project });
+      for (const item of ['Measure', 'Order materials', 'Install']) {
+        const added = await taskService.addChecklistItem(task.id, { title: item });
+        if (item === 'Measure') await taskService.updateChecklistItem(task.id, added.id, { completed: true });
+      }
+    }
+    await taskService.addChecklistItem((await create('Fence', { project_id: 2 })).id, { title: 'measure ' });
+
+    const res = await request(app).get('/api/ai/analytics/checklists?timeRange=7d');
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ tasksWithChecklists: 4, totalItems: 10, completedItems: 3, completionRate: 30, averageItemsPerTask: 2.5 });
+    expect(res.body.data.topChecklistItems[0]).toEqual({ item: 'Measure', usageCount: 4, completedCount: 3, successRate: 75 });
+    expect(res.body.data.checklistByProject['2'][0]).toEqual({ item: 'Measure', count: 2, frequency: 1 });
+    expect(res.body.data.popularChecklistPatterns).toEqual([{ pattern: 'Measure → Order materials → Install', frequency: 3 }]);
+    expect((await request(app).get('/api/ai/analytics/checklists?timeRange=soon')).status).toBe(400);
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const EventBus = require('../../../../shared/events/eventBus');
+const TaskService = require('../../services/taskService');
+const TaskActivityLog = require('../../services/taskActivity');
+const TaskHistory = require('../../services/taskHistory');
+
+/**
+ * Shared setup for the task API specs
+ */
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Bearer header for a user registered as "token-<name>"
+const as = (name) => ({ Authorization: `Bearer token-${name}` });
+
+// Let event listeners run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Express app serving the task routes from an in-memory TaskService
+ * @param {Object} options - { users, activity, history }
+ *   users: token → user for authMiddleware; activity / history: subscribe a
+ *   TaskActivityLog / TaskHistory to the event bus
+ * @returns {Object} { app, eventBus, taskService, taskActivity, taskHistory }
+ */
+function createTaskApp({ users = {}, activity = false, history = false } = {}) {
+  const eventBus = new EventBus();
+  eventBus.logger = silentLogger;
+  const taskService = new TaskService(null, eventBus);
+  taskService.logger = silentLogger;
+
+  const app = express();
+  app.locals.container = { get: () => ({ getCurrentUser: async (token) => users[token] || null }) };
+  app.locals.taskService = taskService;
+
+  let taskActivity = null;
+  if (activity) {
+    taskActivity = new TaskActivityLog({ logger: silentLogger });
+    taskActivity.subscribe(eventBus);
+    app.locals.taskActivity = taskActivity;
+  }
+  let taskHistory = null;
+  if (history) {
+    taskHistory = new TaskHistory({ taskService, logger: silentLogger });
+    taskHistory.subscribe(eventBus);
+    app.locals.taskHistory = taskHistory;
+  }
+
+  app.use(express.json());
+  app.use('/api/modules/tasks', require('../../routes'));
+  return { app, eventBus, taskService, taskActivity, taskHistory };
+}
+
+/**
+ * Stand-in for the Postgres connection that records every statement.
+ * respond(sql, values) answers a statement (whitespace collapsed) with { rows };
+ * transaction() wraps the callback in BEGIN / COMMIT, or ROLLBACK when it throws.
+ * @returns {Object} { database, client, statements } - statements: [{ sql, values }]
+ */
+function recordingDatabase(respond = () => null) {
+  const statements = [];
+  const client = {
+    query: async (sql, values = []) => {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      statements.push({ sql: text, values });
+      return (await respond(text, values)) || { rows: [] };
+    },
+    release: () => {}
+  };
+  const database = {
+    getClient: async () => client,
+    transaction: async (callback) => {
+      await client.query('BEGIN');
+      try {
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    }
+  };
+  return { database, client, statements };
+}
+
+/**
+ * TaskService over a recordingDatabase
+ * @returns {Object} { service, database, client, statements }
+ */
+function sqlTaskService(respond, eventBus = new EventBus()) {
+  eventBus.logger = silentLogger;
+  const { database, client, statements } = recordingDatabase(respond);
+  const service = new TaskService(database, eventBus);
+  service.logger = silentLogger;
+  return { service, database, client, statements };
+}
+
+module.exports = { silentLogger, as, settle, createTaskApp, recordingDatabase, sqlTaskService };
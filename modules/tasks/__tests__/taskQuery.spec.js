@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+const EventBus = require('../../../shared/events/eventBus');
+const TaskService = require('../services/taskService');
+const { parseTaskQuery, buildWhere, sortExpression, cursorCondition } = require('../services/taskQuery');
+const { sqlTaskService } = require('./support/taskApp');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('Task list queries', () => {
+  let app;
+  let taskService;
+  const api = (path) => `/api/modules/tasks${path}`;
+  const titles = (res) => res.body.data.map(t => t.title);
+
+  beforeEach(async () => {
+    const eventBus = new EventBus();
+    eventBus.logger = silentLogger;
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+
+    app = express();
+    app.locals.taskService = taskService;
+    app.use(express.json());
+    app.use('/api/modules/tasks', require('../routes'));
+
+    await taskService.createTask({ title: 'Pour foundation', description: 'Concrete for block A', priority: 'urgent', due_date: '2030-02-01T09:00:00Z', project_id: 1, tags: ['site', 'concrete'], watchers: ['919800000001'] });
+    await taskService.createTask({ title: 'Order rebar', description: 'Needed before the concrete pour', priority: 'high', due_date: '2030-01-15T09:00:00Z', project_id: 1, tags: ['procurement'] });
+    await taskService.createTask({ title: 'Concrete test report', priority: 'low', project_id: 2, tags: ['site', 'concrete'] });
+    await taskService.createTask({ title: 'Paint fence', priority: 'medium', due_date: '2030-03-01T09:00:00Z', project_id: 2, watchers: ['919800000001'] });
+    const removed = await taskService.createTask({ title: 'Concrete samples' });
+    await taskService.deleteTask(removed.id);
+  });
+
+  test('filters combine and full-text search ranks title matches first', async () => {
+    const searched = await request(app).get(api('/?q=concrete'));
+    expect(searched.status).toBe(200);
+    // Equal ranks fall back to the newest first
+    expect(titles(searched)).toEqual(['Concrete test report', 'Order rebar', 'Pour foundation']);
+    expect(searched.body).toMatchObject({ count: 3, total: 3, nextCursor: null, counts: { byStatus: { pending: 3 } } });
+
+    expect(titles(await request(app).get(api('/?tags=site,concrete&project_id=1')))).toEqual(['Pour foundation']);
+    expect(titles(await request(app).get(api('/?watcher=919800000001&sort=title')))).toEqual(['Paint fence', 'Pour foundation']);
+    expect(titles(await request(app).get(api('/?due_from=2030-01-20&due_to=2030-02-28')))).toEqual(['Pour foundation']);
+    expect(titles(await request(app).get(api('/?priority=high,urgent&sort=priority')))).toEqual(['Pour foundation', 'Order rebar']);
+    expect(titles(await request(app).get(api('/?sort=due_date')))).toEqual(['Order rebar', 'Pour foundation', 'Paint fence', 'Concrete test report']);
+
+    expect((await request(app).get(api('/?sort=voice_transcript'))).status).toBe(400);
+    expect((await request(app).get(api('/?sort=rank'))).status).toBe(400);
+    expect((await request(app).get(api('/?due_from=someday'))).status).toBe(400);
+    expect((await request(app).get(api('/?cursor=garbage'))).status).toBe(400);
+  });
+
+  test('cursor pagination walks every task once, even when tasks are added between pages', async () => {
+    const first = await request(app).get(api('/?sort=due_date&limit=2'));
+    expect(titles(first)).toEqual(['Order rebar', 'Pour foundation']);
+    expect(first.body.total).toBe(4);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    await taskService.createTask({ title: 'Early inspection', due_date: '2030-01-01T09:00:00Z' });
+
+    const second = await request(app).get(api(`/?sort=due_date&limit=2&cursor=${first.body.nextCursor}`));
+    expect(titles(second)).toEqual(['Paint fence', 'Concrete test report']);
+    expect(second.body.nextCursor).toBeNull();
+
+    // A cursor only continues the sort it came from
+    expect((await request(app).get(api(`/?sort=title&limit=2&cursor=${first.body.nextCursor}`))).status).toBe(400);
+  });
+
+  test('builds parameterized SQL with NULLS LAST keyset conditions', () => {
+    const query = parseTaskQuery({ status: 'pending,in_progress', tags: 'site', q: 'pour', limit: '500' });
+    expect(query).toMatchObject({ sort: 'rank', order: 'desc', limit: 200 });
+
+    const { where, values, rankExpr } = buildWhere(query);
+    expect(where).toEqual([
+      'deleted_at IS NULL',
+      'status = ANY($1)',
+      'tags @> $2::jsonb',
+      expect.stringMatching(/^\(setweight\(.*\) @@ websearch_to_tsquery\('simple', \$3\)$/)
+    ]);
+    expect(values).toEqual([['pending', 'in_progress'], '["site"]', 'pour']);
+    expect(rankExpr).toMatch(/^ts_rank\(/);
+
+    const params = [];
+    const param = (value) => `$${params.push(value)}`;
+    expect(cursorCondition('due_date', 'asc', { value: '2030-01-15T09:00:00.000Z', id: 7 }, param))
+      .toBe('(due_date > $2 OR (due_date = $2 AND id > $1) OR due_date IS NULL)');
+    expect(cursorCondition('due_date', 'asc', { value: null, id: 9 }, param)).toBe('(due_date IS NULL AND id > $3)');
+    expect(sortExpression('priority')).toMatch(/^CASE priority WHEN 'low' THEN 1/);
+  });
+
+  test('timestamp cursors page at millisecond precision (SQL)', async () => {
+    // Postgres keeps microseconds; node-postgres hands back Dates with milliseconds
+    const { service, statements } = sqlTaskService((sql) => {
+      if (/^SELECT \* FROM tasks/.test(sql)) {
+        return { rows: [{ id: 4, created_at: new Date('2030-01-15T09:00:00.123Z') }, { id: 2, created_at: new Date('2030-01-15T09:00:00.123Z') }] };
+      }
+      return null;
+    });
+
+    const first = await service.queryTasks({ sort: 'created_at', order: 'desc', limit: '1' });
+    expect(statements[0].sql).toContain("ORDER BY date_trunc('milliseconds', created_at) DESC NULLS LAST, id DESC");
+
+    statements.length = 0;
+    await service.queryTasks({ sort: 'created_at', order: 'desc', limit: '1', cursor: first.nextCursor });
+    expect(statements[0].sql).toContain(
+      "(date_trunc('milliseconds', created_at) < $2::timestamptz OR (date_trunc('milliseconds', created_at) = $2::timestamptz AND id < $1)"
+    );
+    expect(statements[0].values.slice(0, 2)).toEqual([4, '2030-01-15T09:00:00.123Z']);
+  });
+});
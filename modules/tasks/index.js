@@ -1,5 +1,11 @@
 // Use central logger from service container
 const TaskService = require('./services/taskService');
+const TaskActivityLog = require('./services/taskActivity');
+const TaskHistory = require('./services/taskHistory');
+const RecurrenceScheduler = require('./services/recurrenceScheduler');
+const NotificationCenter = require('./services/notificationCenter');
+const ReminderScheduler = require('./services/reminderScheduler');
+const nodemailer = require('nodemailer');
 const routes = require('./routes');
 
 module.exports = {
@@ -15,8 +21,78 @@ module.exports = {
       const eventBus = serviceContainer.get('eventBus');
 
       const taskService = new TaskService(database, eventBus);
+      this.taskService = taskService;
       app.locals.taskService = taskService;
       logger.info('TaskService registered in app.locals');
+      // Soft-deleted tasks are purged after TASK_PURGE_AFTER_DAYS
+      taskService.startRetentionSweep();
+
+      // Audit timeline assembled from task events
+      const taskActivity = new TaskActivityLog({ database, logger });
+      taskActivity.subscribe(eventBus);
+      serviceContainer.register('taskActivity', taskActivity);
+      app.locals.taskActivity = taskActivity;
+
+      // Field-level change history, with revert
+      const taskHistory = new TaskHistory({ database, taskService, logger });
+      taskHistory.subscribe(eventBus);
+      serviceContainer.register('taskHistory', taskHistory);
+      app.locals.taskHistory = taskHistory;
+
+      // Recurring tasks: next occurrence on completion, or when its date arrives
+      this.recurrenceScheduler = new RecurrenceScheduler({ taskService, eventBus, logger });
+      this.recurrenceScheduler.subscribe();
+      this.recurrenceScheduler.start();
+      serviceContainer.register('recurrenceScheduler', this.recurrenceScheduler);
+
+      // Due-date reminders and overdue escalation over WhatsApp, email and in-app
+      const notificationCenter = new NotificationCenter({ database, logger });
+      serviceContainer.register('taskNotifications', notificationCenter);
+      app.locals.taskNotifications = notificationCenter;
+
+      this.reminderScheduler = new ReminderScheduler({
+        database,
+        taskService,
+        eventBus,
+        notificationCenter,
+        logger,
+        languageFor: (phone) => app.locals.userMemoryService?.getPreferredLanguage(phone) ?? null,
+        channels: {
+          // Resolved at send time: the WhatsApp module may initialize after this one
+          whatsapp: async ({ recipient, body, task, reminder }) => {
+            const queue = app.locals.whatsappQueue;
+            if (!queue) throw new Error('WhatsApp queue not available');
+            await queue.enqueueText(recipient, body, {
+              sourceEvent: 'task:reminder',
+              metadata: { taskId: task.id, reminderId: reminder.id }
+            });
+          }
+        }
+      });
+      if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+        const transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        });
+        this.reminderScheduler.registerChannel('email', async ({ preferences, subject, body }) => {
+          if (!preferences.email) throw new Error('No email address');
+          await transporter.sendMail({
+            from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+            to: preferences.email,
+            subject,
+            text: body
+          });
+        });
+      }
+      this.reminderScheduler.subscribe();
+      this.reminderScheduler.reconcile()
+        .then(count => logger.info('Task reminders planned for open tasks', { count }))
+        .catch(error => logger.error('Failed to plan task reminders', { error: error.message }));
+      this.reminderScheduler.start();
+      serviceContainer.register('reminderScheduler', this.reminderScheduler);
+      app.locals.reminderScheduler = this.reminderScheduler;
 
       // Register legacy and modular mounts for backward compatibility
       app.use('/api/tasks', routes);
@@ -32,7 +108,9 @@ module.exports = {
   },
 
   async shutdown() {
-    // Nothing to cleanup yet
+    this.taskService?.stopRetentionSweep();
+    this.recurrenceScheduler?.stop();
+    this.reminderScheduler?.stop();
     return true;
   },
 
@@ -13,6 +13,47 @@
 
 const express = require('express');
 const router = express.Router();
+const { authMiddleware, adminMiddleware } = require('../../auth/middleware/auth');
+const { upcomingOccurrences } = require('../services/recurrence');
+
+// Comment author / editor from the authenticated user
+const editorOf = (user = {}) => ({ id: user.id ?? null, whatsapp: user.phone || null, role: user.role || null });
+
+// Edits stay open to anonymous callers; with a token the editor is recorded in the task history
+const identifyUser = (req, res, next) => (req.headers.authorization ? authMiddleware(req, res, next) : next());
+const actorOf = (req) => (req.user ? editorOf(req.user) : null);
+
+// Bulk selection by filter reaches everyone's tasks, so it is left to admins
+const filterBulkAdmin = (req, res, next) => (req.body?.filter !== undefined ? adminMiddleware(req, res, next) : next());
+
+// Task versions travel as ETags: "3"
+const etagOf = (task) => `"${task.version ?? 1}"`;
+
+// Versions accepted by If-Match ('"3"', 'W/"3", "4"'), or null when absent or '*'
+const ifMatchVersions = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+  const versions = header.split(',').map(tag => /^\s*(?:W\/)?"(\d+)"\s*$/.exec(tag)?.[1]);
+  if (versions.some(version => version === undefined)) {
+    const error = new Error('If-Match must list task ETags, e.g. "3"');
+    error.status = 400;
+    throw error;
+  }
+  return versions.map(Number);
+};
+
+// TaskService errors carrying a status (400/403/404/409) are client errors.
+// Version conflicts also return the current task and its ETag.
+const sendServiceError = (res, error, next) => {
+  if (!error.status) return next(error);
+  if (error.current) res.set('ETag', etagOf(error.current));
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...(error.blockers ? { blockers: error.blockers } : {}),
+    ...(error.current ? { current: error.current } : {})
+  });
+};
 
 // GET /api/tasks - List all tasks with filters
 router.get('/', async (req, res, next) => {
@@ -27,22 +68,19 @@ router.get('/', async (req, res, next) => {
       });
     }
 
-    const filters = {
-      status: req.query.status,
-      priority: req.query.priority,
-      assigned_to: req.query.assigned_to
-    };
+    // Filters, q (full-text search), sort/order, limit and cursor; see services/taskQuery.js
+    const { tasks, total, nextCursor, counts } = await taskService.queryTasks(req.query);
 
-    const tasks = await taskService.getAllTasks(filters);
-    
     res.json({
       success: true,
       data: tasks,
-      count: tasks.length
+      count: tasks.length,
+      total,
+      nextCursor,
+      counts
     });
-
   } catch (error) {
-    next(error);
+    sendServiceError(res, error, next);
   }
 });
 
@@ -70,17 +108,17 @@ router.post('/', async (req, res, next) => {
 
     const task = await taskService.createTask(taskData);
     
-    res.status(201).json({
+    res.status(201).set('ETag', etagOf(task)).json({
       success: true,
       data: task
     });
 
   } catch (error) {
-    next(error);
+    sendServiceError(res, error, next);
   }
 });
 
-// GET /api/tasks/deleted - Get deleted tasks
+// GET /api/tasks/deleted - Get deleted tasks, most recently deleted first (?limit=50&offset=0)
 router.get('/deleted', async (req, res, next) => {
   try {
     const taskService = req.app.locals.taskService;
@@ -92,12 +130,189 @@ router.get('/deleted', async (req, res, next) => {
       });
     }
 
-    // This endpoint would need to be implemented in TaskService
-    // For now, return empty array to maintain API compatibility
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { tasks, total } = await taskService.getDeletedTasks({ limit, offset });
+
+    res.json({
+      success: true,
+      data: tasks,
+      count: tasks.length,
+      pagination: { total, limit, offset },
+      retentionDays: taskService.retention.purgeAfterDays || null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/bulk - Update, delete or restore many tasks in one transaction
+// Body: { action, ids | filter (admins), changes, atomic }; results are reported per task
+router.post('/bulk', authMiddleware, filterBulkAdmin, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const { action, ids, filter, changes, atomic } = req.body || {};
+    const editor = editorOf(req.user);
+    const outcome = await taskService.bulkOperation(
+      { action, ids, filter, changes, atomic: atomic === true },
+      { actor: { id: editor.id, whatsapp: editor.whatsapp } }
+    );
+
+    // An atomic batch with a failing task changes nothing
+    res.status(outcome.rolledBack ? 409 : 200).json({
+      success: !outcome.rolledBack,
+      data: outcome
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/notifications - In-app notifications of the signed-in user (?unread=true&limit=50&offset=0)
+router.get('/notifications', authMiddleware, async (req, res, next) => {
+  try {
+    const notificationCenter = req.app.locals.taskNotifications;
+
+    if (!notificationCenter) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task notifications not available'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { notifications, unread } = await notificationCenter.list(req.user.phone, {
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: notifications,
+      count: notifications.length,
+      unread,
+      pagination: { limit, offset }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/notifications/preferences - Reminder channels, quiet hours and timezone of the signed-in user
+router.get('/notifications/preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const notificationCenter = req.app.locals.taskNotifications;
+
+    if (!notificationCenter) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task notifications not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await notificationCenter.getPreferences(req.user.phone)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tasks/notifications/preferences - { channels, quiet_hours: { start, end }, timezone, language, email }
+router.put('/notifications/preferences', authMiddleware, async (req, res, next) => {
+  try {
+    const notificationCenter = req.app.locals.taskNotifications;
+
+    if (!notificationCenter) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task notifications not available'
+      });
+    }
+
+    const preferences = await notificationCenter.setPreferences(req.user, req.body || {});
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// POST /api/tasks/notifications/:notificationId/read - Mark an in-app notification as read
+router.post('/notifications/:notificationId/read', authMiddleware, async (req, res, next) => {
+  try {
+    const notificationCenter = req.app.locals.taskNotifications;
+
+    if (!notificationCenter) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task notifications not available'
+      });
+    }
+
+    const notification = await notificationCenter.markRead(req.user.phone, req.params.notificationId);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/custom-fields - Custom field definitions (?project_id= for the ones that apply to a project's tasks)
+router.get('/custom-fields', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const projectId = req.query.project_id;
+    if (projectId !== undefined && !/^\d+$/.test(projectId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid project_id: ${projectId}`
+      });
+    }
+
+    const fields = await taskService.getCustomFields(projectId === undefined ? {} : { projectId: parseInt(projectId, 10) });
+
     res.json({
       success: true,
-      data: [],
-      count: 0
+      data: fields,
+      count: fields.length
     });
 
   } catch (error) {
@@ -105,6 +320,80 @@ router.get('/deleted', async (req, res, next) => {
   }
 });
 
+// POST /api/tasks/custom-fields - Define a field { key, label, type, options, required, project_id } (admins)
+// project_id null makes it organization-wide
+router.post('/custom-fields', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const field = await taskService.createCustomField(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// PUT /api/tasks/custom-fields/:fieldId - Change the label, options or required flag (admins)
+router.put('/custom-fields/:fieldId', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const field = await taskService.updateCustomField(req.params.fieldId, req.body || {});
+
+    res.json({
+      success: true,
+      data: field
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// DELETE /api/tasks/custom-fields/:fieldId - Remove a field (admins); values already on tasks are kept
+router.delete('/custom-fields/:fieldId', authMiddleware, adminMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const field = await taskService.deleteCustomField(req.params.fieldId);
+
+    res.json({
+      success: true,
+      data: field,
+      message: 'Custom field deleted'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
 // GET /api/tasks/:id - Get task by ID
 router.get('/:id', async (req, res, next) => {
   try {
@@ -127,9 +416,9 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
-    res.json({
+    res.set('ETag', etagOf(task)).json({
       success: true,
-      data: task
+      data: { ...task, progress: await taskService.getProgress(task.id) }
     });
 
   } catch (error) {
@@ -138,7 +427,8 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // PUT /api/tasks/:id - Update task
-router.put('/:id', async (req, res, next) => {
+// With If-Match (the ETag from GET) or a body version, a task changed since then is a 409 returning the current copy
+router.put('/:id', identifyUser, async (req, res, next) => {
   try {
     const taskService = req.app.locals.taskService;
     
@@ -150,7 +440,8 @@ router.put('/:id', async (req, res, next) => {
     }
 
     const taskId = req.params.id;
-    const updates = req.body;
+    // The version read can also be sent in the body, for clients that cannot set If-Match
+    const { version, ...updates } = req.body || {};
     
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -159,19 +450,24 @@ router.put('/:id', async (req, res, next) => {
       });
     }
 
-    const task = await taskService.updateTask(taskId, updates);
+    const task = await taskService.updateTask(taskId, updates, {
+      actor: actorOf(req),
+      source: 'api',
+      expectedVersion: ifMatchVersions(req) ?? version ?? null
+    });
     
-    res.json({
+    res.set('ETag', etagOf(task)).json({
       success: true,
       data: task
     });
 
   } catch (error) {
-    next(error);
+    // Completing a task with open blockers is a 409 listing them
+    sendServiceError(res, error, next);
   }
 });
 
-// DELETE /api/tasks/:id - Delete task
+// DELETE /api/tasks/:id - Delete task (If-Match as for PUT)
 router.delete('/:id', async (req, res, next) => {
   try {
     const taskService = req.app.locals.taskService;
@@ -184,7 +480,7 @@ router.delete('/:id', async (req, res, next) => {
     }
 
     const taskId = req.params.id;
-    const deletedTask = await taskService.deleteTask(taskId);
+    const deletedTask = await taskService.deleteTask(taskId, { expectedVersion: ifMatchVersions(req) });
     
     res.json({
       success: true,
@@ -192,11 +488,636 @@ router.delete('/:id', async (req, res, next) => {
       message: 'Task deleted successfully'
     });
 
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// POST /api/tasks/:id/restore - Restore a deleted task with the status it had
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const task = await taskService.restoreTask(req.params.id);
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task restored successfully'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/comments - List comments, oldest first
+router.get('/:id/comments', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const task = await taskService.getTaskById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const comments = await taskService.getComments(req.params.id);
+
+    res.json({
+      success: true,
+      data: comments,
+      count: comments.length
+    });
+
   } catch (error) {
     next(error);
   }
 });
 
+// POST /api/tasks/:id/comments - Add a comment ({ body }; "@Name" or "@+phone" mentions)
+router.post('/:id/comments', authMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const editor = editorOf(req.user);
+    const comment = await taskService.addComment(req.params.id, {
+      body: req.body?.body,
+      author_id: editor.id,
+      author_whatsapp: editor.whatsapp,
+      source: 'api'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// PUT /api/tasks/:id/comments/:commentId - Edit a comment (author or admin)
+router.put('/:id/comments/:commentId', authMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const comment = await taskService.updateComment(req.params.id, req.params.commentId, { body: req.body?.body }, editorOf(req.user));
+
+    res.json({
+      success: true,
+      data: comment
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete a comment (author or admin)
+router.delete('/:id/comments/:commentId', authMiddleware, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const comment = await taskService.deleteComment(req.params.id, req.params.commentId, editorOf(req.user));
+
+    res.json({
+      success: true,
+      data: comment,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/subtasks - Direct subtasks, oldest first
+router.get('/:id/subtasks', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    if (!(await taskService.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const subtasks = await taskService.getSubtasks(req.params.id);
+
+    res.json({
+      success: true,
+      data: subtasks,
+      count: subtasks.length
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/subtasks - Create a subtask (same body as POST /api/tasks)
+router.post('/:id/subtasks', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    if (!req.body?.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title is required'
+      });
+    }
+
+    const task = await taskService.createTask({ ...req.body, parent_task_id: req.params.id });
+
+    res.status(201).json({
+      success: true,
+      data: task
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/checklist - Checklist items and completion roll-up
+router.get('/:id/checklist', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    if (!(await taskService.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const [items, progress] = await Promise.all([
+      taskService.getChecklist(req.params.id),
+      taskService.getProgress(req.params.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      progress
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/checklist - Add a checklist item ({ title, position })
+router.post('/:id/checklist', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const item = await taskService.addChecklistItem(req.params.id, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// PUT /api/tasks/:id/checklist/:itemId - Rename, move or tick an item ({ title, position, completed })
+router.put('/:id/checklist/:itemId', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const item = await taskService.updateChecklistItem(req.params.id, req.params.itemId, req.body || {});
+
+    res.json({
+      success: true,
+      data: item
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// DELETE /api/tasks/:id/checklist/:itemId - Remove a checklist item
+router.delete('/:id/checklist/:itemId', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const item = await taskService.deleteChecklistItem(req.params.id, req.params.itemId);
+
+    res.json({
+      success: true,
+      data: item,
+      message: 'Checklist item deleted successfully'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/dependencies - { blockedBy, blocking, openBlockers }
+router.get('/:id/dependencies', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    if (!(await taskService.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const { blockedBy, blocking } = await taskService.getDependencies(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        blockedBy,
+        blocking,
+        openBlockers: blockedBy.filter(t => !['completed', 'cancelled'].includes(t.status)).length
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/dependencies - This task waits for { blocked_by } to finish (409 on cycles)
+router.post('/:id/dependencies', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const dependency = await taskService.addDependency(req.params.id, req.body?.blocked_by);
+
+    res.status(201).json({
+      success: true,
+      data: dependency
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// DELETE /api/tasks/:id/dependencies/:blockedById - Remove a dependency
+router.delete('/:id/dependencies/:blockedById', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const dependency = await taskService.removeDependency(req.params.id, req.params.blockedById);
+
+    res.json({
+      success: true,
+      data: dependency,
+      message: 'Dependency removed successfully'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/recurrence - Rule, timezone, exceptions and the next occurrences (?limit=5)
+router.get('/:id/recurrence', async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const task = await taskService.getTaskById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const upcoming = task.recurrence_rule && task.due_date
+      ? upcomingOccurrences(task.recurrence_rule, {
+        start: new Date(task.recurrence_start || task.due_date),
+        timezone: task.recurrence_timezone || 'UTC',
+        exdates: task.recurrence_exdates || [],
+        after: new Date(task.due_date),
+        limit: Math.min(parseInt(req.query.limit) || 5, 50)
+      })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        rule: task.recurrence_rule || null,
+        timezone: task.recurrence_timezone || null,
+        exdates: task.recurrence_exdates || [],
+        start: task.recurrence_start || null,
+        seriesId: task.recurrence_series_id || (task.recurrence_rule ? task.id : null),
+        nextId: task.recurrence_next_id || null,
+        upcoming: upcoming.map(d => d.toISOString())
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tasks/:id/recurrence - Set the rule ({ rule: "FREQ=WEEKLY;BYDAY=MO", timezone, exdates: ["2025-12-25"] })
+router.put('/:id/recurrence', identifyUser, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const { rule, timezone, exdates } = req.body || {};
+    const task = await taskService.setRecurrence(req.params.id, { rule, timezone, exdates }, { actor: actorOf(req) });
+
+    res.json({
+      success: true,
+      data: task
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// DELETE /api/tasks/:id/recurrence - Stop repeating (existing occurrences are kept)
+router.delete('/:id/recurrence', identifyUser, async (req, res, next) => {
+  try {
+    const taskService = req.app.locals.taskService;
+
+    if (!taskService) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task service not available'
+      });
+    }
+
+    const task = await taskService.setRecurrence(req.params.id, { rule: null }, { actor: actorOf(req) });
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Recurrence stopped'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// GET /api/tasks/:id/reminders - Scheduled, sent and cancelled reminder jobs of a task
+router.get('/:id/reminders', async (req, res, next) => {
+  try {
+    const reminderScheduler = req.app.locals.reminderScheduler;
+
+    if (!reminderScheduler) {
+      return res.status(500).json({
+        success: false,
+        error: 'Reminder scheduler not available'
+      });
+    }
+
+    if (!(await req.app.locals.taskService?.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const reminders = await reminderScheduler.listForTask(req.params.id);
+
+    res.json({
+      success: true,
+      data: reminders,
+      count: reminders.length
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/activity - Audit timeline (?limit=&offset=), oldest first
+router.get('/:id/activity', async (req, res, next) => {
+  try {
+    const taskActivity = req.app.locals.taskActivity;
+
+    if (!taskActivity) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task activity not available'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const { entries, total } = await taskActivity.list(req.params.id, { limit, offset });
+
+    // Deleted tasks keep their timeline; only unknown IDs are a 404
+    if (total === 0 && !(await req.app.locals.taskService?.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      pagination: { total, limit, offset }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tasks/:id/history - Field-level revisions (?limit=&offset=), oldest first
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const taskHistory = req.app.locals.taskHistory;
+
+    if (!taskHistory) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task history not available'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    const { revisions, total } = await taskHistory.list(req.params.id, { limit, offset });
+
+    if (total === 0 && !(await req.app.locals.taskService?.getTaskById(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+      pagination: { total, limit, offset }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tasks/:id/history/:revisionId/revert - Put back the values a revision replaced
+// Fields edited again since then are a 409 unless the body has force: true; If-Match as for PUT
+router.post('/:id/history/:revisionId/revert', authMiddleware, async (req, res, next) => {
+  try {
+    const taskHistory = req.app.locals.taskHistory;
+
+    if (!taskHistory) {
+      return res.status(500).json({
+        success: false,
+        error: 'Task history not available'
+      });
+    }
+
+    const task = await taskHistory.revert(req.params.id, req.params.revisionId, {
+      actor: actorOf(req),
+      source: 'api',
+      expectedVersion: ifMatchVersions(req),
+      force: req.body?.force === true
+    });
+
+    res.set('ETag', etagOf(task)).json({
+      success: true,
+      data: task,
+      message: 'Revision reverted'
+    });
+
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
 // Health check route for the tasks module
 router.get('/health', (req, res) => {
   res.json({
@@ -0,0 +1,160 @@
+/**
+ * Custom task fields
+ * Admins define typed fields for the tasks of one project (project_id) or of the
+ * whole organization (project_id null). Values live in tasks.custom_fields, keyed
+ * by the field key, and are checked here against the definitions that apply.
+ * - text: a string (up to 2000 characters)
+ * - number: a finite number (numeric strings are accepted)
+ * - date: YYYY-MM-DD, or an ISO timestamp (stored in UTC)
+ * - select: one of the field's options
+ * - user: a user id
+ * - contact: a WhatsApp number, stored as digits
+ * An empty value (null or '') clears a field; required fields cannot be cleared.
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'user', 'contact'];
+const FIELD_KEY = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TEXT_LENGTH = 2000;
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function parseProjectId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d+$/.test(String(value))) throw withStatus(new Error(`Invalid project_id: ${value}`), 400);
+  return parseInt(value, 10);
+}
+
+/**
+ * Validate a field definition
+ * @param {Object} input - { key, label, type, options, required, project_id }
+ * @param {Object} current - The stored definition when editing one; its key, type and project cannot change
+ * @returns {Object} { key, label, type, options, required, project_id }
+ * @throws {Error} status 400 on invalid definitions
+ */
+function normalizeFieldDefinition(input, current = null) {
+  if (!isPlainObject(input)) throw withStatus(new Error('A custom field definition must be an object'), 400);
+  if (current) {
+    const fixed = ['key', 'type', 'project_id'].filter(field => input[field] !== undefined && String(input[field] ?? '') !== String(current[field] ?? ''));
+    if (fixed.length > 0) {
+      throw withStatus(new Error(`${fixed.join(', ')} cannot be changed; create a new field instead`), 400);
+    }
+  }
+  const field = current
+    ? { ...current, ...Object.fromEntries(['label', 'options', 'required'].filter(name => input[name] !== undefined).map(name => [name, input[name]])) }
+    : input;
+
+  const key = String(field.key ?? '').trim();
+  if (!FIELD_KEY.test(key)) {
+    throw withStatus(new Error('key must start with a letter and use only lowercase letters, digits and _ (up to 40)'), 400);
+  }
+  if (!FIELD_TYPES.includes(field.type)) {
+    throw withStatus(new Error(`type must be one of: ${FIELD_TYPES.join(', ')}`), 400);
+  }
+  const label = String(field.label ?? key).trim() || key;
+
+  let options = [];
+  if (field.type === 'select') {
+    options = Array.isArray(field.options) ? [...new Set(field.options.map(option => String(option).trim()).filter(Boolean))] : [];
+    if (options.length === 0) throw withStatus(new Error('A select field needs a list of options'), 400);
+  }
+  if (field.required !== undefined && typeof field.required !== 'boolean') {
+    throw withStatus(new Error('required must be true or false'), 400);
+  }
+
+  return { key, label, type: field.type, options, required: field.required === true, project_id: parseProjectId(field.project_id) };
+}
+
+// A value in its stored form, or null for an empty one
+function coerceValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  const invalid = (expected) => withStatus(new Error(`${field.label} must be ${expected}`), 400);
+
+  switch (field.type) {
+    case 'text': {
+      if (typeof value !== 'string' && typeof value !== 'number') throw invalid('text');
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) throw invalid(`at most ${MAX_TEXT_LENGTH} characters`);
+      return text || null;
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid('a number');
+      return number;
+    }
+    case 'date': {
+      const text = String(value);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const date = new Date(`${text}T00:00:00Z`);
+        if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) throw invalid('a valid date');
+        return text;
+      }
+      const date = new Date(text);
+      if (!/^\d{4}-\d{2}-\d{2}T/.test(text) || Number.isNaN(date.getTime())) throw invalid('a date (YYYY-MM-DD) or an ISO timestamp');
+      return date.toISOString();
+    }
+    case 'select':
+      if (!field.options.includes(String(value))) throw invalid(`one of: ${field.options.join(', ')}`);
+      return String(value);
+    case 'user':
+      if (typeof value !== 'string' && typeof value !== 'number') throw invalid('a user id');
+      return String(value).trim() || null;
+    case 'contact': {
+      const digits = String(value).replace(/[\s\-().+]/g, '');
+      if (!/^\d{8,15}$/.test(digits)) throw invalid('a WhatsApp number');
+      return digits;
+    }
+    default:
+      throw invalid(`a known type (${FIELD_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Check custom field values against the definitions that apply to a task
+ * @param {Object} values - { key: value }
+ * @param {Array} definitions - Fields of the task's project and the organization-wide ones
+ * @param {Object} options - { create: a new task, strict: refuse unknown fields and, on create,
+ *   missing required ones (off for tasks made from chat or copied into a recurring series) }
+ * @returns {Object} Values in stored form; on update, null marks a field to clear
+ * @throws {Error} status 400 on unknown fields, invalid or missing required values
+ */
+function validateCustomFields(values, definitions, { create = false, strict = true } = {}) {
+  if (!isPlainObject(values)) throw withStatus(new Error('custom_fields must be an object of field values'), 400);
+  const byKey = new Map(definitions.map(field => [field.key, field]));
+  const unknown = Object.keys(values).filter(key => !byKey.has(key));
+  if (unknown.length > 0 && strict) throw withStatus(new Error(`Unknown custom fields: ${unknown.join(', ')}`), 400);
+
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    const field = byKey.get(key);
+    if (!field) continue;
+    const stored = coerceValue(field, value);
+    if (stored === null && field.required) throw withStatus(new Error(`${field.label} is required`), 400);
+    if (stored !== null || !create) result[key] = stored;
+  }
+  if (create && strict) {
+    const missing = definitions.filter(field => field.required && !(field.key in result));
+    if (missing.length > 0) {
+      throw withStatus(new Error(`Required custom fields missing: ${missing.map(field => field.key).join(', ')}`), 400);
+    }
+  }
+  return result;
+}
+
+// Stored values after an update: changed keys replace, nulls remove
+function mergeCustomFields(current, changes) {
+  const merged = { ...(current || {}), ...changes };
+  return Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== null));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY,
+  normalizeFieldDefinition,
+  validateCustomFields,
+  mergeCustomFields
+};
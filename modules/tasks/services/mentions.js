@@ -0,0 +1,42 @@
+/**
+ * Comment mentions
+ * "@+919800000000" / "@919800000000" mention a WhatsApp number;
+ * "@Ravi" mentions a user by name and is resolved when exactly one user matches.
+ */
+
+const MENTION_PATTERN = /(^|[\s(])@(\+?\d{8,15}|[\p{L}][\p{L}\p{M}\d._-]*)/gu;
+
+/**
+ * Find the mentions in a comment body, in order of appearance, without duplicates
+ * @param {string} body
+ * @returns {Array<Object>} [{ handle, phone, name }]
+ */
+function extractMentions(body) {
+  const mentions = [];
+  const seen = new Set();
+  for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+    const handle = match[2].replace(/[._-]+$/, '');
+    const isPhone = /^\+?\d+$/.test(handle);
+    const key = isPhone ? handle.replace(/^\+/, '') : handle.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    mentions.push(isPhone ? { handle, phone: key, name: null } : { handle, phone: null, name: handle });
+  }
+  return mentions;
+}
+
+/**
+ * Attach phones and user IDs to name mentions
+ * @param {Array<Object>} mentions - extractMentions() result
+ * @param {Function} findUsersByName - async (name) => [{ id, name, whatsapp_number }]
+ */
+async function resolveMentions(mentions, findUsersByName) {
+  return Promise.all(mentions.map(async (mention) => {
+    if (mention.phone || !findUsersByName) return { ...mention, user_id: null };
+    const users = await findUsersByName(mention.name);
+    if (users.length !== 1) return { ...mention, user_id: null };
+    return { ...mention, phone: String(users[0].whatsapp_number).replace(/^\+/, ''), user_id: users[0].id };
+  }));
+}
+
+module.exports = { extractMentions, resolveMentions };
@@ -0,0 +1,286 @@
+const winston = require('winston');
+const { assertTimezone, zonedParts, zonedTimeToUtc } = require('./recurrence');
+const { SUPPORTED_LANGUAGES } = require('../../../shared/i18n');
+
+/**
+ * Notification Center
+ *
+ * Per-person delivery preferences for task reminders (channels, quiet hours,
+ * timezone, language, email) and the in-app notification inbox. People are
+ * identified by their WhatsApp number, as on tasks. Stored in
+ * task_notification_preferences / task_notifications, or in memory when no
+ * database is available.
+ */
+
+const CHANNELS = ['whatsapp', 'email', 'in_app'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// '+91 98000-00061' → '919800000061'
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '');
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+// 'whatsapp,in_app' → ['whatsapp', 'in_app']
+function parseChannels(value) {
+  return String(value || '').split(',').map(c => c.trim()).filter(c => CHANNELS.includes(c));
+}
+
+// '22:00-07:00' → { start: '22:00', end: '07:00' }
+function parseQuietHours(value) {
+  const [start, end] = String(value || '').split('-').map(part => part.trim());
+  return TIME_PATTERN.test(start) && TIME_PATTERN.test(end) ? { start, end } : null;
+}
+
+const minutesOf = (time) => {
+  const [, hh, mm] = TIME_PATTERN.exec(time);
+  return parseInt(hh, 10) * 60 + parseInt(mm, 10);
+};
+
+/**
+ * When quiet hours that contain `at` end, or null outside quiet hours.
+ * Windows may wrap midnight (22:00-07:00).
+ * @param {Object} quietHours - { start: 'HH:MM', end: 'HH:MM' } in local time
+ * @param {string} timezone - IANA timezone of the person
+ * @param {Date} at
+ * @returns {Date|null}
+ */
+function quietHoursEnd(quietHours, timezone, at = new Date()) {
+  if (!quietHours) return null;
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  if (start === end) return null;
+
+  const local = zonedParts(at, timezone);
+  const now = local.hour * 60 + local.minute;
+  const inside = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inside) return null;
+
+  // The window ends today, unless it started today and wraps past midnight
+  const endDay = new Date(Date.UTC(local.year, local.month - 1, local.day + (start > end && now >= start ? 1 : 0)));
+  return zonedTimeToUtc({
+    year: endDay.getUTCFullYear(),
+    month: endDay.getUTCMonth() + 1,
+    day: endDay.getUTCDate(),
+    hour: Math.floor(end / 60),
+    minute: end % 60
+  }, timezone);
+}
+
+class NotificationCenter {
+  constructor({ database, logger, options = {} } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.options = {
+      channels: parseChannels(process.env.TASK_REMINDER_CHANNELS || 'whatsapp,in_app'),
+      quietHours: parseQuietHours(process.env.TASK_REMINDER_QUIET_HOURS),
+      timezone: process.env.TASK_DEFAULT_TIMEZONE || 'UTC',
+      ...options
+    };
+
+    // In-memory stores for mock-safe mode
+    this.preferencesMem = new Map();
+    this.inboxMem = [];
+    this.inboxCounter = 0;
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. NotificationCenter running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Delivery preferences for a WhatsApp number, with defaults for anything unset
+   * @returns {Promise<Object>} { phone, user_id, email, channels, quiet_hours, timezone, language }
+   */
+  async getPreferences(phone) {
+    const key = phoneKey(phone);
+    let stored = null;
+
+    if (this.isMockDb) {
+      stored = this.preferencesMem.get(key) || null;
+    } else if (key) {
+      const result = await this.database.query('SELECT * FROM task_notification_preferences WHERE phone = $1', [key]);
+      const row = result.rows[0];
+      if (row) {
+        stored = {
+          user_id: row.user_id,
+          email: row.email,
+          channels: row.channels,
+          quiet_hours: row.quiet_start && row.quiet_end ? { start: row.quiet_start, end: row.quiet_end } : null,
+          timezone: row.timezone,
+          language: row.language
+        };
+      }
+    }
+
+    return {
+      phone: key || null,
+      user_id: stored?.user_id ?? null,
+      email: stored?.email ?? null,
+      channels: stored?.channels || this.options.channels,
+      quiet_hours: stored ? stored.quiet_hours : this.options.quietHours,
+      timezone: stored?.timezone || this.options.timezone,
+      language: stored?.language ?? null
+    };
+  }
+
+  /**
+   * Save the preferences of an authenticated user (keyed by their phone)
+   * @param {Object} user - { id, phone, email }
+   * @param {Object} changes - { channels, quiet_hours: { start, end } | null, timezone, language, email }
+   * @returns {Promise<Object>} Preferences after the change
+   */
+  async setPreferences(user = {}, changes = {}) {
+    const key = phoneKey(user.phone);
+    if (!key) throw withStatus(new Error('Add a phone number to your account to receive task reminders'), 400);
+
+    const current = await this.getPreferences(key);
+    const next = { ...current, user_id: user.id ?? current.user_id, email: current.email || user.email || null };
+
+    if (changes.channels !== undefined) {
+      if (!Array.isArray(changes.channels) || changes.channels.some(c => !CHANNELS.includes(c))) {
+        throw withStatus(new Error(`Channels must be a list of: ${CHANNELS.join(', ')}`), 400);
+      }
+      next.channels = [...new Set(changes.channels)];
+    }
+    if (changes.quiet_hours !== undefined) {
+      const { start, end } = changes.quiet_hours || {};
+      if (changes.quiet_hours !== null && !(TIME_PATTERN.test(start) && TIME_PATTERN.test(end))) {
+        throw withStatus(new Error('Quiet hours need a start and end time (HH:MM)'), 400);
+      }
+      next.quiet_hours = changes.quiet_hours === null ? null : { start, end };
+    }
+    if (changes.timezone !== undefined) {
+      try {
+        assertTimezone(changes.timezone);
+      } catch (error) {
+        throw withStatus(error, 400);
+      }
+      next.timezone = changes.timezone;
+    }
+    if (changes.language !== undefined) {
+      if (changes.language !== null && !SUPPORTED_LANGUAGES.includes(changes.language)) {
+        throw withStatus(new Error(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`), 400);
+      }
+      next.language = changes.language;
+    }
+    if (changes.email !== undefined) {
+      if (changes.email !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(changes.email))) {
+        throw withStatus(new Error('Invalid email address'), 400);
+      }
+      next.email = changes.email;
+    }
+    if (next.channels.includes('email') && !next.email) {
+      throw withStatus(new Error('An email address is needed for email reminders'), 400);
+    }
+
+    if (this.isMockDb) {
+      this.preferencesMem.set(key, next);
+      return next;
+    }
+
+    await this.database.query(
+      `INSERT INTO task_notification_preferences (phone, user_id, email, channels, quiet_start, quiet_end, timezone, language, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       ON CONFLICT (phone) DO UPDATE SET
+         user_id = EXCLUDED.user_id, email = EXCLUDED.email, channels = EXCLUDED.channels,
+         quiet_start = EXCLUDED.quiet_start, quiet_end = EXCLUDED.quiet_end,
+         timezone = EXCLUDED.timezone, language = EXCLUDED.language, updated_at = NOW()`,
+      [key, next.user_id, next.email, JSON.stringify(next.channels), next.quiet_hours?.start || null,
+        next.quiet_hours?.end || null, next.timezone, next.language]
+    );
+    return next;
+  }
+
+  /**
+   * Add an in-app notification
+   * @param {Object} notification - { phone, taskId, kind, body, metadata }
+   */
+  async notify({ phone, taskId = null, kind, body, metadata = {} }) {
+    const key = phoneKey(phone);
+    if (this.isMockDb) {
+      const notification = {
+        id: String(++this.inboxCounter),
+        recipient: key,
+        task_id: taskId,
+        kind,
+        body,
+        metadata,
+        read_at: null,
+        created_at: new Date().toISOString()
+      };
+      this.inboxMem.push(notification);
+      return notification;
+    }
+
+    const result = await this.database.query(
+      `INSERT INTO task_notifications (recipient, task_id, kind, body, metadata)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [key, taskId, kind, body, JSON.stringify(metadata)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * In-app notifications of a WhatsApp number, newest first
+   * @param {Object} options - { unreadOnly, limit, offset }
+   * @returns {Promise<Object>} { notifications, unread }
+   */
+  async list(phone, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    const key = phoneKey(phone);
+    if (!key) return { notifications: [], unread: 0 };
+
+    if (this.isMockDb) {
+      const mine = this.inboxMem.filter(n => n.recipient === key).reverse();
+      const shown = unreadOnly ? mine.filter(n => !n.read_at) : mine;
+      return { notifications: shown.slice(offset, offset + limit), unread: mine.filter(n => !n.read_at).length };
+    }
+
+    const [rows, unread] = await Promise.all([
+      this.database.query(
+        `SELECT * FROM task_notifications WHERE recipient = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+         ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3`,
+        [key, limit, offset]
+      ),
+      this.database.query('SELECT COUNT(*)::int AS unread FROM task_notifications WHERE recipient = $1 AND read_at IS NULL', [key])
+    ]);
+    return { notifications: rows.rows, unread: unread.rows[0]?.unread || 0 };
+  }
+
+  /**
+   * Mark one of a person's notifications as read
+   * @returns {Promise<Object|null>} The notification, or null when it is not theirs
+   */
+  async markRead(phone, notificationId) {
+    const key = phoneKey(phone);
+    if (this.isMockDb) {
+      const notification = this.inboxMem.find(n => n.id === String(notificationId) && n.recipient === key);
+      if (!notification) return null;
+      notification.read_at = notification.read_at || new Date().toISOString();
+      return notification;
+    }
+
+    const result = await this.database.query(
+      `UPDATE task_notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND recipient = $2
+       RETURNING *`,
+      [notificationId, key]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = NotificationCenter;
+module.exports.CHANNELS = CHANNELS;
+module.exports.phoneKey = phoneKey;
+module.exports.quietHoursEnd = quietHoursEnd;
@@ -0,0 +1,316 @@
+/**
+ * Recurrence rules
+ * A subset of iCalendar RRULE (RFC 5545) evaluated in an IANA timezone, so
+ * "every weekday at 09:00 Asia/Kolkata" stays at 09:00 local across DST changes.
+ * - FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL, WKST
+ * - BYDAY (MO..SU; with an ordinal such as 1MO or -1FR for MONTHLY/YEARLY), BYMONTHDAY (negative
+ *   counts from the month end), BYMONTH
+ * - Exceptions (EXDATE) are local dates (YYYY-MM-DD) whose occurrences are skipped
+ * Dates that don't exist in a month (e.g. the 31st) are skipped, as the RFC requires.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on periods walked per lookup (e.g. 50 years of a daily rule)
+const MAX_PERIODS = 20000;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+    this.status = 400;
+  }
+}
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) throw new RecurrenceError(`Invalid UNTIL: ${value}`);
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+}
+
+function parseNumberList(part, value, min, max) {
+  return value.split(',').map((raw) => {
+    const n = parseInt(raw, 10);
+    if (!/^[+-]?\d+$/.test(raw) || n === 0 || Math.abs(n) > max || (min > 0 && n < min)) {
+      throw new RecurrenceError(`Invalid ${part}: ${raw}`);
+    }
+    return n;
+  });
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE" or with an "RRULE:" prefix)
+ * @returns {Object} { freq, interval, count, until, byDay: [{ weekday, n }], byMonthDay, byMonth, wkst }
+ * @throws {RecurrenceError} on invalid or unsupported rules
+ */
+function parseRRule(input) {
+  const text = String(input || '').trim().replace(/^RRULE:/i, '');
+  if (!text) throw new RecurrenceError('Recurrence rule is empty');
+
+  const parts = {};
+  for (const pair of text.split(';').filter(Boolean)) {
+    const [key, value] = pair.split('=');
+    const name = String(key).trim().toUpperCase();
+    if (!value) throw new RecurrenceError(`Invalid rule part: ${pair}`);
+    if (!SUPPORTED_PARTS.includes(name)) throw new RecurrenceError(`Unsupported rule part: ${name}`);
+    parts[name] = value.trim().toUpperCase();
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) throw new RecurrenceError('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+  if (parts.COUNT && parts.UNTIL) throw new RecurrenceError('COUNT and UNTIL cannot be combined');
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseNumberList('INTERVAL', parts.INTERVAL, 1, 1000)[0] : 1,
+    count: parts.COUNT ? parseNumberList('COUNT', parts.COUNT, 1, 100000)[0] : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    byDay: [],
+    byMonthDay: parts.BYMONTHDAY ? parseNumberList('BYMONTHDAY', parts.BYMONTHDAY, -31, 31) : [],
+    byMonth: parts.BYMONTH ? parseNumberList('BYMONTH', parts.BYMONTH, 1, 12) : [],
+    wkst: parts.WKST ? WEEKDAYS.indexOf(parts.WKST) : 1
+  };
+  if (rule.wkst === -1) throw new RecurrenceError(`Invalid WKST: ${parts.WKST}`);
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map((raw) => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(raw);
+      if (!match) throw new RecurrenceError(`Invalid BYDAY: ${raw}`);
+      const n = match[1] ? parseInt(match[1], 10) : null;
+      if (n !== null && (n === 0 || Math.abs(n) > 53)) throw new RecurrenceError(`Invalid BYDAY: ${raw}`);
+      return { weekday: WEEKDAYS.indexOf(match[2]), n };
+    });
+    const ordinal = rule.byDay.some(d => d.n !== null);
+    if (ordinal && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+      throw new RecurrenceError('BYDAY ordinals (e.g. 1MO) need FREQ=MONTHLY or YEARLY');
+    }
+    if (ordinal && rule.freq === 'YEARLY' && rule.byMonth.length === 0) {
+      throw new RecurrenceError('Yearly BYDAY ordinals need BYMONTH');
+    }
+  }
+  return rule;
+}
+
+/**
+ * Throw unless the timezone is a valid IANA name
+ */
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new RecurrenceError(`Unknown timezone: ${timezone}`);
+  }
+}
+
+const partFormatters = new Map();
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, timezone) {
+  if (!partFormatters.has(timezone)) {
+    partFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(partFormatters.get(timezone).formatToParts(date)
+    .filter(p => p.type !== 'literal').map(p => [p.type, parseInt(p.value, 10)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+function offsetAt(instant, timezone) {
+  const p = zonedParts(new Date(instant), timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone. Times skipped by a DST jump move forward.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = wall - offsetAt(wall, timezone);
+  const corrected = wall - offsetAt(instant, timezone);
+  if (corrected !== instant) instant = Math.max(instant, corrected);
+  return new Date(instant);
+}
+
+// Calendar helpers on UTC-midnight day numbers
+const dayNumber = (y, m, d) => Date.UTC(y, m - 1, d) / DAY_MS;
+const fromDayNumber = (n) => {
+  const date = new Date(n * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+const weekdayOf = (n) => new Date(n * DAY_MS).getUTCDay();
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const localDateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Days of a month selected by BYMONTHDAY / BYDAY, or the start's day of month
+function monthDays(rule, year, month, startDay) {
+  const last = daysInMonth(year, month);
+  let days;
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(d => (d > 0 ? d : last + d + 1)).filter(d => d >= 1 && d <= last);
+    if (rule.byDay.length > 0) {
+      const weekdays = rule.byDay.map(d => d.weekday);
+      days = days.filter(d => weekdays.includes(weekdayOf(dayNumber(year, month, d))));
+    }
+  } else if (rule.byDay.length > 0) {
+    days = [];
+    for (const { weekday, n } of rule.byDay) {
+      const matching = [];
+      for (let d = 1; d <= last; d++) if (weekdayOf(dayNumber(year, month, d)) === weekday) matching.push(d);
+      if (n === null) days.push(...matching);
+      else {
+        const picked = n > 0 ? matching[n - 1] : matching[matching.length + n];
+        if (picked) days.push(picked);
+      }
+    }
+  } else {
+    days = startDay <= last ? [startDay] : [];
+  }
+  return days.map(d => dayNumber(year, month, d));
+}
+
+// Candidate day numbers for the k-th period after the start, in order
+function periodDays(rule, start, k) {
+  const { year, month, day } = fromDayNumber(start);
+  const step = k * rule.interval;
+  let days;
+
+  if (rule.freq === 'DAILY') {
+    days = [start + step];
+    if (rule.byDay.length > 0) days = days.filter(n => rule.byDay.some(d => d.weekday === weekdayOf(n)));
+    if (rule.byMonthDay.length > 0) {
+      days = days.filter((n) => {
+        const p = fromDayNumber(n);
+        const last = daysInMonth(p.year, p.month);
+        return rule.byMonthDay.some(d => (d > 0 ? d : last + d + 1) === p.day);
+      });
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const weekStart = start - ((weekdayOf(start) - rule.wkst + 7) % 7) + step * 7;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [weekdayOf(start)];
+    days = [];
+    for (let i = 0; i < 7; i++) if (weekdays.includes(weekdayOf(weekStart + i))) days.push(weekStart + i);
+  } else if (rule.freq === 'MONTHLY') {
+    const index = (year * 12 + (month - 1)) + step;
+    days = monthDays(rule, Math.floor(index / 12), (index % 12) + 1, day);
+  } else {
+    // Without BYMONTH, day rules apply to every month of the year
+    const hasDayRule = rule.byDay.length > 0 || rule.byMonthDay.length > 0;
+    const months = rule.byMonth.length > 0 ? rule.byMonth : (hasDayRule ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [month]);
+    days = months.flatMap(m => monthDays(rule, year + step, m, day));
+  }
+
+  if (rule.byMonth.length > 0) days = days.filter(n => rule.byMonth.includes(fromDayNumber(n).month));
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Walk the occurrences of a rule in order
+ * @param {string|Object} rrule - Rule string or parseRRule() result
+ * @param {Object} options - { start: Date (DTSTART, the first occurrence), timezone, exdates: ['YYYY-MM-DD'] }
+ * @param {Function} visit - (date) => true to stop
+ */
+function walk(rrule, { start, timezone = 'UTC', exdates = [] }, visit) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  assertTimezone(timezone);
+  const local = zonedParts(new Date(start), timezone);
+  const startDay = dayNumber(local.year, local.month, local.day);
+  const skipped = new Set(exdates.map(d => String(d).slice(0, 10)));
+  let produced = 0;
+
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    for (const n of periodDays(rule, startDay, k)) {
+      if (n < startDay) continue;
+      const date = fromDayNumber(n);
+      const instant = zonedTimeToUtc({ ...date, hour: local.hour, minute: local.minute, second: local.second }, timezone);
+      if (rule.until && instant > rule.until) return;
+      produced += 1;
+      if (!skipped.has(localDateKey(date)) && visit(instant)) return;
+      if (rule.count && produced >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * First occurrence strictly after `after`, or null when the series has ended
+ */
+function nextOccurrence(rrule, { after, ...options }) {
+  let found = null;
+  walk(rrule, options, (date) => {
+    if (date > after) {
+      found = date;
+      return true;
+    }
+    return false;
+  });
+  return found;
+}
+
+/**
+ * Occurrence to materialize after one due at `after`: the latest occurrence that has
+ * already arrived by `now` (missed ones are skipped), else the next upcoming one
+ * @returns {Object|null} { date, skipped }
+ */
+function occurrenceToMaterialize(rrule, { after, now = new Date(), ...options }) {
+  let arrived = null;
+  let upcoming = null;
+  let skipped = 0;
+  walk(rrule, options, (date) => {
+    if (date <= after) return false;
+    if (date <= now) {
+      if (arrived) skipped += 1;
+      arrived = date;
+      return false;
+    }
+    upcoming = date;
+    return true;
+  });
+  if (arrived) return { date: arrived, skipped };
+  return upcoming ? { date: upcoming, skipped: 0 } : null;
+}
+
+/**
+ * The next `limit` occurrences after a point in time
+ */
+function upcomingOccurrences(rrule, { after, limit = 5, ...options }) {
+  const dates = [];
+  walk(rrule, options, (date) => {
+    if (date > after) dates.push(date);
+    return dates.length >= limit;
+  });
+  return dates;
+}
+
+/**
+ * Validate recurrence settings before they are stored
+ * @returns {Object} { rule (normalized string), timezone, exdates }
+ */
+function normalizeRecurrence({ rule, timezone, exdates = [] }) {
+  parseRRule(rule);
+  const zone = timezone || process.env.TASK_DEFAULT_TIMEZONE || 'UTC';
+  assertTimezone(zone);
+  if (!Array.isArray(exdates)) throw new RecurrenceError('Exceptions must be a list of dates');
+  const dates = exdates.map((d) => {
+    const text = String(d).slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw new RecurrenceError(`Invalid exception date: ${d}`);
+    return text;
+  });
+  return { rule: String(rule).trim().replace(/^RRULE:/i, '').toUpperCase(), timezone: zone, exdates: [...new Set(dates)].sort() };
+}
+
+module.exports = {
+  RecurrenceError,
+  parseRRule,
+  nextOccurrence,
+  occurrenceToMaterialize,
+  upcomingOccurrences,
+  normalizeRecurrence,
+  assertTimezone,
+  zonedParts,
+  zonedTimeToUtc,
+  localDateKey
+};
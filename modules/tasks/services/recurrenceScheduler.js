@@ -0,0 +1,163 @@
+const winston = require('winston');
+const { occurrenceToMaterialize } = require('./recurrence');
+
+/**
+ * Recurrence Scheduler
+ *
+ * Materializes the next occurrence of a recurring task (a copy with the next due
+ * date) when the current one is completed, or when the next occurrence's date
+ * arrives while the current one is still open. Occurrences missed while the
+ * server was down are skipped, not back-filled. Each new occurrence is created
+ * through TaskService (task:created) and announced with task:recurred, which
+ * the WhatsApp module turns into a reminder.
+ */
+
+// Fields every occurrence copies from the previous one
+const COPIED_FIELDS = [
+  'title', 'description', 'priority', 'assigned_to_whatsapp', 'created_by_whatsapp',
+  'tags', 'estimated_hours', 'project_id', 'watchers', 'parent_task_id',
+  'recurrence_rule', 'recurrence_timezone', 'recurrence_exdates', 'recurrence_start', 'custom_fields'
+];
+
+class RecurrenceScheduler {
+  constructor({ taskService, eventBus, logger, options = {} } = {}) {
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.options = {
+      pollIntervalMs: process.env.TASK_RECURRENCE_POLL_MS !== undefined ? parseInt(process.env.TASK_RECURRENCE_POLL_MS) : 60000,
+      ...options
+    };
+    this.timer = null;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Advance a series when its current occurrence is completed
+   */
+  subscribe() {
+    const onUpdated = async ({ updates = {}, task } = {}) => {
+      if (updates.status !== 'completed' || !task?.recurrence_rule) return;
+      try {
+        await this.advance(task, { reason: 'completed' });
+      } catch (error) {
+        this.logger.error('Failed to create next occurrence', { taskId: task.id, error: error.message });
+      }
+    };
+    this.eventBus.on('task:updated', onUpdated, { moduleName: 'tasks', id: 'tasks_recurrence_on_complete' });
+    this.eventBus.on('task:bulk', async ({ action, items = [] } = {}) => {
+      if (action !== 'update') return;
+      for (const item of items) await onUpdated(item);
+    }, { moduleName: 'tasks', id: 'tasks_recurrence_on_bulk_complete' });
+  }
+
+  /**
+   * Create the occurrence after `task`, if there is one
+   * @param {Object} task - Current occurrence
+   * @param {Object} options - { now, reason: 'completed' | 'due' } ('due' only creates occurrences whose date has arrived)
+   * @returns {Promise<Object|null>} The new occurrence
+   */
+  async advance(task, { now = new Date(), reason = 'completed' } = {}) {
+    const key = String(task.id);
+    if (this.inFlight.has(key) || task.recurrence_next_id || !task.due_date) return null;
+    this.inFlight.add(key);
+
+    try {
+      const pick = occurrenceToMaterialize(task.recurrence_rule, {
+        start: new Date(task.recurrence_start || task.due_date),
+        timezone: task.recurrence_timezone || 'UTC',
+        exdates: task.recurrence_exdates || [],
+        after: new Date(task.due_date),
+        now
+      });
+      if (!pick || (reason === 'due' && pick.date > now)) return null;
+
+      const seriesId = task.recurrence_series_id || task.id;
+      let next;
+      try {
+        next = await this.taskService.createTask({
+          ...Object.fromEntries(COPIED_FIELDS.map(field => [field, task[field] ?? undefined])),
+          due_date: pick.date.toISOString(),
+          recurrence_series_id: seriesId
+        }, { source: 'recurrence' });
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+        // The occurrence already exists (unique series/due date index): another instance
+        // created it first, or stopped before linking it. Link it and leave the announcement
+        // to whoever created it.
+        const existing = await this.taskService.findOccurrence(seriesId, pick.date.toISOString());
+        if (existing) {
+          await this.taskService.linkNextOccurrence(task.id, existing.id);
+          this.logger.info('Recurring task occurrence already existed', { taskId: existing.id, previousId: task.id, seriesId });
+        }
+        return null;
+      }
+      await this.taskService.linkNextOccurrence(task.id, next.id);
+
+      this.logger.info('Recurring task occurrence created', { taskId: next.id, previousId: task.id, seriesId, reason, skipped: pick.skipped });
+
+      await this.eventBus.emit('task:recurred', {
+        id: next.id,
+        previousId: task.id,
+        seriesId,
+        dueDate: next.due_date,
+        timezone: next.recurrence_timezone,
+        skipped: pick.skipped,
+        reason,
+        task: next
+      });
+      return next;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Create the occurrences whose date has arrived
+   * @returns {Promise<Array>} New occurrences
+   */
+  async tick(now = new Date()) {
+    const created = [];
+    for (const task of await this.taskService.getActiveRecurringTasks()) {
+      try {
+        const next = await this.advance(task, { now, reason: 'due' });
+        if (next) created.push(next);
+      } catch (error) {
+        this.logger.error('Failed to create due occurrence', { taskId: task.id, error: error.message });
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Start the background worker (TASK_RECURRENCE_POLL_MS=0 disables it)
+   */
+  start() {
+    if (this.timer || !this.options.pollIntervalMs) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.logger.error('Recurrence tick failed', { error: error.message }));
+    }, this.options.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    this.logger.info('Recurrence scheduler started', { pollIntervalMs: this.options.pollIntervalMs });
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Recurrence scheduler stopped');
+    }
+  }
+}
+
+module.exports = RecurrenceScheduler;
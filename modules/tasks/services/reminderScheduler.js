@@ -0,0 +1,474 @@
+const winston = require('winston');
+const { translate, formatDate } = require('../../../shared/i18n');
+const { phoneKey, quietHoursEnd } = require('./notificationCenter');
+
+/**
+ * Reminder Scheduler
+ *
+ * Durable due-date reminders. Jobs are planned from TaskService events and
+ * stored in task_reminders, so they survive restarts; a polling worker claims
+ * the jobs that are due and delivers them over the recipient's channels.
+ * - 'reminder' jobs go to the assignee (else the creator) at each offset before
+ *   the due date (TASK_REMINDER_OFFSETS, or the task's reminder_offsets)
+ * - 'overdue' jobs escalate to the creator and watchers once the task is
+ *   TASK_OVERDUE_ESCALATION_MINUTES past due. An escalation that should have gone out
+ *   more than TASK_OVERDUE_GRACE_HOURS (default 24) ago is not planned, so tasks
+ *   long overdue when the scheduler first sees them do not all escalate at once.
+ * Jobs landing in someone's quiet hours are deferred until the hours end.
+ * Changing the due date, assignee or watchers, or restoring a deleted task,
+ * replans; closing or deleting the task cancels what is left. Falls back to an in-memory store without a database.
+ */
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const REPLAN_FIELDS = ['due_date', 'status', 'assigned_to_whatsapp', 'created_by_whatsapp', 'watchers', 'reminder_offsets'];
+const UNITS = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+const MAX_OFFSET_MINUTES = 60 * 24 * 60;
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reminder offsets in minutes before the due date, largest first
+ * @param {Array|string} value - [1440, 60], ['1d', '1h'] or '1d,1h'
+ * @returns {Array<number>}
+ * @throws {Error} status 400 on an invalid offset
+ */
+function parseOffsets(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',').filter(part => part.trim());
+  const minutes = list.map((raw) => {
+    const match = /^(\d+)\s*([mhdw])?$/i.exec(String(raw).trim());
+    const total = match ? parseInt(match[1], 10) * UNITS[(match[2] || 'm').toLowerCase()] : NaN;
+    if (!(total > 0 && total <= MAX_OFFSET_MINUTES)) {
+      throw withStatus(new Error(`Invalid reminder offset: ${raw} (use minutes, or e.g. 2h or 1d, up to 60 days)`), 400);
+    }
+    return total;
+  });
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+const jobKey = (job) => [job.kind, job.offset_minutes, job.recipient, new Date(job.due_date).toISOString()].join('|');
+
+class ReminderScheduler {
+  constructor({ database, taskService, eventBus, notificationCenter, channels = {}, languageFor, logger, options = {} } = {}) {
+    this.database = database;
+    this.taskService = taskService;
+    this.eventBus = eventBus;
+    this.notificationCenter = notificationCenter;
+    this.languageFor = languageFor;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.options = {
+      pollIntervalMs: process.env.TASK_REMINDER_POLL_MS !== undefined ? parseInt(process.env.TASK_REMINDER_POLL_MS) : 30000,
+      offsets: parseOffsets(process.env.TASK_REMINDER_OFFSETS || '1d,1h'),
+      overdueAfterMinutes: parseInt(process.env.TASK_OVERDUE_ESCALATION_MINUTES) || 0,
+      overdueGraceMs: (parseInt(process.env.TASK_OVERDUE_GRACE_HOURS) || 24) * 60 * 60 * 1000,
+      batchSize: 20,
+      maxAttempts: 5,
+      retryDelayMs: 5 * 60 * 1000,
+      sendingLeaseMs: parseInt(process.env.TASK_REMINDER_LEASE_MS) || 5 * 60 * 1000,
+      ...options
+    };
+
+    // Delivery channels: async ({ recipient, preferences, subject, body, task, reminder }) => void
+    this.channels = {
+      in_app: ({ recipient, body, task, reminder }) => this.notificationCenter.notify({
+        phone: recipient, taskId: task.id, kind: reminder.kind, body, metadata: { reminderId: reminder.id }
+      }),
+      ...channels
+    };
+
+    this.timer = null;
+    this.processing = false;
+
+    // In-memory store for mock-safe mode
+    this.memStore = [];
+    this.memIdCounter = 1;
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. ReminderScheduler running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Add or replace a delivery channel (e.g. 'email' once SMTP is configured)
+   */
+  registerChannel(name, handler) {
+    this.channels[name] = handler;
+  }
+
+  /**
+   * Keep reminder jobs in step with task events
+   */
+  subscribe() {
+    const replan = async (taskId) => {
+      try {
+        const task = await this.taskService.getTaskById(taskId);
+        if (task) {
+          await this.plan(task);
+        } else {
+          await this.cancel(taskId);
+        }
+      } catch (error) {
+        this.logger.error('Failed to plan task reminders', { taskId, error: error.message });
+      }
+    };
+
+    this.eventBus.on('task:created', async ({ id } = {}) => replan(id),
+      { moduleName: 'tasks', id: 'tasks_reminders_created' });
+    this.eventBus.on('task:updated', async ({ id, updates = {} } = {}) => {
+      if (Object.keys(updates).some(field => REPLAN_FIELDS.includes(field))) await replan(id);
+    }, { moduleName: 'tasks', id: 'tasks_reminders_updated' });
+    this.eventBus.on('task:restored', async ({ id } = {}) => replan(id),
+      { moduleName: 'tasks', id: 'tasks_reminders_restored' });
+    const cancel = async (taskId) => {
+      try {
+        await this.cancel(taskId);
+      } catch (error) {
+        this.logger.error('Failed to cancel task reminders', { taskId, error: error.message });
+      }
+    };
+    this.eventBus.on('task:deleted', async ({ id } = {}) => cancel(id),
+      { moduleName: 'tasks', id: 'tasks_reminders_deleted' });
+    this.eventBus.on('task:bulk', async ({ action, items = [] } = {}) => {
+      for (const { id, updates = {} } of items) {
+        if (action === 'delete') await cancel(id);
+        else if (action === 'restore' || Object.keys(updates).some(field => REPLAN_FIELDS.includes(field))) await replan(id);
+      }
+    }, { moduleName: 'tasks', id: 'tasks_reminders_bulk' });
+  }
+
+  /**
+   * Jobs a task should have: reminders ahead of the due date (only those still
+   * in the future) and the overdue escalation (unless it is older than the grace period)
+   */
+  desiredJobs(task, now = new Date()) {
+    if (!task?.due_date || task.deleted_at || CLOSED_STATUSES.includes(task.status)) return [];
+
+    const due = new Date(task.due_date);
+    const assignee = phoneKey(task.assigned_to_whatsapp) || phoneKey(task.created_by_whatsapp);
+    const escalateTo = [...new Set([task.created_by_whatsapp, ...(task.watchers || [])].map(phoneKey).filter(Boolean))];
+    const offsets = task.reminder_offsets ? parseOffsets(task.reminder_offsets) : this.options.offsets;
+    const jobs = [];
+
+    if (assignee) {
+      for (const offset of offsets) {
+        const runAt = new Date(due.getTime() - offset * 60000);
+        if (runAt > now) jobs.push({ kind: 'reminder', offset_minutes: offset, recipient: assignee, due_date: due, run_at: runAt });
+      }
+    }
+    const escalateAt = new Date(due.getTime() + this.options.overdueAfterMinutes * 60000);
+    if (escalateAt.getTime() < now.getTime() - this.options.overdueGraceMs) return jobs;
+    for (const recipient of escalateTo.length > 0 ? escalateTo : [assignee].filter(Boolean)) {
+      jobs.push({
+        kind: 'overdue',
+        offset_minutes: -this.options.overdueAfterMinutes,
+        recipient,
+        due_date: due,
+        run_at: escalateAt
+      });
+    }
+    return jobs;
+  }
+
+  /**
+   * Bring a task's pending jobs in line with the task. Idempotent: jobs already
+   * sent for the same due date are not sent again.
+   * @returns {Promise<Array>} Pending jobs of the task
+   */
+  async plan(task, now = new Date()) {
+    const desired = this.desiredJobs(task, now);
+    // Pending jobs that still match the task are kept, even when already due
+    const valid = new Set(this.desiredJobs(task, new Date(0)).map(jobKey));
+    const existing = await this.listForTask(task.id);
+
+    const stale = existing.filter(job => job.status === 'pending' && !valid.has(jobKey(job)));
+    if (stale.length > 0) await this.cancel(task.id, stale.map(job => job.id));
+
+    if (this.isMockDb) {
+      for (const job of desired) {
+        const current = this.memStore.find(j => String(j.task_id) === String(task.id) && jobKey(j) === jobKey(job));
+        if (current && current.status !== 'cancelled') continue;
+        if (current) {
+          Object.assign(current, { status: 'pending', run_at: job.run_at.toISOString(), attempts: 0, last_error: null, updated_at: new Date().toISOString() });
+          continue;
+        }
+        this.memStore.push({
+          id: String(this.memIdCounter++),
+          task_id: task.id,
+          ...job,
+          due_date: job.due_date.toISOString(),
+          run_at: job.run_at.toISOString(),
+          status: 'pending',
+          attempts: 0,
+          channels: [],
+          last_error: null,
+          sent_at: null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        });
+      }
+    } else {
+      for (const job of desired) {
+        await this.database.query(
+          `INSERT INTO task_reminders (task_id, kind, offset_minutes, recipient, due_date, run_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (task_id, kind, offset_minutes, recipient, due_date) DO UPDATE
+             SET status = 'pending', run_at = EXCLUDED.run_at, attempts = 0, last_error = NULL, updated_at = NOW()
+             WHERE task_reminders.status = 'cancelled'`,
+          [task.id, job.kind, job.offset_minutes, job.recipient, job.due_date, job.run_at]
+        );
+      }
+    }
+
+    return (await this.listForTask(task.id)).filter(job => job.status === 'pending');
+  }
+
+  /**
+   * Cancel the pending jobs of a task (or only the given job IDs)
+   */
+  async cancel(taskId, jobIds = null) {
+    if (this.isMockDb) {
+      for (const job of this.memStore) {
+        if (String(job.task_id) !== String(taskId) || job.status !== 'pending') continue;
+        if (jobIds && !jobIds.includes(job.id)) continue;
+        Object.assign(job, { status: 'cancelled', updated_at: new Date().toISOString() });
+      }
+      return;
+    }
+
+    await this.database.query(
+      `UPDATE task_reminders SET status = 'cancelled', updated_at = NOW()
+       WHERE task_id = $1 AND status = 'pending' ${jobIds ? 'AND id = ANY($2::bigint[])' : ''}`,
+      jobIds ? [taskId, jobIds] : [taskId]
+    );
+  }
+
+  /**
+   * Reminder jobs of a task, by run time
+   */
+  async listForTask(taskId) {
+    if (this.isMockDb) {
+      return this.memStore
+        .filter(job => String(job.task_id) === String(taskId))
+        .sort((a, b) => new Date(a.run_at) - new Date(b.run_at));
+    }
+
+    const result = await this.database.query(
+      'SELECT * FROM task_reminders WHERE task_id = $1 ORDER BY run_at ASC, id ASC',
+      [taskId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Plan jobs for every open task with a due date (startup, and tasks that
+   * predate the scheduler)
+   * @returns {Promise<number>} Tasks planned
+   */
+  async reconcile(now = new Date()) {
+    const tasks = await this.taskService.getOpenTasksWithDueDate();
+    for (const task of tasks) {
+      try {
+        await this.plan(task, now);
+      } catch (error) {
+        this.logger.error('Failed to plan task reminders', { taskId: task.id, error: error.message });
+      }
+    }
+    return tasks.length;
+  }
+
+  /**
+   * Claim due jobs (marks them as 'sending'). Jobs still 'sending' after the
+   * lease expired were abandoned mid-delivery (e.g. a crash) and are reclaimed.
+   */
+  async claimDue(now = new Date()) {
+    if (this.isMockDb) {
+      const leaseExpired = now.getTime() - this.options.sendingLeaseMs;
+      const due = this.memStore
+        .filter(job =>
+          (job.status === 'pending' && new Date(job.run_at) <= now) ||
+          (job.status === 'sending' && new Date(job.updated_at).getTime() <= leaseExpired)
+        )
+        .sort((a, b) => new Date(a.run_at) - new Date(b.run_at))
+        .slice(0, this.options.batchSize);
+      due.forEach(job => Object.assign(job, { status: 'sending', attempts: job.attempts + 1, updated_at: now.toISOString() }));
+      return due;
+    }
+
+    const result = await this.database.query(
+      `UPDATE task_reminders
+       SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM task_reminders
+         WHERE (status = 'pending' AND run_at <= $1)
+            OR (status = 'sending' AND updated_at <= $1::timestamptz - $3 * INTERVAL '1 millisecond')
+         ORDER BY run_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now, this.options.batchSize, this.options.sendingLeaseMs]
+    );
+    return result.rows;
+  }
+
+  async updateJob(id, changes) {
+    if (this.isMockDb) {
+      const job = this.memStore.find(j => j.id === id);
+      const stored = Object.fromEntries(Object.entries(changes).map(([field, value]) => [field, value instanceof Date ? value.toISOString() : value]));
+      if (job) Object.assign(job, stored, { updated_at: new Date().toISOString() });
+      return job || null;
+    }
+
+    const fields = Object.keys(changes);
+    const values = fields.map(field => (field === 'channels' ? JSON.stringify(changes[field]) : changes[field]));
+    const result = await this.database.query(
+      `UPDATE task_reminders SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [id, ...values]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deliver one claimed job
+   * @returns {Promise<string>} 'sent' | 'deferred' | 'cancelled' | 'retry' | 'failed'
+   */
+  async deliver(job, now = new Date()) {
+    const task = await this.taskService.getTaskById(job.task_id);
+    const planned = task ? this.desiredJobs(task, new Date(0)) : [];
+    const current = planned.some(wanted => jobKey(wanted) === jobKey(job));
+    // A reminder caught up late is dropped once the task is due or a closer reminder is due too
+    const superseded = job.kind === 'reminder' && (new Date(job.due_date) <= now || planned.some(other =>
+      other.kind === 'reminder' && other.recipient === job.recipient && other.offset_minutes < job.offset_minutes && other.run_at <= now));
+    if (!current || superseded) {
+      await this.updateJob(job.id, { status: 'cancelled' });
+      return 'cancelled';
+    }
+
+    const preferences = await this.notificationCenter.getPreferences(job.recipient);
+    const quietUntil = quietHoursEnd(preferences.quiet_hours, preferences.timezone, now);
+    if (quietUntil) {
+      await this.updateJob(job.id, { status: 'pending', run_at: quietUntil, attempts: job.attempts - 1 });
+      this.logger.info('Task reminder deferred for quiet hours', { reminderId: job.id, taskId: task.id, until: quietUntil.toISOString() });
+      return 'deferred';
+    }
+
+    const language = preferences.language || (await this.recipientLanguage(job.recipient));
+    const vars = { title: task.title, date: formatDate(task.due_date, language, preferences.timezone) };
+    const message = {
+      recipient: job.recipient,
+      preferences,
+      subject: translate(language, `notifications.${job.kind === 'overdue' ? 'task_overdue_subject' : 'task_due_soon_subject'}`, vars),
+      body: translate(language, `notifications.${job.kind === 'overdue' ? 'task_overdue' : 'task_due_soon'}`, vars),
+      task,
+      reminder: job
+    };
+
+    const delivered = [...(job.channels || [])];
+    const errors = [];
+    for (const channel of preferences.channels) {
+      if (delivered.includes(channel)) continue;
+      if (!this.channels[channel]) {
+        this.logger.warn('Task reminder channel not available', { channel, reminderId: job.id });
+        continue;
+      }
+      try {
+        await this.channels[channel](message);
+        delivered.push(channel);
+      } catch (error) {
+        errors.push(`${channel}: ${error.message}`);
+      }
+    }
+
+    if (errors.length === 0 && delivered.length > 0) {
+      await this.updateJob(job.id, { status: 'sent', channels: delivered, last_error: null, sent_at: now });
+      await this.eventBus.emit('task:reminder_sent', {
+        id: task.id, reminderId: job.id, kind: job.kind, recipient: job.recipient, channels: delivered
+      });
+      return 'sent';
+    }
+
+    const lastError = errors.join('; ') || 'No delivery channel available';
+    if (errors.length > 0 && job.attempts < this.options.maxAttempts) {
+      await this.updateJob(job.id, {
+        status: 'pending', channels: delivered, last_error: lastError, run_at: new Date(now.getTime() + this.options.retryDelayMs)
+      });
+      return 'retry';
+    }
+    await this.updateJob(job.id, { status: 'failed', channels: delivered, last_error: lastError });
+    this.logger.error('Task reminder failed', { reminderId: job.id, taskId: task.id, error: lastError });
+    return 'failed';
+  }
+
+  async recipientLanguage(phone) {
+    try {
+      return this.languageFor ? await this.languageFor(phone) : null;
+    } catch (error) {
+      this.logger.warn('Could not load preferred language for reminder', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Claim and deliver one batch of due jobs
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  async tick(now = new Date()) {
+    if (this.processing) return { skipped: true };
+    this.processing = true;
+
+    const summary = { sent: 0, deferred: 0, cancelled: 0, retry: 0, failed: 0 };
+    try {
+      for (const job of await this.claimDue(now)) {
+        try {
+          summary[await this.deliver(job, now)]++;
+        } catch (error) {
+          this.logger.error('Task reminder delivery failed', { reminderId: job.id, error: error.message });
+          const giveUp = job.attempts >= this.options.maxAttempts;
+          await this.updateJob(job.id, giveUp
+            ? { status: 'failed', last_error: error.message }
+            : { status: 'pending', last_error: error.message, run_at: new Date(now.getTime() + this.options.retryDelayMs) });
+          summary[giveUp ? 'failed' : 'retry']++;
+        }
+      }
+      return summary;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Start the background worker (TASK_REMINDER_POLL_MS=0 disables it)
+   */
+  start() {
+    if (this.timer || !this.options.pollIntervalMs) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.logger.error('Reminder tick failed', { error: error.message }));
+    }, this.options.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    this.logger.info('Reminder scheduler started', { pollIntervalMs: this.options.pollIntervalMs, offsets: this.options.offsets });
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Reminder scheduler stopped');
+    }
+  }
+}
+
+module.exports = ReminderScheduler;
+module.exports.parseOffsets = parseOffsets;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * Task Activity Log
+ *
+ * Audit timeline per task, built from TaskService events and stored in
+ * task_activity. Falls back to an in-memory store when no database is available.
+ * - task:created / task:updated / task:deleted / task:restored → created, updated (changed fields), deleted, restored
+ * - task:commented / task:comment_updated / task:comment_deleted → comment entries
+ * - task:checklist_updated, task:dependency_added / task:dependency_removed
+ * - task:reminder_sent → reminder_sent / overdue_escalated
+ * The timeline of a task is removed when the task is purged (task:purged).
+ */
+
+const UNTRACKED_FIELDS = ['updated_at', 'created_at', 'deleted_at'];
+
+class TaskActivityLog {
+  constructor({ database, logger } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    // In-memory store for mock-safe mode
+    this.memStore = [];
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. TaskActivityLog running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Record one timeline entry
+   * @param {Object} entry - { taskId, action, actor: { id, whatsapp }, changes, commentId, occurredAt }
+   */
+  async record({ taskId, action, actor = null, changes = {}, commentId = null, occurredAt = null }) {
+    if (taskId === undefined || taskId === null) return null;
+    const at = occurredAt ? new Date(occurredAt) : new Date();
+
+    if (this.isMockDb) {
+      const entry = {
+        id: crypto.randomUUID(),
+        task_id: String(taskId),
+        action,
+        actor_id: actor?.id ?? null,
+        actor_whatsapp: actor?.whatsapp ?? null,
+        changes,
+        comment_id: commentId !== null ? String(commentId) : null,
+        created_at: at.toISOString()
+      };
+      this.memStore.push(entry);
+      return entry;
+    }
+
+    const result = await this.database.query(
+      `INSERT INTO task_activity (task_id, action, actor_id, actor_whatsapp, changes, comment_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [taskId, action, actor?.id ?? null, actor?.whatsapp ?? null, JSON.stringify(changes), commentId, at]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Timeline for a task, oldest first
+   * @param {string|number} taskId
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list(taskId, { limit = 100, offset = 0 } = {}) {
+    if (this.isMockDb) {
+      const all = this.memStore.filter(e => e.task_id === String(taskId));
+      return { entries: all.slice(offset, offset + limit), total: all.length };
+    }
+
+    const [rows, count] = await Promise.all([
+      this.database.query(
+        'SELECT * FROM task_activity WHERE task_id = $1 ORDER BY created_at ASC, id ASC LIMIT $2 OFFSET $3',
+        [taskId, limit, offset]
+      ),
+      this.database.query('SELECT COUNT(*)::int AS total FROM task_activity WHERE task_id = $1', [taskId])
+    ]);
+    return { entries: rows.rows, total: count.rows[0]?.total || 0 };
+  }
+
+  /**
+   * Remove the timelines of purged tasks
+   * @param {Array} taskIds
+   */
+  async forget(taskIds) {
+    if (taskIds.length === 0) return;
+    if (this.isMockDb) {
+      const purged = new Set(taskIds.map(String));
+      this.memStore = this.memStore.filter(e => !purged.has(e.task_id));
+      return;
+    }
+
+    await this.database.query('DELETE FROM task_activity WHERE task_id = ANY($1)', [taskIds]);
+  }
+
+  /**
+   * Record the timeline from task events
+   * @param {Object} eventBus - Shared event bus
+   */
+  subscribe(eventBus) {
+    const on = (event, id, toEntry) => eventBus.on(event, async (data = {}) => {
+      try {
+        await this.record(toEntry(data));
+      } catch (error) {
+        this.logger.error('Failed to record task activity', { event, taskId: data.id, error: error.message });
+      }
+    }, { moduleName: 'tasks', id });
+
+    on('task:created', 'tasks_activity_created', (task) => ({
+      taskId: task.id,
+      action: 'created',
+      actor: task.actor,
+      changes: { title: task.title, assigned_to_whatsapp: task.assignedTo || null }
+    }));
+    const updated = ({ id, updates = {}, actor }) => ({
+      taskId: id,
+      action: 'updated',
+      actor,
+      changes: Object.fromEntries(Object.entries(updates).filter(([field]) => !UNTRACKED_FIELDS.includes(field)))
+    });
+    const deleted = ({ id, deletedAt, actor }) => ({
+      taskId: id, action: 'deleted', actor, occurredAt: deletedAt
+    });
+    const restored = ({ id, task, actor }) => ({
+      taskId: id, action: 'restored', actor, changes: { status: task?.status }
+    });
+    on('task:updated', 'tasks_activity_updated', updated);
+    on('task:deleted', 'tasks_activity_deleted', deleted);
+    on('task:restored', 'tasks_activity_restored', restored);
+    // A bulk operation is one event; each task gets the entry it would get on its own
+    const bulkEntries = { update: updated, delete: deleted, restore: restored };
+    eventBus.on('task:bulk', async ({ action, items = [], actor } = {}) => {
+      for (const item of items) {
+        try {
+          await this.record(bulkEntries[action]({ ...item, actor }));
+        } catch (error) {
+          this.logger.error('Failed to record task activity', { event: 'task:bulk', taskId: item.id, error: error.message });
+        }
+      }
+    }, { moduleName: 'tasks', id: 'tasks_activity_bulk' });
+    on('task:commented', 'tasks_activity_commented', ({ id, comment }) => ({
+      taskId: id,
+      action: 'commented',
+      actor: { id: comment.author_id, whatsapp: comment.author_whatsapp },
+      commentId: comment.id,
+      changes: { body: comment.body, source: comment.source }
+    }));
+    on('task:comment_updated', 'tasks_activity_comment_updated', ({ id, comment, previousBody, actor }) => ({
+      taskId: id, action: 'comment_edited', actor, commentId: comment.id, changes: { body: comment.body, previous_body: previousBody }
+    }));
+    on('task:comment_deleted', 'tasks_activity_comment_deleted', ({ id, comment, actor }) => ({
+      taskId: id, action: 'comment_deleted', actor, commentId: comment.id
+    }));
+    on('task:checklist_updated', 'tasks_activity_checklist', ({ id, item, change, actor }) => ({
+      taskId: id, action: `checklist_item_${change}`, actor, changes: { item_id: item.id, title: item.title }
+    }));
+    on('task:dependency_added', 'tasks_activity_dependency_added', ({ id, blockedBy, actor }) => ({
+      taskId: id, action: 'dependency_added', actor, changes: { blocked_by: blockedBy }
+    }));
+    on('task:dependency_removed', 'tasks_activity_dependency_removed', ({ id, blockedBy, actor }) => ({
+      taskId: id, action: 'dependency_removed', actor, changes: { blocked_by: blockedBy }
+    }));
+    eventBus.on('task:purged', async ({ ids = [] } = {}) => {
+      try {
+        await this.forget(ids);
+      } catch (error) {
+        this.logger.error('Failed to remove purged task activity', { error: error.message });
+      }
+    }, { moduleName: 'tasks', id: 'tasks_activity_purged' });
+    on('task:reminder_sent', 'tasks_activity_reminder_sent', ({ id, kind, recipient, channels }) => ({
+      taskId: id, action: kind === 'overdue' ? 'overdue_escalated' : 'reminder_sent', changes: { recipient, channels }
+    }));
+  }
+}
+
+module.exports = TaskActivityLog;
@@ -0,0 +1,226 @@
+const winston = require('winston');
+
+/**
+ * Task History
+ *
+ * Field-level change history per task, written by a TaskService update hook in
+ * the transaction of each update and stored in task_revisions, or in memory when
+ * no database is available. Each revision holds { field: { from, to } } with who
+ * made the change, when, and the channel it came through (api, whatsapp).
+ * Reverting a revision writes its earlier values back as a new revision.
+ * The history of a task is removed when the task is purged (task:purged).
+ */
+
+const UNTRACKED_FIELDS = ['updated_at', 'created_at', 'deleted_at', 'version'];
+const DATE_FIELDS = ['due_date', 'recurrence_start'];
+const NUMERIC_FIELDS = ['estimated_hours'];
+const RECURRENCE_FIELDS = ['recurrence_rule', 'recurrence_timezone', 'recurrence_exdates', 'recurrence_start'];
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+// Values as kept in history: dates as ISO strings, numbers as numbers (pg returns NUMERIC as text)
+function normalize(field, value) {
+  if (value === undefined || value === null) return null;
+  if (DATE_FIELDS.includes(field)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toISOString();
+  }
+  if (NUMERIC_FIELDS.includes(field)) return Number(value);
+  return value;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields an update actually changed
+ * @param {Object} updates - Fields written
+ * @param {Object} previous - Their values before the update
+ * @param {Object} task - The task after the update
+ * @returns {Object} { field: { from, to } }
+ */
+function diff(updates = {}, previous = null, task = {}) {
+  if (!previous) return {};
+  const changes = {};
+  for (const field of Object.keys(updates)) {
+    if (UNTRACKED_FIELDS.includes(field) || !(field in previous)) continue;
+    const from = normalize(field, previous[field]);
+    const to = normalize(field, task?.[field] !== undefined ? task[field] : updates[field]);
+    if (!same(from, to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+class TaskHistory {
+  constructor({ database, taskService, logger } = {}) {
+    this.database = database;
+    this.taskService = taskService;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    // In-memory store for mock-safe mode
+    this.memStore = [];
+    this.memCounter = 0;
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. TaskHistory running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Store one revision
+   * @param {Object} revision - { taskId, version, actor: { id, whatsapp }, source, changes, revertOf }
+   * @param {Object} options - { client } - client: write inside the update's transaction
+   */
+  async record({ taskId, version = null, actor = null, source = 'api', changes, revertOf = null }, { client = null } = {}) {
+    if (taskId === undefined || taskId === null || Object.keys(changes || {}).length === 0) return null;
+
+    if (this.isMockDb) {
+      const revision = {
+        id: String(++this.memCounter),
+        task_id: String(taskId),
+        task_version: version,
+        actor_id: actor?.id ?? null,
+        actor_whatsapp: actor?.whatsapp ?? null,
+        source,
+        changes,
+        revert_of: revertOf !== null ? String(revertOf) : null,
+        created_at: new Date().toISOString()
+      };
+      this.memStore.push(revision);
+      return revision;
+    }
+
+    const result = await (client || this.database).query(
+      `INSERT INTO task_revisions (task_id, task_version, actor_id, actor_whatsapp, source, changes, revert_of)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [taskId, version, actor?.id ?? null, actor?.whatsapp ?? null, source, JSON.stringify(changes), revertOf]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Revisions of a task, oldest first
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { revisions, total }
+   */
+  async list(taskId, { limit = 100, offset = 0 } = {}) {
+    if (this.isMockDb) {
+      const all = this.memStore.filter(r => r.task_id === String(taskId));
+      return { revisions: all.slice(offset, offset + limit), total: all.length };
+    }
+
+    const [rows, count] = await Promise.all([
+      this.database.query(
+        'SELECT * FROM task_revisions WHERE task_id = $1 ORDER BY id ASC LIMIT $2 OFFSET $3',
+        [taskId, limit, offset]
+      ),
+      this.database.query('SELECT COUNT(*)::int AS total FROM task_revisions WHERE task_id = $1', [taskId])
+    ]);
+    return { revisions: rows.rows, total: count.rows[0]?.total || 0 };
+  }
+
+  async get(taskId, revisionId) {
+    if (this.isMockDb) {
+      return this.memStore.find(r => r.id === String(revisionId) && r.task_id === String(taskId)) || null;
+    }
+    if (!/^\d+$/.test(String(revisionId))) return null;
+    const result = await this.database.query('SELECT * FROM task_revisions WHERE id = $1 AND task_id = $2', [revisionId, taskId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Write the values a revision replaced back to the task (recorded as a new revision).
+   * Fields changed again since the revision are a 409 (error.current) unless force is set.
+   * The task must still be at expectedVersion, by default the version those fields were
+   * compared on; the fields and the recurrence are written back in one transaction.
+   * @param {Object} options - { actor, source, expectedVersion, force }
+   * @returns {Promise<Object>} The updated task
+   */
+  async revert(taskId, revisionId, { actor = null, source = 'api', expectedVersion = null, force = false } = {}) {
+    const revision = await this.get(taskId, revisionId);
+    if (!revision) throw withStatus(new Error('Revision not found'), 404);
+    const task = await this.taskService.getTaskById(taskId);
+    if (!task) throw withStatus(new Error('Task not found'), 404);
+
+    const fields = Object.keys(revision.changes);
+    const changedSince = fields.filter(field => !same(normalize(field, task[field]), revision.changes[field].to));
+    if (changedSince.length > 0 && !force) {
+      const error = withStatus(new Error(`Changed since this revision: ${changedSince.join(', ')}. Send force: true to revert anyway`), 409);
+      error.current = task;
+      throw error;
+    }
+
+    const values = Object.fromEntries(fields.map(field => [field, revision.changes[field].from]));
+    // Custom field updates are merged into the stored ones, so keys the revision added are cleared
+    if (values.custom_fields !== undefined) {
+      const added = Object.keys(revision.changes.custom_fields.to || {}).map(key => [key, null]);
+      values.custom_fields = { ...Object.fromEntries(added), ...(values.custom_fields || {}) };
+    }
+    const plain = Object.fromEntries(Object.entries(values).filter(([field]) => !RECURRENCE_FIELDS.includes(field)));
+    let recurrence = null;
+    if (fields.some(field => RECURRENCE_FIELDS.includes(field))) {
+      // The series start follows from the rule; the rest falls back to the current values
+      recurrence = values.recurrence_rule === null ? { rule: null } : {
+        rule: values.recurrence_rule ?? undefined,
+        timezone: values.recurrence_timezone ?? undefined,
+        exdates: values.recurrence_exdates ?? undefined
+      };
+    }
+    const updated = await this.taskService.updateTaskWithRecurrence(
+      taskId,
+      { updates: Object.keys(plain).length > 0 ? plain : null, recurrence },
+      { actor, source, revertOf: revision.id, expectedVersion: expectedVersion ?? task.version }
+    );
+
+    this.logger.info('Task revision reverted', { taskId, revisionId: revision.id, fields });
+    return updated;
+  }
+
+  /**
+   * Remove the history of purged tasks
+   * @param {Array} taskIds
+   */
+  async forget(taskIds) {
+    if (taskIds.length === 0) return;
+    if (this.isMockDb) {
+      const purged = new Set(taskIds.map(String));
+      this.memStore = this.memStore.filter(r => !purged.has(r.task_id));
+      return;
+    }
+
+    await this.database.query('DELETE FROM task_revisions WHERE task_id = ANY($1)', [taskIds]);
+  }
+
+  /**
+   * Record a revision with every task update, committed or rolled back with it
+   * (TaskService update hook), and forget purged tasks
+   * @param {Object} eventBus - Shared event bus
+   */
+  subscribe(eventBus) {
+    this.taskService.addUpdateHook(({ id, updates, previous, task, actor, source, revertOf }, client) => this.record(
+      { taskId: id, version: task?.version ?? null, actor, source, changes: diff(updates, previous, task), revertOf },
+      { client }
+    ));
+
+    eventBus.on('task:purged', async ({ ids = [] } = {}) => {
+      try {
+        await this.forget(ids);
+      } catch (error) {
+        this.logger.error('Failed to remove purged task history', { error: error.message });
+      }
+    }, { moduleName: 'tasks', id: 'tasks_history_purged' });
+  }
+}
+
+module.exports = TaskHistory;
+module.exports.diff = diff;
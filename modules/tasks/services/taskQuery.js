@@ -0,0 +1,274 @@
+/**
+ * Task list queries
+ * Parses the query string of GET /api/modules/tasks into filters, a sort and a
+ * keyset cursor, and turns them into SQL (or evaluates them in memory for
+ * mock-safe mode).
+ * - Filters: status, priority, assigned_to, created_by, project_id (comma lists),
+ *   tags (all of), watcher, due_from / due_to (ISO dates), cf.<key> (custom field
+ *   value, comma list)
+ * - q: full-text search over title (weight A) and description (weight B), ranked
+ * - sort: a column from SORTABLE, a custom field (cf.<key>) or rank with q,
+ *   order asc|desc; ties break on id
+ * - Cursors encode the sort value and id of the last row, so pages stay stable
+ *   while tasks are added
+ */
+
+const { FIELD_KEY } = require('./customFields');
+
+const SORTABLE = [
+  'id', 'title', 'status', 'priority', 'due_date', 'created_at', 'updated_at', 'project_id',
+  'assigned_to_whatsapp', 'created_by_whatsapp', 'estimated_hours', 'parent_task_id'
+];
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+const DATE_COLUMNS = ['due_date', 'created_at', 'updated_at'];
+const NUMERIC_COLUMNS = ['id', 'project_id', 'estimated_hours', 'parent_task_id', 'priority', 'rank'];
+const MAX_LIMIT = 200;
+const CUSTOM_FIELD_PREFIX = 'cf.';
+// Indexed as an expression (idx_tasks_search in server-modular.js); keep both in sync
+const SEARCH_VECTOR = "setweight(to_tsvector('simple', coalesce(title, '')), 'A') || setweight(to_tsvector('simple', coalesce(description, '')), 'B')";
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+// Key of a custom field sort or filter parameter ('cf.site'), or null
+function customFieldKey(name) {
+  if (!String(name).startsWith(CUSTOM_FIELD_PREFIX)) return null;
+  const key = String(name).slice(CUSTOM_FIELD_PREFIX.length);
+  if (!FIELD_KEY.test(key)) throw withStatus(new Error(`Invalid custom field: ${key}`), 400);
+  return key;
+}
+
+const list = (value) => (value === undefined || value === null || value === ''
+  ? []
+  : (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean));
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw withStatus(new Error(`Invalid ${name}: ${value}`), 400);
+  return date;
+}
+
+function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sort || o !== order || id === undefined) throw new Error('mismatch');
+    return { value: v, id };
+  } catch (error) {
+    throw withStatus(new Error('Invalid cursor (it must come from a response with the same sort)'), 400);
+  }
+}
+
+/**
+ * Validate and normalize list parameters
+ * @param {Object} params - Query string values
+ * @returns {Object} { filters, q, sort, order, limit, cursor }
+ * @throws {Error} status 400 on invalid values
+ */
+function parseTaskQuery(params = {}) {
+  const q = String(params.q || '').trim() || null;
+  const sort = params.sort || (q ? 'rank' : 'created_at');
+  if (!(SORTABLE.includes(sort) || (sort === 'rank' && q) || customFieldKey(sort))) {
+    throw withStatus(new Error(`Cannot sort by ${sort}. Sortable: ${SORTABLE.join(', ')}, cf.<custom field>${q ? ', rank' : ''}`), 400);
+  }
+  // Alphabetical and soonest-due first; everything else newest / highest first
+  const order = String(params.order || (['title', 'due_date'].includes(sort) ? 'asc' : 'desc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw withStatus(new Error('order must be asc or desc'), 400);
+
+  const projectIds = list(params.project_id).map((id) => {
+    if (!/^\d+$/.test(id)) throw withStatus(new Error(`Invalid project_id: ${id}`), 400);
+    return parseInt(id, 10);
+  });
+  const filters = {
+    status: list(params.status),
+    priority: list(params.priority),
+    assignedTo: list(params.assigned_to),
+    createdBy: list(params.created_by),
+    projectIds,
+    tags: list(params.tags ?? params.tag),
+    watcher: params.watcher ? String(params.watcher).trim() : null,
+    dueFrom: parseDate(params.due_from, 'due_from'),
+    dueTo: parseDate(params.due_to, 'due_to'),
+    customFields: Object.fromEntries(Object.keys(params)
+      .filter(name => customFieldKey(name))
+      .map(name => [customFieldKey(name), list(params[name])])
+      .filter(([, values]) => values.length > 0))
+  };
+
+  const limit = params.limit === undefined ? 50 : parseInt(params.limit, 10);
+  if (!(limit > 0)) throw withStatus(new Error('limit must be a positive number'), 400);
+
+  return {
+    filters,
+    q,
+    sort,
+    order,
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: params.cursor ? decodeCursor(params.cursor, sort, order) : null
+  };
+}
+
+/**
+ * WHERE clause and values for the filters and search (without the cursor)
+ * @returns {Object} { where: ['...'], values: [], rankExpr }
+ */
+function buildWhere({ filters, q }) {
+  const where = ['deleted_at IS NULL'];
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (filters.status.length) where.push(`status = ANY(${param(filters.status)})`);
+  if (filters.priority.length) where.push(`priority = ANY(${param(filters.priority)})`);
+  if (filters.assignedTo.length) where.push(`assigned_to_whatsapp = ANY(${param(filters.assignedTo)})`);
+  if (filters.createdBy.length) where.push(`created_by_whatsapp = ANY(${param(filters.createdBy)})`);
+  if (filters.projectIds.length) where.push(`project_id = ANY(${param(filters.projectIds)})`);
+  if (filters.tags.length) where.push(`tags @> ${param(JSON.stringify(filters.tags))}::jsonb`);
+  if (filters.watcher) where.push(`watchers @> ${param(JSON.stringify([filters.watcher]))}::jsonb`);
+  if (filters.dueFrom) where.push(`due_date >= ${param(filters.dueFrom)}`);
+  if (filters.dueTo) where.push(`due_date <= ${param(filters.dueTo)}`);
+  for (const [key, accepted] of Object.entries(filters.customFields)) {
+    where.push(`custom_fields->>${param(key)} = ANY(${param(accepted)})`);
+  }
+
+  let rankExpr = null;
+  if (q) {
+    const query = `websearch_to_tsquery('simple', ${param(q)})`;
+    where.push(`(${SEARCH_VECTOR}) @@ ${query}`);
+    rankExpr = `ts_rank(${SEARCH_VECTOR}, ${query})`;
+  }
+  return { where, values, rankExpr };
+}
+
+// SQL expression a sort column orders by. Custom fields order by their jsonb
+// value: numbers numerically, text and ISO dates as strings. Timestamps order
+// at millisecond precision, the precision their cursor value keeps.
+function sortExpression(sort, rankExpr) {
+  if (sort === 'rank') return rankExpr;
+  const key = customFieldKey(sort);
+  if (key) return `(custom_fields->'${key}')`;
+  if (sort === 'priority') {
+    return `CASE priority ${Object.entries(PRIORITY_RANK).map(([p, n]) => `WHEN '${p}' THEN ${n}`).join(' ')} ELSE 0 END`;
+  }
+  if (DATE_COLUMNS.includes(sort)) return `date_trunc('milliseconds', ${sort})`;
+  return sort;
+}
+
+/**
+ * Keyset condition for rows after the cursor. NULL sort values come last in
+ * both directions.
+ */
+function cursorCondition(expr, order, cursor, param, sort = null) {
+  const cmp = order === 'asc' ? '>' : '<';
+  const id = param(cursor.id);
+  if (cursor.value === null) return `(${expr} IS NULL AND id ${cmp} ${id})`;
+  let value;
+  if (sort && customFieldKey(sort)) value = `${param(JSON.stringify(cursor.value))}::jsonb`;
+  else if (DATE_COLUMNS.includes(sort)) value = `${param(cursor.value)}::timestamptz`;
+  else value = param(cursor.value);
+  return `(${expr} ${cmp} ${value} OR (${expr} = ${value} AND id ${cmp} ${id}) OR ${expr} IS NULL)`;
+}
+
+// Sort value of a task, as stored in cursors and compared in memory
+function sortValueOf(task, sort) {
+  if (sort === 'rank') return task.rank;
+  if (sort === 'priority') return PRIORITY_RANK[task.priority] || 0;
+  const key = customFieldKey(sort);
+  const value = key ? task.custom_fields?.[key] : task[sort];
+  if (value === undefined || value === null) return null;
+  if (DATE_COLUMNS.includes(sort)) return new Date(value).toISOString();
+  if (NUMERIC_COLUMNS.includes(sort) && sort !== 'id') return Number(value);
+  return value;
+}
+
+// In-memory IDs look like 'mem-12'; order them numerically
+const idOrder = (id) => {
+  const match = /(\d+)$/.exec(String(id));
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+// Compare (value, id) pairs like the SQL ORDER BY: NULLS LAST, then id
+function compareKeys(sort, order, [va, ida], [vb, idb]) {
+  const dir = order === 'asc' ? 1 : -1;
+  if (va === null && vb !== null) return 1;
+  if (vb === null && va !== null) return -1;
+  if (va !== null && vb !== null && va !== vb) {
+    const diff = typeof va === 'string' && typeof vb === 'string' && !DATE_COLUMNS.includes(sort)
+      ? va.localeCompare(vb)
+      : (va < vb ? -1 : 1);
+    if (diff !== 0) return diff * dir;
+  }
+  return (idOrder(ida) - idOrder(idb)) * dir;
+}
+
+/**
+ * Comparator for tasks in list order (mock-safe mode)
+ */
+function compareFor(sort, order) {
+  return (a, b) => compareKeys(sort, order, [sortValueOf(a, sort), a.id], [sortValueOf(b, sort), b.id]);
+}
+
+// Whether a task comes after the cursor in list order (mock-safe mode)
+function isAfterCursor(task, { sort, order, cursor }) {
+  return compareKeys(sort, order, [sortValueOf(task, sort), task.id], [cursor.value, cursor.id]) > 0;
+}
+
+// Search rank in memory: matched terms, title weighted over description
+function memoryRank(task, q) {
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  const title = String(task.title || '').toLowerCase();
+  const description = String(task.description || '').toLowerCase();
+  let rank = 0;
+  for (const term of terms) {
+    if (title.includes(term)) rank += 1;
+    else if (description.includes(term)) rank += 0.4;
+    else return 0;
+  }
+  return rank;
+}
+
+/**
+ * Whether a task matches the filters and search (mock-safe mode)
+ */
+function matchesTaskQuery(task, { filters, q }) {
+  if (task.deleted_at) return false;
+  if (filters.status.length && !filters.status.includes(task.status)) return false;
+  if (filters.priority.length && !filters.priority.includes(task.priority)) return false;
+  if (filters.assignedTo.length && !filters.assignedTo.includes(task.assigned_to_whatsapp)) return false;
+  if (filters.createdBy.length && !filters.createdBy.includes(task.created_by_whatsapp)) return false;
+  if (filters.projectIds.length && !filters.projectIds.includes(Number(task.project_id))) return false;
+  if (filters.tags.length && !filters.tags.every(tag => (task.tags || []).includes(tag))) return false;
+  if (filters.watcher && !(task.watchers || []).includes(filters.watcher)) return false;
+  const due = task.due_date ? new Date(task.due_date) : null;
+  if (filters.dueFrom && !(due && due >= filters.dueFrom)) return false;
+  if (filters.dueTo && !(due && due <= filters.dueTo)) return false;
+  for (const [key, accepted] of Object.entries(filters.customFields)) {
+    const value = task.custom_fields?.[key];
+    if (value === undefined || value === null || !accepted.includes(String(value))) return false;
+  }
+  if (q && memoryRank(task, q) === 0) return false;
+  return true;
+}
+
+module.exports = {
+  SORTABLE,
+  SEARCH_VECTOR,
+  parseTaskQuery,
+  buildWhere,
+  sortExpression,
+  cursorCondition,
+  sortValueOf,
+  compareFor,
+  isAfterCursor,
+  memoryRank,
+  matchesTaskQuery,
+  encodeCursor
+};
@@ -11,6 +11,26 @@
  */
 
 const winston = require('winston');
+const { extractMentions, resolveMentions } = require('./mentions');
+const { normalizeRecurrence, RecurrenceError } = require('./recurrence');
+const { parseOffsets } = require('./reminderScheduler');
+const taskQuery = require('./taskQuery');
+const { normalizeFieldDefinition, validateCustomFields, mergeCustomFields } = require('./customFields');
+
+const UPDATABLE_FIELDS = [
+  'title', 'description', 'due_date', 'priority', 'status',
+  'assigned_to', 'assigned_to_whatsapp', 'tags', 'estimated_hours', 'parent_task_id', 'reminder_offsets',
+  'custom_fields'
+];
+const BULK_ACTIONS = ['update', 'delete', 'restore'];
+// Roles that may edit or remove anyone's comments (as adminMiddleware)
+const ADMIN_ROLES = ['admin', 'super_admin'];
+const MAX_BULK_TASKS = 500;
+
+// Who made a change, as carried on task events: { id, whatsapp }
+function actorOf({ id = null, whatsapp = null } = {}) {
+  return id !== null || whatsapp !== null ? { id, whatsapp } : null;
+}
 
 class TaskService {
   constructor(database, eventBus) {
@@ -31,8 +51,19 @@ class TaskService {
     // Ensure mock-safe behavior if a real database client isn't available
     // In-memory store for mock-safe mode
     this.taskMem = [];
+    this.commentMem = [];
+    this.checklistMem = [];
+    this.dependencyMem = [];
+    this.customFieldMem = [];
     this.memIdCounter = 1;
 
+    // Soft-deleted tasks are purged after TASK_PURGE_AFTER_DAYS (default 30; 0 keeps them)
+    const purgeAfterDays = parseInt(process.env.TASK_PURGE_AFTER_DAYS);
+    this.retention = { purgeAfterDays: Number.isNaN(purgeAfterDays) ? 30 : purgeAfterDays };
+    this.sweepTimer = null;
+    // Run inside every task update (see addUpdateHook)
+    this.updateHooks = [];
+
     if (!this.database || typeof this.database.getClient !== 'function') {
       this.logger.warn('Database client not available. TaskService running in mock-safe mode.');
       this.isMockDb = true;
@@ -47,6 +78,34 @@ class TaskService {
     }
   }
 
+  /**
+   * Run a hook inside every field update of a task (updateTask, bulk updates,
+   * setRecurrence), on the update's transaction client, so what it writes commits
+   * or rolls back with the update. A hook that throws fails the update.
+   * @param {Function} hook - async (change, client); change is the task:updated payload
+   *   { id, updates, task, previous, actor, source, revertOf }, client is null in mock-safe mode
+   */
+  addUpdateHook(hook) {
+    this.updateHooks.push(hook);
+  }
+
+  async runUpdateHooks(change, client) {
+    for (const hook of this.updateHooks) await hook(change, this.isMockDb ? null : client);
+  }
+
+  // Run work(client) in one transaction; without a database the in-memory tasks
+  // are put back when it fails
+  async inTransaction(work) {
+    if (!this.isMockDb) return this.database.transaction(work);
+    const snapshot = this.taskMem.map(task => ({ ...task }));
+    try {
+      return await work(null);
+    } catch (error) {
+      this.taskMem = snapshot;
+      throw error;
+    }
+  }
+
   /**
    * Safely get a database client or a no-op mock client.
    */
@@ -67,7 +126,7 @@ class TaskService {
   }
 
   // Create a new task
-  async createTask(taskData) {
+  async createTask(taskData, { actor, source = 'api' } = {}) {
     const client = await this.getClientSafe();
     
     try {
@@ -81,9 +140,38 @@ class TaskService {
         tags = [],
         estimated_hours = null,
         project_id = null,
-        watchers = []
+        watchers = [],
+        voice_transcript = null,
+        voice_confidence = null,
+        voice_media_id = null,
+        parent_task_id = null,
+        recurrence_rule = null,
+        recurrence_timezone = null,
+        recurrence_exdates = [],
+        recurrence_start = null,
+        recurrence_series_id = null,
+        reminder_offsets = null,
+        custom_fields = {}
       } = taskData;
 
+      // Minutes before the due date to send reminders; null uses the scheduler defaults
+      const reminderOffsets = reminder_offsets === null ? null : parseOffsets(reminder_offsets);
+
+      // Recurring tasks repeat from their due date (the series start unless given)
+      const recurrence = recurrence_rule
+        ? normalizeRecurrence({ rule: recurrence_rule, timezone: recurrence_timezone, exdates: recurrence_exdates })
+        : null;
+      if (recurrence && !due_date) throw new RecurrenceError('due_date is required for recurring tasks');
+      const seriesStart = recurrence ? (recurrence_start || due_date) : null;
+
+      if (parent_task_id !== null && !(await this.getTaskById(parent_task_id))) {
+        throw withStatus(new Error('Parent task not found'), 404);
+      }
+
+      // Values for the project's (and organization-wide) custom fields; required ones must be
+      // set on API creates, while chat and recurring copies keep whatever they have
+      const customFields = await this.checkCustomFields(custom_fields ?? {}, project_id, { create: true, strict: source === 'api' });
+
       // Get user ID from WhatsApp number
       let assignedToId = null;
       let createdById = null;
@@ -102,8 +190,11 @@ class TaskService {
         INSERT INTO tasks (
           title, description, due_date, priority,
           assigned_to, assigned_to_whatsapp, created_by, created_by_whatsapp,
-          tags, estimated_hours, status, project_id, watchers
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          tags, estimated_hours, status, project_id, watchers,
+          voice_transcript, voice_confidence, voice_media_id, parent_task_id,
+          recurrence_rule, recurrence_timezone, recurrence_exdates, recurrence_start, recurrence_series_id,
+          reminder_offsets, custom_fields
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24)
         RETURNING *
       `;
 
@@ -120,7 +211,18 @@ class TaskService {
         estimated_hours,
         'pending',
         project_id,
-        JSON.stringify(watchers || [])
+        JSON.stringify(watchers || []),
+        voice_transcript,
+        voice_confidence,
+        voice_media_id,
+        parent_task_id,
+        recurrence?.rule ?? null,
+        recurrence?.timezone ?? null,
+        JSON.stringify(recurrence?.exdates ?? []),
+        seriesStart,
+        recurrence_series_id,
+        reminderOffsets ? JSON.stringify(reminderOffsets) : null,
+        JSON.stringify(customFields)
       ];
 
       // In mock mode, synthesize a task object instead of writing to DB
@@ -141,6 +243,19 @@ class TaskService {
           status: 'pending',
           project_id,
           watchers,
+          voice_transcript,
+          voice_confidence,
+          voice_media_id,
+          parent_task_id,
+          recurrence_rule: recurrence?.rule ?? null,
+          recurrence_timezone: recurrence?.timezone ?? null,
+          recurrence_exdates: recurrence?.exdates ?? [],
+          recurrence_start: seriesStart,
+          recurrence_series_id,
+          recurrence_next_id: null,
+          reminder_offsets: reminderOffsets,
+          custom_fields: customFields,
+          version: 1,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
           deleted_at: null
@@ -163,7 +278,10 @@ class TaskService {
         title: task.title,
         assignedTo: assigned_to_whatsapp,
         createdBy: created_by_whatsapp,
-        projectId: project_id
+        projectId: project_id,
+        parentTaskId: parent_task_id,
+        seriesId: recurrence_series_id,
+        actor: actor || actorOf({ id: createdById ?? null, whatsapp: created_by_whatsapp ?? null })
       });
 
       return task;
@@ -227,16 +345,86 @@ class TaskService {
     }
   }
 
-  // Get task by ID
-  async getTaskById(taskId) {
+  /**
+   * One page of tasks for the list API: filters, full-text search, sorting and
+   * cursor pagination (see taskQuery.js for the parameters)
+   * @param {Object} params - Query string values
+   * @returns {Promise<Object>} { tasks, total, nextCursor, counts: { byStatus } }
+   * @throws {Error} status 400 on invalid parameters
+   */
+  async queryTasks(params = {}) {
+    const query = taskQuery.parseTaskQuery(params);
+    const { sort, order, limit, cursor, q } = query;
+    const nextCursorAfter = (page, more) => {
+      const last = page[page.length - 1];
+      return more && last ? taskQuery.encodeCursor({ sort, order, value: taskQuery.sortValueOf(last, sort), id: last.id }) : null;
+    };
     const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const matching = this.taskMem
+          .filter(t => taskQuery.matchesTaskQuery(t, query))
+          .map(t => (q ? { ...t, rank: taskQuery.memoryRank(t, q) } : t));
+        const byStatus = {};
+        matching.forEach((t) => { byStatus[t.status] = (byStatus[t.status] || 0) + 1; });
+        const ordered = matching
+          .sort(taskQuery.compareFor(sort, order))
+          .filter(t => !cursor || taskQuery.isAfterCursor(t, query));
+        const page = ordered.slice(0, limit);
+        return { tasks: page, total: matching.length, nextCursor: nextCursorAfter(page, ordered.length > limit), counts: { byStatus } };
+      }
+
+      const { where, values, rankExpr } = taskQuery.buildWhere(query);
+      const filterWhere = where.join(' AND ');
+      const filterValues = [...values];
+      const sortExpr = taskQuery.sortExpression(sort, rankExpr);
+      const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+      };
+      if (cursor) where.push(taskQuery.cursorCondition(sortExpr, order, cursor, param, sort));
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+      const [rows, counts] = await Promise.all([
+        client.query(
+          `SELECT *${rankExpr ? `, ${rankExpr} AS rank` : ''} FROM tasks
+           WHERE ${where.join(' AND ')}
+           ORDER BY ${sortExpr} ${direction} NULLS LAST, id ${direction}
+           LIMIT ${param(limit + 1)}`,
+          values
+        ),
+        client.query(`SELECT status, COUNT(*)::int AS count FROM tasks WHERE ${filterWhere} GROUP BY status`, filterValues)
+      ]);
+      const page = rows.rows.slice(0, limit);
+      const byStatus = {};
+      counts.rows.forEach((row) => { byStatus[row.status] = row.count; });
+      const total = counts.rows.reduce((sum, row) => sum + row.count, 0);
+      return { tasks: page, total, nextCursor: nextCursorAfter(page, rows.rows.length > limit), counts: { byStatus } };
+
+    } catch (error) {
+      if (error.code === '42P01') {
+        this.logger.warn('Tasks table not found, returning empty list for compatibility');
+        return { tasks: [], total: 0, nextCursor: null, counts: { byStatus: {} } };
+      }
+      this.logger.error('Error querying tasks', { error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Get task by ID; options.client reads inside a caller's transaction, where
+  // options.forUpdate locks the row until it ends
+  async getTaskById(taskId, { client: txClient = null, forUpdate = false } = {}) {
+    const client = txClient || await this.getClientSafe();
     
     try {
       if (this.isMockDb) {
         this.logger.warn('getTaskById served from mock-safe mode');
         return this.taskMem.find(t => String(t.id) === String(taskId) && !t.deleted_at) || null;
       }
-      const query = 'SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL';
+      const query = `SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`;
       const result = await client.query(query, [taskId]);
       
       if (result.rows.length === 0) {
@@ -250,26 +438,81 @@ class TaskService {
       this.logger.error('Error getting task by ID', { taskId, error: error.message });
       throw error;
     } finally {
-      if (client && typeof client.release === 'function') client.release();
+      if (!txClient && client && typeof client.release === 'function') client.release();
     }
   }
 
-  // Update task
-  async updateTask(taskId, updates) {
-    const client = await this.getClientSafe();
+  // Update task; context.actor ({ id, whatsapp }), source ('api', 'whatsapp') and
+  // revertOf (a history revision) are carried on the event, with the previous values.
+  // A task cannot be completed while it has open blockers (409, error.blockers).
+  // It runs in a transaction with the update hooks (the change history), or inside a
+  // caller's one passed as context.client, reads included (the task row is locked
+  // before it is read); emit: false skips task:updated.
+  // context.expectedVersion (a version or list of versions) makes it fail with a 409
+  // carrying the current task (error.current) when someone else changed it first.
+  async updateTask(taskId, updates, context = {}) {
+    const { task } = await this.applyTaskUpdate(taskId, updates, context);
+    return task;
+  }
+
+  // updateTask, also returning the values the updated fields had before: { task, previous }.
+  // context.hooks: false leaves the update hooks to the caller.
+  async applyTaskUpdate(taskId, updates, context = {}) {
+    const { actor = null, source = 'api', revertOf = null, client: txClient = null, emit = true, expectedVersion = null, hooks = true } = context;
+    if (!txClient && !this.isMockDb) {
+      const applied = await this.database.transaction(client => this.applyTaskUpdate(taskId, updates, { ...context, client, emit: false }));
+      if (emit) await this.eventBus.emit('task:updated', { id: taskId, ...applied, actor, source, revertOf });
+      return { task: applied.task, previous: applied.previous };
+    }
+    const expected = expectedVersions(expectedVersion);
+    const client = txClient || await this.getClientSafe();
+    const previousOf = (row) => Object.fromEntries(Object.keys(updates).map(field => [field, row?.[field] ?? null]));
+    // Returns the updates as written too, for the task:updated event of the outer call
+    const updated = async (task, previous) => {
+      const change = { id: taskId, updates, task, previous, actor, source, revertOf };
+      if (hooks) await this.runUpdateHooks(change, client);
+      if (emit) await this.eventBus.emit('task:updated', change);
+      return { task, previous, updates };
+    };
     
     try {
+      if (updates.status === 'completed') {
+        const blockers = await this.getOpenBlockers(taskId, { client });
+        if (blockers.length > 0) {
+          const error = withStatus(new Error('Task is blocked by open tasks'), 409);
+          error.blockers = blockers;
+          throw error;
+        }
+      }
+      if (updates.parent_task_id !== undefined && updates.parent_task_id !== null) {
+        await this.assertValidParent(taskId, updates.parent_task_id, { client });
+      }
+      if (updates.reminder_offsets !== undefined && updates.reminder_offsets !== null) {
+        updates = { ...updates, reminder_offsets: parseOffsets(updates.reminder_offsets) };
+      }
+      // custom_fields changes only the fields it names (null clears one)
+      if (updates.custom_fields !== undefined) {
+        const current = await this.getTaskById(taskId, { client, forUpdate: true });
+        if (!current) throw notFound('Task not found');
+        updates = { ...updates, custom_fields: await this.checkCustomFields(updates.custom_fields, current.project_id, { client }) };
+      }
+
       if (this.isMockDb) {
         const idx = this.taskMem.findIndex(t => String(t.id) === String(taskId) && !t.deleted_at);
-        if (idx === -1) throw new Error('Task not found');
-        this.taskMem[idx] = { ...this.taskMem[idx], ...updates, updated_at: new Date().toISOString() };
+        if (idx === -1) throw notFound('Task not found');
+        if (expected && !expected.includes(this.taskMem[idx].version)) throw versionConflict(this.taskMem[idx]);
+        const previous = previousOf(this.taskMem[idx]);
+        this.taskMem[idx] = {
+          ...this.taskMem[idx],
+          ...updates,
+          ...(updates.custom_fields ? { custom_fields: mergeCustomFields(this.taskMem[idx].custom_fields, updates.custom_fields) } : {}),
+          version: this.taskMem[idx].version + 1,
+          updated_at: new Date().toISOString()
+        };
         this.logger.warn('updateTask in mock-safe mode, updated in-memory task');
-        return this.taskMem[idx];
+        return updated(this.taskMem[idx], previous);
       }
-      const allowedFields = [
-        'title', 'description', 'due_date', 'priority', 'status',
-        'assigned_to', 'assigned_to_whatsapp', 'tags', 'estimated_hours'
-      ];
+      const allowedFields = UPDATABLE_FIELDS;
 
       const updateFields = [];
       const values = [];
@@ -278,141 +521,1531 @@ class TaskService {
       for (const [field, value] of Object.entries(updates)) {
         if (allowedFields.includes(field)) {
           paramCount++;
-          updateFields.push(`${field} = $${paramCount}`);
-          values.push(value);
+          if (field === 'custom_fields') {
+            updateFields.push(`custom_fields = jsonb_strip_nulls(COALESCE(tasks.custom_fields, '{}'::jsonb) || $${paramCount}::jsonb)`);
+          } else {
+            updateFields.push(`${field} = $${paramCount}`);
+          }
+          values.push(['reminder_offsets', 'custom_fields'].includes(field) && value !== null ? JSON.stringify(value) : value);
         }
       }
 
       if (updateFields.length === 0) {
-        throw new Error('No valid fields to update');
+        throw withStatus(new Error('No valid fields to update'), 400);
       }
 
       paramCount++;
       values.push(taskId);
+      const idParam = paramCount;
+      let condition = 'tasks.id = previous.id AND tasks.deleted_at IS NULL';
+      if (expected) {
+        paramCount++;
+        values.push(expected);
+        condition += ` AND tasks.version = ANY($${paramCount}::int[])`;
+      }
 
+      // previous is the locked row as it was before the update, for the change history
       const query = `
         UPDATE tasks 
-        SET ${updateFields.join(', ')}, updated_at = NOW()
-        WHERE id = $${paramCount} AND deleted_at IS NULL
-        RETURNING *
+        SET ${updateFields.join(', ')}, updated_at = NOW(), version = tasks.version + 1
+        FROM (SELECT * FROM tasks WHERE id = $${idParam} FOR UPDATE) AS previous
+        WHERE ${condition}
+        RETURNING tasks.*, to_jsonb(previous) AS previous_row
       `;
 
       const result = await client.query(query, values);
       
       if (result.rows.length === 0) {
-        throw new Error('Task not found');
+        const current = expected ? await this.getTaskById(taskId, { client }) : null;
+        throw current ? versionConflict(current) : notFound('Task not found');
       }
 
-      const task = result.rows[0];
+      const { previous_row: previousRow, ...task } = result.rows[0];
+      const previous = previousOf(previousRow);
 
       this.logger.info('Task updated', { taskId, updatedFields: Object.keys(updates) });
 
-      // Emit task update event
-      await this.eventBus.emit('task:updated', {
-        id: taskId,
-        updates,
-        task
-      });
-
-      return task;
+      // Record the change (hooks) and emit the task update event
+      return updated(task, previous);
 
     } catch (error) {
       this.logger.error('Error updating task', { taskId, error: error.message });
       throw error;
     } finally {
-      if (client && typeof client.release === 'function') client.release();
+      if (!txClient && client && typeof client.release === 'function') client.release();
     }
   }
 
-  // Delete task (soft delete)
-  async deleteTask(taskId) {
-    const client = await this.getClientSafe();
+  // Delete task (soft delete); context.actor ({ id, whatsapp }) is carried on the event.
+  // context.client, emit and expectedVersion work as in updateTask.
+  async deleteTask(taskId, { actor = null, client: txClient = null, emit = true, expectedVersion = null } = {}) {
+    const expected = expectedVersions(expectedVersion);
+    const client = txClient || await this.getClientSafe();
     
     try {
       if (this.isMockDb) {
         const idx = this.taskMem.findIndex(t => String(t.id) === String(taskId) && !t.deleted_at);
-        if (idx === -1) throw new Error('Task not found');
-        this.taskMem[idx] = { ...this.taskMem[idx], status: 'deleted', deleted_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+        if (idx === -1) throw notFound('Task not found');
+        if (expected && !expected.includes(this.taskMem[idx].version)) throw versionConflict(this.taskMem[idx]);
+        this.taskMem[idx] = {
+          ...this.taskMem[idx],
+          status: 'deleted',
+          status_before_delete: this.taskMem[idx].status,
+          version: this.taskMem[idx].version + 1,
+          deleted_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        };
         this.logger.warn('deleteTask in mock-safe mode, soft-deleted in-memory task');
+        if (emit) await this.eventBus.emit('task:deleted', { id: taskId, deletedAt: new Date(this.taskMem[idx].deleted_at), actor });
         return this.taskMem[idx];
       }
       const query = `
         UPDATE tasks 
-        SET deleted_at = NOW(), status = 'deleted'
-        WHERE id = $1 AND deleted_at IS NULL
+        SET deleted_at = NOW(), status_before_delete = status, status = 'deleted', version = version + 1
+        WHERE id = $1 AND deleted_at IS NULL${expected ? ' AND version = ANY($2::int[])' : ''}
         RETURNING *
       `;
 
-      const result = await client.query(query, [taskId]);
+      const result = await client.query(query, expected ? [taskId, expected] : [taskId]);
       
       if (result.rows.length === 0) {
-        throw new Error('Task not found');
+        const current = expected ? await this.getTaskById(taskId, { client }) : null;
+        throw current ? versionConflict(current) : notFound('Task not found');
       }
 
       this.logger.info('Task deleted', { taskId });
 
       // Emit task deletion event
-      await this.eventBus.emit('task:deleted', {
-        id: taskId,
-        deletedAt: new Date()
-      });
+      if (emit) {
+        await this.eventBus.emit('task:deleted', {
+          id: taskId,
+          deletedAt: new Date(),
+          actor
+        });
+      }
 
       return result.rows[0];
 
     } catch (error) {
       this.logger.error('Error deleting task', { taskId, error: error.message });
       throw error;
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Soft-deleted tasks, most recently deleted first, with the date each will be purged
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { tasks, total }
+   */
+  async getDeletedTasks({ limit = 50, offset = 0 } = {}) {
+    const client = await this.getClientSafe();
+    const withPurgeDate = (task) => ({ ...task, purge_at: this.purgeDateOf(task.deleted_at) });
+
+    try {
+      if (this.isMockDb) {
+        const deleted = this.taskMem
+          .filter(t => t.deleted_at)
+          .reverse()
+          .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+        return { tasks: deleted.slice(offset, offset + limit).map(withPurgeDate), total: deleted.length };
+      }
+      const [rows, count] = await Promise.all([
+        client.query(
+          'SELECT * FROM tasks WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC LIMIT $1 OFFSET $2',
+          [limit, offset]
+        ),
+        client.query('SELECT COUNT(*)::int AS total FROM tasks WHERE deleted_at IS NOT NULL')
+      ]);
+      return { tasks: rows.rows.map(withPurgeDate), total: count.rows[0]?.total || 0 };
+
+    } catch (error) {
+      this.logger.error('Error getting deleted tasks', { error: error.message });
+      throw error;
     } finally {
       if (client && typeof client.release === 'function') client.release();
     }
   }
 
-  // Get user by WhatsApp number
-  async getUserByWhatsApp(whatsappNumber) {
+  // When a task deleted at `deletedAt` will be purged, or null when deleted tasks are kept
+  purgeDateOf(deletedAt) {
+    if (!deletedAt || !this.retention.purgeAfterDays) return null;
+    return new Date(new Date(deletedAt).getTime() + this.retention.purgeAfterDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  // Undo a soft delete, back to the status the task had; context.actor is carried on task:restored.
+  // context.client and emit work as in updateTask.
+  async restoreTask(taskId, { actor = null, client: txClient = null, emit = true } = {}) {
+    const client = txClient || await this.getClientSafe();
+
+    try {
+      let task;
+      if (this.isMockDb) {
+        const idx = this.taskMem.findIndex(t => String(t.id) === String(taskId));
+        if (idx !== -1 && this.taskMem[idx].deleted_at) {
+          const { status_before_delete: status, ...rest } = this.taskMem[idx];
+          task = this.taskMem[idx] = {
+            ...rest, status: status || 'pending', status_before_delete: null, deleted_at: null, version: rest.version + 1, updated_at: new Date().toISOString()
+          };
+        } else if (idx !== -1) {
+          throw withStatus(new Error('Task is not deleted'), 409);
+        }
+      } else {
+        let result;
+        try {
+          result = await client.query(`
+            UPDATE tasks
+            SET deleted_at = NULL, status = COALESCE(status_before_delete, 'pending'), status_before_delete = NULL, updated_at = NOW(), version = version + 1
+            WHERE id = $1 AND deleted_at IS NOT NULL
+            RETURNING *
+          `, [taskId]);
+        } catch (error) {
+          // Unique index on recurring occurrences (series, due date)
+          if (error.code === '23505') throw withStatus(new Error('Another occurrence of this series is due at the same time'), 409);
+          throw error;
+        }
+        task = result.rows[0];
+        if (!task && (await this.getTaskById(taskId, { client }))) throw withStatus(new Error('Task is not deleted'), 409);
+      }
+      if (!task) throw notFound('Deleted task not found');
+
+      this.logger.info('Task restored', { taskId });
+      if (emit) await this.eventBus.emit('task:restored', { id: task.id, task, actor });
+      return task;
+
+    } catch (error) {
+      this.logger.error('Error restoring task', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Update, delete or restore many tasks in one transaction (DatabaseConnection.transaction).
+   * Tasks are picked by `ids` or by a `filter` taking the list API parameters. A task
+   * that cannot be changed (404, 409 ...) is reported in its result and the others
+   * go ahead, unless `atomic` is set, in which case one failure rolls back all of them.
+   * One task:bulk event { action, items, actor, source } is emitted after the commit, in
+   * place of the per-task events (update items carry updates and previous values).
+   * @param {Object} operation - { action: 'update' | 'delete' | 'restore', ids, filter, changes, atomic }
+   *   changes (update): task fields, plus add_tags / remove_tags to edit each task's tags
+   * @param {Object} context - { actor, source }
+   * @returns {Promise<Object>} { action, results: [{ id, success, task | status, error }], succeeded, failed, rolledBack }
+   */
+  async bulkOperation({ action, ids, filter, changes, atomic = false } = {}, { actor = null, source = 'api' } = {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw withStatus(new Error(`action must be one of: ${BULK_ACTIONS.join(', ')}`), 400);
+    }
+    if ((ids === undefined) === (filter === undefined)) throw withStatus(new Error('Pass either ids or filter'), 400);
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+      throw withStatus(new Error('ids must be a non-empty list'), 400);
+    }
+    if (filter !== undefined && (!filter || typeof filter !== 'object' || Array.isArray(filter))) {
+      throw withStatus(new Error('filter must be an object of list parameters'), 400);
+    }
+    if (filter && action === 'restore') throw withStatus(new Error('Deleted tasks are restored by ids'), 400);
+    const query = filter ? taskQuery.parseTaskQuery(filter) : null;
+    const { add_tags: addTags, remove_tags: removeTags, ...updates } = action === 'update' ? bulkChanges(changes) : {};
+
+    const apply = async (taskId, client) => {
+      // Without a database there is no transaction to roll hooks back with; they run once the batch stands
+      const context = { actor, source, client, emit: false, hooks: !this.isMockDb };
+      if (action === 'delete') {
+        const task = await this.deleteTask(taskId, context);
+        return { id: task.id, task, deletedAt: new Date(task.deleted_at || Date.now()) };
+      }
+      if (action === 'restore') {
+        const task = await this.restoreTask(taskId, context);
+        return { id: task.id, task };
+      }
+      let itemUpdates = updates;
+      if (addTags || removeTags) {
+        const current = await this.getTaskById(taskId, { client, forUpdate: true });
+        if (!current) throw notFound('Task not found');
+        const tags = [...new Set([...(current.tags || []), ...(addTags || [])])].filter(tag => !(removeTags || []).includes(tag));
+        itemUpdates = { ...updates, tags };
+      }
+      const { task, previous } = await this.applyTaskUpdate(taskId, itemUpdates, context);
+      return { id: task.id, task, updates: itemUpdates, previous };
+    };
+
+    const run = async (client) => {
+      const taskIds = ids ? [...new Set(ids.map(String))] : await this.matchingTaskIds(client, query);
+      if (taskIds.length > MAX_BULK_TASKS) {
+        throw withStatus(new Error(`At most ${MAX_BULK_TASKS} tasks per bulk operation (${taskIds.length} selected)`), 400);
+      }
+      const results = [];
+      const items = [];
+      for (const taskId of taskIds) {
+        // Task ids are integers in the database; anything else cannot match a task
+        if (!this.isMockDb && !/^\d+$/.test(taskId)) {
+          results.push({ id: taskId, success: false, status: 404, error: 'Task not found' });
+          continue;
+        }
+        // A savepoint per task, so one failure does not abort the transaction
+        if (!this.isMockDb) await client.query('SAVEPOINT bulk_task');
+        try {
+          const item = await apply(taskId, client);
+          if (!this.isMockDb) await client.query('RELEASE SAVEPOINT bulk_task');
+          items.push(item);
+          results.push({ id: item.id, success: true, task: item.task });
+        } catch (error) {
+          if (!this.isMockDb) await client.query('ROLLBACK TO SAVEPOINT bulk_task');
+          if (!error.status) throw error;
+          results.push({ id: taskId, success: false, status: error.status, error: error.message, ...(error.blockers ? { blockers: error.blockers } : {}) });
+        }
+      }
+      if (atomic && items.length < results.length) throw Object.assign(new Error('Bulk operation rolled back'), { bulkResults: results });
+      return { results, items };
+    };
+
+    let outcome;
+    try {
+      outcome = await this.inTransaction(run);
+    } catch (error) {
+      if (!error.bulkResults) throw error;
+      const results = error.bulkResults.map(result => (result.success ? { id: result.id, success: false, status: 409, error: 'Rolled back' } : result));
+      return { action, results, succeeded: 0, failed: results.length, rolledBack: true };
+    }
+
+    const { results, items } = outcome;
+    if (this.isMockDb && action === 'update') {
+      for (const { id, task, updates: itemUpdates, previous } of items) {
+        await this.runUpdateHooks({ id, updates: itemUpdates, task, previous, actor, source, revertOf: null }, null);
+      }
+    }
+    this.logger.info('Bulk task operation', { action, succeeded: items.length, failed: results.length - items.length });
+    if (items.length > 0) await this.eventBus.emit('task:bulk', { action, items, actor, source });
+    return { action, results, succeeded: items.length, failed: results.length - items.length, rolledBack: false };
+  }
+
+  // IDs of the tasks matching list parameters, locked for the transaction (all pages)
+  async matchingTaskIds(client, query) {
+    if (this.isMockDb) {
+      return this.taskMem.filter(t => taskQuery.matchesTaskQuery(t, query)).map(t => String(t.id));
+    }
+    const { where, values } = taskQuery.buildWhere(query);
+    const result = await client.query(
+      `SELECT id FROM tasks WHERE ${where.join(' AND ')} ORDER BY id LIMIT ${MAX_BULK_TASKS + 1} FOR UPDATE`,
+      values
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Permanently delete tasks soft-deleted longer than the retention period.
+   * Comments, checklists, dependencies, reminders and the timeline go with them.
+   * @returns {Promise<Array>} IDs of the purged tasks
+   */
+  async purgeDeletedTasks(now = new Date()) {
+    if (!this.retention.purgeAfterDays) return [];
+    const cutoff = new Date(now.getTime() - this.retention.purgeAfterDays * 24 * 60 * 60 * 1000);
     const client = await this.getClientSafe();
-    
+
     try {
+      let ids;
       if (this.isMockDb) {
-        this.logger.warn('getUserByWhatsApp in mock-safe mode, returning null');
-        return null;
+        const purged = new Set(this.taskMem.filter(t => t.deleted_at && new Date(t.deleted_at) < cutoff).map(t => String(t.id)));
+        const kept = (taskId) => !purged.has(String(taskId));
+        this.taskMem = this.taskMem.filter(t => kept(t.id));
+        this.taskMem.forEach((t) => { if (!kept(t.parent_task_id)) t.parent_task_id = null; });
+        this.commentMem = this.commentMem.filter(c => kept(c.task_id));
+        this.checklistMem = this.checklistMem.filter(i => kept(i.task_id));
+        this.dependencyMem = this.dependencyMem.filter(d => kept(d.task_id) && kept(d.blocked_by_task_id));
+        ids = [...purged];
+      } else {
+        const result = await client.query('DELETE FROM tasks WHERE deleted_at < $1 RETURNING id', [cutoff]);
+        ids = result.rows.map(row => row.id);
       }
-      const query = 'SELECT id, name, whatsapp_number FROM users WHERE whatsapp_number = $1 AND deleted_at IS NULL';
+
+      if (ids.length > 0) {
+        this.logger.info('Deleted tasks purged', { count: ids.length, purgeAfterDays: this.retention.purgeAfterDays });
+        await this.eventBus.emit('task:purged', { ids, purgedAt: now });
+      }
+      return ids;
+
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  startRetentionSweep(intervalMs = 6 * 60 * 60 * 1000) {
+    if (this.sweepTimer || !this.retention.purgeAfterDays) return;
+    const sweep = () => this.purgeDeletedTasks()
+      .catch(error => this.logger.error('Deleted task purge failed', { error: error.message }));
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+    sweep();
+  }
+
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  // Open tasks for a WhatsApp user: assigned to them, or created by them and unassigned.
+  // The order is stable so chat commands can refer to tasks by their list number.
+  async getOpenTasksForWhatsApp(whatsappNumber) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const closed = ['completed', 'cancelled', 'deleted'];
+        return this.taskMem
+          .filter(t => !t.deleted_at && !closed.includes(t.status))
+          .filter(t => t.assigned_to_whatsapp === whatsappNumber ||
+            (!t.assigned_to_whatsapp && t.created_by_whatsapp === whatsappNumber))
+          .sort((a, b) => {
+            if (a.due_date && b.due_date) return new Date(a.due_date) - new Date(b.due_date);
+            if (a.due_date || b.due_date) return a.due_date ? -1 : 1;
+            return new Date(a.created_at) - new Date(b.created_at);
+          });
+      }
+      const query = `
+        SELECT * FROM tasks
+        WHERE deleted_at IS NULL
+          AND status NOT IN ('completed', 'cancelled', 'deleted')
+          AND (assigned_to_whatsapp = $1 OR (assigned_to_whatsapp IS NULL AND created_by_whatsapp = $1))
+        ORDER BY due_date ASC NULLS LAST, created_at ASC, id ASC
+      `;
       const result = await client.query(query, [whatsappNumber]);
-      
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting open tasks for WhatsApp user', { whatsappNumber, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Add a comment to a task. @mentions are stored on the comment and carried on the event.
+  async addComment(taskId, { body, author_id = null, author_whatsapp = null, source = 'api' } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      const text = commentBody(body);
+      const task = await this.getTaskById(taskId);
+      if (!task) throw notFound('Task not found');
+      const mentions = await resolveMentions(extractMentions(text), (name) => this.findUsersByName(name));
+
+      let comment;
+      if (this.isMockDb) {
+        comment = {
+          id: `mem-comment-${this.memIdCounter++}`,
+          task_id: taskId,
+          body: text,
+          author_id,
+          author_whatsapp,
+          source,
+          mentions,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          edited_at: null,
+          deleted_at: null
+        };
+        this.commentMem.push(comment);
+      } else {
+        const result = await client.query(`
+          INSERT INTO task_comments (task_id, body, author_id, author_whatsapp, source, mentions)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [task.id, text, author_id, author_whatsapp, source, JSON.stringify(mentions)]);
+        comment = result.rows[0];
+      }
+
+      this.logger.info('Task comment added', { taskId, commentId: comment.id, source, mentions: mentions.length });
+
+      await this.eventBus.emit('task:commented', {
+        id: taskId,
+        comment,
+        task: { id: task.id, title: task.title, assigned_to_whatsapp: task.assigned_to_whatsapp }
+      });
+
+      return comment;
+
+    } catch (error) {
+      this.logger.error('Error adding task comment', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Get comments for a task, oldest first
+  async getComments(taskId) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.commentMem.filter(c => String(c.task_id) === String(taskId) && !c.deleted_at);
+      }
+      const result = await client.query(
+        'SELECT * FROM task_comments WHERE task_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC, id ASC',
+        [taskId]
+      );
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting task comments', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Get one comment of a task
+  async getComment(taskId, commentId) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.commentMem.find(c =>
+          String(c.task_id) === String(taskId) && String(c.id) === String(commentId) && !c.deleted_at) || null;
+      }
+      const result = await client.query(
+        'SELECT * FROM task_comments WHERE task_id = $1 AND id = $2 AND deleted_at IS NULL',
+        [taskId, commentId]
+      );
       return result.rows[0] || null;
 
     } catch (error) {
-      this.logger.error('Error getting user by WhatsApp', { whatsappNumber, error: error.message });
-      return null;
+      this.logger.error('Error getting task comment', { taskId, commentId, error: error.message });
+      throw error;
     } finally {
       if (client && typeof client.release === 'function') client.release();
     }
   }
 
-  // Health check for the task service
-  async healthCheck() {
+  // Edit a comment's body. Only its author (or an admin) may edit it.
+  // @param {Object} editor - { id, whatsapp, role }
+  async updateComment(taskId, commentId, { body } = {}, editor = {}) {
+    const client = await this.getClientSafe();
+
     try {
-      // Test database connection
-      const client = await this.getClientSafe();
-      await client.query('SELECT 1');
-      client.release();
+      const text = commentBody(body);
+      const existing = await this.getComment(taskId, commentId);
+      if (!existing) throw notFound('Comment not found');
+      assertCommentAuthor(existing, editor);
+      const mentions = await resolveMentions(extractMentions(text), (name) => this.findUsersByName(name));
+
+      let comment;
+      if (this.isMockDb) {
+        const now = new Date().toISOString();
+        Object.assign(existing, { body: text, mentions, edited_at: now, updated_at: now });
+        comment = existing;
+      } else {
+        const result = await client.query(`
+          UPDATE task_comments
+          SET body = $3, mentions = $4, edited_at = NOW(), updated_at = NOW()
+          WHERE task_id = $1 AND id = $2 AND deleted_at IS NULL
+          RETURNING *
+        `, [taskId, commentId, text, JSON.stringify(mentions)]);
+        if (result.rows.length === 0) throw notFound('Comment not found');
+        comment = result.rows[0];
+      }
+
+      this.logger.info('Task comment edited', { taskId, commentId });
+
+      await this.eventBus.emit('task:comment_updated', {
+        id: taskId,
+        comment,
+        previousBody: existing.body === text ? null : existing.body,
+        actor: actorOf(editor)
+      });
+
+      return comment;
 
-      return {
-        status: 'healthy',
-        service: 'TaskService',
-        timestamp: new Date().toISOString(),
-        database: 'connected',
-        eventBusRouter: 'available'
-      };
     } catch (error) {
-      return {
-        status: 'error',
-        service: 'TaskService',
-        timestamp: new Date().toISOString(),
-        error: error.message
-      };
+      this.logger.error('Error editing task comment', { taskId, commentId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
     }
   }
+
+  // Soft-delete a comment. Only its author (or an admin) may delete it.
+  // @param {Object} editor - { id, whatsapp, role }
+  async deleteComment(taskId, commentId, editor = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      const existing = await this.getComment(taskId, commentId);
+      if (!existing) throw notFound('Comment not found');
+      assertCommentAuthor(existing, editor);
+
+      let comment;
+      if (this.isMockDb) {
+        existing.deleted_at = new Date().toISOString();
+        comment = existing;
+      } else {
+        const result = await client.query(`
+          UPDATE task_comments SET deleted_at = NOW()
+          WHERE task_id = $1 AND id = $2 AND deleted_at IS NULL
+          RETURNING *
+        `, [taskId, commentId]);
+        if (result.rows.length === 0) throw notFound('Comment not found');
+        comment = result.rows[0];
+      }
+
+      this.logger.info('Task comment deleted', { taskId, commentId });
+
+      await this.eventBus.emit('task:comment_deleted', {
+        id: taskId,
+        comment,
+        actor: actorOf(editor)
+      });
+
+      return comment;
+
+    } catch (error) {
+      this.logger.error('Error deleting task comment', { taskId, commentId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Direct subtasks of a task, oldest first
+  async getSubtasks(taskId) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.taskMem.filter(t => t.parent_task_id !== null && t.parent_task_id !== undefined &&
+          String(t.parent_task_id) === String(taskId) && !t.deleted_at);
+      }
+      const result = await client.query(
+        'SELECT * FROM tasks WHERE parent_task_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC, id ASC',
+        [taskId]
+      );
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting subtasks', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // A task may not become its own ancestor; options.client as in getTaskById
+  async assertValidParent(taskId, parentId, { client = null } = {}) {
+    let current = await this.getTaskById(parentId, { client });
+    if (!current) throw notFound('Parent task not found');
+    const seen = new Set();
+    while (current) {
+      if (String(current.id) === String(taskId)) {
+        throw withStatus(new Error('A task cannot be a subtask of itself or of its own subtasks'), 409);
+      }
+      if (seen.has(String(current.id)) || current.parent_task_id === null || current.parent_task_id === undefined) return;
+      seen.add(String(current.id));
+      current = await this.getTaskById(current.parent_task_id, { client });
+    }
+  }
+
+  // Checklist items of a task, in position order
+  async getChecklist(taskId) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.checklistMem
+          .filter(i => String(i.task_id) === String(taskId))
+          .sort((a, b) => a.position - b.position || a.seq - b.seq);
+      }
+      const result = await client.query(
+        'SELECT * FROM task_checklist_items WHERE task_id = $1 ORDER BY position ASC, id ASC',
+        [taskId]
+      );
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting task checklist', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Append a checklist item (or insert it at `position`)
+  async addChecklistItem(taskId, { title, position = null } = {}, { actor = null } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      const text = requiredText(title, 'Checklist item title is required');
+      const task = await this.getTaskById(taskId);
+      if (!task) throw notFound('Task not found');
+      const items = await this.getChecklist(taskId);
+      const at = Number.isInteger(position) ? position : (items.length ? Math.max(...items.map(i => i.position)) + 1 : 0);
+
+      let item;
+      if (this.isMockDb) {
+        item = {
+          id: `mem-item-${this.memIdCounter}`,
+          seq: this.memIdCounter++,
+          task_id: task.id,
+          title: text,
+          position: at,
+          completed: false,
+          completed_at: null,
+          completed_by: null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        };
+        this.checklistMem.push(item);
+      } else {
+        const result = await client.query(`
+          INSERT INTO task_checklist_items (task_id, title, position)
+          VALUES ($1, $2, $3)
+          RETURNING *
+        `, [task.id, text, at]);
+        item = result.rows[0];
+      }
+
+      await this.eventBus.emit('task:checklist_updated', { id: task.id, item, change: 'added', actor });
+      return item;
+
+    } catch (error) {
+      this.logger.error('Error adding checklist item', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Rename, move, tick or untick a checklist item
+  async updateChecklistItem(taskId, itemId, { title, position, completed } = {}, { actor = null } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      const existing = (await this.getChecklist(taskId)).find(i => String(i.id) === String(itemId));
+      if (!existing) throw notFound('Checklist item not found');
+
+      const changes = {};
+      if (title !== undefined) changes.title = requiredText(title, 'Checklist item title is required');
+      if (position !== undefined) changes.position = parseInt(position) || 0;
+      if (completed !== undefined && Boolean(completed) !== Boolean(existing.completed)) {
+        changes.completed = Boolean(completed);
+        changes.completed_at = changes.completed ? new Date().toISOString() : null;
+        changes.completed_by = changes.completed ? (actor?.whatsapp || actor?.id || null) : null;
+      }
+      if (Object.keys(changes).length === 0) return existing;
+
+      let item;
+      if (this.isMockDb) {
+        item = Object.assign(existing, changes, { updated_at: new Date().toISOString() });
+      } else {
+        const fields = Object.keys(changes);
+        const result = await client.query(`
+          UPDATE task_checklist_items
+          SET ${fields.map((field, i) => `${field} = $${i + 3}`).join(', ')}, updated_at = NOW()
+          WHERE task_id = $1 AND id = $2
+          RETURNING *
+        `, [taskId, itemId, ...fields.map(field => changes[field])]);
+        item = result.rows[0];
+      }
+
+      const change = changes.completed !== undefined ? (changes.completed ? 'completed' : 'reopened') : 'edited';
+      await this.eventBus.emit('task:checklist_updated', { id: taskId, item, change, actor });
+      return item;
+
+    } catch (error) {
+      this.logger.error('Error updating checklist item', { taskId, itemId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Remove a checklist item
+  async deleteChecklistItem(taskId, itemId, { actor = null } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      let item;
+      if (this.isMockDb) {
+        const idx = this.checklistMem.findIndex(i => String(i.task_id) === String(taskId) && String(i.id) === String(itemId));
+        if (idx === -1) throw notFound('Checklist item not found');
+        [item] = this.checklistMem.splice(idx, 1);
+      } else {
+        const result = await client.query(
+          'DELETE FROM task_checklist_items WHERE task_id = $1 AND id = $2 RETURNING *',
+          [taskId, itemId]
+        );
+        if (result.rows.length === 0) throw notFound('Checklist item not found');
+        item = result.rows[0];
+      }
+
+      await this.eventBus.emit('task:checklist_updated', { id: taskId, item, change: 'removed', actor });
+      return item;
+
+    } catch (error) {
+      this.logger.error('Error deleting checklist item', { taskId, itemId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Completion roll-up: checklist items and direct subtasks each count as one step
+   * @returns {Promise<Object>} { checklist: { total, completed }, subtasks: { total, completed }, percent }
+   *   percent is null when the task has neither
+   */
+  async getProgress(taskId) {
+    const [items, subtasks] = await Promise.all([this.getChecklist(taskId), this.getSubtasks(taskId)]);
+    const checklist = { total: items.length, completed: items.filter(i => i.completed).length };
+    const children = { total: subtasks.length, completed: subtasks.filter(t => t.status === 'completed').length };
+    const total = checklist.total + children.total;
+    return {
+      checklist,
+      subtasks: children,
+      percent: total === 0 ? null : Math.round(((checklist.completed + children.completed) / total) * 100)
+    };
+  }
+
+  /**
+   * Finish-to-start dependencies of a task
+   * @returns {Promise<Object>} { blockedBy: [tasks this one waits for], blocking: [tasks waiting for this one] }
+   */
+  async getDependencies(taskId, { client: txClient = null } = {}) {
+    const client = txClient || await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const live = (id) => this.taskMem.find(t => String(t.id) === String(id) && !t.deleted_at);
+        return {
+          blockedBy: this.dependencyMem.filter(d => String(d.task_id) === String(taskId)).map(d => live(d.blocked_by_task_id)).filter(Boolean),
+          blocking: this.dependencyMem.filter(d => String(d.blocked_by_task_id) === String(taskId)).map(d => live(d.task_id)).filter(Boolean)
+        };
+      }
+      const [blockedBy, blocking] = await Promise.all([
+        client.query(`
+          SELECT t.* FROM task_dependencies d JOIN tasks t ON t.id = d.blocked_by_task_id
+          WHERE d.task_id = $1 AND t.deleted_at IS NULL ORDER BY d.created_at ASC
+        `, [taskId]),
+        client.query(`
+          SELECT t.* FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+          WHERE d.blocked_by_task_id = $1 AND t.deleted_at IS NULL ORDER BY d.created_at ASC
+        `, [taskId])
+      ]);
+      return { blockedBy: blockedBy.rows, blocking: blocking.rows };
+
+    } catch (error) {
+      this.logger.error('Error getting task dependencies', { taskId, error: error.message });
+      throw error;
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Blockers that are not completed or cancelled (deleted blockers no longer block)
+  async getOpenBlockers(taskId, options = {}) {
+    const { blockedBy } = await this.getDependencies(taskId, options);
+    return blockedBy
+      .filter(t => !['completed', 'cancelled'].includes(t.status))
+      .map(t => ({ id: t.id, title: t.title, status: t.status }));
+  }
+
+  // Make taskId wait for blockedById to finish. Refuses edges that would close a cycle.
+  // With a database, the cycle check and insert run in one transaction holding an
+  // advisory lock, so two concurrent edges cannot close a cycle between them.
+  async addDependency(taskId, blockedById, { actor = null } = {}) {
+    try {
+      if (blockedById === undefined || blockedById === null || blockedById === '') {
+        throw withStatus(new Error('blocked_by is required'), 400);
+      }
+      if (String(taskId) === String(blockedById)) throw withStatus(new Error('A task cannot block itself'), 400);
+      const [task, blocker] = await Promise.all([this.getTaskById(taskId), this.getTaskById(blockedById)]);
+      if (!task) throw notFound('Task not found');
+      if (!blocker) throw notFound('Blocking task not found');
+      const cycle = () => withStatus(new Error('Dependency would create a cycle'), 409);
+
+      let dependency;
+      if (this.isMockDb) {
+        if (await this.dependsOn(blocker.id, task.id)) throw cycle();
+        dependency = this.dependencyMem.find(d => String(d.task_id) === String(task.id) && String(d.blocked_by_task_id) === String(blocker.id));
+        if (!dependency) {
+          dependency = { task_id: task.id, blocked_by_task_id: blocker.id, type: 'finish_to_start', created_at: new Date().toISOString() };
+          this.dependencyMem.push(dependency);
+        }
+      } else {
+        dependency = await this.database.transaction(async (tx) => {
+          await tx.query("SELECT pg_advisory_xact_lock(hashtext('task_dependencies'))");
+          if (await this.dependsOn(blocker.id, task.id, tx)) throw cycle();
+          const result = await tx.query(`
+            INSERT INTO task_dependencies (task_id, blocked_by_task_id)
+            VALUES ($1, $2)
+            ON CONFLICT (task_id, blocked_by_task_id) DO UPDATE SET type = task_dependencies.type
+            RETURNING *
+          `, [task.id, blocker.id]);
+          return result.rows[0];
+        });
+      }
+
+      this.logger.info('Task dependency added', { taskId: task.id, blockedBy: blocker.id });
+      await this.eventBus.emit('task:dependency_added', { id: task.id, blockedBy: blocker.id, actor });
+      return dependency;
+
+    } catch (error) {
+      this.logger.error('Error adding task dependency', { taskId, blockedById, error: error.message });
+      throw error;
+    }
+  }
+
+  // Whether taskId (transitively) waits for otherId; txClient reads inside a caller's transaction
+  async dependsOn(taskId, otherId, txClient = null) {
+    const client = txClient || await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const queue = [String(taskId)];
+        const seen = new Set(queue);
+        while (queue.length > 0) {
+          const current = queue.shift();
+          for (const d of this.dependencyMem.filter(e => String(e.task_id) === current)) {
+            const next = String(d.blocked_by_task_id);
+            if (next === String(otherId)) return true;
+            if (!seen.has(next)) {
+              seen.add(next);
+              queue.push(next);
+            }
+          }
+        }
+        return false;
+      }
+      const result = await client.query(`
+        WITH RECURSIVE chain(id) AS (
+          SELECT blocked_by_task_id FROM task_dependencies WHERE task_id = $1
+          UNION
+          SELECT d.blocked_by_task_id FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+        )
+        SELECT 1 FROM chain WHERE id = $2 LIMIT 1
+      `, [taskId, otherId]);
+      return result.rows.length > 0;
+
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Stop taskId waiting for blockedById
+  async removeDependency(taskId, blockedById, { actor = null } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      let removed;
+      if (this.isMockDb) {
+        const idx = this.dependencyMem.findIndex(d => String(d.task_id) === String(taskId) && String(d.blocked_by_task_id) === String(blockedById));
+        removed = idx === -1 ? null : this.dependencyMem.splice(idx, 1)[0];
+      } else {
+        const result = await client.query(
+          'DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by_task_id = $2 RETURNING *',
+          [taskId, blockedById]
+        );
+        removed = result.rows[0] || null;
+      }
+      if (!removed) throw notFound('Dependency not found');
+
+      this.logger.info('Task dependency removed', { taskId, blockedBy: blockedById });
+      await this.eventBus.emit('task:dependency_removed', { id: taskId, blockedBy: blockedById, actor });
+      return removed;
+
+    } catch (error) {
+      this.logger.error('Error removing task dependency', { taskId, blockedById, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Make a task recur, change its rule or exceptions, or stop it (rule: null).
+   * A new rule restarts the series from the task's due date.
+   * @param {Object} recurrence - { rule, timezone, exdates }
+   */
+  async setRecurrence(taskId, recurrence = {}, context = {}) {
+    try {
+      // The update and its hooks (the change history) run in one transaction
+      const change = await this.inTransaction(client => this.applyRecurrence(taskId, recurrence, { ...context, client }));
+      this.logger.info('Task recurrence set', { taskId, rule: change.updates.recurrence_rule });
+      await this.eventBus.emit('task:updated', change);
+      return change.task;
+
+    } catch (error) {
+      this.logger.error('Error setting task recurrence', { taskId, error: error.message });
+      throw error;
+    }
+  }
+
+  // setRecurrence inside the caller's transaction (context.client), returning the change
+  // for its task:updated event; context.hooks: false leaves the update hooks to the caller
+  async applyRecurrence(taskId, { rule, timezone, exdates } = {}, context = {}) {
+    const { actor = null, source = 'api', revertOf = null, client = null, hooks = true } = context;
+    const task = await this.getTaskById(taskId, { client, forUpdate: true });
+    if (!task) throw notFound('Task not found');
+
+    let fields;
+    if (rule === null) {
+      fields = { recurrence_rule: null, recurrence_timezone: null, recurrence_exdates: [], recurrence_start: null };
+    } else {
+      const normalized = normalizeRecurrence({
+        rule: rule ?? task.recurrence_rule,
+        timezone: timezone ?? task.recurrence_timezone,
+        exdates: exdates ?? task.recurrence_exdates ?? []
+      });
+      if (!task.due_date) throw new RecurrenceError('due_date is required for recurring tasks');
+      const restart = normalized.rule !== task.recurrence_rule || !task.recurrence_start;
+      fields = {
+        recurrence_rule: normalized.rule,
+        recurrence_timezone: normalized.timezone,
+        recurrence_exdates: normalized.exdates,
+        recurrence_start: restart ? task.due_date : task.recurrence_start
+      };
+    }
+
+    const previous = Object.fromEntries(Object.keys(fields).map(field => [field, task[field] ?? null]));
+    let updated;
+    if (this.isMockDb) {
+      updated = Object.assign(task, fields, { version: task.version + 1, updated_at: new Date().toISOString() });
+    } else {
+      const result = await client.query(`
+        UPDATE tasks
+        SET recurrence_rule = $2, recurrence_timezone = $3, recurrence_exdates = $4, recurrence_start = $5, updated_at = NOW(), version = version + 1
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      `, [task.id, fields.recurrence_rule, fields.recurrence_timezone, JSON.stringify(fields.recurrence_exdates), fields.recurrence_start]);
+      if (result.rows.length === 0) throw notFound('Task not found');
+      updated = result.rows[0];
+    }
+    const change = { id: task.id, updates: fields, task: updated, previous, actor, source, revertOf };
+    if (hooks) await this.runUpdateHooks(change, client);
+    return change;
+  }
+
+  /**
+   * Update fields and the recurrence of a task together (as updateTask, then
+   * setRecurrence): one transaction, one check of context.expectedVersion against
+   * the locked task, and a task:updated event for each write once it commits.
+   * @param {Object} changes - { updates, recurrence }, either may be left out
+   */
+  async updateTaskWithRecurrence(taskId, { updates = null, recurrence = null } = {}, context = {}) {
+    const { actor = null, source = 'api', revertOf = null, expectedVersion = null } = context;
+    const expected = expectedVersions(expectedVersion);
+    // Without a database there is no transaction to roll hooks back with; they run once both writes stand
+    const write = async (client) => {
+      const task = await this.getTaskById(taskId, { client, forUpdate: true });
+      if (!task) throw notFound('Task not found');
+      if (expected && !expected.includes(task.version)) throw versionConflict(task);
+      const changes = [];
+      const options = { actor, source, revertOf, client, emit: false, hooks: !this.isMockDb };
+      if (updates) changes.push({ id: taskId, ...await this.applyTaskUpdate(taskId, updates, options) });
+      if (recurrence) changes.push(await this.applyRecurrence(taskId, recurrence, options));
+      return { task, changes };
+    };
+
+    const { task, changes } = await this.inTransaction(write);
+    for (const change of changes) {
+      if (this.isMockDb) await this.runUpdateHooks({ actor, source, revertOf, ...change }, null);
+      await this.eventBus.emit('task:updated', { actor, source, revertOf, ...change });
+    }
+    return changes.length > 0 ? changes[changes.length - 1].task : task;
+  }
+
+  // Latest occurrence of each recurring series: not deleted, not cancelled, no next occurrence yet
+  async getActiveRecurringTasks() {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.taskMem.filter(t => t.recurrence_rule && !t.recurrence_next_id && !t.deleted_at && t.status !== 'cancelled');
+      }
+      const result = await client.query(`
+        SELECT * FROM tasks
+        WHERE recurrence_rule IS NOT NULL AND recurrence_next_id IS NULL
+          AND deleted_at IS NULL AND status <> 'cancelled'
+        ORDER BY due_date ASC
+      `);
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting recurring tasks', { error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Open tasks with a due date, for planning reminders
+  async getOpenTasksWithDueDate() {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.taskMem.filter(t => t.due_date && !t.deleted_at && !['completed', 'cancelled'].includes(t.status));
+      }
+      const result = await client.query(`
+        SELECT * FROM tasks
+        WHERE due_date IS NOT NULL AND deleted_at IS NULL AND status NOT IN ('completed', 'cancelled')
+        ORDER BY due_date ASC
+      `);
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error getting tasks with due dates', { error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Occurrence of a recurring series due at dueDate (the unique series/due date index), or null
+  async findOccurrence(seriesId, dueDate) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const due = new Date(dueDate).getTime();
+        return this.taskMem.find(t => t.recurrence_rule && !t.deleted_at && t.due_date &&
+          String(t.recurrence_series_id ?? t.id) === String(seriesId) && new Date(t.due_date).getTime() === due) || null;
+      }
+      const result = await client.query(`
+        SELECT * FROM tasks
+        WHERE COALESCE(recurrence_series_id, id) = $1 AND due_date = $2
+          AND recurrence_rule IS NOT NULL AND deleted_at IS NULL
+      `, [seriesId, dueDate]);
+      return result.rows[0] || null;
+
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Link an occurrence to the next one; false when another worker linked it first
+  async linkNextOccurrence(taskId, nextId) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        const task = this.taskMem.find(t => String(t.id) === String(taskId));
+        if (!task || task.recurrence_next_id) return false;
+        task.recurrence_next_id = nextId;
+        return true;
+      }
+      const result = await client.query(
+        'UPDATE tasks SET recurrence_next_id = $2 WHERE id = $1 AND recurrence_next_id IS NULL RETURNING id',
+        [taskId, nextId]
+      );
+      return result.rows.length > 0;
+
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Checklist usage across tasks, for AI analytics
+   * @param {Object} options - { since }
+   * @returns {Promise<Object>} { summary, topChecklistItems, checklistByProject, popularChecklistPatterns }
+   */
+  async checklistInsights({ since = null } = {}) {
+    const client = await this.getClientSafe();
+
+    try {
+      let items;
+      if (this.isMockDb) {
+        const projects = new Map(this.taskMem.filter(t => !t.deleted_at).map(t => [String(t.id), t.project_id ?? null]));
+        items = this.checklistMem
+          .filter(i => projects.has(String(i.task_id)) && (!since || new Date(i.created_at) >= since))
+          .map(i => ({ ...i, project_id: projects.get(String(i.task_id)) }));
+      } else {
+        const result = await client.query(`
+          SELECT i.task_id, i.title, i.position, i.completed, i.id, t.project_id
+          FROM task_checklist_items i JOIN tasks t ON t.id = i.task_id
+          WHERE t.deleted_at IS NULL AND ($1::timestamptz IS NULL OR i.created_at >= $1)
+          ORDER BY i.task_id, i.position, i.id
+        `, [since]);
+        items = result.rows;
+      }
+      return summarizeChecklists(items);
+
+    } catch (error) {
+      this.logger.error('Error computing checklist insights', { error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Custom field definitions of a project together with the organization-wide ones
+   * (project_id null), organization-wide first; every definition when no projectId is given
+   * @param {Object} options - { projectId }
+   */
+  async getCustomFields({ projectId, client: txClient = null } = {}) {
+    const client = txClient || await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        return this.customFieldMem
+          .filter(f => projectId === undefined || f.project_id === null || String(f.project_id) === String(projectId))
+          .sort((a, b) => (a.project_id ?? 0) - (b.project_id ?? 0) || a.key.localeCompare(b.key));
+      }
+      const result = projectId === undefined
+        ? await client.query('SELECT * FROM task_custom_fields ORDER BY project_id NULLS FIRST, key')
+        : await client.query(
+          'SELECT * FROM task_custom_fields WHERE project_id IS NULL OR project_id = $1 ORDER BY project_id NULLS FIRST, key',
+          [projectId]
+        );
+      return result.rows;
+
+    } catch (error) {
+      if (error.code === '42P01') {
+        this.logger.warn('Custom fields table not found, no custom fields apply');
+        return [];
+      }
+      this.logger.error('Error getting custom fields', { projectId, error: error.message });
+      throw error;
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  async getCustomField(fieldId) {
+    if (this.isMockDb) return this.customFieldMem.find(f => String(f.id) === String(fieldId)) || null;
+    if (!/^\d+$/.test(String(fieldId))) return null;
+    const client = await this.getClientSafe();
+    try {
+      const result = await client.query('SELECT * FROM task_custom_fields WHERE id = $1', [fieldId]);
+      return result.rows[0] || null;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Define a custom field. A key is unique across a project and the organization-wide fields.
+   * @param {Object} input - { key, label, type, options, required, project_id }
+   */
+  async createCustomField(input) {
+    const field = normalizeFieldDefinition(input);
+    const existing = await this.getCustomFields(field.project_id === null ? {} : { projectId: field.project_id });
+    if (existing.some(f => f.key === field.key)) {
+      throw withStatus(new Error(`Custom field ${field.key} already exists`), 409);
+    }
+    const client = await this.getClientSafe();
+
+    try {
+      let created;
+      if (this.isMockDb) {
+        created = { id: `mem-field-${this.memIdCounter++}`, ...field, created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+        this.customFieldMem.push(created);
+      } else {
+        const result = await client.query(
+          `INSERT INTO task_custom_fields (key, label, type, options, required, project_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [field.key, field.label, field.type, JSON.stringify(field.options), field.required, field.project_id]
+        );
+        created = result.rows[0];
+      }
+
+      this.logger.info('Custom field created', { fieldId: created.id, key: created.key, projectId: created.project_id });
+      return created;
+
+    } catch (error) {
+      if (error.code === '23505') throw withStatus(new Error(`Custom field ${field.key} already exists`), 409);
+      this.logger.error('Error creating custom field', { key: field.key, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Change a field's label, options or required flag (key, type and project are fixed)
+  async updateCustomField(fieldId, changes) {
+    const current = await this.getCustomField(fieldId);
+    if (!current) throw notFound('Custom field not found');
+    const field = normalizeFieldDefinition(changes, current);
+    const client = await this.getClientSafe();
+
+    try {
+      let updated;
+      if (this.isMockDb) {
+        updated = Object.assign(current, { label: field.label, options: field.options, required: field.required, updated_at: new Date().toISOString() });
+      } else {
+        const result = await client.query(
+          `UPDATE task_custom_fields SET label = $1, options = $2, required = $3, updated_at = NOW()
+           WHERE id = $4
+           RETURNING *`,
+          [field.label, JSON.stringify(field.options), field.required, fieldId]
+        );
+        updated = result.rows[0];
+        if (!updated) throw notFound('Custom field not found');
+      }
+
+      this.logger.info('Custom field updated', { fieldId, key: updated.key });
+      return updated;
+
+    } catch (error) {
+      this.logger.error('Error updating custom field', { fieldId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Remove a field definition; values already stored on tasks are kept
+  async deleteCustomField(fieldId) {
+    const current = await this.getCustomField(fieldId);
+    if (!current) throw notFound('Custom field not found');
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb) {
+        this.customFieldMem = this.customFieldMem.filter(f => f !== current);
+      } else {
+        await client.query('DELETE FROM task_custom_fields WHERE id = $1', [fieldId]);
+      }
+
+      this.logger.info('Custom field deleted', { fieldId, key: current.key });
+      return current;
+
+    } catch (error) {
+      this.logger.error('Error deleting custom field', { fieldId, error: error.message });
+      throw error;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  /**
+   * Validate custom field values for a task of a project (see validateCustomFields);
+   * user fields must name existing users
+   * @param {Object} options - { create, strict, client } - client: read inside a caller's transaction
+   * @returns {Promise<Object>} Values in stored form
+   */
+  async checkCustomFields(values, projectId, { client: txClient = null, ...options } = {}) {
+    const definitions = await this.getCustomFields({ projectId: projectId ?? null, client: txClient });
+    const checked = validateCustomFields(values, definitions, options);
+    const userIds = definitions.filter(f => f.type === 'user' && checked[f.key] != null).map(f => checked[f.key]);
+    if (userIds.length === 0 || this.isMockDb) return checked;
+
+    const client = txClient || await this.getClientSafe();
+    try {
+      const result = await client.query('SELECT id::text AS id FROM users WHERE id::text = ANY($1) AND deleted_at IS NULL', [userIds]);
+      const unknown = userIds.filter(id => !result.rows.some(row => row.id === id));
+      if (unknown.length > 0) throw withStatus(new Error(`Unknown user: ${unknown.join(', ')}`), 400);
+      return checked;
+    } finally {
+      if (!txClient && client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Get user by WhatsApp number
+  async getUserByWhatsApp(whatsappNumber) {
+    const client = await this.getClientSafe();
+    
+    try {
+      if (this.isMockDb) {
+        this.logger.warn('getUserByWhatsApp in mock-safe mode, returning null');
+        return null;
+      }
+      const query = 'SELECT id, name, whatsapp_number FROM users WHERE whatsapp_number = $1 AND deleted_at IS NULL';
+      const result = await client.query(query, [whatsappNumber]);
+      
+      return result.rows[0] || null;
+
+    } catch (error) {
+      this.logger.error('Error getting user by WhatsApp', { whatsappNumber, error: error.message });
+      return null;
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Find users whose name starts with the given text (used to resolve chat mentions)
+  async findUsersByName(name) {
+    const client = await this.getClientSafe();
+
+    try {
+      if (this.isMockDb || !name) {
+        return [];
+      }
+      const query = `
+        SELECT id, name, whatsapp_number FROM users
+        WHERE deleted_at IS NULL AND whatsapp_number IS NOT NULL
+          AND (LOWER(name) = LOWER($1) OR LOWER(name) LIKE LOWER($1) || ' %')
+        ORDER BY name
+        LIMIT 10
+      `;
+      const result = await client.query(query, [name]);
+      return result.rows;
+
+    } catch (error) {
+      this.logger.error('Error finding users by name', { name, error: error.message });
+      return [];
+    } finally {
+      if (client && typeof client.release === 'function') client.release();
+    }
+  }
+
+  // Health check for the task service
+  async healthCheck() {
+    try {
+      // Test database connection
+      const client = await this.getClientSafe();
+      await client.query('SELECT 1');
+      client.release();
+
+      return {
+        status: 'healthy',
+        service: 'TaskService',
+        timestamp: new Date().toISOString(),
+        database: 'connected',
+        eventBusRouter: 'available'
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        service: 'TaskService',
+        timestamp: new Date().toISOString(),
+        error: error.message
+      };
+    }
+  }
+}
+
+function requiredText(value, message) {
+  const text = String(value ?? '').trim();
+  if (!text) throw withStatus(new Error(message), 400);
+  return text;
+}
+
+function commentBody(body) {
+  return requiredText(body, 'Comment body is required');
+}
+
+const percent = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 1000) / 10);
+
+// Aggregate checklist rows ({ task_id, title, position, completed, project_id }) for checklistInsights
+function summarizeChecklists(items) {
+  const byTask = new Map();
+  for (const item of items) {
+    const key = String(item.task_id);
+    if (!byTask.has(key)) byTask.set(key, []);
+    byTask.get(key).push(item);
+  }
+
+  const countBy = (rows, keyOf) => {
+    const counts = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      const entry = counts.get(key) || { label: row.title.trim(), count: 0, completed: 0 };
+      entry.count += 1;
+      if (row.completed) entry.completed += 1;
+      counts.set(key, entry);
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  };
+  const normalized = (row) => row.title.trim().toLowerCase();
+
+  const byProject = {};
+  for (const item of items) {
+    const project = item.project_id === null || item.project_id === undefined ? 'none' : String(item.project_id);
+    (byProject[project] = byProject[project] || []).push(item);
+  }
+
+  const patterns = new Map();
+  for (const list of byTask.values()) {
+    if (list.length < 2) continue;
+    const steps = [...list].sort((a, b) => a.position - b.position).slice(0, 4).map(i => i.title.trim());
+    const pattern = steps.join(' → ');
+    patterns.set(pattern, (patterns.get(pattern) || 0) + 1);
+  }
+
+  const completed = items.filter(i => i.completed).length;
+  return {
+    summary: {
+      tasksWithChecklists: byTask.size,
+      totalItems: items.length,
+      completedItems: completed,
+      completionRate: percent(completed, items.length),
+      averageItemsPerTask: byTask.size === 0 ? 0 : Math.round((items.length / byTask.size) * 10) / 10
+    },
+    topChecklistItems: countBy(items, normalized).slice(0, 10).map(e => ({
+      item: e.label, usageCount: e.count, completedCount: e.completed, successRate: percent(e.completed, e.count)
+    })),
+    checklistByProject: Object.fromEntries(Object.entries(byProject).map(([project, rows]) => {
+      const tasks = new Set(rows.map(r => String(r.task_id))).size;
+      return [project, countBy(rows, normalized).slice(0, 5).map(e => ({ item: e.label, count: e.count, frequency: Math.round((e.count / tasks) * 100) / 100 }))];
+    })),
+    popularChecklistPatterns: [...patterns.entries()]
+      .filter(([, frequency]) => frequency > 1)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([pattern, frequency]) => ({ pattern, frequency }))
+  };
+}
+
+// Changes a bulk update applies to each task: updatable fields, add_tags, remove_tags
+function bulkChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw withStatus(new Error('changes must name the fields to update'), 400);
+  }
+  const unknown = Object.keys(changes).filter(field => !UPDATABLE_FIELDS.includes(field) && !['add_tags', 'remove_tags'].includes(field));
+  if (unknown.length > 0) throw withStatus(new Error(`Cannot bulk update: ${unknown.join(', ')}`), 400);
+  if (changes.tags !== undefined && (changes.add_tags !== undefined || changes.remove_tags !== undefined)) {
+    throw withStatus(new Error('Use either tags or add_tags / remove_tags'), 400);
+  }
+  for (const field of ['add_tags', 'remove_tags']) {
+    if (changes[field] !== undefined && !(Array.isArray(changes[field]) && changes[field].every(tag => typeof tag === 'string'))) {
+      throw withStatus(new Error(`${field} must be a list of tags`), 400);
+    }
+  }
+  return changes;
+}
+
+// Accepted versions for an optimistic-concurrency check: null (no check) or a list of integers
+function expectedVersions(value) {
+  if (value === null || value === undefined) return null;
+  const versions = [].concat(value).map(Number);
+  if (versions.length === 0 || versions.some(version => !Number.isInteger(version) || version < 1)) {
+    throw withStatus(new Error('Invalid task version'), 400);
+  }
+  return versions;
+}
+
+// A write based on an old copy of the task: 409 with the current one (error.current)
+function versionConflict(current) {
+  const error = withStatus(new Error('Task was changed by someone else; reload it and try again'), 409);
+  error.current = current;
+  return error;
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
+
+function notFound(message) {
+  return withStatus(new Error(message), 404);
+}
+
+function assertCommentAuthor(comment, { id = null, whatsapp = null, role = null } = {}) {
+  if (ADMIN_ROLES.includes(role)) return;
+  const byId = id !== null && comment.author_id !== null && String(comment.author_id) === String(id);
+  const byPhone = whatsapp !== null && comment.author_whatsapp && String(comment.author_whatsapp).replace(/^\+/, '') === String(whatsapp).replace(/^\+/, '');
+  if (!byId && !byPhone) {
+    const error = new Error('Only the author can change this comment');
+    error.status = 403;
+    throw error;
+  }
 }
 
 module.exports = TaskService;
@@ -0,0 +1,82 @@
+const TaskService = require('../../tasks/services/taskService');
+const ConversationSessionStore = require('../services/conversationSessions');
+const { handleIncomingMessage } = require('../services/messageHandler');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const eventBus = { emit: async () => {} };
+
+const USER = '919800000020';
+
+describe('WhatsApp multi-turn task creation', () => {
+  let taskService;
+  let sessions;
+  const send = (text) => handleIncomingMessage({ from: USER, text }, { taskService, logger: silentLogger, sessions });
+
+  beforeEach(() => {
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+    sessions = new ConversationSessionStore({ logger: silentLogger });
+  });
+
+  test('asks for each missing slot, confirms, then creates the task', async () => {
+    expect((await send('create task')).message).toBe('What should the task be called?');
+    expect((await send('Fix the pump')).message).toMatch(/^Who should do it\?/);
+    expect((await send('+91 98000 00021')).message).toMatch(/^When is it due\?/);
+    expect((await send('2030-01-15')).message).toMatch(/^Create "Fix the pump" for \+919800000021, due .*\? Reply yes or no\.$/);
+    expect(taskService.taskMem).toHaveLength(0);
+
+    const done = await send('yes');
+    expect(done.result.type).toBe('task_created');
+    expect(taskService.taskMem[0]).toMatchObject({
+      title: 'Fix the pump',
+      assigned_to_whatsapp: '919800000021',
+      created_by_whatsapp: USER,
+      due_date: '2030-01-15'
+    });
+    expect((await sessions.get(USER)).session).toBeNull();
+  });
+
+  test('re-asks on invalid answers and accepts skip', async () => {
+    await send('create task');
+    await send('Order cement');
+    expect((await send('Ravi')).result).toMatchObject({ type: 'awaiting_assignee', invalid: true });
+    await send('skip');
+    expect((await send('someday')).message).toMatch(/^I could not read that date/);
+    await send('skip');
+    expect((await send('maybe')).message).toBe('Please reply yes to create the task, or no to cancel.');
+    await send('yes');
+    expect(taskService.taskMem[0]).toMatchObject({ title: 'Order cement', due_date: null });
+  });
+
+  test('cancel ends the session without creating anything', async () => {
+    await send('create task');
+    await send('Paint wall');
+    expect((await send('cancel')).message).toBe('Cancelled. Nothing was saved.');
+    expect((await sessions.get(USER)).session).toBeNull();
+    expect(taskService.taskMem).toHaveLength(0);
+    expect((await send('cancel')).result.type).toBe('nothing_to_cancel');
+  });
+
+  test('one-shot "create task <title>" still creates immediately', async () => {
+    const { result } = await send('create task Call supplier');
+    expect(result.type).toBe('task_created');
+    expect((await sessions.get(USER)).session).toBeNull();
+  });
+
+  test('expired sessions are discarded and the user is told', async () => {
+    await send('crear tarea');
+    sessions.memStore.get(USER).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+    const { intent, message } = await send('mis tareas');
+    expect(intent).toBe('list_tasks');
+    expect(message).toMatch(/^Tu solicitud anterior caducó/);
+    expect(taskService.taskMem).toHaveLength(0);
+  });
+
+  test('keeps the language the conversation started in', async () => {
+    await send('crear tarea');
+    const { message, language } = await send('Fix pump');
+    expect(language).toBe('es');
+    expect(message).toMatch(/^¿Quién la hará\?/);
+  });
+});
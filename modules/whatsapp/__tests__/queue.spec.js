@@ -0,0 +1,119 @@
+const EventBus = require('../../../shared/events/eventBus');
+const CloudApiClient = require('../services/cloudApiClient');
+const MessageQueue = require('../services/messageQueue');
+const { createGraphApiStub } = require('../services/graphApiStub');
+const { registerTaskNotifications } = require('../services/taskNotifier');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('WhatsApp outbound queue (offline Graph API stub)', () => {
+  let stub;
+  let queue;
+  let eventBus;
+
+  beforeAll(async () => {
+    stub = await createGraphApiStub().start();
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+    eventBus = new EventBus();
+    eventBus.logger = silentLogger;
+    const client = new CloudApiClient({ accessToken: 'test-token', phoneNumberId: 'PHONE_ID', baseUrl: stub.url });
+    queue = new MessageQueue({
+      eventBus,
+      client,
+      logger: silentLogger,
+      options: { baseDelayMs: 0, jitter: 0, maxAttempts: 3, perRecipientLimit: 2 }
+    });
+  });
+
+  test('enqueued messages are dispatched and counted as sent', async () => {
+    await queue.enqueueText('919800000001', 'Hello');
+    expect((await queue.getStats()).pendingMessages).toBe(1);
+
+    const summary = await queue.processBatch();
+    expect(summary.sent).toBe(1);
+    expect(stub.sent[0].body).toMatchObject({ to: '919800000001', type: 'text', text: { body: 'Hello' } });
+
+    const stats = await queue.getStats();
+    expect(stats.sentMessages).toBe(1);
+    expect(stats.queueSize).toBe(0);
+  });
+
+  test('transient failures are retried, then dead-lettered after max attempts', async () => {
+    stub.failNext(3, 503);
+    const message = await queue.enqueueText('919800000002', 'Retry me');
+
+    expect((await queue.processBatch()).retry).toBe(1);
+    expect((await queue.processBatch()).retry).toBe(1);
+    expect((await queue.processBatch()).dead).toBe(1);
+
+    const [dead] = await queue.listMessages({ status: 'dead' });
+    expect(dead.id).toBe(message.id);
+    expect(dead.attempts).toBe(3);
+
+    await queue.retry(message.id);
+    expect((await queue.processBatch()).sent).toBe(1);
+  });
+
+  test('permanent 4xx errors are dead-lettered immediately', async () => {
+    stub.failNext(1, 400, 'Invalid recipient');
+    await queue.enqueueText('000', 'Nope');
+    expect((await queue.processBatch()).dead).toBe(1);
+  });
+
+  test('per-recipient rate limit defers extra messages', async () => {
+    await queue.enqueueText('919800000003', 'one');
+    await queue.enqueueText('919800000003', 'two');
+    await queue.enqueueText('919800000003', 'three');
+
+    const summary = await queue.processBatch();
+    expect(summary.sent).toBe(2);
+    expect(summary.deferred).toBe(1);
+    expect(stub.sent).toHaveLength(2);
+  });
+
+  test('messages left sending past the lease are claimed again', async () => {
+    const message = await queue.enqueueText('919800000006', 'Stranded');
+    await queue.claimDueMessages();
+    expect(await queue.claimDueMessages()).toHaveLength(0);
+
+    // A crash mid-send leaves the row in 'sending'
+    message.updated_at = new Date(Date.now() - queue.options.sendingLeaseMs - 1000).toISOString();
+    const summary = await queue.processBatch();
+    expect(summary.sent).toBe(1);
+    expect(stub.sent[0].body).toMatchObject({ to: '919800000006', text: { body: 'Stranded' } });
+    expect((await queue.listMessages({ status: 'sent' }))[0].attempts).toBe(2);
+  });
+
+  test('the SQL claim also takes sending rows whose lease expired', async () => {
+    const queries = [];
+    const sqlQueue = new MessageQueue({
+      database: { query: async (text, values) => { queries.push({ text, values }); return { rows: [] }; } },
+      logger: silentLogger,
+      options: { batchSize: 5, sendingLeaseMs: 60000 }
+    });
+    await sqlQueue.claimDueMessages();
+    expect(queries[0].text).toMatch(/status = 'sending' AND updated_at <= NOW\(\) - \$2 \* INTERVAL '1 millisecond'/);
+    expect(queries[0].values).toEqual([5, 60000]);
+  });
+
+  test('an invalid sendAt is rejected as a bad request', async () => {
+    await expect(queue.enqueueText('919800000007', 'Later', { sendAt: 'garbage' })).rejects.toMatchObject({ status: 400 });
+    expect(await queue.listMessages()).toHaveLength(0);
+  });
+
+  test('task events enqueue notifications for the assignee', async () => {
+    registerTaskNotifications(eventBus, queue, silentLogger);
+    await eventBus.emit('task:created', { id: 7, title: 'Inspect site', assignedTo: '919800000004', createdBy: '919800000005' }, { waitForAll: true });
+
+    const [queued] = await queue.listMessages({ recipient: '919800000004' });
+    expect(queued.payload.body).toContain('Inspect site');
+    expect(queued.metadata.taskId).toBe(7);
+  });
+});
@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const { translate, negotiate } = require('../../../shared/i18n');
+const TaskService = require('../../tasks/services/taskService');
+const { handleIncomingMessage } = require('../services/messageHandler');
+const { registerTaskNotifications } = require('../services/taskNotifier');
+const aiController = require('../../ai/ai.controller');
+const { authMiddleware } = require('../../auth/middleware/auth');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USER = '919800000040';
+
+describe('localized replies', () => {
+  test('the catalog interpolates, pluralizes and falls back to English', () => {
+    expect(translate('es', 'whatsapp.task_completed', { title: 'Pintar' })).toBe('Completada: Pintar');
+    expect(translate('en', 'whatsapp.task_list_header', { count: 1 })).toBe('Your open task:');
+    expect(translate('en', 'whatsapp.task_list_header', { count: 3 })).toBe('Your open tasks:');
+    expect(translate('ar', 'whatsapp.task_list_header', { count: 2 })).toBe('لديك مهمتان مفتوحتان:');
+    expect(translate('ar', 'whatsapp.task_list_header', { count: 5 })).toBe('لديك 5 مهام مفتوحة:');
+    expect(translate('ar', 'whatsapp.task_list_header', { count: 11 })).toBe('لديك 11 مهمة مفتوحة:');
+    expect(translate('es_MX', 'whatsapp.task_created')).toBe('¡Tarea creada!');
+    expect(translate('pt', 'whatsapp.task_created')).toBe('Task created!');
+    expect(translate('hi', 'no.such.key')).toBe('no.such.key');
+  });
+
+  test('Accept-Language picks the best supported language', () => {
+    expect(negotiate('fr-CH, es;q=0.9, en;q=0.8')).toBe('es');
+    expect(negotiate('en;q=0.5, ar-EG')).toBe('ar');
+    expect(negotiate('de, *;q=0.1')).toBe('en');
+    expect(negotiate(undefined)).toBe('en');
+  });
+
+  test('WhatsApp replies follow the detected language, then the preferred one', async () => {
+    const taskService = new TaskService(null, { emit: async () => {} });
+    taskService.logger = silentLogger;
+    await taskService.createTask({ title: 'Fix pump', created_by_whatsapp: USER });
+    await taskService.createTask({ title: 'Order cement', created_by_whatsapp: USER });
+    const memory = { getPreferredLanguage: async () => 'hi' };
+    const send = (text) => handleIncomingMessage({ from: USER, text, verified: true }, { taskService, logger: silentLogger, memory });
+
+    expect((await send('mis tareas')).message).toContain('Tus tareas abiertas:');
+    expect((await send('أرني مهامي')).message).toBe('لم أفهم طلبك.');
+
+    // Marathi has no catalog, so the reply uses the user's preferred language
+    const marathi = await send('माझी कामे दाखवा');
+    expect(marathi).toMatchObject({ detectedLanguage: 'mr', language: 'hi', message: 'आपका अनुरोध समझ नहीं आया।' });
+  });
+
+  test('task notifications use the recipient\'s preferred language', async () => {
+    const handlers = {};
+    const eventBus = { on: (event, handler) => { handlers[event] = handler; } };
+    const sent = [];
+    const queue = { enqueueText: async (to, body) => sent.push({ to, body }) };
+    registerTaskNotifications(eventBus, queue, silentLogger, { languageFor: async (phone) => (phone === USER ? 'es' : null) });
+
+    await handlers['task:created']({ id: 1, title: 'Pintar', assignedTo: USER, createdBy: '919800000041' });
+    await handlers['task:updated']({ id: 2, updates: { priority: 'high' }, task: { title: 'Gate', priority: 'high', assigned_to_whatsapp: '919800000042' } });
+    expect(sent).toEqual([
+      { to: USER, body: '📝 Nueva tarea asignada a ti: Pintar' },
+      { to: '919800000042', body: '🔔 Task updated: Gate (priority: high)' }
+    ]);
+  });
+
+  test('API errors and mock replies are localized', async () => {
+    const app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async () => null }) };
+    app.use(express.json());
+    app.get('/private', authMiddleware, (req, res) => res.json({ success: true }));
+    app.use('/api/ai', aiController);
+
+    const missing = await request(app).post('/api/ai/analyze').set('Accept-Language', 'es-ES,es;q=0.9').send({});
+    expect(missing.body.error).toBe('El mensaje y el número de teléfono son obligatorios');
+    expect((await request(app).get('/private').set('Accept-Language', 'ar')).body.error).toBe('ترويسة Authorization مطلوبة');
+    expect((await request(app).get('/private')).body.error).toBe('Authorization header required');
+
+    const detected = await request(app).post('/api/ai/analyze').send({ message: 'necesito ayuda con esto', phoneNumber: USER });
+    expect(detected.body.data).toMatchObject({ language: 'es', reply: 'Entiendo que preguntas por la gestión de tareas. ¿Cómo puedo ayudarte?' });
+    const explicit = await request(app).post('/api/ai/whatsapp/process').send({ message: 'help', phoneNumber: USER, language: 'ar' });
+    expect(explicit.body.data.message).toBe('مرحبا! أنا مساعدك الذكي. 🤖\n\nكيف يمكنني مساعدتك اليوم؟');
+  });
+});
@@ -0,0 +1,112 @@
+const TaskService = require('../../tasks/services/taskService');
+const { extractIntent } = require('../../ai/services/intentRouter');
+const { handleIncomingMessage } = require('../services/messageHandler');
+const { parseDueDate } = require('../services/taskCommands');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const eventBus = { emit: async () => {} };
+
+const USER = '919800000010';
+
+describe('WhatsApp task commands', () => {
+  let taskService;
+  const send = (text) => handleIncomingMessage({ from: USER, text, verified: true }, { taskService, logger: silentLogger });
+
+  beforeEach(async () => {
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+    await taskService.createTask({ title: 'Fix pump', created_by_whatsapp: USER });
+    await taskService.createTask({ title: 'Order cement', assigned_to_whatsapp: USER, created_by_whatsapp: '919800000099' });
+    await taskService.createTask({ title: 'Someone else', assigned_to_whatsapp: '919800000099', created_by_whatsapp: USER });
+  });
+
+  test('extractIntent recognizes numbered commands', () => {
+    expect(extractIntent('my tasks').intent).toBe('list_tasks');
+    expect(extractIntent('done 2')).toEqual({ intent: 'complete_task', payload: { taskNumber: 2 } });
+    expect(extractIntent('#3 done').payload.taskNumber).toBe(3);
+    expect(extractIntent('assign 1 to +91 98000 00011').payload).toEqual({ taskNumber: 1, assignee: '+91 98000 00011' });
+    expect(extractIntent('due 1 tomorrow').payload).toEqual({ taskNumber: 1, dueText: 'tomorrow' });
+    expect(extractIntent('prioridad 2 alta', 'es').payload.priority).toBe('high');
+    expect(extractIntent('comment 1 Status: waiting on parts').payload.comment).toBe('Status: waiting on parts');
+  });
+
+  test('commands from an unverified sender are refused', async () => {
+    for (const text of ['my tasks', 'done 1', 'assign 1 to +919800000011', 'due 1 tomorrow', 'priority 1 high', 'comment 1 hi']) {
+      const { result, message } = await handleIncomingMessage({ from: USER, text }, { taskService, logger: silentLogger });
+      expect(result.type).toBe('sender_not_verified');
+      expect(message).toBe('Task commands only work from your own WhatsApp number.');
+    }
+    expect(taskService.taskMem.find(t => t.title === 'Fix pump')).toMatchObject({ status: 'pending', priority: 'medium' });
+  });
+
+  test('lists open tasks the user owns, numbered', async () => {
+    const { intent, message, result } = await send('my tasks');
+    expect(intent).toBe('list_tasks');
+    expect(result.taskIds).toHaveLength(2);
+    expect(message).toContain('1. Fix pump');
+    expect(message).toContain('2. Order cement');
+    expect(message).not.toContain('Someone else');
+  });
+
+  test('marks a task done by number and drops it from the list', async () => {
+    const { message } = await send('done 2');
+    expect(message).toBe('Marked as done: Order cement');
+
+    const { result } = await send('my tasks');
+    expect(result.taskIds).toHaveLength(1);
+  });
+
+  test('reassigns, sets due date, priority and comments', async () => {
+    await send('due 1 2030-01-15');
+    await send('priority 1 high');
+    await send('comment 1 parts ordered');
+    await send('assign 1 to +91 98000 00011');
+
+    const [task] = taskService.taskMem;
+    expect(task).toMatchObject({ due_date: '2030-01-15', priority: 'high', assigned_to_whatsapp: '919800000011' });
+    expect((await taskService.getComments(task.id))[0]).toMatchObject({ body: 'parts ordered', author_whatsapp: USER, source: 'whatsapp' });
+  });
+
+  test('does not overwrite a change made while the command was running', async () => {
+    const lookup = taskService.getOpenTasksForWhatsApp.bind(taskService);
+    taskService.getOpenTasksForWhatsApp = async (phone) => {
+      const tasks = await lookup(phone);
+      await taskService.updateTask(tasks[1].id, { priority: 'urgent' });
+      return tasks;
+    };
+
+    const { message, result } = await send('priority 2 low');
+    expect(result).toMatchObject({ type: 'task_conflict', version: 2 });
+    expect(message).toBe('Order cement was just changed by someone else, so nothing was updated. Send "my tasks" to see the latest and try again.');
+    expect(taskService.taskMem[1]).toMatchObject({ priority: 'urgent', version: 2 });
+  });
+
+  test('replies in the detected language and reports unknown numbers', async () => {
+    expect((await send('mis tareas')).message).toMatch(/^Tus tareas abiertas:/);
+    expect((await send('hecho 9')).message).toBe('La tarea 9 no está en tu lista. Envía "mis tareas" para verla.');
+    expect((await send('priority 1 whenever')).message).toMatch(/^Priority must be/);
+  });
+
+  test('one-shot create_task applies extracted due date, priority and assignee', async () => {
+    const contactService = { getContacts: async () => [{ firstName: 'Ravi', lastName: 'Kumar', phone: '+91 98000 00011' }] };
+    const { result } = await handleIncomingMessage(
+      { from: USER, text: 'create task Repair gate 2030-03-01 for Ravi urgent' },
+      { taskService, contactService, logger: silentLogger }
+    );
+    expect(result.type).toBe('task_created');
+    expect(taskService.taskMem.find(t => t.id === result.taskId)).toMatchObject({
+      title: 'Repair gate', due_date: '2030-03-01', priority: 'urgent', assigned_to_whatsapp: '919800000011'
+    });
+
+    const unknown = await send('create task Sweep yard for Zoya');
+    expect(unknown.message).toBe('Task created!\nI could not find Zoya in your contacts, so the task is unassigned.');
+  });
+
+  test('parseDueDate understands relative words and ISO dates', () => {
+    const now = new Date(2025, 0, 31, 15, 0);
+    expect(parseDueDate('tomorrow', now)).toEqual(new Date(2025, 1, 1));
+    expect(parseDueDate('in 3 days', now)).toEqual(new Date(2025, 1, 3));
+    expect(parseDueDate('2025-02-30', now)).toBeNull();
+    expect(parseDueDate('someday', now)).toBeNull();
+  });
+});
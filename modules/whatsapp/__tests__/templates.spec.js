@@ -0,0 +1,148 @@
+const express = require('express');
+const request = require('supertest');
+const TemplateService = require('../services/templateService');
+const MessageQueue = require('../services/messageQueue');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('WhatsApp template registry (in-memory mode)', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TemplateService({ logger: silentLogger });
+  });
+
+  test('seeds the default approved templates', async () => {
+    const { templates, total } = await service.listTemplates({ status: 'approved' });
+    expect(total).toBe(2);
+    expect(templates.map(t => t.name)).toContain('Task Assignment Alert');
+  });
+
+  test('new templates start as drafts with variables taken from content', async () => {
+    const template = await service.createTemplate({ name: 'Reminder', content: 'Hi {{name}}, {{task}} is due' });
+    expect(template.status).toBe('draft');
+    expect(template.variables).toEqual(['name', 'task']);
+
+    await expect(service.createTemplate({ name: 'Bad', content: 'Hi {{name}}', variables: ['name', 'extra'] }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('lifecycle allows draft → submitted → approved and blocks invalid moves', async () => {
+    const template = await service.createTemplate({ name: 'Lifecycle', content: 'Hello {{name}}' });
+
+    await expect(service.transition(template.id, 'approve')).rejects.toMatchObject({ status: 409 });
+
+    const submitted = await service.transition(template.id, 'submit');
+    expect(submitted.status).toBe('submitted');
+    await expect(service.updateTemplate(template.id, { content: 'Changed {{name}}' })).rejects.toMatchObject({ status: 409 });
+
+    const approved = await service.transition(template.id, 'approve', { actor: { id: 'admin-1' } });
+    expect(approved.status).toBe('approved');
+    expect(approved.reviewedBy).toBe('admin-1');
+  });
+
+  test('rejected templates need a reason and return to draft when edited', async () => {
+    const template = await service.createTemplate({ name: 'Rejectable', content: 'Hello {{name}}' });
+    await service.transition(template.id, 'submit');
+
+    await expect(service.transition(template.id, 'reject')).rejects.toMatchObject({ status: 400 });
+    const rejected = await service.transition(template.id, 'reject', { reason: 'Promotional content' });
+    expect(rejected.rejectionReason).toBe('Promotional content');
+
+    const edited = await service.updateTemplate(template.id, { content: 'Hi {{name}}' });
+    expect(edited.status).toBe('draft');
+    expect(edited.rejectionReason).toBeNull();
+  });
+
+  test('render validates required variables and fills placeholders', async () => {
+    const template = await service.resolveVariant('Task Assignment Alert', 'en');
+
+    expect(() => service.render(template, { name: 'Asha' })).toThrow(/Missing template variables/);
+
+    const { text } = service.render(template, { name: 'Asha', task_title: 'Fix pump', due_date: 'Friday', priority: 'high' });
+    expect(text).toBe('Hello Asha, you have been assigned a new task: Fix pump. Due date: Friday. Priority: high.');
+  });
+
+  test('resolveVariant prefers the requested language, then its base, then the default', async () => {
+    const es = await service.createTemplate({ name: 'Task Assignment Alert', language: 'es', content: 'Hola {{name}}, nueva tarea: {{task_title}}' });
+    await service.transition(es.id, 'submit');
+    await service.transition(es.id, 'approve');
+
+    expect((await service.resolveVariant('Task Assignment Alert', 'es_MX')).language).toBe('es');
+    expect((await service.resolveVariant('Task Assignment Alert', 'hi')).language).toBe('en');
+    expect(await service.resolveVariant('Unknown template', 'en')).toBeNull();
+  });
+
+  test('edits cannot take the name and language of another template', async () => {
+    const template = await service.createTemplate({ name: 'Renamed', content: 'Hello {{name}}' });
+    await expect(service.updateTemplate(template.id, { name: 'Task Assignment Alert' })).rejects.toMatchObject({ status: 409 });
+
+    const conflict = Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+    const sqlService = new TemplateService({
+      logger: silentLogger,
+      database: {
+        query: async (text) => {
+          if (text.startsWith('SELECT')) return { rows: [{ id: 't1', name: 'Renamed', language: 'en', status: 'draft', content: 'Hi', variables: [] }] };
+          throw conflict;
+        }
+      }
+    });
+    await expect(sqlService.updateTemplate('t1', { name: 'Task Assignment Alert' })).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('toTemplateMessage builds a Cloud API template with body parameters in variable order', async () => {
+    const template = await service.resolveVariant('Task Assignment Alert', 'en');
+    const { payload, rendered } = service.toTemplateMessage(template, { name: 'Asha', task_title: 'Fix pump', due_date: 'Friday', priority: 'high' });
+
+    expect(payload).toEqual({
+      name: 'task_assignment_alert',
+      language: { code: 'en' },
+      components: [{
+        type: 'body',
+        parameters: ['Asha', 'Fix pump', 'Friday', 'high'].map(text => ({ type: 'text', text }))
+      }]
+    });
+    expect(rendered.text).toContain('Fix pump');
+    expect(() => service.toTemplateMessage(template, { name: 'Asha' })).toThrow(/Missing template variables/);
+  });
+
+  test('recordUsage bumps usageCount and lastUsed', async () => {
+    const template = await service.resolveVariant('Project Update Notification', 'en');
+    const used = await service.recordUsage(template.id);
+    expect(used.usageCount).toBe(1);
+    expect(used.lastUsed).toBeTruthy();
+  });
+});
+
+describe('WhatsApp template send route', () => {
+  let app;
+  let service;
+  let queue;
+
+  beforeEach(() => {
+    service = new TemplateService({ logger: silentLogger });
+    queue = new MessageQueue({ logger: silentLogger });
+    app = express();
+    app.locals.container = { get: () => ({ getCurrentUser: async (token) => (token === 'token-ana' ? { id: 'ana', role: 'member' } : null) }) };
+    app.locals.whatsappTemplateService = service;
+    app.locals.whatsappQueue = queue;
+    app.use(express.json());
+    app.use('/templates', require('../routes/templates'));
+  });
+
+  test('approved templates are queued as template messages, not plain text', async () => {
+    const template = await service.resolveVariant('Task Assignment Alert', 'en');
+    const res = await request(app).post(`/templates/${template.id}/send`)
+      .set('Authorization', 'Bearer token-ana')
+      .send({ to: '919800000001', variables: { name: 'Asha', task_title: 'Fix pump', due_date: 'Friday', priority: 'high' } });
+
+    expect(res.status).toBe(202);
+    const [queued] = await queue.listMessages({ recipient: '919800000001' });
+    expect(queued).toMatchObject({
+      message_type: 'template',
+      payload: { name: 'task_assignment_alert', language: { code: 'en' } },
+      metadata: { templateId: template.id }
+    });
+    expect(queued.payload.components[0].parameters).toHaveLength(4);
+  });
+});
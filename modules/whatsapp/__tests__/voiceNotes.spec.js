@@ -0,0 +1,157 @@
+const TaskService = require('../../tasks/services/taskService');
+const ConversationSessionStore = require('../services/conversationSessions');
+const { handleVoiceNote } = require('../services/messageHandler');
+const { transcribeAudio, transcribeVoiceNote } = require('../services/voiceNotes');
+const { StubSpeechProvider, CommandSpeechProvider, createSpeechProviderFromEnv } = require('../../ai/services/speech');
+const CloudApiClient = require('../services/cloudApiClient');
+const { createGraphApiStub } = require('../services/graphApiStub');
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USER = '919800000050';
+const audioMessage = (mediaId) => ({ id: `wamid.${mediaId}`, from: USER, type: 'audio', media: { id: mediaId, mimeType: 'audio/ogg', voice: true } });
+
+describe('WhatsApp voice notes', () => {
+  let taskService;
+  let speech;
+  let client;
+  let media;
+
+  beforeEach(() => {
+    taskService = new TaskService(null, { emit: async () => {} });
+    taskService.logger = silentLogger;
+    speech = new StubSpeechProvider();
+    media = new Map();
+    client = {
+      downloadMedia: async (id) => {
+        if (!media.has(id)) throw new Error(`media ${id} not found`);
+        return { buffer: media.get(id), mimeType: 'audio/ogg; codecs=opus' };
+      }
+    };
+  });
+
+  const voiceNote = (id, audio, transcript) => {
+    media.set(id, Buffer.from(audio));
+    if (transcript) speech.addTranscript(Buffer.from(audio), transcript);
+    return audioMessage(id);
+  };
+
+  test('a voice note goes through the intent pipeline and its transcript is stored with the task', async () => {
+    const message = voiceNote('M1', 'audio-1', { text: 'Create task fix the water pump tomorrow.', confidence: 0.91 });
+
+    const voice = await transcribeVoiceNote(message, { client, speech, logger: silentLogger });
+    expect(voice).toMatchObject({ status: 'transcribed', transcript: 'Create task fix the water pump tomorrow', confidence: 0.91, mediaId: 'M1' });
+
+    const outcome = await handleVoiceNote({ from: USER, voice }, { taskService, logger: silentLogger });
+    expect(outcome).toMatchObject({ intent: 'create_task', result: { type: 'task_created' }, transcriptConfidence: 0.91 });
+    expect(outcome.message).toBe('🎤 "Create task fix the water pump tomorrow"\nTask created!');
+
+    const [task] = taskService.taskMem;
+    expect(task).toMatchObject({
+      title: 'fix the water pump',
+      voice_transcript: 'Create task fix the water pump tomorrow',
+      voice_confidence: 0.91,
+      voice_media_id: 'M1'
+    });
+    expect(task.description).toContain('voice note');
+  });
+
+  test('the first voice note of a conversation is kept until the task is created', async () => {
+    const sessions = new ConversationSessionStore({ logger: silentLogger });
+    const deps = { taskService, sessions, logger: silentLogger };
+    const speak = async (id, text) => handleVoiceNote(
+      { from: USER, voice: await transcribeVoiceNote(voiceNote(id, id, text), { client, speech }) },
+      deps
+    );
+
+    expect((await speak('F1', 'new task')).result.type).toBe('awaiting_title');
+    await speak('F2', 'Paint the gate');
+    await speak('F3', 'skip');
+    await speak('F4', 'skip');
+    expect((await speak('F5', 'yes')).result.type).toBe('task_created');
+    expect(taskService.taskMem[0]).toMatchObject({ title: 'Paint the gate', voice_transcript: 'new task', voice_media_id: 'F1' });
+  });
+
+  test('unclear and failed voice notes ask the user to try again in their language', async () => {
+    const memory = { getPreferredLanguage: async () => 'es' };
+    const quiet = voiceNote('U1', 'mumble', { text: 'uh', confidence: 0.12 });
+
+    const unclear = await handleVoiceNote({ from: USER, voice: await transcribeVoiceNote(quiet, { client, speech }) }, { taskService, memory, logger: silentLogger });
+    expect(unclear).toMatchObject({ intent: null, result: { type: 'voice_unclear' }, transcript: 'uh', transcriptConfidence: 0.12 });
+    expect(unclear.message).toBe('Lo siento, no entendí tu nota de voz. Inténtalo de nuevo o escribe el mensaje.');
+
+    const missing = await transcribeVoiceNote(audioMessage('GONE'), { client, speech, logger: silentLogger });
+    expect(missing).toMatchObject({ status: 'failed', error: 'media GONE not found' });
+    expect((await handleVoiceNote({ from: USER, voice: missing }, { taskService, logger: silentLogger })).result.type).toBe('voice_failed');
+
+    const tooLarge = await transcribeAudio({ buffer: Buffer.alloc(64) }, { speech, maxBytes: 32 });
+    expect(tooLarge.status).toBe('failed');
+    expect(speech.calls).toBe(1);
+    expect(taskService.taskMem).toHaveLength(0);
+  });
+
+  test('the command provider runs a local engine on a temporary audio file', async () => {
+    // `cat` stands in for an offline engine: it prints the "audio" back as the transcript
+    const cat = new CommandSpeechProvider({ command: 'cat {file}' });
+    expect(await cat.transcribe({ audio: Buffer.from('my tasks\n'), mimeType: 'audio/ogg' }))
+      .toMatchObject({ text: 'my tasks', confidence: null, provider: 'command' });
+
+    const json = new CommandSpeechProvider({ command: 'engine -l {language} {file}', run: async (program, args) => {
+      expect(program).toBe('engine');
+      expect(args[1]).toBe('hi');
+      expect(args[2]).toMatch(/voice-.*\.ogg$/);
+      return JSON.stringify({ text: 'mere kaam dikhao', confidence: 0.8, language: 'hi' });
+    } });
+    expect(await json.transcribe({ audio: Buffer.from('x'), mimeType: 'audio/ogg', language: 'hi' }))
+      .toMatchObject({ text: 'mere kaam dikhao', confidence: 0.8, language: 'hi' });
+
+    await expect(new CommandSpeechProvider({ command: 'false' }).transcribe({ audio: Buffer.from('x') }))
+      .rejects.toMatchObject({ name: 'ProviderError', code: 'COMMAND_FAILED' });
+  });
+
+  test('an unconfigured provider falls back to the stub', () => {
+    expect(createSpeechProviderFromEnv({}).describe().type).toBe('stub');
+    expect(createSpeechProviderFromEnv({ STT_PROVIDER: 'command' }, silentLogger).describe().type).toBe('stub');
+    expect(createSpeechProviderFromEnv({ STT_PROVIDER: 'command', STT_COMMAND: 'whisper-cli -f {file}' }).describe())
+      .toMatchObject({ type: 'command', model: 'whisper-cli', configured: true });
+  });
+});
+
+describe('voice note downloads (offline Graph API stub)', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await createGraphApiStub().start();
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+    client = new CloudApiClient({ accessToken: 'test-token', phoneNumberId: 'PHONE_ID', baseUrl: stub.url });
+  });
+
+  const speech = new StubSpeechProvider({ defaultText: 'create task fix pump' });
+
+  test('audio within the limit is downloaded and transcribed', async () => {
+    stub.addMedia('M10', Buffer.alloc(100));
+    const voice = await transcribeVoiceNote(audioMessage('M10'), { client, speech, maxBytes: 1000 });
+    expect(voice).toMatchObject({ status: 'transcribed', transcript: 'create task fix pump' });
+  });
+
+  test('media reported as too large is refused before it is downloaded', async () => {
+    stub.addMedia('M11', Buffer.alloc(100), 'audio/ogg', { fileSize: 5000 });
+    await expect(client.downloadMedia('M11', { maxBytes: 1000 })).rejects.toThrow('Media M11 is larger than 1000 bytes');
+
+    const voice = await transcribeVoiceNote(audioMessage('M11'), { client, speech, logger: silentLogger, maxBytes: 1000 });
+    expect(voice).toMatchObject({ status: 'failed', error: 'Media M11 is larger than 1000 bytes' });
+  });
+
+  test('a download that outgrows the limit is cut off', async () => {
+    stub.addMedia('M12', Buffer.alloc(5000), 'audio/ogg', { fileSize: 10 });
+    await expect(client.downloadMedia('M12', { maxBytes: 1000 })).rejects.toThrow(/maxContentLength/);
+    expect((await client.downloadMedia('M12')).buffer).toHaveLength(5000);
+  });
+});
@@ -0,0 +1,291 @@
+const express = require('express');
+const request = require('supertest');
+const crypto = require('crypto');
+const EventBus = require('../../../shared/events/eventBus');
+const TaskService = require('../../tasks/services/taskService');
+const { StubSpeechProvider } = require('../../ai/services/speech');
+const whatsappModule = require('..');
+const InboundMessageLog = require('../services/inboundMessages');
+const { parseWebhookPayload } = require('../services/webhookParser');
+
+const APP_SECRET = 'jest-app-secret';
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const USERS = {
+  'token-asha': { id: 'asha', phone: '919800000003', role: 'member' },
+  'token-nophone': { id: 'nophone', phone: null, role: 'member' },
+  'token-root': { id: 'root', phone: null, role: 'admin' }
+};
+const as = (name) => ({ Authorization: `Bearer token-${name}` });
+
+const sign = (body) => 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+
+const envelope = (value) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: 'WABA_ID',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550000000', phone_number_id: 'PHONE_ID' },
+        ...value
+      }
+    }]
+  }]
+});
+
+describe('WhatsApp webhook parsing', () => {
+  test('normalizes text, media, interactive messages and statuses', () => {
+    const { messages, statuses } = parseWebhookPayload(envelope({
+      contacts: [{ wa_id: '919800000001', profile: { name: 'Asha' } }],
+      messages: [
+        { id: 'wamid.1', from: '919800000001', timestamp: '1700000000', type: 'text', text: { body: 'create task Fix pump' } },
+        { id: 'wamid.2', from: '919800000001', timestamp: '1700000001', type: 'audio', audio: { id: 'MEDIA_1', mime_type: 'audio/ogg', voice: true } },
+        { id: 'wamid.3', from: '919800000001', timestamp: '1700000002', type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'done_1', title: 'Done' } }, context: { id: 'wamid.out', from: '15550000000' } }
+      ],
+      statuses: [{ id: 'wamid.out', recipient_id: '919800000001', status: 'delivered', timestamp: '1700000003' }]
+    }));
+
+    expect(messages).toHaveLength(3);
+    expect(messages[0]).toMatchObject({ from: '919800000001', profileName: 'Asha', text: 'create task Fix pump', phoneNumberId: 'PHONE_ID' });
+    expect(messages[1].media).toMatchObject({ id: 'MEDIA_1', mimeType: 'audio/ogg', voice: true });
+    expect(messages[2].interactive).toMatchObject({ id: 'done_1', title: 'Done' });
+    expect(messages[2].context).toMatchObject({ messageId: 'wamid.out' });
+    expect(statuses[0]).toMatchObject({ id: 'wamid.out', status: 'delivered' });
+  });
+});
+
+describe('WhatsApp webhook routes', () => {
+  const savedEnv = {};
+  let app;
+  let eventBus;
+  let taskService;
+  let processed;
+
+  beforeAll(() => {
+    for (const key of ['META_VERIFY_TOKEN', 'META_APP_SECRET']) savedEnv[key] = process.env[key];
+    process.env.META_VERIFY_TOKEN = 'jest-verify-token';
+    process.env.META_APP_SECRET = APP_SECRET;
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    eventBus.logger = silentLogger;
+    taskService = new TaskService(null, eventBus);
+    taskService.logger = silentLogger;
+
+    const services = new Map([
+      ['eventBus', eventBus],
+      ['database', {}],
+      ['authService', { getCurrentUser: async (token) => USERS[token] || null }]
+    ]);
+    const container = { get: (name) => services.get(name), register: (name, service) => services.set(name, service) };
+
+    app = express();
+    app.locals.container = container;
+    app.locals.taskService = taskService;
+    app.locals.speechProvider = new StubSpeechProvider({ defaultText: 'create task Jest voice task.' });
+    app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+    whatsappModule.initialize(container, app);
+
+    processed = [];
+    eventBus.on('whatsapp:message_processed', async (outcome) => { processed.push(outcome); });
+    eventBus.on('whatsapp:message_duplicate', async ({ id }) => { processed.push({ id, duplicate: true }); });
+  });
+
+  // Webhook messages are handled after the 200 is sent
+  const waitForMessages = async (count) => {
+    for (let i = 0; i < 50 && processed.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return processed;
+  };
+
+  const postSigned = (payload) => {
+    const body = JSON.stringify(payload);
+    return request(app).post('/api/modules/whatsapp/incoming')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', sign(body))
+      .send(body);
+  };
+
+  test('GET /queue/messages is limited to admins', async () => {
+    await app.locals.whatsappQueue.enqueueText('919800000005', 'Private');
+    expect((await request(app).get('/api/modules/whatsapp/queue/messages')).statusCode).toBe(401);
+    expect((await request(app).get('/api/modules/whatsapp/queue/messages').set(as('asha'))).statusCode).toBe(403);
+
+    const res = await request(app).get('/api/modules/whatsapp/queue/messages').set(as('root'));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ recipient: '919800000005', payload: { body: 'Private' } });
+  });
+
+  test('POST /queue and POST /queue/:id/retry are limited to admins', async () => {
+    const queued = await app.locals.whatsappQueue.enqueueText('919800000005', 'Dead letter');
+    expect((await request(app).post('/api/modules/whatsapp/queue').send({ to: '919800000005', text: 'Hi' })).statusCode).toBe(401);
+    expect((await request(app).post('/api/modules/whatsapp/queue').set(as('asha')).send({ to: '919800000005', text: 'Hi' })).statusCode).toBe(403);
+    expect((await request(app).post(`/api/modules/whatsapp/queue/${queued.id}/retry`).set(as('asha'))).statusCode).toBe(403);
+
+    expect((await request(app).post('/api/modules/whatsapp/queue').set(as('root')).send({ to: '919800000005', text: 'Hi' })).statusCode).toBe(202);
+    expect((await request(app).post('/api/modules/whatsapp/queue/nope/retry').set(as('root'))).statusCode).toBe(404);
+  });
+
+  test('POST /queue rejects an invalid sendAt', async () => {
+    const res = await request(app).post('/api/modules/whatsapp/queue')
+      .set(as('root'))
+      .send({ to: '919800000005', text: 'Later', sendAt: 'garbage' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('sendAt must be a valid date');
+  });
+
+  test('GET /incoming echoes the challenge for a valid verify token', async () => {
+    const res = await request(app).get('/api/modules/whatsapp/incoming')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'jest-verify-token', 'hub.challenge': '12345' });
+    expect(res.statusCode).toBe(200);
+    expect(res.text).toBe('12345');
+  });
+
+  test('GET /incoming rejects a wrong verify token', async () => {
+    const res = await request(app).get('/api/modules/whatsapp/incoming')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'nope', 'hub.challenge': '12345' });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('POST /incoming rejects an invalid signature', async () => {
+    const body = JSON.stringify(envelope({ messages: [] }));
+    const res = await request(app).post('/api/modules/whatsapp/incoming')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', 'sha256=deadbeef')
+      .send(body);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /incoming rejects webhooks when no app secret is configured', async () => {
+    delete process.env.META_APP_SECRET;
+    try {
+      const res = await postSigned(envelope({
+        messages: [{ id: 'wamid.20', from: '919800000002', timestamp: '1700000000', type: 'text', text: { body: 'create task Unsigned' } }]
+      }));
+      expect(res.statusCode).toBe(503);
+      expect(taskService.taskMem).toHaveLength(0);
+    } finally {
+      process.env.META_APP_SECRET = APP_SECRET;
+    }
+  });
+
+  test('POST /incoming acknowledges a signed webhook, then processes the message', async () => {
+    const res = await postSigned(envelope({
+      messages: [{ id: 'wamid.10', from: '919800000002', timestamp: '1700000000', type: 'text', text: { body: 'create task Jest webhook task' } }]
+    }));
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, data: { messages: 1, statuses: 0 } });
+
+    const [outcome] = await waitForMessages(1);
+    expect(outcome).toMatchObject({ id: 'wamid.10', intent: 'create_task', result: { type: 'task_created' } });
+    expect(taskService.taskMem).toHaveLength(1);
+
+    const [reply] = await app.locals.whatsappQueue.listMessages({ recipient: '919800000002' });
+    expect(reply.metadata).toMatchObject({ inReplyTo: 'wamid.10', intent: 'create_task' });
+  });
+
+  test('POST /incoming processes a retried delivery of the same message only once', async () => {
+    const payload = envelope({
+      messages: [{ id: 'wamid.11', from: '919800000002', timestamp: '1700000000', type: 'text', text: { body: 'create task Only once' } }]
+    });
+    expect((await postSigned(payload)).statusCode).toBe(200);
+    await waitForMessages(1);
+    expect((await postSigned(payload)).statusCode).toBe(200);
+
+    expect(await waitForMessages(2)).toEqual([
+      expect.objectContaining({ id: 'wamid.11', intent: 'create_task' }),
+      { id: 'wamid.11', duplicate: true }
+    ]);
+    expect(taskService.taskMem).toHaveLength(1);
+    expect(await app.locals.whatsappQueue.listMessages({ recipient: '919800000002' })).toHaveLength(1);
+  });
+
+  test('POST /incoming transcribes a webhook voice note', async () => {
+    app.locals.whatsappClient.downloadMedia = async () => ({ buffer: Buffer.from('voice'), mimeType: 'audio/ogg' });
+    await postSigned(envelope({
+      messages: [{ id: 'wamid.12', from: '919800000002', timestamp: '1700000000', type: 'audio', audio: { id: 'MEDIA_2', mime_type: 'audio/ogg', voice: true } }]
+    }));
+
+    const [outcome] = await waitForMessages(1);
+    expect(outcome).toMatchObject({ id: 'wamid.12', intent: 'create_task', transcript: 'create task Jest voice task', transcriptConfidence: 1 });
+  });
+
+  test('POST /incoming requires sign-in for the legacy {from, text} body', async () => {
+    const res = await request(app).post('/api/modules/whatsapp/incoming')
+      .send({ from: '919800000003', text: 'create task Spoofed' });
+    expect(res.statusCode).toBe(401);
+    expect(taskService.taskMem).toHaveLength(0);
+  });
+
+  test('POST /incoming handles the legacy body as the signed-in user', async () => {
+    const res = await request(app).post('/api/modules/whatsapp/incoming')
+      .set(as('asha'))
+      .send({ from: '919800000099', text: 'help' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body?.data).toMatchObject({ from: '919800000003', intent: 'help' });
+
+    expect((await request(app).post('/api/modules/whatsapp/incoming').set(as('nophone')).send({ text: 'help' })).statusCode).toBe(400);
+
+    const admin = await request(app).post('/api/modules/whatsapp/incoming')
+      .set(as('root'))
+      .send({ from: '919800000099', text: 'help' });
+    expect(admin.body?.data?.from).toBe('919800000099');
+  });
+
+  test('POST /incoming transcribes a legacy voice note body', async () => {
+    const res = await request(app).post('/api/modules/whatsapp/incoming')
+      .set(as('asha'))
+      .send({ audio: Buffer.from('voice').toString('base64'), mimeType: 'audio/ogg' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body?.data).toMatchObject({ intent: 'create_task', transcript: 'create task Jest voice task', transcriptConfidence: 1 });
+    expect(res.body?.data?.result?.type).toBe('task_created');
+  });
+});
+
+describe('Inbound message log', () => {
+  test('falls back to memory when the table is missing, so messages are still deduplicated', async () => {
+    const queries = [];
+    const database = {
+      query: async (sql) => {
+        queries.push(sql);
+        throw Object.assign(new Error('relation "whatsapp_inbound_messages" does not exist'), { code: '42P01' });
+      }
+    };
+    const log = new InboundMessageLog({ database, logger: silentLogger });
+
+    expect(await log.claim('wamid.1', '919800000001')).toBe(true);
+    expect(await log.claim('wamid.1', '919800000001')).toBe(false);
+    await log.finish('wamid.1', { intent: 'create_task' });
+    expect(log.memStore.get('wamid.1')).toMatchObject({ status: 'processed', intent: 'create_task' });
+    expect(queries).toHaveLength(1);
+  });
+
+  test('prunes messages older than the retention period', async () => {
+    const now = new Date('2030-01-20T00:00:00Z');
+    const memory = new InboundMessageLog({ logger: silentLogger, retentionDays: 7 });
+    await memory.claim('wamid.old', '919800000001');
+    await memory.claim('wamid.new', '919800000001');
+    memory.memStore.get('wamid.old').receivedAt = '2030-01-12T00:00:00.000Z';
+    memory.memStore.get('wamid.new').receivedAt = '2030-01-19T00:00:00.000Z';
+    expect(await memory.prune(now)).toBe(1);
+    expect([...memory.memStore.keys()]).toEqual(['wamid.new']);
+
+    const statements = [];
+    const sql = new InboundMessageLog({
+      database: { query: async (text, values) => { statements.push({ text, values }); return { rowCount: 3 }; } },
+      logger: silentLogger
+    });
+    expect(await sql.prune(now)).toBe(3);
+    expect(statements).toEqual([{ text: 'DELETE FROM whatsapp_inbound_messages WHERE received_at < $1', values: [new Date('2030-01-13T00:00:00Z')] }]);
+  });
+});
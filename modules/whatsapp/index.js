@@ -1,178 +1,313 @@
 const express = require('express');
 const logger = require('winston');
+const CloudApiClient = require('./services/cloudApiClient');
+const { handleIncomingMessage, handleVoiceNote } = require('./services/messageHandler');
+const { isVoiceNote, transcribeAudio, transcribeVoiceNote } = require('./services/voiceNotes');
+const { isWebhookPayload, parseWebhookPayload, verifySignature } = require('./services/webhookParser');
+const MessageQueue = require('./services/messageQueue');
+const { registerTaskNotifications } = require('./services/taskNotifier');
+const TemplateService = require('./services/templateService');
+const ConversationSessionStore = require('./services/conversationSessions');
+const InboundMessageLog = require('./services/inboundMessages');
+const templateRoutes = require('./routes/templates');
+const { authMiddleware, adminMiddleware } = require('../auth/middleware/auth');
 
 module.exports = {
   name: 'whatsapp',
   version: '2.0.0',
   description: 'WhatsApp integration module with templates and queue management',
-  dependencies: ['logger'],
+  dependencies: ['logger', 'eventBus', 'database'],
   routes: [
     { method: 'GET', path: '/templates', handler: 'getTemplates' },
+    { method: 'GET', path: '/templates/:id', handler: 'getTemplate' },
+    { method: 'POST', path: '/templates', handler: 'createTemplate' },
+    { method: 'PUT', path: '/templates/:id', handler: 'updateTemplate' },
+    { method: 'DELETE', path: '/templates/:id', handler: 'deleteTemplate' },
+    { method: 'POST', path: '/templates/:id/submit', handler: 'submitTemplate' },
+    { method: 'POST', path: '/templates/:id/approve', handler: 'approveTemplate' },
+    { method: 'POST', path: '/templates/:id/reject', handler: 'rejectTemplate' },
+    { method: 'POST', path: '/templates/render', handler: 'renderTemplateByName' },
+    { method: 'POST', path: '/templates/:id/render', handler: 'renderTemplate' },
+    { method: 'POST', path: '/templates/:id/send', handler: 'sendTemplate' },
     { method: 'GET', path: '/queue', handler: 'getQueueStatus' },
+    { method: 'GET', path: '/queue/messages', handler: 'listQueuedMessages' },
+    { method: 'POST', path: '/queue', handler: 'enqueueMessage' },
+    { method: 'POST', path: '/queue/:id/retry', handler: 'retryQueuedMessage' },
+    { method: 'GET', path: '/incoming', handler: 'verifyWebhook' },
     { method: 'POST', path: '/incoming', handler: 'processIncoming' }
   ],
 
   initialize(serviceContainer, app) {
     const router = express.Router();
+    const eventBus = serviceContainer.get('eventBus');
+    const cloudApi = new CloudApiClient();
+    app.locals.whatsappClient = cloudApi;
+
+    // Persistent outbound queue; the worker only runs when the Cloud API is configured
+    const messageQueue = new MessageQueue({
+      database: serviceContainer.get('database'),
+      eventBus,
+      client: cloudApi
+    });
+    serviceContainer.register('whatsappQueue', messageQueue);
+    app.locals.whatsappQueue = messageQueue;
+    registerTaskNotifications(eventBus, messageQueue, logger, {
+      languageFor: (phone) => app.locals.userMemoryService?.getPreferredLanguage(phone) ?? null
+    });
+    if (cloudApi.isConfigured()) {
+      messageQueue.start();
+    } else {
+      logger.warn('WhatsApp Cloud API not configured; outbound messages stay queued until it is');
+    }
     
-    // Mock WhatsApp templates data
-    const templates = [
-      {
-        id: 'template_001',
-        name: 'Project Update Notification',
-        category: 'project_updates',
-        language: 'en',
-        status: 'approved',
-        content: 'Hi {{name}}, your project {{project_name}} has been updated. Status: {{status}}. Check your dashboard for details.',
-        variables: ['name', 'project_name', 'status'],
-        usageCount: 156,
-        lastUsed: '2025-08-24T10:30:00Z',
-        createdAt: '2025-07-15T09:00:00Z'
-      },
-      {
-        id: 'template_002',
-        name: 'Task Assignment Alert',
-        category: 'task_management',
-        language: 'en',
-        status: 'approved',
-        content: 'Hello {{name}}, you have been assigned a new task: {{task_title}}. Due date: {{due_date}}. Priority: {{priority}}.',
-        variables: ['name', 'task_title', 'due_date', 'priority'],
-        usageCount: 89,
-        lastUsed: '2025-08-23T16:45:00Z',
-        createdAt: '2025-07-20T11:00:00Z'
-      }
-    ];
-
-    // Mock WhatsApp queue data
-    const queueStatus = {
-      totalMessages: 1247,
-      pendingMessages: 23,
-      sentMessages: 1189,
-      failedMessages: 35,
-      queueSize: 23,
-      processingRate: 45,
-      averageDeliveryTime: 2.3,
-      lastProcessed: '2025-08-24T10:45:00Z',
-      queueHealth: 'healthy'
-    };
+    // Per-phone conversation state for multi-turn flows
+    const sessions = new ConversationSessionStore({ database: serviceContainer.get('database') });
+    serviceContainer.register('whatsappSessions', sessions);
+    app.locals.whatsappSessions = sessions;
 
-    // GET /api/modules/whatsapp/templates - Get WhatsApp templates
-    router.get('/templates', (req, res) => {
+    // Template registry (CRUD, approval lifecycle, rendering)
+    const templateService = new TemplateService({ database: serviceContainer.get('database') });
+    serviceContainer.register('whatsappTemplateService', templateService);
+    app.locals.whatsappTemplateService = templateService;
+    router.use('/templates', templateRoutes);
+
+    // Count template usage only once the queue has actually sent the message
+    eventBus.on('whatsapp:message_sent', async ({ metadata } = {}) => {
+      if (metadata?.templateId) await templateService.recordUsage(metadata.templateId);
+    }, { moduleName: 'whatsapp', id: 'whatsapp_template_usage' });
+
+    // GET /api/modules/whatsapp/queue - Get WhatsApp queue status
+    router.get('/queue', async (req, res) => {
       try {
-        const { category, status, language = 'en', limit = 20, offset = 0 } = req.query;
-        
-        let filteredTemplates = templates;
-        
-        if (category) {
-          filteredTemplates = filteredTemplates.filter(template => template.category === category);
-        }
-        if (status) {
-          filteredTemplates = filteredTemplates.filter(template => template.status === status);
-        }
-        if (language) {
-          filteredTemplates = filteredTemplates.filter(template => template.language === language);
-        }
-        
-        const paginatedTemplates = filteredTemplates.slice(offset, offset + limit);
-        
+        const queueStatus = await messageQueue.getStats();
         res.json({
           success: true,
           apiVersion: '1.0',
-          data: paginatedTemplates,
-          pagination: {
-            total: filteredTemplates.length,
-            limit: parseInt(limit),
-            offset: parseInt(offset),
-            hasMore: offset + limit < filteredTemplates.length
-          },
+          data: queueStatus,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        logger.error('Error fetching WhatsApp templates:', error);
+        logger.error('Error fetching WhatsApp queue status:', error);
         res.status(500).json({
           success: false,
           apiVersion: '1.0',
-          error: 'Failed to fetch WhatsApp templates',
+          error: 'Failed to fetch WhatsApp queue status',
           timestamp: new Date().toISOString()
         });
       }
     });
 
-    // GET /api/modules/whatsapp/queue - Get WhatsApp queue status
-    router.get('/queue', (req, res) => {
+    // GET /api/modules/whatsapp/queue/messages - List queued messages (e.g. ?status=dead)
+    router.get('/queue/messages', authMiddleware, adminMiddleware, async (req, res) => {
       try {
-        res.json({
-          success: true,
-          apiVersion: '1.0',
-          data: queueStatus,
-          timestamp: new Date().toISOString()
+        const { status, recipient, limit = 50, offset = 0 } = req.query;
+        const messages = await messageQueue.listMessages({
+          status,
+          recipient,
+          limit: Math.min(parseInt(limit) || 50, 200),
+          offset: parseInt(offset) || 0
         });
+        res.json({ success: true, apiVersion: '1.0', data: messages, count: messages.length, timestamp: new Date().toISOString() });
       } catch (error) {
-        logger.error('Error fetching WhatsApp queue status:', error);
-        res.status(500).json({
-          success: false,
-          apiVersion: '1.0',
-          error: 'Failed to fetch WhatsApp queue status',
-          timestamp: new Date().toISOString()
-        });
+        logger.error('Error listing WhatsApp queue messages:', error);
+        res.status(500).json({ success: false, apiVersion: '1.0', error: 'Failed to list queued messages' });
       }
     });
 
-    // POST /api/modules/whatsapp/incoming - Process incoming WhatsApp message
-    router.post('/incoming', async (req, res) => {
+    // POST /api/modules/whatsapp/queue - Enqueue an outbound text message (admins)
+    router.post('/queue', authMiddleware, adminMiddleware, async (req, res) => {
       try {
-        const { from, text } = req.body || {};
-        if (!text) {
-          return res.status(400).json({ success: false, error: 'text is required' });
+        const { to, text, sendAt } = req.body || {};
+        if (!to || !text) {
+          return res.status(400).json({ success: false, apiVersion: '1.0', error: 'to and text are required' });
+        }
+        const message = await messageQueue.enqueueText(to, text, { sendAt, sourceEvent: 'api', metadata: { requestedBy: req.user?.id || null } });
+        res.status(202).json({ success: true, apiVersion: '1.0', data: message, timestamp: new Date().toISOString() });
+      } catch (error) {
+        if (error.status === 400) {
+          return res.status(400).json({ success: false, apiVersion: '1.0', error: error.message });
+        }
+        logger.error('Error enqueueing WhatsApp message:', error);
+        res.status(500).json({ success: false, apiVersion: '1.0', error: 'Failed to enqueue message' });
+      }
+    });
+
+    // POST /api/modules/whatsapp/queue/:id/retry - Requeue a dead-lettered message (admins)
+    router.post('/queue/:id/retry', authMiddleware, adminMiddleware, async (req, res) => {
+      try {
+        const message = await messageQueue.retry(req.params.id);
+        if (!message) {
+          return res.status(404).json({ success: false, apiVersion: '1.0', error: 'Queued message not found' });
+        }
+        res.json({ success: true, apiVersion: '1.0', data: message, timestamp: new Date().toISOString() });
+      } catch (error) {
+        logger.error('Error retrying WhatsApp message:', error);
+        res.status(500).json({ success: false, apiVersion: '1.0', error: 'Failed to retry message' });
+      }
+    });
+
+    // GET /api/modules/whatsapp/incoming - Meta webhook verification handshake
+    router.get('/incoming', (req, res) => {
+      const mode = req.query['hub.mode'];
+      const token = req.query['hub.verify_token'];
+      const challenge = req.query['hub.challenge'];
+
+      if (mode === 'subscribe' && token && process.env.META_VERIFY_TOKEN && token === process.env.META_VERIFY_TOKEN) {
+        logger.info('WhatsApp webhook verified');
+        return res.status(200).type('text/plain').send(String(challenge || ''));
+      }
+
+      logger.warn('WhatsApp webhook verification failed', { mode });
+      res.status(403).json({ success: false, error: 'Webhook verification failed' });
+    });
+
+    // Dependencies of the inbound message pipeline
+    const pipelineDeps = () => ({
+      taskService: app.locals.taskService,
+      contactService: app.locals.contactService,
+      logger,
+      sessions,
+      learning: app.locals.intentLearningService,
+      memory: app.locals.userMemoryService,
+      queue: messageQueue,
+      preferences: app.locals.taskNotifications
+    });
+
+    // Webhook messages are claimed by ID so Meta's retries are not processed twice
+    const inboundLog = new InboundMessageLog({ database: serviceContainer.get('database'), logger });
+    inboundLog.startRetentionSweep();
+    this.inboundLog = inboundLog;
+
+    /**
+     * Handle one webhook delivery after it has been acknowledged. Each message
+     * emits whatsapp:message_processed (or whatsapp:message_duplicate) when done.
+     */
+    const processWebhook = async ({ messages, statuses }) => {
+      for (const status of statuses) {
+        try {
+          await messageQueue.applyDeliveryStatus(status);
+          await eventBus.emit('whatsapp:status', status);
+        } catch (statusError) {
+          logger.error('Failed to apply WhatsApp delivery status', { id: status.id, error: statusError.message });
         }
-        const { detectLanguage } = require('../ai/services/langDetect');
-        const { extractIntent } = require('../ai/services/intentRouter');
-
-        const language = detectLanguage(text);
-        const { intent, payload } = extractIntent(text, language);
-
-        // Attempt to create a task for create_task intent
-        let result = null;
-        if (intent === 'create_task') {
-          const service = req.app.locals.taskService;
-          if (service && typeof service.createTask === 'function') {
-            const created = await service.createTask({
-              title: payload.title?.slice(0, 120) || `Task from ${from || 'whatsapp'}`,
-              description: `Created via WhatsApp message: "${text}"`,
-              priority: 'medium',
-              project_id: null
+      }
+
+      for (const message of messages) {
+        let processed;
+        try {
+          if (!(await inboundLog.claim(message.id, message.from))) {
+            logger.info('Skipping duplicate WhatsApp webhook message', { id: message.id });
+            await eventBus.emit('whatsapp:message_duplicate', { id: message.id, from: message.from });
+            continue;
+          }
+          await eventBus.emit('whatsapp:message_received', message);
+
+          let outcome;
+          if (message.text) {
+            outcome = await handleIncomingMessage({ from: message.from, text: message.text, replyTo: message.context?.messageId, verified: true }, pipelineDeps());
+          } else if (isVoiceNote(message)) {
+            // Voice notes are transcribed, then handled like typed text
+            const voice = await transcribeVoiceNote(message, { client: cloudApi, speech: app.locals.speechProvider, logger });
+            outcome = await handleVoiceNote({ from: message.from, voice, replyTo: message.context?.messageId, verified: true }, pipelineDeps());
+          }
+
+          if (outcome) {
+            await messageQueue.enqueue({
+              to: message.from,
+              type: 'text',
+              payload: { body: outcome.message },
+              sourceEvent: 'whatsapp:reply',
+              metadata: { inReplyTo: message.id, intent: outcome.intent }
             });
-            result = { type: 'task_created', taskId: created.id };
+            processed = {
+              id: message.id,
+              from: message.from,
+              type: message.type,
+              intent: outcome.intent,
+              result: outcome.result,
+              ...(outcome.transcript !== undefined ? { transcript: outcome.transcript, transcriptConfidence: outcome.transcriptConfidence } : {})
+            };
           } else {
-            result = { type: 'task_not_available' };
+            processed = { id: message.id, from: message.from, type: message.type, skipped: true };
           }
+          await inboundLog.finish(message.id, { intent: outcome?.intent ?? null });
+        } catch (messageError) {
+          logger.error('Failed to process WhatsApp webhook message', { id: message.id, error: messageError.message });
+          processed = { id: message.id, from: message.from, type: message.type, error: 'processing_failed' };
+          await inboundLog.finish(message.id, { error: messageError.message }).catch(() => {});
         }
+        await eventBus.emit('whatsapp:message_processed', processed);
+      }
+    };
 
-        // Optional: store a log entry in user_memory table if available
-        try {
-          const { Pool } = require('pg');
-          const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false });
-          await pool.query(
-            'INSERT INTO user_memory (user_email, role, message, intent, metadata) VALUES ($1, $2, $3, $4, $5)',
-            [String(from || 'unknown'), 'user', text, intent, JSON.stringify({ language, result })]
-          );
-          await pool.end();
-        } catch (e) {
-          logger.warn('user_memory insert failed (non-fatal): ' + e.message);
+    // POST /api/modules/whatsapp/incoming - Process incoming WhatsApp message
+    router.post('/incoming', async (req, res, next) => {
+      // Cloud API webhook envelope: signed by Meta, acknowledged before processing
+      if (!isWebhookPayload(req.body)) return next();
+
+      const appSecret = process.env.META_APP_SECRET;
+      if (!appSecret) {
+        logger.error('META_APP_SECRET not configured, rejecting WhatsApp webhook');
+        return res.status(503).json({ success: false, error: 'Webhook signature verification is not configured' });
+      }
+      if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), appSecret)) {
+        logger.warn('WhatsApp webhook signature mismatch');
+        return res.status(401).json({ success: false, error: 'Invalid signature' });
+      }
+
+      let delivery;
+      try {
+        delivery = parseWebhookPayload(req.body);
+      } catch (error) {
+        logger.error('Unreadable WhatsApp webhook payload:', error);
+        return res.status(400).json({ success: false, error: 'Invalid webhook payload' });
+      }
+
+      // Meta only needs a 200; slow processing would make it retry the delivery
+      res.status(200).json({
+        success: true,
+        data: { messages: delivery.messages.length, statuses: delivery.statuses.length },
+        timestamp: new Date().toISOString()
+      });
+      setImmediate(() => {
+        processWebhook(delivery).catch(error => logger.error('WhatsApp webhook processing failed:', error));
+      });
+    });
+
+    // Legacy {from, text} body; {from, audio (base64), mimeType} for voice notes;
+    // replyTo is the ID of a quoted message. Callers must be signed in and act as
+    // their own phone number; admins may pass another number in from.
+    router.post('/incoming', authMiddleware, async (req, res) => {
+      try {
+        const { text, audio, mimeType, replyTo } = req.body || {};
+        const isAdmin = ['admin', 'super_admin'].includes(req.user.role);
+        const from = (isAdmin && req.body?.from) || req.user.phone;
+        if (!from) {
+          return res.status(400).json({ success: false, error: 'from is required' });
+        }
+        if (!text && !audio) {
+          return res.status(400).json({ success: false, error: 'text or audio is required' });
         }
 
-        const message = intent === 'create_task'
-          ? (result?.type === 'task_created' ? 'Task created!' : 'Task creation not available')
-          : (intent === 'status_check' ? 'Status feature coming soon' : intent === 'help' ? 'Send "create task <title>" to add a task' : 'Could not understand your request.');
+        let outcome;
+        if (text) {
+          outcome = await handleIncomingMessage({ from, text, replyTo, verified: true }, pipelineDeps());
+        } else {
+          const voice = await transcribeAudio({ buffer: Buffer.from(String(audio), 'base64'), mimeType }, { speech: app.locals.speechProvider, logger });
+          outcome = await handleVoiceNote({ from, voice, replyTo, verified: true }, pipelineDeps());
+        }
+        const { language, languageConfidence, intent, result, message, transcript, transcriptConfidence } = outcome;
 
         res.json({
           success: true,
           data: {
-            from: from || null,
+            from,
             language,
+            languageConfidence,
             intent,
             result,
-            message
+            message,
+            ...(transcript !== undefined ? { transcript, transcriptConfidence } : {})
           },
           timestamp: new Date().toISOString()
         });
@@ -194,12 +329,18 @@ module.exports = {
       timestamp: new Date().toISOString(),
       endpoints: [
         'GET /api/modules/whatsapp/templates',
-        'GET /api/modules/whatsapp/queue'
+        'GET /api/modules/whatsapp/queue',
+        'GET /api/modules/whatsapp/queue/messages',
+        'POST /api/modules/whatsapp/queue',
+        'POST /api/modules/whatsapp/queue/:id/retry',
+        'GET /api/modules/whatsapp/incoming',
+        'POST /api/modules/whatsapp/incoming'
       ]
     };
   },
 
   shutdown() {
+    this.inboundLog?.stopRetentionSweep();
     logger.info('WhatsApp module shutdown');
   }
 };
@@ -0,0 +1,203 @@
+/**
+ * WhatsApp Template Routes
+ *
+ * Mounted at /api/modules/whatsapp/templates. Uses the TemplateService and
+ * MessageQueue published on app.locals by the WhatsApp module.
+ */
+
+const express = require('express');
+const logger = require('winston');
+const { authMiddleware, adminMiddleware } = require('../../auth/middleware/auth');
+
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) logger.error(`${fallbackMessage}:`, error);
+  res.status(status).json({
+    success: false,
+    apiVersion: '1.0',
+    error: status >= 500 ? fallbackMessage : error.message,
+    details: error.details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  apiVersion: '1.0',
+  error: 'Template not found',
+  timestamp: new Date().toISOString()
+});
+
+// GET /api/modules/whatsapp/templates - Get WhatsApp templates
+router.get('/', async (req, res) => {
+  try {
+    const { category, status, name, language = 'en' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { templates, total } = await req.app.locals.whatsappTemplateService.listTemplates({
+      category, status, name, language, limit, offset
+    });
+
+    res.json({
+      success: true,
+      apiVersion: '1.0',
+      data: templates,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch WhatsApp templates');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/render - Render the best language variant of a named template
+router.post('/render', async (req, res) => {
+  try {
+    const { name, language, variables = {} } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ success: false, apiVersion: '1.0', error: 'name is required' });
+    }
+
+    const templateService = req.app.locals.whatsappTemplateService;
+    const template = await templateService.resolveVariant(name, language);
+    if (!template) return notFound(res);
+
+    res.json({ success: true, apiVersion: '1.0', data: templateService.render(template, variables), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to render WhatsApp template');
+  }
+});
+
+// GET /api/modules/whatsapp/templates/:id - Get a template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.getTemplate(req.params.id);
+    if (!template) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates - Create a draft template
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.createTemplate(req.body || {}, req.user);
+    res.status(201).json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to create WhatsApp template');
+  }
+});
+
+// PUT /api/modules/whatsapp/templates/:id - Edit a draft or rejected template
+router.put('/:id', authMiddleware, async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.updateTemplate(req.params.id, req.body || {});
+    if (!template) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to update WhatsApp template');
+  }
+});
+
+// DELETE /api/modules/whatsapp/templates/:id - Delete a template
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await req.app.locals.whatsappTemplateService.deleteTemplate(req.params.id);
+    if (!deleted) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', message: 'Template deleted successfully', timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/:id/submit - Submit a draft for approval
+router.post('/:id/submit', authMiddleware, async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.transition(req.params.id, 'submit', { actor: req.user });
+    if (!template) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/:id/approve - Approve a submitted template (admin)
+router.post('/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.transition(req.params.id, 'approve', { actor: req.user });
+    if (!template) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/:id/reject - Reject a submitted template (admin)
+router.post('/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const template = await req.app.locals.whatsappTemplateService.transition(req.params.id, 'reject', {
+      actor: req.user,
+      reason: req.body?.reason
+    });
+    if (!template) return notFound(res);
+    res.json({ success: true, apiVersion: '1.0', data: template, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to reject WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/:id/render - Preview a template with variables
+router.post('/:id/render', async (req, res) => {
+  try {
+    const templateService = req.app.locals.whatsappTemplateService;
+    const template = await templateService.getTemplate(req.params.id);
+    if (!template) return notFound(res);
+
+    res.json({ success: true, apiVersion: '1.0', data: templateService.render(template, req.body?.variables || {}), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to render WhatsApp template');
+  }
+});
+
+// POST /api/modules/whatsapp/templates/:id/send - Queue an approved template as a Cloud API template message
+router.post('/:id/send', authMiddleware, async (req, res) => {
+  try {
+    const { to, variables = {}, sendAt } = req.body || {};
+    if (!to) {
+      return res.status(400).json({ success: false, apiVersion: '1.0', error: 'to is required' });
+    }
+
+    const templateService = req.app.locals.whatsappTemplateService;
+    const template = await templateService.getTemplate(req.params.id);
+    if (!template) return notFound(res);
+    if (template.status !== 'approved') {
+      return res.status(409).json({ success: false, apiVersion: '1.0', error: 'Only approved templates can be sent' });
+    }
+
+    const { payload, rendered } = templateService.toTemplateMessage(template, variables);
+    // Usage counters are bumped on whatsapp:message_sent, once the queue actually delivers it
+    const message = await req.app.locals.whatsappQueue.enqueue({
+      to,
+      type: 'template',
+      payload,
+      sendAt,
+      sourceEvent: 'template',
+      metadata: { templateId: template.id, templateName: template.name, language: template.language, text: rendered.text }
+    });
+
+    res.status(202).json({ success: true, apiVersion: '1.0', data: { message, rendered }, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error, 'Failed to send WhatsApp template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const axios = require('axios');
+
+/**
+ * WhatsApp Cloud API client
+ * Thin wrapper around the Graph API endpoints used by the WhatsApp module.
+ * Configured from META_ACCESS_TOKEN / META_PHONE_NUMBER_ID (see SystemService.getConfiguration).
+ */
+class CloudApiClient {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken || process.env.META_ACCESS_TOKEN;
+    this.phoneNumberId = options.phoneNumberId || process.env.META_PHONE_NUMBER_ID;
+    this.baseUrl = (options.baseUrl || process.env.META_GRAPH_API_URL || 'https://graph.facebook.com').replace(/\/$/, '');
+    this.apiVersion = options.apiVersion || process.env.META_GRAPH_API_VERSION || 'v19.0';
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Whether credentials are present
+   * @returns {boolean} True if messages can be sent
+   */
+  isConfigured() {
+    return Boolean(this.accessToken && this.phoneNumberId);
+  }
+
+  get headers() {
+    return { Authorization: `Bearer ${this.accessToken}` };
+  }
+
+  url(path) {
+    return `${this.baseUrl}/${this.apiVersion}/${path}`;
+  }
+
+  /**
+   * Send a raw message payload
+   * @param {Object} payload - Cloud API message body (without messaging_product)
+   * @returns {Promise<Object>} { messageId, raw }
+   */
+  async sendMessage(payload) {
+    if (!this.isConfigured()) {
+      throw new Error('WhatsApp Cloud API is not configured');
+    }
+
+    const response = await axios.post(
+      this.url(`${this.phoneNumberId}/messages`),
+      { messaging_product: 'whatsapp', ...payload },
+      { headers: this.headers, timeout: this.timeout }
+    );
+
+    return {
+      messageId: response.data?.messages?.[0]?.id || null,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Send a plain text message
+   * @param {string} to - Recipient WhatsApp ID / phone number
+   * @param {string} body - Message text
+   * @param {Object} options - { replyTo, previewUrl }
+   */
+  async sendText(to, body, options = {}) {
+    return this.sendMessage({
+      recipient_type: 'individual',
+      to,
+      type: 'text',
+      text: { body, preview_url: Boolean(options.previewUrl) },
+      ...(options.replyTo ? { context: { message_id: options.replyTo } } : {})
+    });
+  }
+
+  /**
+   * Mark an inbound message as read
+   * @param {string} messageId - Inbound message ID
+   */
+  async markAsRead(messageId) {
+    return this.sendMessage({ status: 'read', message_id: messageId });
+  }
+
+  /**
+   * Resolve a media ID to its temporary download URL
+   * @param {string} mediaId - Media ID from an inbound message
+   * @returns {Promise<Object>} { url, mimeType, sha256, fileSize }
+   */
+  async getMediaInfo(mediaId) {
+    const response = await axios.get(this.url(mediaId), { headers: this.headers, timeout: this.timeout });
+    return {
+      url: response.data?.url,
+      mimeType: response.data?.mime_type || null,
+      sha256: response.data?.sha256 || null,
+      fileSize: response.data?.file_size || null
+    };
+  }
+
+  /**
+   * Download media bytes for a media ID
+   * @param {string} mediaId - Media ID from an inbound message
+   * @param {Object} options - { maxBytes } refuse larger media: checked against the
+   *   reported file_size before downloading, and enforced while downloading
+   * @returns {Promise<Object>} { buffer, mimeType }
+   */
+  async downloadMedia(mediaId, options = {}) {
+    const { maxBytes = null } = options;
+    const info = await this.getMediaInfo(mediaId);
+    if (!info.url) {
+      throw new Error(`No download URL returned for media ${mediaId}`);
+    }
+    if (maxBytes && Number(info.fileSize) > maxBytes) {
+      throw new Error(`Media ${mediaId} is larger than ${maxBytes} bytes`);
+    }
+
+    const response = await axios.get(info.url, {
+      headers: this.headers,
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      ...(maxBytes ? { maxContentLength: maxBytes } : {})
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: info.mimeType || response.headers?.['content-type'] || null
+    };
+  }
+}
+
+module.exports = CloudApiClient;
@@ -0,0 +1,119 @@
+const winston = require('winston');
+
+/**
+ * WhatsApp Conversation Sessions
+ *
+ * Per-phone state for multi-turn flows. Each phone has at most one active
+ * session, stored in user_memory with role = 'session' (migrations 002/005);
+ * metadata holds { flow, state, slots, language }. Sessions expire after
+ * WHATSAPP_SESSION_TTL_MS of inactivity. Falls back to an in-memory Map when
+ * no database is available.
+ */
+class ConversationSessionStore {
+  constructor({ database, logger, ttlMs } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+    this.ttlMs = ttlMs || parseInt(process.env.WHATSAPP_SESSION_TTL_MS) || 10 * 60 * 1000;
+
+    // In-memory store for mock-safe mode
+    this.memStore = new Map();
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. ConversationSessionStore running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Get the active session for a phone number. Expired sessions are removed.
+   * @param {string} phone
+   * @returns {Promise<{session: Object|null, expired: boolean}>}
+   */
+  async get(phone) {
+    const key = String(phone || 'unknown');
+    let session = null;
+
+    if (this.isMockDb) {
+      session = this.memStore.get(key) || null;
+    } else {
+      const result = await this.database.query(
+        `SELECT metadata, expires_at, updated_at FROM user_memory
+         WHERE user_email = $1 AND role = 'session'`,
+        [key]
+      );
+      const row = result.rows[0];
+      if (row) {
+        session = { ...row.metadata, expiresAt: new Date(row.expires_at).toISOString(), updatedAt: row.updated_at };
+      }
+    }
+
+    if (!session) return { session: null, expired: false };
+
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      await this.clear(key);
+      return { session: null, expired: true };
+    }
+
+    return { session, expired: false };
+  }
+
+  /**
+   * Create or replace the session for a phone number and extend its expiry
+   * @param {string} phone
+   * @param {Object} session - { flow, state, slots, language }
+   * @returns {Promise<Object>} Saved session
+   */
+  async save(phone, { flow, state, slots = {}, language = 'en' }) {
+    const key = String(phone || 'unknown');
+    const expiresAt = new Date(Date.now() + this.ttlMs);
+    const session = { flow, state, slots, language, expiresAt: expiresAt.toISOString(), updatedAt: new Date().toISOString() };
+
+    if (this.isMockDb) {
+      this.memStore.set(key, session);
+      return session;
+    }
+
+    await this.database.query(
+      `INSERT INTO user_memory (user_email, role, message, intent, metadata, expires_at, updated_at)
+       VALUES ($1, 'session', $2, $3, $4, $5, NOW())
+       ON CONFLICT (user_email) WHERE role = 'session'
+       DO UPDATE SET message = EXCLUDED.message, intent = EXCLUDED.intent, metadata = EXCLUDED.metadata,
+                     expires_at = EXCLUDED.expires_at, updated_at = NOW()`,
+      [key, state, flow, JSON.stringify({ flow, state, slots, language }), expiresAt]
+    );
+    return session;
+  }
+
+  /**
+   * End the session for a phone number
+   * @returns {Promise<boolean>} Whether a session existed
+   */
+  async clear(phone) {
+    const key = String(phone || 'unknown');
+    if (this.isMockDb) return this.memStore.delete(key);
+
+    const result = await this.database.query(
+      `DELETE FROM user_memory WHERE user_email = $1 AND role = 'session'`,
+      [key]
+    );
+    return result.rowCount > 0;
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      service: 'ConversationSessionStore',
+      storage: this.isMockDb ? 'memory' : 'database',
+      ttlMs: this.ttlMs,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = ConversationSessionStore;
@@ -0,0 +1,111 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for the WhatsApp Cloud (Graph) API
+ *
+ * Lets the outbound queue and media download run offline. Point
+ * META_GRAPH_API_URL at the stub's URL. Run standalone with:
+ *   node modules/whatsapp/services/graphApiStub.js [port]
+ */
+function createGraphApiStub() {
+  const app = express();
+  app.use(express.json());
+
+  const state = {
+    sent: [],
+    media: new Map(),
+    failures: []
+  };
+
+  // POST /:version/:phoneNumberId/messages - send a message
+  app.post('/:version/:phoneNumberId/messages', (req, res) => {
+    const failure = state.failures.shift();
+    if (failure) {
+      return res.status(failure.status).json({
+        error: { message: failure.message, type: 'OAuthException', code: failure.code || failure.status }
+      });
+    }
+
+    const id = `wamid.stub_${crypto.randomBytes(8).toString('hex')}`;
+    state.sent.push({ id, phoneNumberId: req.params.phoneNumberId, body: req.body, receivedAt: new Date().toISOString() });
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: req.body?.to, wa_id: req.body?.to }],
+      messages: [{ id }]
+    });
+  });
+
+  // GET /media/:mediaId - download media bytes
+  app.get('/media/:mediaId', (req, res) => {
+    const media = state.media.get(req.params.mediaId);
+    if (!media) return res.status(404).json({ error: { message: 'Media not found' } });
+    res.type(media.mimeType).send(media.buffer);
+  });
+
+  // GET /:version/:mediaId - resolve media ID to a download URL
+  app.get('/:version/:mediaId', (req, res) => {
+    const media = state.media.get(req.params.mediaId);
+    if (!media) return res.status(404).json({ error: { message: 'Media not found' } });
+    res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.mediaId,
+      url: `${stub.url}/media/${req.params.mediaId}`,
+      mime_type: media.mimeType,
+      sha256: crypto.createHash('sha256').update(media.buffer).digest('hex'),
+      file_size: media.fileSize ?? media.buffer.length
+    });
+  });
+
+  const stub = {
+    app,
+    url: null,
+    server: null,
+    get sent() { return state.sent; },
+
+    /**
+     * Fail the next `count` sends with the given HTTP status
+     */
+    failNext(count = 1, status = 500, message = 'Stubbed failure') {
+      for (let i = 0; i < count; i++) state.failures.push({ status, message });
+    },
+
+    /**
+     * Register downloadable media; fileSize overrides the size reported in the media info
+     */
+    addMedia(mediaId, buffer, mimeType = 'audio/ogg', { fileSize } = {}) {
+      state.media.set(mediaId, { buffer: Buffer.from(buffer), mimeType, fileSize });
+    },
+
+    reset() {
+      state.sent.length = 0;
+      state.failures.length = 0;
+      state.media.clear();
+    },
+
+    start(port = 0) {
+      return new Promise((resolve) => {
+        stub.server = app.listen(port, '127.0.0.1', () => {
+          stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+          resolve(stub);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => (stub.server ? stub.server.close(() => resolve()) : resolve()));
+    }
+  };
+
+  return stub;
+}
+
+module.exports = { createGraphApiStub };
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.GRAPH_API_STUB_PORT) || 4010;
+  createGraphApiStub().start(port).then((stub) => {
+    console.log(`Graph API stub listening at ${stub.url} (set META_GRAPH_API_URL=${stub.url})`);
+  });
+}
@@ -0,0 +1,149 @@
+const winston = require('winston');
+
+/**
+ * Inbound WhatsApp Message Log
+ *
+ * Idempotency for webhook deliveries: a message ID is claimed once in
+ * whatsapp_inbound_messages (created at startup, or by migration 010) and
+ * retried deliveries of the same message are skipped. Falls back to an
+ * in-memory Map when no database is available or the table is missing.
+ * Meta retries for about a day, so entries older than
+ * WHATSAPP_INBOUND_RETENTION_DAYS (default 7) are pruned.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Table not created (PostgreSQL 42P01)
+const missingTable = (error) => error.code === '42P01';
+
+class InboundMessageLog {
+  constructor({ database, logger, retentionDays } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [new winston.transports.Console()]
+    });
+
+    const days = parseInt(retentionDays ?? process.env.WHATSAPP_INBOUND_RETENTION_DAYS);
+    this.retentionDays = Number.isNaN(days) || days < 1 ? 7 : days;
+    this.sweepTimer = null;
+
+    // In-memory store for mock-safe mode
+    this.memStore = new Map();
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. InboundMessageLog running in in-memory mode.');
+    }
+  }
+
+  // Keep deduplicating in memory rather than dropping every message
+  useMemory(error) {
+    this.logger.warn('whatsapp_inbound_messages table not found, InboundMessageLog running in in-memory mode', { error: error.message });
+    this.isMockDb = true;
+  }
+
+  /**
+   * Claim a message for processing
+   * @param {string} messageId - Cloud API message ID
+   * @param {string} from - Sender phone number
+   * @returns {Promise<boolean>} False when the message was already received
+   */
+  async claim(messageId, from) {
+    if (!messageId) return true;
+
+    if (this.isMockDb) {
+      if (this.memStore.has(messageId)) return false;
+      this.memStore.set(messageId, { sender: from || null, status: 'processing', receivedAt: new Date().toISOString() });
+      return true;
+    }
+
+    try {
+      const result = await this.database.query(
+        `INSERT INTO whatsapp_inbound_messages (message_id, sender)
+         VALUES ($1, $2)
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING message_id`,
+        [String(messageId), from ? String(from) : null]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      if (!missingTable(error)) throw error;
+      this.useMemory(error);
+      return this.claim(messageId, from);
+    }
+  }
+
+  /**
+   * Record how a claimed message was handled
+   * @param {string} messageId
+   * @param {Object} outcome - { intent, error }
+   */
+  async finish(messageId, { intent = null, error = null } = {}) {
+    if (!messageId) return;
+    const status = error ? 'failed' : 'processed';
+
+    if (this.isMockDb) {
+      const entry = this.memStore.get(messageId);
+      if (entry) Object.assign(entry, { status, intent, lastError: error });
+      return;
+    }
+
+    await this.database.query(
+      `UPDATE whatsapp_inbound_messages
+       SET status = $2, intent = $3, last_error = $4, processed_at = NOW()
+       WHERE message_id = $1`,
+      [String(messageId), status, intent, error]
+    );
+  }
+
+  /**
+   * Remove messages received more than retentionDays ago
+   * @returns {Promise<number>} How many were removed
+   */
+  async prune(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * DAY_MS);
+
+    if (this.isMockDb) {
+      let removed = 0;
+      for (const [messageId, entry] of this.memStore) {
+        if (new Date(entry.receivedAt) < cutoff) {
+          this.memStore.delete(messageId);
+          removed++;
+        }
+      }
+      return removed;
+    }
+
+    try {
+      const result = await this.database.query('DELETE FROM whatsapp_inbound_messages WHERE received_at < $1', [cutoff]);
+      return result.rowCount || 0;
+    } catch (error) {
+      if (!missingTable(error)) throw error;
+      this.useMemory(error);
+      return this.prune(now);
+    }
+  }
+
+  startRetentionSweep(intervalMs = 6 * 60 * 60 * 1000) {
+    if (this.sweepTimer) return;
+    const sweep = () => this.prune()
+      .then(removed => removed > 0 && this.logger.info('Old inbound WhatsApp messages pruned', { removed, retentionDays: this.retentionDays }))
+      .catch(error => this.logger.error('Inbound WhatsApp message prune failed', { error: error.message }));
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+    sweep();
+  }
+
+  stopRetentionSweep() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = InboundMessageLog;
@@ -0,0 +1,198 @@
+const { identifyLanguage } = require('../../ai/services/langDetect');
+const { extractIntent } = require('../../ai/services/intentRouter');
+const { serializeDueDate } = require('../../ai/services/entityExtractor');
+const { resolveAssignee } = require('../../ai/services/assigneeResolver');
+const { resolveLanguage } = require('../../../shared/i18n');
+const { reply } = require('./replies');
+const { voiceSource, voiceTaskFields } = require('./voiceNotes');
+const { TASK_COMMAND_INTENTS, executeTaskCommand } = require('./taskCommands');
+const { isCancel, startTaskCreation, continueTaskCreation } = require('./taskCreationFlow');
+
+/**
+ * Incoming message pipeline shared by the legacy {from, text} body
+ * and the Cloud API webhook: language → intent → action → reply text.
+ * When a session store is provided, messages from a phone with an active
+ * session continue that conversation instead of being parsed as new intents.
+ * When a learning service is provided, the rules learned from this user's
+ * (and reviewed global) corrections are applied to language and intent detection.
+ * Short or ambiguous messages use the user's preferred language: a learned
+ * language correction, else the preferredLanguage stored in their AI profile.
+ * Replies are in the detected language when the catalog has it, else in the
+ * preferred language, else English.
+ * Transcribed voice notes arrive as text plus a voice source ({ transcript,
+ * confidence, mediaId }), which is stored with any task they create.
+ * A reply quoting a task notification (replyTo: the quoted message ID, looked
+ * up in the outbound queue) is added to that task as a comment.
+ * Task commands and quoted-reply comments act on the sender's tasks, so they
+ * only run when the sender is verified (a signed webhook or a signed-in caller).
+ */
+
+/**
+ * Log an inbound message to user_memory (non-fatal if the table is missing)
+ */
+async function logToUserMemory(from, text, intent, metadata, logger) {
+  try {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false });
+    await pool.query(
+      'INSERT INTO user_memory (user_email, role, message, intent, metadata) VALUES ($1, $2, $3, $4, $5)',
+      [String(from || 'unknown'), 'user', text, intent, JSON.stringify(metadata)]
+    );
+    await pool.end();
+  } catch (e) {
+    logger.warn('user_memory insert failed (non-fatal): ' + e.message);
+  }
+}
+
+async function preferredLanguageFor(from, learned, memory) {
+  if (learned?.language) return learned.language;
+  return memory ? memory.getPreferredLanguage(from) : null;
+}
+
+// Task a quoted message was about: task notifications carry metadata.taskId
+// Timezone the sender's dates are read in (notification preferences, else the server's default)
+async function timezoneFor(from, preferences) {
+  if (!preferences || typeof preferences.getPreferences !== 'function') return null;
+  return (await preferences.getPreferences(from)).timezone || null;
+}
+
+async function quotedTaskId(replyTo, queue) {
+  if (!replyTo || !queue || typeof queue.findByProviderMessageId !== 'function') return null;
+  const quoted = await queue.findByProviderMessageId(replyTo);
+  return quoted?.metadata?.taskId ?? null;
+}
+
+async function commentFromReply(taskId, text, { from, verified, language, taskService }) {
+  if (!verified) {
+    return { result: { type: 'sender_not_verified' }, message: reply('sender_not_verified', language) };
+  }
+  const task = taskService ? await taskService.getTaskById(taskId) : null;
+  if (!task) {
+    return { result: { type: 'quoted_task_missing', taskId }, message: reply('quoted_task_missing', language) };
+  }
+  const comment = await taskService.addComment(task.id, { body: text, author_whatsapp: from, source: 'whatsapp' });
+  return {
+    result: { type: 'comment_added', taskId: task.id, commentId: comment.id, via: 'reply' },
+    message: reply('comment_added', language, { title: task.title })
+  };
+}
+
+/**
+ * Process one inbound text message
+ * @param {Object} message - { from, text, voice, replyTo, verified } (voice: voiceSource() of a transcribed
+ *   voice note; replyTo: ID of the quoted message; verified: from is proven)
+ * @param {Object} deps - { taskService, contactService, logger, sessions, learning, memory, queue, preferences }
+ *   preferences: NotificationCenter, whose stored timezone due dates are resolved in
+ * @returns {Promise<Object>} { language, detectedLanguage, languageConfidence, intent, result, message }
+ *   language is the reply language
+ */
+async function handleIncomingMessage({ from, text, voice = null, replyTo = null, verified = false }, { taskService, contactService, logger, sessions, learning, memory, queue, preferences }) {
+  const learned = learning ? await learning.rulesFor(from) : null;
+  const preferredLanguage = await preferredLanguageFor(from, learned, memory);
+  const detected = identifyLanguage(text, { preferredLanguage });
+  let language = resolveLanguage(detected.language, preferredLanguage);
+  let expiredNotice = '';
+
+  const quotedTask = await quotedTaskId(replyTo, queue);
+  if (quotedTask !== null) {
+    const { result, message } = await commentFromReply(quotedTask, text, { from, verified, language, taskService });
+    await logToUserMemory(from, text, 'add_comment', { language, result, replyTo }, logger);
+    return { language, detectedLanguage: detected.language, languageConfidence: detected.confidence, intent: 'add_comment', result, message };
+  }
+
+  if (sessions) {
+    const { session, expired } = await sessions.get(from);
+    if (session) {
+      const timezone = await timezoneFor(from, preferences);
+      const outcome = await continueTaskCreation(session, text, { from, timezone, sessions, taskService, contactService, logger, voice });
+      language = session.language || language;
+      await logToUserMemory(from, text, outcome.intent, { language, result: outcome.result, session: session.state }, logger);
+      return { language, ...outcome };
+    }
+    if (expired) expiredNotice = reply('session_expired', language) + '\n\n';
+  }
+
+  const timezone = await timezoneFor(from, preferences);
+  const { intent, payload, learned: learnedRule } = extractIntent(text, language, { learned, timezone });
+
+  // Attempt to create a task for create_task intent
+  let result = null;
+  let message;
+  if (isCancel(text)) {
+    result = { type: 'nothing_to_cancel' };
+    message = reply('nothing_to_cancel', language);
+  } else if (intent === 'create_task') {
+    // @mentions and names are only assigned when they match exactly one contact or user
+    const assignee = await resolveAssignee(payload.assignee, { contactService, taskService });
+
+    if (!payload.title && sessions) {
+      // No title given: ask for the missing details over the next messages
+      ({ result, message } = await startTaskCreation(payload, { from, language, timezone, sessions, assignee, voice }));
+    } else if (taskService && typeof taskService.createTask === 'function') {
+      const created = await taskService.createTask({
+        title: payload.title?.slice(0, 120) || `Task from ${from || 'whatsapp'}`,
+        description: `Created via WhatsApp ${voice ? 'voice note' : 'message'}: "${text}"`,
+        due_date: serializeDueDate(payload.dueDate, payload.hasTime, timezone),
+        priority: payload.priority || 'medium',
+        project_id: null,
+        assigned_to_whatsapp: assignee?.status === 'resolved' ? assignee.phone : undefined,
+        created_by_whatsapp: from || undefined,
+        ...voiceTaskFields(voice)
+      }, { source: 'whatsapp' });
+      result = { type: 'task_created', taskId: created.id, assignee };
+      message = reply('task_created', language);
+      if (assignee && assignee.status !== 'resolved') {
+        message += '\n' + reply(assignee.status === 'ambiguous' ? 'assignee_ambiguous' : 'assignee_not_found', language, { name: assignee.name });
+      }
+    } else {
+      result = { type: 'task_not_available' };
+      message = reply(result.type, language);
+    }
+  } else if (TASK_COMMAND_INTENTS.includes(intent)) {
+    ({ result, message } = await executeTaskCommand(intent, payload, { from, verified, language, timezone, taskService, contactService, logger }));
+  } else {
+    message = reply(intent === 'help' ? 'help' : 'unknown', language);
+  }
+
+  // Optional: store a log entry in user_memory table if available
+  await logToUserMemory(from, text, intent, {
+    language, detectedLanguage: detected.language, languageConfidence: detected.confidence, result, learnedRule,
+    ...(voice ? { voice: true, transcriptConfidence: voice.confidence } : {})
+  }, logger);
+
+  return { language, detectedLanguage: detected.language, languageConfidence: detected.confidence, intent, result, message: expiredNotice + message };
+}
+
+/**
+ * Process a voice note after transcription (transcribeVoiceNote / transcribeAudio result).
+ * A clear transcript goes through handleIncomingMessage and the reply starts with
+ * what was heard; an unclear or failed one gets a request to resend or type it.
+ * @param {Object} message - { from, voice, replyTo, verified }
+ * @param {Object} deps - Same as handleIncomingMessage
+ * @returns {Promise<Object>} handleIncomingMessage result plus { transcript, transcriptConfidence }
+ */
+async function handleVoiceNote({ from, voice, replyTo = null, verified = false }, deps) {
+  if (voice.status !== 'transcribed') {
+    const learned = deps.learning ? await deps.learning.rulesFor(from) : null;
+    const language = resolveLanguage(await preferredLanguageFor(from, learned, deps.memory));
+    const type = voice.status === 'unclear' ? 'voice_unclear' : 'voice_failed';
+    return {
+      language,
+      intent: null,
+      result: { type, ...(voice.error ? { error: voice.error } : {}) },
+      transcript: voice.transcript,
+      transcriptConfidence: voice.confidence,
+      message: reply(type, language)
+    };
+  }
+
+  const outcome = await handleIncomingMessage({ from, text: voice.transcript, voice: voiceSource(voice), replyTo, verified }, deps);
+  return {
+    ...outcome,
+    transcript: voice.transcript,
+    transcriptConfidence: voice.confidence,
+    message: `${reply('voice_heard', outcome.language, { transcript: voice.transcript })}\n${outcome.message}`
+  };
+}
+
+module.exports = { handleIncomingMessage, handleVoiceNote };
@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * Outbound WhatsApp Message Queue
+ *
+ * Messages are persisted in whatsapp_outbound_messages (migration 003) and
+ * dispatched by a polling worker. Failed sends are retried with exponential
+ * backoff until max attempts, then dead-lettered. Sends are rate limited per
+ * recipient. Falls back to an in-memory store when no database is available.
+ */
+class MessageQueue {
+  constructor({ database, eventBus, client, logger, options = {} } = {}) {
+    this.database = database;
+    this.eventBus = eventBus;
+    this.client = client;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'whatsapp-queue.log' })
+      ]
+    });
+
+    this.options = {
+      pollIntervalMs: parseInt(process.env.WHATSAPP_QUEUE_POLL_MS) || 2000,
+      batchSize: parseInt(process.env.WHATSAPP_QUEUE_BATCH_SIZE) || 10,
+      maxAttempts: parseInt(process.env.WHATSAPP_QUEUE_MAX_ATTEMPTS) || 5,
+      baseDelayMs: 2000,
+      maxDelayMs: 15 * 60 * 1000,
+      jitter: 0.1,
+      perRecipientLimit: parseInt(process.env.WHATSAPP_RATE_LIMIT_PER_RECIPIENT) || 10,
+      rateWindowMs: 60 * 1000,
+      // Messages left in 'sending' this long (e.g. by a crash mid-send) are claimed again
+      sendingLeaseMs: parseInt(process.env.WHATSAPP_QUEUE_LEASE_MS) || 5 * 60 * 1000,
+      ...options
+    };
+
+    this.timer = null;
+    this.processing = false;
+    this.lastProcessedAt = null;
+
+    // In-memory store for mock-safe mode
+    this.memStore = [];
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. MessageQueue running in in-memory mode.');
+    }
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {Object} message - { to, type, payload, metadata, sourceEvent, sendAt, maxAttempts }
+   * @returns {Promise<Object>} Queued message row
+   */
+  async enqueue({ to, type = 'text', payload, metadata = {}, sourceEvent = null, sendAt = null, maxAttempts } = {}) {
+    if (!to) throw new Error('Recipient (to) is required');
+    if (!payload || typeof payload !== 'object') throw new Error('Message payload is required');
+
+    const nextAttemptAt = sendAt ? new Date(sendAt) : new Date();
+    if (Number.isNaN(nextAttemptAt.getTime())) {
+      const error = new Error('sendAt must be a valid date');
+      error.status = 400;
+      throw error;
+    }
+    const attemptsAllowed = maxAttempts || this.options.maxAttempts;
+    let message;
+
+    if (this.isMockDb) {
+      message = {
+        id: crypto.randomUUID(),
+        recipient: String(to),
+        message_type: type,
+        payload,
+        metadata,
+        status: 'pending',
+        attempts: 0,
+        max_attempts: attemptsAllowed,
+        next_attempt_at: nextAttemptAt.toISOString(),
+        last_error: null,
+        provider_message_id: null,
+        source_event: sourceEvent,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        sent_at: null
+      };
+      this.memStore.push(message);
+    } else {
+      const result = await this.database.query(
+        `INSERT INTO whatsapp_outbound_messages
+           (recipient, message_type, payload, metadata, max_attempts, next_attempt_at, source_event)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [String(to), type, JSON.stringify(payload), JSON.stringify(metadata), attemptsAllowed, nextAttemptAt, sourceEvent]
+      );
+      message = result.rows[0];
+    }
+
+    this.logger.info('WhatsApp message queued', { id: message.id, to: message.recipient, type, sourceEvent });
+    return message;
+  }
+
+  /**
+   * Convenience wrapper for plain text messages
+   */
+  async enqueueText(to, body, extra = {}) {
+    return this.enqueue({ ...extra, to, type: 'text', payload: { body } });
+  }
+
+  /**
+   * Claim due messages for dispatch (marks them as 'sending'). Messages still
+   * 'sending' after the lease expired were abandoned mid-send and are reclaimed.
+   * @returns {Promise<Array>} Claimed messages
+   */
+  async claimDueMessages() {
+    const limit = this.options.batchSize;
+
+    if (this.isMockDb) {
+      const now = Date.now();
+      const leaseExpired = now - this.options.sendingLeaseMs;
+      const due = this.memStore
+        .filter(m =>
+          (m.status === 'pending' && new Date(m.next_attempt_at).getTime() <= now) ||
+          (m.status === 'sending' && new Date(m.updated_at).getTime() <= leaseExpired)
+        )
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit);
+      due.forEach(m => {
+        m.status = 'sending';
+        m.attempts += 1;
+        m.updated_at = new Date().toISOString();
+      });
+      return due;
+    }
+
+    const result = await this.database.query(
+      `UPDATE whatsapp_outbound_messages
+       SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+       WHERE id IN (
+         SELECT id FROM whatsapp_outbound_messages
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'sending' AND updated_at <= NOW() - $2 * INTERVAL '1 millisecond')
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, this.options.sendingLeaseMs]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count messages sent to a recipient since a point in time
+   */
+  async countRecentlySent(recipient, since) {
+    if (this.isMockDb) {
+      return this.memStore.filter(m =>
+        m.recipient === recipient && m.sent_at && new Date(m.sent_at) >= since
+      ).length;
+    }
+
+    const result = await this.database.query(
+      'SELECT COUNT(*)::int AS count FROM whatsapp_outbound_messages WHERE recipient = $1 AND sent_at >= $2',
+      [recipient, since]
+    );
+    return result.rows[0]?.count || 0;
+  }
+
+  /**
+   * Apply changes to a queued message
+   */
+  async updateMessage(id, changes) {
+    if (this.isMockDb) {
+      const message = this.memStore.find(m => m.id === id);
+      if (!message) return null;
+      Object.assign(message, changes, { updated_at: new Date().toISOString() });
+      return message;
+    }
+
+    const fields = Object.keys(changes);
+    const assignments = fields.map((field, i) => `${field} = $${i + 2}`);
+    const result = await this.database.query(
+      `UPDATE whatsapp_outbound_messages SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id, ...fields.map(field => changes[field])]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Backoff delay for the given attempt number (1-based)
+   */
+  getRetryDelay(attempts) {
+    const exponential = this.options.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+    const capped = Math.min(exponential, this.options.maxDelayMs);
+    const jitter = capped * this.options.jitter * Math.random();
+    return Math.round(capped + jitter);
+  }
+
+  /**
+   * Whether a dispatch error is worth retrying.
+   * Network errors, 429 and 5xx are transient; other 4xx are permanent.
+   */
+  isRetryable(error) {
+    const status = error?.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Send one claimed message through the Cloud API client
+   */
+  async dispatch(message) {
+    const windowStart = new Date(Date.now() - this.options.rateWindowMs);
+    const recentCount = await this.countRecentlySent(message.recipient, windowStart);
+
+    if (recentCount >= this.options.perRecipientLimit) {
+      // Not a failure: give the attempt back and try again when the window frees up
+      await this.updateMessage(message.id, {
+        status: 'pending',
+        attempts: Math.max(0, message.attempts - 1),
+        next_attempt_at: new Date(Date.now() + this.options.rateWindowMs)
+      });
+      this.logger.info('WhatsApp message deferred by recipient rate limit', { id: message.id, to: message.recipient });
+      return 'deferred';
+    }
+
+    try {
+      const { messageId } = await this.client.sendMessage({
+        recipient_type: 'individual',
+        to: message.recipient,
+        type: message.message_type,
+        [message.message_type]: message.payload
+      });
+
+      const sent = await this.updateMessage(message.id, {
+        status: 'sent',
+        provider_message_id: messageId,
+        sent_at: new Date(),
+        last_error: null
+      });
+
+      await this.emit('whatsapp:message_sent', {
+        id: message.id,
+        to: message.recipient,
+        providerMessageId: messageId,
+        metadata: sent?.metadata || message.metadata
+      });
+      return 'sent';
+    } catch (error) {
+      const reason = error.response?.data?.error?.message || error.message;
+      const exhausted = message.attempts >= message.max_attempts;
+
+      if (!this.isRetryable(error) || exhausted) {
+        await this.updateMessage(message.id, { status: 'dead', last_error: reason });
+        this.logger.error('WhatsApp message dead-lettered', { id: message.id, attempts: message.attempts, error: reason });
+        await this.emit('whatsapp:message_dead', { id: message.id, to: message.recipient, error: reason, metadata: message.metadata });
+        return 'dead';
+      }
+
+      const delay = this.getRetryDelay(message.attempts);
+      await this.updateMessage(message.id, {
+        status: 'pending',
+        last_error: reason,
+        next_attempt_at: new Date(Date.now() + delay)
+      });
+      this.logger.warn('WhatsApp message send failed, retry scheduled', { id: message.id, attempts: message.attempts, delay, error: reason });
+      return 'retry';
+    }
+  }
+
+  /**
+   * Claim and dispatch one batch of due messages
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  async processBatch() {
+    if (this.processing) return { skipped: true };
+    this.processing = true;
+
+    const summary = { sent: 0, retry: 0, dead: 0, deferred: 0 };
+    try {
+      const messages = await this.claimDueMessages();
+      for (const message of messages) {
+        const outcome = await this.dispatch(message);
+        summary[outcome]++;
+      }
+      this.lastProcessedAt = new Date();
+      return summary;
+    } catch (error) {
+      this.logger.error('WhatsApp queue batch failed', { error: error.message });
+      return summary;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Start the background worker
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processBatch(), this.options.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    this.logger.info('WhatsApp queue worker started', { pollIntervalMs: this.options.pollIntervalMs });
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('WhatsApp queue worker stopped');
+    }
+  }
+
+  /**
+   * Put a dead-lettered message back in the queue
+   */
+  async retry(id) {
+    return this.updateMessage(id, {
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: new Date()
+    });
+  }
+
+  /**
+   * Record a delivery status callback against the queued message
+   * @param {Object} status - Normalized webhook status
+   */
+  async applyDeliveryStatus(status) {
+    if (!['delivered', 'read', 'failed'].includes(status.status)) return null;
+    const message = await this.findByProviderMessageId(status.id);
+    if (!message) return null;
+
+    if (status.status === 'failed') {
+      return this.updateMessage(message.id, {
+        status: 'dead',
+        last_error: status.errors?.[0]?.title || 'Delivery failed'
+      });
+    }
+    return this.updateMessage(message.id, { status: status.status });
+  }
+
+  /**
+   * Look up a message by the ID returned from the Graph API
+   */
+  async findByProviderMessageId(providerMessageId) {
+    if (!providerMessageId) return null;
+    if (this.isMockDb) {
+      return this.memStore.find(m => m.provider_message_id === providerMessageId) || null;
+    }
+    const result = await this.database.query(
+      'SELECT * FROM whatsapp_outbound_messages WHERE provider_message_id = $1 LIMIT 1',
+      [providerMessageId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List queued messages
+   * @param {Object} filters - { status, recipient, limit, offset }
+   */
+  async listMessages({ status, recipient, limit = 50, offset = 0 } = {}) {
+    if (this.isMockDb) {
+      return this.memStore
+        .filter(m => (!status || m.status === status) && (!recipient || m.recipient === recipient))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(offset, offset + limit);
+    }
+
+    const conditions = [];
+    const values = [];
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (recipient) {
+      values.push(recipient);
+      conditions.push(`recipient = $${values.length}`);
+    }
+    values.push(limit, offset);
+
+    const result = await this.database.query(
+      `SELECT * FROM whatsapp_outbound_messages
+       ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY created_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Live queue counts for GET /queue
+   */
+  async getStats() {
+    let counts;
+    let recent;
+
+    if (this.isMockDb) {
+      const hourAgo = Date.now() - 60 * 60 * 1000;
+      counts = this.memStore.reduce((acc, m) => {
+        acc[m.status] = (acc[m.status] || 0) + 1;
+        if (m.status === 'pending' && m.attempts > 0) acc.retrying = (acc.retrying || 0) + 1;
+        return acc;
+      }, {});
+      const sentLastHour = this.memStore.filter(m => m.sent_at && new Date(m.sent_at).getTime() >= hourAgo);
+      recent = {
+        sent: sentLastHour.length,
+        avgDeliverySeconds: sentLastHour.length
+          ? sentLastHour.reduce((sum, m) => sum + (new Date(m.sent_at) - new Date(m.created_at)) / 1000, 0) / sentLastHour.length
+          : 0
+      };
+    } else {
+      const countResult = await this.database.query(
+        `SELECT status, COUNT(*)::int AS count,
+                COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0)::int AS retrying
+         FROM whatsapp_outbound_messages GROUP BY status`
+      );
+      counts = countResult.rows.reduce((acc, row) => {
+        acc[row.status] = row.count;
+        if (row.retrying) acc.retrying = row.retrying;
+        return acc;
+      }, {});
+      const recentResult = await this.database.query(
+        `SELECT COUNT(*)::int AS sent,
+                COALESCE(AVG(EXTRACT(EPOCH FROM (sent_at - created_at))), 0)::float AS avg_delivery_seconds
+         FROM whatsapp_outbound_messages WHERE sent_at >= NOW() - INTERVAL '1 hour'`
+      );
+      recent = {
+        sent: recentResult.rows[0]?.sent || 0,
+        avgDeliverySeconds: recentResult.rows[0]?.avg_delivery_seconds || 0
+      };
+    }
+
+    const pending = counts.pending || 0;
+    const sending = counts.sending || 0;
+    const delivered = (counts.sent || 0) + (counts.delivered || 0) + (counts.read || 0);
+    const dead = counts.dead || 0;
+    const total = pending + sending + delivered + dead;
+
+    return {
+      totalMessages: total,
+      pendingMessages: pending,
+      sendingMessages: sending,
+      sentMessages: delivered,
+      retryingMessages: counts.retrying || 0,
+      failedMessages: dead,
+      deadLetterMessages: dead,
+      queueSize: pending + sending,
+      processingRate: Math.round(recent.sent / 60 * 100) / 100,
+      averageDeliveryTime: Math.round(recent.avgDeliverySeconds * 10) / 10,
+      lastProcessed: this.lastProcessedAt ? this.lastProcessedAt.toISOString() : null,
+      workerRunning: Boolean(this.timer),
+      storage: this.isMockDb ? 'memory' : 'postgres',
+      queueHealth: dead > 0 && dead >= total * 0.1 ? 'degraded' : 'healthy'
+    };
+  }
+
+  async emit(event, data) {
+    if (this.eventBus && typeof this.eventBus.emit === 'function') {
+      await this.eventBus.emit(event, data);
+    }
+  }
+
+  async healthCheck() {
+    const stats = await this.getStats();
+    return { status: stats.queueHealth, service: 'WhatsAppMessageQueue', ...stats };
+  }
+
+  async shutdown() {
+    this.stop();
+  }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,20 @@
+/**
+ * WhatsApp reply strings, read from the shared catalog (shared/i18n, 'whatsapp.*' keys).
+ * Keys are looked up in the given language and fall back to English;
+ * {{placeholders}} are filled from the vars object, and vars.count picks plural forms.
+ */
+
+const { translate } = require('../../../shared/i18n');
+
+/**
+ * Render a reply in the given language
+ * @param {string} key - Reply key
+ * @param {string} language - Reply language code (e.g. 'es', 'es_MX')
+ * @param {Object} vars - Placeholder values
+ * @returns {string}
+ */
+function reply(key, language, vars = {}) {
+  return translate(language, `whatsapp.${key}`, vars);
+}
+
+module.exports = { reply };
@@ -0,0 +1,193 @@
+const { reply } = require('./replies');
+const { parseDateExpression, serializeDueDate } = require('../../ai/services/entityExtractor');
+const { resolveAssignee } = require('../../ai/services/assigneeResolver');
+const { zonedParts } = require('../../tasks/services/recurrence');
+
+/**
+ * Chat commands on a WhatsApp user's tasks.
+ * Tasks are addressed by their 1-based number in the user's open task list
+ * (TaskService.getOpenTasksForWhatsApp), as shown by "my tasks".
+ * Edits carry the version of the task that was looked up, so a change made by
+ * someone else in the meantime is reported (task_conflict) instead of overwritten.
+ */
+
+const TASK_COMMAND_INTENTS = ['list_tasks', 'status_check', 'complete_task', 'reassign_task', 'set_due_date', 'set_priority', 'add_comment'];
+
+const VALID_PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+/**
+ * Parse a due date phrase ("tomorrow", "next Friday 5pm", "kal", "in 3 days", YYYY-MM-DD)
+ * @param {string} text
+ * @param {Date} now
+ * @param {string} [timezone] - IANA name the phrase is read in (server local time when omitted)
+ * @returns {Date|null}
+ */
+function parseDueDate(text = '', now = new Date(), timezone = null) {
+  return parseDateExpression(text, { now, timezone })?.dueDate || null;
+}
+
+/**
+ * Normalize a WhatsApp number as sent in chat ("+91 98000-00000") to digits only
+ * @returns {string|null}
+ */
+function normalizePhone(text = '') {
+  const digits = String(text).replace(/^@/, '').replace(/[\s\-().+]/g, '');
+  return /^\d{8,15}$/.test(digits) ? digits : null;
+}
+
+// Calendar days ("2030-01-15" or midnight in the timezone) are shown without a time
+function formatDate(value, language, timezone = null) {
+  if (!value) return '';
+  const day = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = day ? new Date(`${value}T00:00:00Z`) : new Date(value);
+  const timeZone = day ? 'UTC' : timezone || undefined;
+  try {
+    const clock = timeZone ? zonedParts(date, timeZone) : { hour: date.getHours(), minute: date.getMinutes() };
+    const hasTime = clock.hour !== 0 || clock.minute !== 0;
+    return new Intl.DateTimeFormat(language || 'en', hasTime ? { dateStyle: 'medium', timeStyle: 'short', timeZone } : { dateStyle: 'medium', timeZone }).format(date);
+  } catch (_) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Turn an assignee given in chat (number, @mention or contact name) into a WhatsApp number
+ * @returns {Promise<Object|null>} resolveAssignee result, or null when nothing usable was sent
+ */
+async function resolveChatAssignee(text, { taskService, contactService }) {
+  const phone = normalizePhone(text);
+  if (phone) return { status: 'resolved', phone, name: null, source: 'phone' };
+  const name = String(text).trim().replace(/^@/, '');
+  if (!name) return null;
+  return resolveAssignee({ type: 'name', value: name, raw: text }, { taskService, contactService });
+}
+
+function renderTaskList(tasks, language, timezone) {
+  if (tasks.length === 0) return reply('no_open_tasks', language);
+  const lines = tasks.map((task, i) => reply('task_list_line', language, {
+    n: i + 1,
+    title: task.title,
+    due: task.due_date ? reply('task_list_due', language, { date: formatDate(task.due_date, language, timezone) }) : ''
+  }));
+  return [reply('task_list_header', language, { count: tasks.length }), ...lines, '', reply('task_list_footer', language)].join('\n');
+}
+
+/**
+ * Run a task command for a WhatsApp user
+ * @param {string} intent - One of TASK_COMMAND_INTENTS
+ * @param {Object} payload - Intent payload from extractIntent
+ * @param {Object} context - { from, verified, language, timezone, taskService, contactService, logger }
+ *   verified: from was proven (signed webhook or signed-in caller); commands are refused otherwise
+ *   timezone: IANA name the sender's dates are read and shown in
+ * @returns {Promise<Object>} { result, message }
+ */
+async function executeTaskCommand(intent, payload = {}, { from, verified = false, language, timezone = null, taskService, contactService, logger }) {
+  if (!verified) {
+    return { result: { type: 'sender_not_verified' }, message: reply('sender_not_verified', language) };
+  }
+  if (!taskService || typeof taskService.getOpenTasksForWhatsApp !== 'function') {
+    return { result: { type: 'task_not_available' }, message: reply('task_not_available', language) };
+  }
+
+  const tasks = await taskService.getOpenTasksForWhatsApp(from);
+  const actor = { id: null, whatsapp: from };
+
+  if (intent === 'list_tasks' || intent === 'status_check') {
+    return {
+      result: { type: 'task_list', taskIds: tasks.map(t => t.id) },
+      message: renderTaskList(tasks, language, timezone)
+    };
+  }
+
+  const task = tasks[payload.taskNumber - 1];
+  if (!task) {
+    return {
+      result: { type: 'task_not_found', taskNumber: payload.taskNumber },
+      message: reply('task_not_found', language, { n: payload.taskNumber })
+    };
+  }
+  const context = { actor, source: 'whatsapp', expectedVersion: task.version ?? null };
+
+  try {
+    switch (intent) {
+      case 'complete_task': {
+        // Finish-to-start dependencies: blocked tasks cannot be completed yet
+        const blockers = typeof taskService.getOpenBlockers === 'function' ? await taskService.getOpenBlockers(task.id) : [];
+        if (blockers.length > 0) {
+          return {
+            result: { type: 'task_blocked', taskId: task.id, blockers },
+            message: reply('task_blocked', language, { title: task.title, blockers: blockers.map(b => b.title).join(', ') })
+          };
+        }
+        await taskService.updateTask(task.id, { status: 'completed' }, context);
+        return { result: { type: 'task_completed', taskId: task.id }, message: reply('task_completed', language, { title: task.title }) };
+      }
+
+      case 'reassign_task': {
+        const assignee = await resolveChatAssignee(payload.assignee || '', { taskService, contactService });
+        if (assignee?.status !== 'resolved') {
+          return { result: { type: 'invalid_assignee', taskId: task.id, assignee }, message: reply('invalid_assignee', language) };
+        }
+        const user = typeof taskService.getUserByWhatsApp === 'function' ? await taskService.getUserByWhatsApp(assignee.phone) : null;
+        await taskService.updateTask(task.id, { assigned_to_whatsapp: assignee.phone, assigned_to: user?.id ?? null }, context);
+        return {
+          result: { type: 'task_reassigned', taskId: task.id, assignee: assignee.phone },
+          message: reply('task_reassigned', language, { title: task.title, assignee: user?.name || assignee.name || `+${assignee.phone}` })
+        };
+      }
+
+      case 'set_due_date': {
+        const due = parseDateExpression(payload.dueText, { timezone });
+        if (!due) {
+          return { result: { type: 'invalid_date', taskId: task.id }, message: reply('invalid_date', language) };
+        }
+        const dueDate = serializeDueDate(due.dueDate, due.hasTime, timezone);
+        await taskService.updateTask(task.id, { due_date: dueDate }, context);
+        return {
+          result: { type: 'due_date_set', taskId: task.id, dueDate },
+          message: reply('due_date_set', language, { title: task.title, date: formatDate(dueDate, language, timezone) })
+        };
+      }
+
+      case 'set_priority': {
+        if (!VALID_PRIORITIES.includes(payload.priority)) {
+          return { result: { type: 'invalid_priority', taskId: task.id }, message: reply('invalid_priority', language) };
+        }
+        await taskService.updateTask(task.id, { priority: payload.priority }, context);
+        return {
+          result: { type: 'priority_set', taskId: task.id, priority: payload.priority },
+          message: reply('priority_set', language, { title: task.title, priority: payload.priority })
+        };
+      }
+
+      case 'add_comment': {
+        const comment = await taskService.addComment(task.id, { body: payload.comment, author_whatsapp: from, source: 'whatsapp' });
+        return {
+          result: { type: 'comment_added', taskId: task.id, commentId: comment.id },
+          message: reply('comment_added', language, { title: task.title })
+        };
+      }
+
+      default:
+        return { result: null, message: reply('unknown', language) };
+    }
+  } catch (error) {
+    if (error.current) {
+      return {
+        result: { type: 'task_conflict', taskId: task.id, version: error.current.version },
+        message: reply('task_conflict', language, { title: error.current.title })
+      };
+    }
+    logger?.error?.(`WhatsApp ${intent} failed for task ${task.id}: ${error.message}`);
+    return { result: { type: 'action_failed', taskId: task.id, error: error.message }, message: reply('action_failed', language) };
+  }
+}
+
+module.exports = {
+  TASK_COMMAND_INTENTS,
+  executeTaskCommand,
+  parseDueDate,
+  normalizePhone,
+  formatDate,
+  resolveChatAssignee
+};
@@ -0,0 +1,173 @@
+const { reply } = require('./replies');
+const { voiceTaskFields } = require('./voiceNotes');
+const { normalizePhone, formatDate, resolveChatAssignee } = require('./taskCommands');
+const { parseDateExpression, serializeDueDate } = require('../../ai/services/entityExtractor');
+
+/**
+ * Multi-turn "create task" flow.
+ * Slots are filled one message at a time: title → assignee → due date →
+ * confirmation, then the task is created. State lives in the
+ * ConversationSessionStore so it survives restarts and expires on inactivity.
+ * "cancel" ends the flow at any step.
+ * The first voice note in the conversation is kept in the slots and stored
+ * with the created task.
+ */
+
+const FLOW = 'create_task';
+
+const CANCEL_WORDS = ['cancel', 'stop', 'abort', 'cancelar', 'parar', 'radd', 'rad karo', 'band karo', 'रद्द'];
+const SKIP_WORDS = ['skip', 'none', 'no', 'nobody', '-', 'omitir', 'ninguno', 'nadie', 'nahi', 'koi nahi', 'नहीं'];
+const SELF_WORDS = ['me', 'myself', 'yo', 'mi', 'main', 'mujhe', 'मैं'];
+const YES_WORDS = ['yes', 'y', 'ok', 'okay', 'confirm', 'si', 'sí', 'haan', 'ha', 'ji', 'हाँ', 'हां'];
+const NO_WORDS = ['no', 'n', 'nahi', 'nahin', 'नहीं'];
+
+const normalize = (text) => String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+
+const isCancel = (text) => CANCEL_WORDS.includes(normalize(text));
+
+// Next empty slot, in the order we ask for them
+function nextState(slots) {
+  if (!slots.title) return 'awaiting_title';
+  if (slots.assignee === undefined) return 'awaiting_assignee';
+  if (slots.dueDate === undefined) return 'awaiting_due_date';
+  return 'awaiting_confirmation';
+}
+
+function promptFor(state, slots, language, timezone) {
+  switch (state) {
+    case 'awaiting_title': return reply('ask_title', language);
+    case 'awaiting_assignee': return reply('ask_assignee', language);
+    case 'awaiting_due_date': return reply('ask_due_date', language);
+    default:
+      return reply('confirm_task', language, {
+        title: slots.title,
+        assignee: slots.assignee ? reply('confirm_assignee', language, { assignee: slots.assigneeName || `+${slots.assignee}` }) : '',
+        due: slots.dueDate ? reply('confirm_due', language, { date: formatDate(slots.dueDate, language, timezone) }) : ''
+      });
+  }
+}
+
+async function advance(sessions, from, slots, language, timezone) {
+  const state = nextState(slots);
+  await sessions.save(from, { flow: FLOW, state, slots, language });
+  return { intent: FLOW, result: { type: state, slots }, message: promptFor(state, slots, language, timezone) };
+}
+
+/**
+ * Start the flow from a create_task intent that is missing its title.
+ * Entities already found in the first message pre-fill their slots.
+ * @param {Object} payload - create_task payload from extractIntent
+ * @param {Object} context - { from, language, timezone, sessions, assignee, voice } (assignee: resolveAssignee result;
+ *   timezone: IANA name the payload's dates were extracted in)
+ */
+async function startTaskCreation(payload = {}, { from, language, timezone = null, sessions, assignee = null, voice = null }) {
+  const slots = {};
+  if (voice) slots.voice = voice;
+  if (payload.title) slots.title = payload.title.slice(0, 120);
+  if (payload.dueDate) slots.dueDate = serializeDueDate(payload.dueDate, payload.hasTime, timezone);
+  if (payload.priority) slots.priority = payload.priority;
+  if (assignee?.status === 'resolved') {
+    slots.assignee = assignee.phone;
+    slots.assigneeName = assignee.name || null;
+  }
+  return advance(sessions, from, slots, language, timezone);
+}
+
+/**
+ * Apply one message to an active session
+ * @param {Object} session - Session from the store
+ * @param {string} text - Inbound message text
+ * @param {Object} context - { from, timezone, sessions, taskService, contactService, logger, voice }
+ * @returns {Promise<Object>} { intent, result, message }
+ */
+async function continueTaskCreation(session, text, { from, timezone = null, sessions, taskService, contactService, logger, voice = null }) {
+  const language = session.language || 'en';
+  const slots = { ...session.slots };
+  if (voice && !slots.voice) slots.voice = voice;
+  const answer = normalize(text);
+
+  if (isCancel(text)) {
+    await sessions.clear(from);
+    return { intent: FLOW, result: { type: 'session_cancelled' }, message: reply('session_cancelled', language) };
+  }
+
+  switch (session.state) {
+    case 'awaiting_title': {
+      const title = String(text || '').trim();
+      if (!title) return { intent: FLOW, result: { type: session.state, slots }, message: reply('ask_title', language) };
+      slots.title = title.slice(0, 120);
+      return advance(sessions, from, slots, language, timezone);
+    }
+
+    case 'awaiting_assignee': {
+      if (SKIP_WORDS.includes(answer)) {
+        slots.assignee = null;
+      } else if (SELF_WORDS.includes(answer)) {
+        slots.assignee = normalizePhone(from) || null;
+      } else {
+        const assignee = await resolveChatAssignee(text, { taskService, contactService });
+        if (assignee?.status !== 'resolved') {
+          await sessions.save(from, { flow: FLOW, state: session.state, slots, language });
+          return { intent: FLOW, result: { type: session.state, slots, invalid: true, assignee }, message: reply('ask_assignee_retry', language) };
+        }
+        slots.assignee = assignee.phone;
+        slots.assigneeName = assignee.name || null;
+      }
+      return advance(sessions, from, slots, language, timezone);
+    }
+
+    case 'awaiting_due_date': {
+      if (SKIP_WORDS.includes(answer)) {
+        slots.dueDate = null;
+      } else {
+        const due = parseDateExpression(text, { timezone });
+        if (!due) {
+          await sessions.save(from, { flow: FLOW, state: session.state, slots, language });
+          return { intent: FLOW, result: { type: session.state, slots, invalid: true }, message: reply('ask_due_date_retry', language) };
+        }
+        slots.dueDate = serializeDueDate(due.dueDate, due.hasTime, timezone);
+      }
+      return advance(sessions, from, slots, language, timezone);
+    }
+
+    case 'awaiting_confirmation': {
+      if (NO_WORDS.includes(answer)) {
+        await sessions.clear(from);
+        return { intent: FLOW, result: { type: 'session_cancelled' }, message: reply('session_cancelled', language) };
+      }
+      if (!YES_WORDS.includes(answer)) {
+        await sessions.save(from, { flow: FLOW, state: session.state, slots, language });
+        return { intent: FLOW, result: { type: session.state, slots }, message: reply('confirm_retry', language) };
+      }
+
+      await sessions.clear(from);
+      if (!taskService || typeof taskService.createTask !== 'function') {
+        return { intent: FLOW, result: { type: 'task_not_available' }, message: reply('task_not_available', language) };
+      }
+      const created = await taskService.createTask({
+        title: slots.title,
+        description: 'Created via WhatsApp conversation',
+        due_date: slots.dueDate || null,
+        priority: slots.priority || 'medium',
+        project_id: null,
+        assigned_to_whatsapp: slots.assignee || undefined,
+        created_by_whatsapp: from || undefined,
+        ...voiceTaskFields(slots.voice)
+      }, { source: 'whatsapp' });
+      logger?.info?.(`WhatsApp conversation created task ${created.id} for ${from}`);
+      return { intent: FLOW, result: { type: 'task_created', taskId: created.id }, message: reply('task_created', language) };
+    }
+
+    default:
+      // Unknown state (e.g. written by a newer flow version); start over
+      await sessions.clear(from);
+      return { intent: FLOW, result: { type: 'session_cancelled' }, message: reply('session_cancelled', language) };
+  }
+}
+
+module.exports = {
+  FLOW,
+  isCancel,
+  startTaskCreation,
+  continueTaskCreation
+};
@@ -0,0 +1,121 @@
+/**
+ * Task Notifier
+ * Turns TaskService events into queued WhatsApp notifications,
+ * written in the recipient's preferred language when one is known.
+ * Notifications carry metadata.taskId, so a reply quoting one becomes a comment.
+ * New occurrences of recurring tasks (task:recurred) send a reminder with the due
+ * date in the series timezone, instead of the usual assignment message.
+ * Bulk updates (task:bulk) send each assignee one message listing their tasks.
+ */
+
+const { translate, formatDate } = require('../../../shared/i18n');
+
+const NOTIFY_ON_UPDATE = ['status', 'due_date', 'priority', 'assigned_to_whatsapp', 'title'];
+
+/**
+ * Subscribe the queue to task events
+ * @param {Object} eventBus - Shared event bus
+ * @param {Object} queue - MessageQueue instance
+ * @param {Object} logger - Logger
+ * @param {Object} options - { languageFor: async (phone) => language code or null }
+ */
+function registerTaskNotifications(eventBus, queue, logger, { languageFor } = {}) {
+  const recipientLanguage = async (phone) => {
+    try {
+      return languageFor ? await languageFor(phone) : null;
+    } catch (error) {
+      logger.warn('Could not load preferred language for notification', { error: error.message });
+      return null;
+    }
+  };
+
+  eventBus.on('task:created', async (task) => {
+    if (!task?.assignedTo || task.assignedTo === task.createdBy || task.seriesId) return;
+
+    const language = await recipientLanguage(task.assignedTo);
+    await queue.enqueueText(task.assignedTo, translate(language, 'notifications.task_assigned', { title: task.title }), {
+      sourceEvent: 'task:created',
+      metadata: { taskId: task.id }
+    });
+  }, { moduleName: 'whatsapp', id: 'whatsapp_task_created_notifier' });
+
+  eventBus.on('task:updated', async ({ id, updates = {}, task } = {}) => {
+    const recipient = task?.assigned_to_whatsapp;
+    const changed = Object.keys(updates).filter(field => NOTIFY_ON_UPDATE.includes(field));
+    if (!recipient || changed.length === 0) return;
+
+    const language = await recipientLanguage(recipient);
+    const details = changed
+      .map(field => `${translate(language, `notifications.fields.${field}`)}: ${task[field] ?? '-'}`)
+      .join(', ');
+
+    await queue.enqueueText(recipient, translate(language, 'notifications.task_updated', { title: task.title, details }), {
+      sourceEvent: 'task:updated',
+      metadata: { taskId: id }
+    });
+  }, { moduleName: 'whatsapp', id: 'whatsapp_task_updated_notifier' });
+
+  eventBus.on('task:bulk', async ({ action, items = [] } = {}) => {
+    if (action !== 'update') return;
+    const byRecipient = new Map();
+    for (const { id, updates = {}, task } of items) {
+      const recipient = task?.assigned_to_whatsapp;
+      const changed = Object.keys(updates).filter(field => NOTIFY_ON_UPDATE.includes(field));
+      if (!recipient || changed.length === 0) continue;
+      if (!byRecipient.has(recipient)) byRecipient.set(recipient, []);
+      byRecipient.get(recipient).push({ id, task, changed });
+    }
+
+    for (const [recipient, tasks] of byRecipient) {
+      const language = await recipientLanguage(recipient);
+      // Every task in the batch got the same changes; tags edits are not announced
+      const { task, changed } = tasks[0];
+      const details = changed
+        .map(field => `${translate(language, `notifications.fields.${field}`)}: ${task[field] ?? '-'}`)
+        .join(', ');
+      await queue.enqueueText(recipient, translate(language, 'notifications.tasks_bulk_updated', {
+        count: tasks.length,
+        details,
+        titles: tasks.map(t => t.task.title).join(', ')
+      }), {
+        sourceEvent: 'task:bulk',
+        metadata: { taskIds: tasks.map(t => t.id) }
+      });
+    }
+  }, { moduleName: 'whatsapp', id: 'whatsapp_task_bulk_notifier' });
+
+  eventBus.on('task:commented', async ({ id, comment, task } = {}) => {
+    const author = String(comment?.author_whatsapp || '').replace(/^\+/, '');
+    const recipients = [...new Set((comment?.mentions || []).map(m => m.phone).filter(phone => phone && phone !== author))];
+
+    for (const recipient of recipients) {
+      const language = await recipientLanguage(recipient);
+      await queue.enqueueText(recipient, translate(language, 'notifications.comment_mention', {
+        author: comment.author_whatsapp || translate(language, 'notifications.someone'),
+        title: task?.title || id,
+        body: comment.body
+      }), {
+        sourceEvent: 'task:commented',
+        metadata: { taskId: id, commentId: comment.id }
+      });
+    }
+  }, { moduleName: 'whatsapp', id: 'whatsapp_task_comment_notifier' });
+
+  eventBus.on('task:recurred', async ({ id, dueDate, timezone, task } = {}) => {
+    const recipient = task?.assigned_to_whatsapp || task?.created_by_whatsapp;
+    if (!recipient) return;
+
+    const language = await recipientLanguage(recipient);
+    await queue.enqueueText(recipient, translate(language, 'notifications.task_recurring', {
+      title: task.title,
+      date: formatDate(dueDate, language, timezone)
+    }), {
+      sourceEvent: 'task:recurred',
+      metadata: { taskId: id }
+    });
+  }, { moduleName: 'whatsapp', id: 'whatsapp_task_recurring_notifier' });
+
+  logger.info('WhatsApp task notifications subscribed to task:created, task:updated, task:bulk, task:commented and task:recurred');
+}
+
+module.exports = { registerTaskNotifications };
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+/**
+ * WhatsApp Template Service
+ *
+ * Stores message templates in whatsapp_templates (migration 004), one row per
+ * name + language. Templates move through draft → submitted → approved/rejected;
+ * only approved templates can be sent. Falls back to an in-memory store seeded
+ * with the default templates when no database is available.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+// Allowed lifecycle transitions: action → { from: [...], to }
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted' },
+  approve: { from: ['submitted'], to: 'approved' },
+  reject: { from: ['submitted'], to: 'rejected' }
+};
+
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Project Update Notification',
+    category: 'project_updates',
+    language: 'en',
+    status: 'approved',
+    content: 'Hi {{name}}, your project {{project_name}} has been updated. Status: {{status}}. Check your dashboard for details.'
+  },
+  {
+    name: 'Task Assignment Alert',
+    category: 'task_management',
+    language: 'en',
+    status: 'approved',
+    content: 'Hello {{name}}, you have been assigned a new task: {{task_title}}. Due date: {{due_date}}. Priority: {{priority}}.'
+  }
+];
+
+/**
+ * Build an error carrying an HTTP status for the routes
+ */
+function templateError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Extract {{variable}} names from template content, in order of appearance
+ * @param {string} content - Template body
+ * @returns {string[]} Unique variable names
+ */
+function extractVariables(content = '') {
+  const names = [];
+  for (const match of String(content).matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Name a template is registered under with the Cloud API
+ * (lowercase letters, digits and underscores)
+ */
+function providerTemplateName(name = '') {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Map a database row to the API shape
+ */
+function toTemplate(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    language: row.language,
+    status: row.status,
+    content: row.content,
+    variables: Array.isArray(row.variables) ? row.variables : JSON.parse(row.variables || '[]'),
+    rejectionReason: row.rejection_reason || null,
+    usageCount: row.usage_count || 0,
+    lastUsed: row.last_used ? new Date(row.last_used).toISOString() : null,
+    createdBy: row.created_by || null,
+    submittedAt: row.submitted_at ? new Date(row.submitted_at).toISOString() : null,
+    reviewedAt: row.reviewed_at ? new Date(row.reviewed_at).toISOString() : null,
+    reviewedBy: row.reviewed_by || null,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+    updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+  };
+}
+
+class TemplateService {
+  constructor({ database, logger } = {}) {
+    this.database = database;
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'whatsapp-templates.log' })
+      ]
+    });
+    this.defaultLanguage = process.env.WHATSAPP_DEFAULT_TEMPLATE_LANGUAGE || 'en';
+
+    // In-memory store for mock-safe mode
+    this.memStore = [];
+    this.isMockDb = !this.database || typeof this.database.query !== 'function';
+    if (this.isMockDb) {
+      this.logger.warn('Database not available. TemplateService running in in-memory mode.');
+      const now = new Date().toISOString();
+      this.memStore = DEFAULT_TEMPLATES.map(template => ({
+        id: crypto.randomUUID(),
+        ...template,
+        variables: extractVariables(template.content),
+        rejection_reason: null,
+        usage_count: 0,
+        last_used: null,
+        created_by: null,
+        submitted_at: null,
+        reviewed_at: null,
+        reviewed_by: null,
+        created_at: now,
+        updated_at: now
+      }));
+    }
+  }
+
+  /**
+   * Validate declared variables against the placeholders in content
+   */
+  resolveVariables(content, declared) {
+    const found = extractVariables(content);
+    if (!declared) return found;
+
+    const list = Array.isArray(declared) ? declared : [];
+    const undeclared = found.filter(name => !list.includes(name));
+    const unused = list.filter(name => !found.includes(name));
+    if (undeclared.length || unused.length) {
+      throw templateError('Template variables do not match content placeholders', 400, {
+        details: { undeclared, unused }
+      });
+    }
+    return found;
+  }
+
+  /**
+   * List templates
+   * @param {Object} filters - { category, status, language, name, limit, offset }
+   * @returns {Promise<Object>} { templates, total }
+   */
+  async listTemplates({ category, status, language, name, limit = 20, offset = 0 } = {}) {
+    if (this.isMockDb) {
+      const filtered = this.memStore
+        .filter(t => (!category || t.category === category) &&
+          (!status || t.status === status) &&
+          (!language || t.language === language) &&
+          (!name || t.name === name))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      return { templates: filtered.slice(offset, offset + limit).map(toTemplate), total: filtered.length };
+    }
+
+    const conditions = [];
+    const values = [];
+    for (const [column, value] of Object.entries({ category, status, language, name })) {
+      if (value) {
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.database.query(`SELECT COUNT(*)::int AS total FROM whatsapp_templates ${where}`, values);
+    const result = await this.database.query(
+      `SELECT * FROM whatsapp_templates ${where} ORDER BY created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    );
+    return { templates: result.rows.map(toTemplate), total: countResult.rows[0]?.total || 0 };
+  }
+
+  /**
+   * Get a template by ID
+   */
+  async getTemplate(id) {
+    if (this.isMockDb) {
+      return toTemplate(this.memStore.find(t => t.id === id));
+    }
+    try {
+      const result = await this.database.query('SELECT * FROM whatsapp_templates WHERE id = $1', [id]);
+      return toTemplate(result.rows[0]);
+    } catch (error) {
+      // Malformed UUIDs are simply not found
+      if (error.code === '22P02') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a draft template
+   * @param {Object} data - { name, category, language, content, variables }
+   * @param {Object} actor - Authenticated user
+   */
+  async createTemplate({ name, category = 'general', language = this.defaultLanguage, content, variables } = {}, actor = {}) {
+    if (!name || !content) {
+      throw templateError('name and content are required', 400);
+    }
+    const resolvedVariables = this.resolveVariables(content, variables);
+
+    if (this.isMockDb) {
+      if (this.memStore.some(t => t.name === name && t.language === language)) {
+        throw templateError(`Template '${name}' already exists for language '${language}'`, 409);
+      }
+      const now = new Date().toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        name,
+        category,
+        language,
+        status: 'draft',
+        content,
+        variables: resolvedVariables,
+        rejection_reason: null,
+        usage_count: 0,
+        last_used: null,
+        created_by: actor.id || actor.email || null,
+        submitted_at: null,
+        reviewed_at: null,
+        reviewed_by: null,
+        created_at: now,
+        updated_at: now
+      };
+      this.memStore.push(row);
+      return toTemplate(row);
+    }
+
+    try {
+      const result = await this.database.query(
+        `INSERT INTO whatsapp_templates (name, category, language, content, variables, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [name, category, language, content, JSON.stringify(resolvedVariables), actor.id || actor.email || null]
+      );
+      this.logger.info('WhatsApp template created', { id: result.rows[0].id, name, language });
+      return toTemplate(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw templateError(`Template '${name}' already exists for language '${language}'`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a draft or rejected template. Editing a rejected template returns it to draft.
+   */
+  async updateTemplate(id, updates = {}) {
+    const existing = await this.getTemplate(id);
+    if (!existing) return null;
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw templateError(`Template in '${existing.status}' status cannot be edited`, 409);
+    }
+
+    const content = updates.content ?? existing.content;
+    const variables = this.resolveVariables(content, updates.variables);
+    const changes = {
+      name: updates.name ?? existing.name,
+      category: updates.category ?? existing.category,
+      language: updates.language ?? existing.language,
+      content,
+      variables,
+      status: 'draft',
+      rejection_reason: null
+    };
+
+    const duplicate = () => templateError(`Template '${changes.name}' already exists for language '${changes.language}'`, 409);
+
+    if (this.isMockDb) {
+      if (this.memStore.some(t => t.id !== id && t.name === changes.name && t.language === changes.language)) {
+        throw duplicate();
+      }
+      const row = this.memStore.find(t => t.id === id);
+      Object.assign(row, changes, { updated_at: new Date().toISOString() });
+      return toTemplate(row);
+    }
+
+    try {
+      const result = await this.database.query(
+        `UPDATE whatsapp_templates
+         SET name = $2, category = $3, language = $4, content = $5, variables = $6,
+             status = 'draft', rejection_reason = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, changes.name, changes.category, changes.language, changes.content, JSON.stringify(changes.variables)]
+      );
+      return toTemplate(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') throw duplicate();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a template
+   */
+  async deleteTemplate(id) {
+    if (this.isMockDb) {
+      const index = this.memStore.findIndex(t => t.id === id);
+      if (index === -1) return false;
+      this.memStore.splice(index, 1);
+      return true;
+    }
+    const result = await this.database.query('DELETE FROM whatsapp_templates WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Move a template through the approval lifecycle
+   * @param {string} id - Template ID
+   * @param {string} action - submit | approve | reject
+   * @param {Object} options - { reason, actor }
+   */
+  async transition(id, action, { reason = null, actor = {} } = {}) {
+    const rule = TRANSITIONS[action];
+    if (!rule) throw templateError(`Unknown template action '${action}'`, 400);
+
+    const existing = await this.getTemplate(id);
+    if (!existing) return null;
+    if (!rule.from.includes(existing.status)) {
+      throw templateError(`Cannot ${action} a template in '${existing.status}' status`, 409);
+    }
+    if (action === 'reject' && !reason) {
+      throw templateError('A rejection reason is required', 400);
+    }
+
+    const reviewer = actor.id || actor.email || null;
+    const now = new Date();
+
+    if (this.isMockDb) {
+      const row = this.memStore.find(t => t.id === id);
+      Object.assign(row, {
+        status: rule.to,
+        rejection_reason: action === 'reject' ? reason : null,
+        submitted_at: action === 'submit' ? now.toISOString() : row.submitted_at,
+        reviewed_at: action === 'submit' ? null : now.toISOString(),
+        reviewed_by: action === 'submit' ? null : reviewer,
+        updated_at: now.toISOString()
+      });
+      return toTemplate(row);
+    }
+
+    const result = await this.database.query(
+      `UPDATE whatsapp_templates
+       SET status = $2,
+           rejection_reason = $3,
+           submitted_at = CASE WHEN $4 = 'submit' THEN NOW() ELSE submitted_at END,
+           reviewed_at = CASE WHEN $4 = 'submit' THEN NULL ELSE NOW() END,
+           reviewed_by = CASE WHEN $4 = 'submit' THEN NULL ELSE $5 END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, rule.to, action === 'reject' ? reason : null, action, reviewer]
+    );
+    this.logger.info('WhatsApp template status changed', { id, action, status: rule.to });
+    return toTemplate(result.rows[0]);
+  }
+
+  /**
+   * Find the best language variant of a named template.
+   * Tries the exact language, then its base language (pt_BR → pt), then the default language.
+   * @param {string} name - Template name
+   * @param {string} language - Requested language
+   * @param {Object} options - { status } (defaults to approved)
+   */
+  async resolveVariant(name, language = this.defaultLanguage, { status = 'approved' } = {}) {
+    const base = String(language).split(/[-_]/)[0];
+    const candidates = [...new Set([language, base, this.defaultLanguage])];
+
+    for (const candidate of candidates) {
+      const { templates } = await this.listTemplates({ name, language: candidate, status, limit: 1 });
+      if (templates[0]) return templates[0];
+    }
+    return null;
+  }
+
+  /**
+   * Fill a template's variables
+   * @param {Object} template - Template (API shape)
+   * @param {Object} variables - name → value
+   * @returns {Object} { text, language, templateId }
+   */
+  render(template, variables = {}) {
+    const missing = template.variables.filter(name =>
+      variables[name] === undefined || variables[name] === null || String(variables[name]).trim() === ''
+    );
+    if (missing.length) {
+      throw templateError(`Missing template variables: ${missing.join(', ')}`, 400, { details: { missing } });
+    }
+
+    const text = template.content.replace(VARIABLE_PATTERN, (_match, name) => String(variables[name]));
+    return { text, language: template.language, templateId: template.id, name: template.name };
+  }
+
+  /**
+   * Build the Cloud API template message for an approved template. Business-initiated
+   * messages outside the 24-hour customer service window must be sent this way;
+   * body parameters follow the order of the template's variables ({{1}}, {{2}}, ...).
+   * @param {Object} template - Template (API shape)
+   * @param {Object} variables - name → value
+   * @returns {Object} { payload, rendered } (payload is the message's template object)
+   */
+  toTemplateMessage(template, variables = {}) {
+    const rendered = this.render(template, variables);
+    const payload = {
+      name: providerTemplateName(template.name),
+      language: { code: template.language }
+    };
+    if (template.variables.length) {
+      payload.components = [{
+        type: 'body',
+        parameters: template.variables.map(name => ({ type: 'text', text: String(variables[name]) }))
+      }];
+    }
+    return { payload, rendered };
+  }
+
+  /**
+   * Increment usage counters after a template message was actually sent
+   */
+  async recordUsage(id) {
+    if (this.isMockDb) {
+      const row = this.memStore.find(t => t.id === id);
+      if (!row) return null;
+      row.usage_count += 1;
+      row.last_used = new Date().toISOString();
+      return toTemplate(row);
+    }
+    const result = await this.database.query(
+      'UPDATE whatsapp_templates SET usage_count = usage_count + 1, last_used = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    return toTemplate(result.rows[0]);
+  }
+
+  async healthCheck() {
+    const { total } = await this.listTemplates({ limit: 1 });
+    return { status: 'healthy', service: 'WhatsAppTemplateService', storage: this.isMockDb ? 'memory' : 'postgres', templates: total };
+  }
+}
+
+module.exports = TemplateService;
+module.exports.extractVariables = extractVariables;
+module.exports.providerTemplateName = providerTemplateName;
@@ -0,0 +1,95 @@
+/**
+ * Voice notes
+ * Downloads the audio of an inbound message and transcribes it with the
+ * speech provider (modules/ai/services/speech), so the transcript can go
+ * through the same intent pipeline as a typed message.
+ * - Audio over STT_MAX_AUDIO_BYTES (default 16 MB, WhatsApp's own limit) is not
+ *   downloaded or transcribed
+ * - Transcripts below STT_MIN_CONFIDENCE (default 0.4) count as unclear;
+ *   engines that report no confidence are trusted
+ */
+
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024;
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+function isVoiceNote(message) {
+  return message?.type === 'audio' && Boolean(message.media?.id);
+}
+
+const maxAudioBytes = (maxBytes) => maxBytes ?? (Number(process.env.STT_MAX_AUDIO_BYTES) || DEFAULT_MAX_BYTES);
+
+// Speech engines end sentences with a period; titles and commands should not
+function cleanTranscript(text) {
+  return String(text || '').trim().replace(/[.。।]+$/u, '').trim();
+}
+
+/**
+ * Transcribe audio bytes
+ * @param {Object} audio - { buffer, mimeType, mediaId }
+ * @param {Object} deps - { speech, language, logger, maxBytes, minConfidence }
+ * @returns {Promise<Object>} { status: 'transcribed'|'unclear'|'failed', transcript, confidence,
+ *   language, provider, mediaId, error }
+ */
+async function transcribeAudio({ buffer, mimeType = null, mediaId = null }, { speech, language = null, logger, maxBytes, minConfidence } = {}) {
+  const limit = maxAudioBytes(maxBytes);
+  const threshold = minConfidence ?? (parseFloat(process.env.STT_MIN_CONFIDENCE) || DEFAULT_MIN_CONFIDENCE);
+  const base = { transcript: null, confidence: null, language: null, provider: speech?.name || null, mediaId };
+
+  if (!speech) return { ...base, status: 'failed', error: 'No speech provider configured' };
+  if (!buffer || buffer.length === 0) return { ...base, status: 'failed', error: 'Empty audio' };
+  if (buffer.length > limit) return { ...base, status: 'failed', error: `Audio is larger than ${limit} bytes` };
+
+  try {
+    const result = await speech.transcribe({ audio: buffer, mimeType, language });
+    const transcript = cleanTranscript(result.text);
+    const confidence = typeof result.confidence === 'number' ? result.confidence : null;
+    const clear = Boolean(transcript) && (confidence === null || confidence >= threshold);
+    return {
+      ...base,
+      status: clear ? 'transcribed' : 'unclear',
+      transcript: transcript || null,
+      confidence,
+      language: result.language || null,
+      provider: result.provider || base.provider
+    };
+  } catch (error) {
+    logger?.warn?.('Voice note transcription failed', { mediaId, error: error.message });
+    return { ...base, status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Download and transcribe the audio of a webhook message
+ * @param {Object} message - Normalized webhook message with media.id
+ * @param {Object} deps - { client, speech, language, logger, maxBytes, minConfidence }
+ */
+async function transcribeVoiceNote(message, { client, ...deps }) {
+  const mediaId = message.media.id;
+  let download;
+  try {
+    download = await client.downloadMedia(mediaId, { maxBytes: maxAudioBytes(deps.maxBytes) });
+  } catch (error) {
+    deps.logger?.warn?.('Voice note download failed', { mediaId, error: error.message });
+    return { status: 'failed', transcript: null, confidence: null, language: null, provider: deps.speech?.name || null, mediaId, error: error.message };
+  }
+  return transcribeAudio({ buffer: download.buffer, mimeType: download.mimeType || message.media.mimeType, mediaId }, deps);
+}
+
+/**
+ * The part of a transcription stored with a task
+ */
+function voiceSource(voice) {
+  if (!voice || voice.status !== 'transcribed') return null;
+  return { transcript: voice.transcript, confidence: voice.confidence, mediaId: voice.mediaId || null };
+}
+
+/**
+ * createTask fields recording the voice note a task came from
+ * @param {Object|null} source - voiceSource() result
+ */
+function voiceTaskFields(source) {
+  if (!source) return {};
+  return { voice_transcript: source.transcript, voice_confidence: source.confidence, voice_media_id: source.mediaId };
+}
+
+module.exports = { isVoiceNote, transcribeAudio, transcribeVoiceNote, voiceSource, voiceTaskFields };
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+/**
+ * WhatsApp Cloud API webhook helpers
+ * - Verifies X-Hub-Signature-256 against the app secret
+ * - Flattens entry[].changes[].value into normalized messages and statuses
+ */
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+/**
+ * Verify the X-Hub-Signature-256 header sent by Meta
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} signatureHeader - Header value, e.g. "sha256=abc..."
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+
+  const [algorithm, signature] = String(signatureHeader).split('=');
+  if (algorithm !== 'sha256' || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(signature, 'hex');
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Check whether a request body is a Cloud API webhook envelope
+ * @param {Object} body - Parsed request body
+ * @returns {boolean} True for Meta webhook payloads
+ */
+function isWebhookPayload(body) {
+  return Boolean(body && body.object === 'whatsapp_business_account' && Array.isArray(body.entry));
+}
+
+/**
+ * Normalize a single Cloud API message object
+ * @param {Object} message - value.messages[] item
+ * @param {Object} metadata - value.metadata (phone_number_id, display_phone_number)
+ * @param {Map} profiles - wa_id → profile name
+ * @returns {Object} Normalized message
+ */
+function normalizeMessage(message, metadata = {}, profiles = new Map()) {
+  const normalized = {
+    id: message.id,
+    from: message.from,
+    profileName: profiles.get(message.from) || null,
+    phoneNumberId: metadata.phone_number_id || null,
+    timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : new Date().toISOString(),
+    type: message.type,
+    text: null,
+    media: null,
+    interactive: null,
+    context: message.context ? { messageId: message.context.id, from: message.context.from } : null
+  };
+
+  if (message.type === 'text') {
+    normalized.text = message.text?.body || '';
+  } else if (MEDIA_TYPES.includes(message.type)) {
+    const media = message[message.type] || {};
+    normalized.media = {
+      id: media.id,
+      mimeType: media.mime_type || null,
+      sha256: media.sha256 || null,
+      caption: media.caption || null,
+      filename: media.filename || null,
+      voice: Boolean(media.voice)
+    };
+    normalized.text = media.caption || null;
+  } else if (message.type === 'interactive') {
+    const interactive = message.interactive || {};
+    const reply = interactive.button_reply || interactive.list_reply || {};
+    normalized.interactive = {
+      type: interactive.type,
+      id: reply.id || null,
+      title: reply.title || null,
+      description: reply.description || null
+    };
+    normalized.text = reply.title || null;
+  } else if (message.type === 'button') {
+    // Quick-reply button on a template message
+    normalized.interactive = {
+      type: 'button',
+      id: message.button?.payload || null,
+      title: message.button?.text || null,
+      description: null
+    };
+    normalized.text = message.button?.text || null;
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize a delivery status callback
+ * @param {Object} status - value.statuses[] item
+ * @returns {Object} Normalized status
+ */
+function normalizeStatus(status) {
+  return {
+    id: status.id,
+    recipientId: status.recipient_id,
+    status: status.status,
+    timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString(),
+    conversationId: status.conversation?.id || null,
+    pricingCategory: status.pricing?.category || null,
+    errors: (status.errors || []).map(err => ({ code: err.code, title: err.title, message: err.message }))
+  };
+}
+
+/**
+ * Flatten a webhook envelope into messages and statuses
+ * @param {Object} body - Webhook payload
+ * @returns {{messages: Array, statuses: Array}} Normalized events
+ */
+function parseWebhookPayload(body) {
+  const messages = [];
+  const statuses = [];
+
+  if (!isWebhookPayload(body)) return { messages, statuses };
+
+  for (const entry of body.entry) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages' || !change.value) continue;
+
+      const value = change.value;
+      const profiles = new Map(
+        (value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name || null])
+      );
+
+      for (const message of value.messages || []) {
+        messages.push(normalizeMessage(message, value.metadata, profiles));
+      }
+
+      for (const status of value.statuses || []) {
+        statuses.push(normalizeStatus(status));
+      }
+    }
+  }
+
+  return { messages, statuses };
+}
+
+module.exports = {
+  verifySignature,
+  isWebhookPayload,
+  parseWebhookPayload,
+  normalizeMessage,
+  normalizeStatus
+};
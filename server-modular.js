@@ -12,6 +12,8 @@ dotenv.config();
 // Import modular architecture components
 const ServiceContainer = require('./service-container');
 const EventBus = require('./shared/events/eventBus');
+const { t } = require('./shared/i18n');
+const { SEARCH_VECTOR } = require('./modules/tasks/services/taskQuery');
 const ModuleLoader = require('./module-loader');
 const databaseConnection = require('./modules/core/database/connection');
 
@@ -69,9 +71,13 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Force-Delete']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Force-Delete', 'X-Hub-Signature-256']
+}));
+// Keep the raw body around so webhook routes can verify payload signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, _res, buf) => { req.rawBody = buf; }
 }));
-app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(requestId);
@@ -103,9 +109,196 @@ async function runStartupMigrations() {
         deleted_at TIMESTAMPTZ
       );
     `);
+    // Transcript of the WhatsApp voice note a task was created from
+    await db.query(`
+      ALTER TABLE tasks
+        ADD COLUMN IF NOT EXISTS voice_transcript TEXT,
+        ADD COLUMN IF NOT EXISTS voice_confidence NUMERIC(4,3),
+        ADD COLUMN IF NOT EXISTS voice_media_id TEXT;
+    `);
+    // Subtasks, checklists and finish-to-start dependencies
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id) WHERE parent_task_id IS NOT NULL;`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_checklist_items (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        completed BOOLEAN NOT NULL DEFAULT FALSE,
+        completed_at TIMESTAMPTZ,
+        completed_by TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_checklist_task ON task_checklist_items(task_id, position);`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        blocked_by_task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        type TEXT NOT NULL DEFAULT 'finish_to_start',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (task_id, blocked_by_task_id),
+        CHECK (task_id <> blocked_by_task_id)
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocker ON task_dependencies(blocked_by_task_id);`);
+    // Recurring tasks: each occurrence is a task; recurrence_next_id links it to the next one
+    await db.query(`
+      ALTER TABLE tasks
+        ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+        ADD COLUMN IF NOT EXISTS recurrence_timezone TEXT,
+        ADD COLUMN IF NOT EXISTS recurrence_exdates JSONB DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS recurrence_series_id INTEGER,
+        ADD COLUMN IF NOT EXISTS recurrence_next_id INTEGER;
+    `);
+    await db.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_occurrence
+        ON tasks ((COALESCE(recurrence_series_id, id)), due_date)
+        WHERE recurrence_rule IS NOT NULL AND deleted_at IS NULL;
+    `);
     await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);`);
     await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at DESC);`);
-    logger.info('Startup migrations completed: tasks table ensured');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_comments (
+        id SERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        author_id INTEGER,
+        author_whatsapp TEXT,
+        source TEXT DEFAULT 'api',
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments(task_id, created_at);`);
+    await db.query(`
+      ALTER TABLE task_comments
+        ADD COLUMN IF NOT EXISTS mentions JSONB DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+    `);
+    // Audit timeline recorded from task events (modules/tasks/services/taskActivity.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_activity (
+        id BIGSERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        actor_whatsapp TEXT,
+        changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+        comment_id INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_activity_task ON task_activity(task_id, created_at);`);
+    // Soft delete keeps the status to restore; the purge sweep looks up old deletions
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS status_before_delete TEXT;`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;`);
+    // Task list filters and full-text search (modules/tasks/services/taskQuery.js)
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN ((${SEARCH_VECTOR}));`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_tags ON tasks USING GIN (tags);`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_watchers ON tasks USING GIN (watchers);`);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date) WHERE deleted_at IS NULL;`);
+    // Optimistic concurrency: every change bumps the version, sent as the task's ETag
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;`);
+    // Field-level change history (modules/tasks/services/taskHistory.js)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        task_version INTEGER,
+        actor_id TEXT,
+        actor_whatsapp TEXT,
+        source TEXT NOT NULL DEFAULT 'api',
+        changes JSONB NOT NULL,
+        revert_of BIGINT REFERENCES task_revisions(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_revisions_task ON task_revisions(task_id, id);`);
+    // Custom fields per project or organization-wide (modules/tasks/services/customFields.js)
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_custom_fields (
+        id SERIAL PRIMARY KEY,
+        project_id INTEGER,
+        key TEXT NOT NULL,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('text', 'number', 'date', 'select', 'user', 'contact')),
+        options JSONB NOT NULL DEFAULT '[]'::jsonb,
+        required BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_task_custom_fields_key ON task_custom_fields(COALESCE(project_id, 0), key);`);
+    // Due-date reminder jobs, delivery preferences and the in-app inbox (modules/tasks/services/reminderScheduler.js)
+    await db.query(`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_offsets JSONB;`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_reminders (
+        id BIGSERIAL PRIMARY KEY,
+        task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('reminder', 'overdue')),
+        offset_minutes INTEGER NOT NULL,
+        recipient TEXT NOT NULL,
+        due_date TIMESTAMPTZ NOT NULL,
+        run_at TIMESTAMPTZ NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'cancelled', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        channels JSONB NOT NULL DEFAULT '[]'::jsonb,
+        last_error TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (task_id, kind, offset_minutes, recipient, due_date)
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_reminders_due ON task_reminders(status, run_at);`);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_notification_preferences (
+        phone TEXT PRIMARY KEY,
+        user_id TEXT,
+        email TEXT,
+        channels JSONB NOT NULL DEFAULT '["whatsapp", "in_app"]'::jsonb,
+        quiet_start TEXT,
+        quiet_end TEXT,
+        timezone TEXT,
+        language TEXT,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS task_notifications (
+        id BIGSERIAL PRIMARY KEY,
+        recipient TEXT NOT NULL,
+        task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        body TEXT NOT NULL,
+        metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+        read_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_task_notifications_recipient ON task_notifications(recipient, created_at DESC);`);
+    // Inbound WhatsApp message IDs, for webhook idempotency (same as migration 010)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS whatsapp_inbound_messages (
+        message_id VARCHAR(128) PRIMARY KEY,
+        sender VARCHAR(32),
+        status VARCHAR(20) NOT NULL DEFAULT 'processing'
+          CHECK (status IN ('processing', 'processed', 'failed')),
+        intent VARCHAR(50),
+        last_error TEXT,
+        received_at TIMESTAMPTZ DEFAULT NOW(),
+        processed_at TIMESTAMPTZ
+      );
+    `);
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_wa_inbound_received ON whatsapp_inbound_messages(received_at);`);
+    logger.info('Startup migrations completed: task, comment, checklist, dependency, activity, revision, custom field, reminder and inbound WhatsApp message tables ensured');
   } catch (error) {
     logger.warn('Startup migrations skipped or failed', { error: error.message });
   }
@@ -146,6 +339,7 @@ async function initializeCoreServices() {
           return {
             id: decoded.userId || decoded.id || decoded.sub || null,
             email: decoded.email || null,
+            phone: decoded.phone || null,
             role: decoded.role || 'user',
             loginMethod: decoded.loginMethod || 'jwt'
           };
@@ -423,7 +617,7 @@ async function startServer() {
     app.use('*', (req, res) => {
       logger.warn('Route not found', { path: req.originalUrl });
       res.status(404).json({ 
-        error: 'Route not found',
+        error: t(req, 'errors.route_not_found'),
         path: req.originalUrl,
         server: 'modular',
         port: PORT
@@ -0,0 +1,125 @@
+/**
+ * Message catalog for bot replies, notifications and API errors
+ * - Keys are dotted paths into ./locales/<language>.js ('whatsapp.task_created')
+ * - {{placeholders}} are filled from the vars object
+ * - A message may be an object of plural forms ({ one, other, few, ... }),
+ *   picked for vars.count with Intl.PluralRules
+ * - Keys missing in a language fall back to English, then to the key itself
+ */
+
+const CATALOGS = {
+  en: require('./locales/en'),
+  hi: require('./locales/hi'),
+  es: require('./locales/es'),
+  ar: require('./locales/ar')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+// 'es_MX' / 'es-MX' → 'es'
+function baseLanguage(language) {
+  return String(language || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * First candidate with a catalog, e.g. resolveLanguage(detected, preferred)
+ * @param {...string} candidates - Language codes in order of preference
+ * @returns {string} Supported language code, or English
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const base = baseLanguage(candidate);
+    if (CATALOGS[base]) return base;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+function pluralize(message, language, count) {
+  if (!message || typeof message !== 'object') return message;
+  const form = new Intl.PluralRules(language).select(Number(count) || 0);
+  return message[form] ?? message.other;
+}
+
+/**
+ * Render a message
+ * @param {string} language - Language code (e.g. 'es', 'es_MX'); unsupported ones use English
+ * @param {string} key - Dotted message key
+ * @param {Object} vars - Placeholder values; count selects the plural form
+ * @returns {string}
+ */
+function translate(language, key, vars = {}) {
+  const resolved = resolveLanguage(language);
+  let message = pluralize(lookup(CATALOGS[resolved], key), resolved, vars.count);
+  if (typeof message !== 'string') message = pluralize(lookup(CATALOGS[DEFAULT_LANGUAGE], key), DEFAULT_LANGUAGE, vars.count);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => (vars[name] ?? ''));
+}
+
+/**
+ * Best supported language for an Accept-Language header
+ * (e.g. 'fr-CH, es;q=0.9, en;q=0.8' → 'es')
+ * @param {string} header
+ * @returns {string}
+ */
+function negotiate(header) {
+  const ranges = String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { range: range.trim(), q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(r => r.range && r.range !== '*' && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  const match = ranges.find(r => CATALOGS[baseLanguage(r.range)]);
+  return match ? baseLanguage(match.range) : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language for an API response: req.language when set, else Accept-Language
+ */
+function requestLanguage(req) {
+  return req?.language || negotiate(req?.headers?.['accept-language']);
+}
+
+/**
+ * Render a message in the language of the request
+ * @param {Object} req - Express request
+ * @param {string} key - Dotted message key
+ * @param {Object} vars - Placeholder values
+ */
+function t(req, key, vars = {}) {
+  return translate(requestLanguage(req), key, vars);
+}
+
+/**
+ * Date and time in a language and timezone (e.g. due dates in notifications)
+ * @param {Date|string} date
+ * @param {string} language - Language code
+ * @param {string} timeZone - IANA timezone, default UTC
+ * @returns {string}
+ */
+function formatDate(date, language, timeZone) {
+  try {
+    return new Intl.DateTimeFormat(language || DEFAULT_LANGUAGE, { dateStyle: 'medium', timeStyle: 'short', timeZone: timeZone || 'UTC' }).format(new Date(date));
+  } catch (error) {
+    return new Date(date).toISOString();
+  }
+}
+
+module.exports = {
+  translate,
+  formatDate,
+  t,
+  negotiate,
+  requestLanguage,
+  resolveLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,117 @@
+/**
+ * Arabic messages (task_list_header uses all six Arabic plural forms)
+ */
+
+module.exports = {
+  whatsapp: {
+    task_created: 'تم إنشاء المهمة!',
+    task_not_available: 'إنشاء المهام غير متاح حاليا',
+    help: 'يمكنك إرسال:\n• create task <العنوان>\n• my tasks\n• done <n>\n• assign <n> to <الهاتف>\n• due <n> <التاريخ>\n• priority <n> <high|medium|low>\n• comment <n> <النص>',
+    unknown: 'لم أفهم طلبك.',
+    no_open_tasks: 'ليست لديك مهام مفتوحة.',
+    task_list_header: {
+      zero: 'ليست لديك مهام مفتوحة:',
+      one: 'لديك مهمة مفتوحة واحدة:',
+      two: 'لديك مهمتان مفتوحتان:',
+      few: 'لديك {{count}} مهام مفتوحة:',
+      many: 'لديك {{count}} مهمة مفتوحة:',
+      other: 'لديك {{count}} مهمة مفتوحة:'
+    },
+    task_list_line: '{{n}}. {{title}}{{due}}',
+    task_list_due: ' (الاستحقاق {{date}})',
+    task_list_footer: 'أرسل "done <n>" لإكمال مهمة.',
+    task_not_found: 'المهمة {{n}} ليست في قائمتك. أرسل "my tasks" لعرضها.',
+    task_completed: 'تم الإنجاز: {{title}}',
+    task_blocked: '{{title}} بانتظار: {{blockers}}. أكمل هذه أولا.',
+    task_conflict: 'قام شخص آخر بتغيير {{title}} للتو، لذلك لم يتم تحديث شيء. أرسل "my tasks" لرؤية آخر التغييرات ثم حاول مرة أخرى.',
+    task_reassigned: 'تم إسناد {{title}} الآن إلى {{assignee}}',
+    invalid_assignee: 'أرسل رقم واتساب للإسناد، مثل "assign 2 to +971500000000".',
+    due_date_set: 'موعد استحقاق {{title}} الآن {{date}}',
+    invalid_date: 'لم أستطع قراءة هذا التاريخ. جرّب "today" أو "tomorrow" أو 2025-10-20.',
+    priority_set: 'تم ضبط أولوية {{title}} على {{priority}}',
+    invalid_priority: 'يجب أن تكون الأولوية urgent أو high أو medium أو low.',
+    comment_added: 'تمت إضافة تعليق إلى {{title}}',
+    quoted_task_missing: 'هذه المهمة لم تعد موجودة، لذلك لم يتم حفظ ردك.',
+    sender_not_verified: 'أوامر المهام تعمل فقط من رقم واتساب الخاص بك.',
+    action_failed: 'عذرا، لم ينجح ذلك. حاول مرة أخرى.',
+    ask_title: 'ما اسم المهمة؟',
+    ask_assignee: 'من سيقوم بها؟ أرسل رقم واتساب أو "me" أو "skip".',
+    ask_assignee_retry: 'لا يبدو هذا رقم واتساب. أرسل رقما مثل +971500000000 أو "me" أو "skip".',
+    ask_due_date: 'متى موعد الاستحقاق؟ أرسل "today" أو "tomorrow" أو تاريخا مثل 2025-10-20 أو "skip".',
+    ask_due_date_retry: 'لم أستطع قراءة هذا التاريخ. أرسل "today" أو "tomorrow" أو 2025-10-20 أو "skip".',
+    confirm_task: 'إنشاء "{{title}}"{{assignee}}{{due}}؟ أجب بنعم أو لا.',
+    confirm_assignee: ' لـ {{assignee}}',
+    confirm_due: '، الاستحقاق {{date}}',
+    confirm_retry: 'أجب بنعم لإنشاء المهمة أو لا للإلغاء.',
+    session_cancelled: 'تم الإلغاء. لم يتم حفظ أي شيء.',
+    session_expired: 'انتهت مهلة طلبك السابق، لذلك تم تجاهله.',
+    nothing_to_cancel: 'لا يوجد شيء لإلغائه.',
+    assignee_not_found: 'لم أجد {{name}} في جهات اتصالك، لذلك بقيت المهمة دون إسناد.',
+    assignee_ambiguous: 'أكثر من جهة اتصال تطابق {{name}}، لذلك بقيت المهمة دون إسناد. استخدم "assign <n> to <الهاتف>".',
+    voice_heard: '🎤 "{{transcript}}"',
+    voice_unclear: 'عذرا، لم أفهم رسالتك الصوتية. حاول مرة أخرى أو اكتب الرسالة.',
+    voice_failed: 'عذرا، تعذرت معالجة رسالتك الصوتية. يرجى كتابة الرسالة.'
+  },
+
+  notifications: {
+    task_assigned: '📝 تم إسناد مهمة جديدة إليك: {{title}}',
+    task_updated: '🔔 تم تحديث المهمة: {{title}} ({{details}})',
+    tasks_bulk_updated: '🔔 تم تحديث {{count}} من مهامك ({{details}}): {{titles}}',
+    task_recurring: '🔁 مهمة متكررة: {{title}}، الاستحقاق {{date}}',
+    task_due_soon: '⏰ تذكير: موعد استحقاق {{title}} هو {{date}}',
+    task_due_soon_subject: 'تذكير: موعد استحقاق {{title}} هو {{date}}',
+    task_overdue: '⚠️ متأخرة: كان موعد استحقاق {{title}} هو {{date}} ولم تكتمل بعد',
+    task_overdue_subject: 'متأخرة: {{title}}',
+    comment_mention: '💬 أشار إليك {{author}} في {{title}}: {{body}}',
+    someone: 'شخص ما',
+    fields: {
+      status: 'الحالة',
+      due_date: 'الاستحقاق',
+      priority: 'الأولوية',
+      assigned_to_whatsapp: 'مسندة إلى',
+      title: 'العنوان'
+    }
+  },
+
+  ai: {
+    reply: {
+      create_task: 'سأساعدك في إنشاء مهمة. ماذا تريد أن تسميها؟',
+      assign_task: 'يمكنني المساعدة في إسناد المهام. لمن يجب إسنادها؟',
+      check_status: 'سأتحقق من حالة مهامك. بأي مشروع تهتم؟',
+      help_request: 'أنا هنا للمساعدة! ماذا تريد أن تعرف؟',
+      general: 'أفهم أنك تسأل عن إدارة المهام. كيف يمكنني مساعدتك؟'
+    },
+    whatsapp_reply: {
+      create_task: 'رائع! لننشئ مهمة جديدة. 📝\n\nماذا تريد أن تسميها؟',
+      assign_task: 'ممتاز! يمكنني المساعدة في إسناد المهام. 👥\n\nلمن يجب إسنادها؟',
+      check_status: 'بالتأكيد! سأتحقق من حالة مهامك. 📊\n\nبأي مشروع تهتم؟',
+      help_request: 'مرحبا! أنا مساعدك الذكي. 🤖\n\nكيف يمكنني مساعدتك اليوم؟',
+      general: 'أنا هنا للمساعدة في إدارة المهام! 📋\n\nماذا تريد أن تفعل؟'
+    }
+  },
+
+  errors: {
+    internal: 'خطأ داخلي في الخادم',
+    route_not_found: 'المسار غير موجود',
+    auth: {
+      header_required: 'ترويسة Authorization مطلوبة',
+      token_required: 'الرمز المميز مطلوب',
+      invalid_token: 'الرمز المميز غير صالح أو منتهي الصلاحية',
+      failed: 'فشلت المصادقة',
+      required: 'المصادقة مطلوبة',
+      admin_required: 'يلزم وصول المسؤول',
+      manager_required: 'يلزم وصول المدير أو المسؤول',
+      access_denied: 'تم رفض الوصول'
+    },
+    ai: {
+      message_and_phone_required: 'الرسالة ورقم الهاتف مطلوبان',
+      analyze_failed: 'تعذر تحليل الرسالة',
+      process_failed: 'تعذرت معالجة رسالة واتساب',
+      variants_failed: 'تعذر جلب صيغ الموجه',
+      create_variant_failed: 'تعذر إنشاء صيغة الموجه',
+      promote_failed: 'تعذرت ترقية صيغة الموجه',
+      test_result_fields_required: 'الحقول variant_id و intent و language مطلوبة',
+      test_result_failed: 'تعذر تسجيل نتيجة الاختبار'
+    }
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * English messages (the fallback for every other locale)
+ */
+
+module.exports = {
+  whatsapp: {
+    task_created: 'Task created!',
+    task_not_available: 'Task creation not available',
+    help: 'You can send:\n• create task <title>\n• my tasks\n• done <n>\n• assign <n> to <phone>\n• due <n> <date>\n• priority <n> <high|medium|low>\n• comment <n> <text>',
+    unknown: 'Could not understand your request.',
+    no_open_tasks: 'You have no open tasks.',
+    task_list_header: {
+      one: 'Your open task:',
+      other: 'Your open tasks:'
+    },
+    task_list_line: '{{n}}. {{title}}{{due}}',
+    task_list_due: ' (due {{date}})',
+    task_list_footer: 'Reply "done <n>" to complete a task.',
+    task_not_found: 'Task {{n}} is not in your list. Send "my tasks" to see it.',
+    task_completed: 'Marked as done: {{title}}',
+    task_blocked: '{{title}} is waiting on: {{blockers}}. Finish those first.',
+    task_conflict: '{{title}} was just changed by someone else, so nothing was updated. Send "my tasks" to see the latest and try again.',
+    task_reassigned: '{{title}} is now assigned to {{assignee}}',
+    invalid_assignee: 'Please send the WhatsApp number to assign to, e.g. "assign 2 to +919800000000".',
+    due_date_set: '{{title}} is now due {{date}}',
+    invalid_date: 'I could not read that date. Try "today", "tomorrow" or 2025-10-20.',
+    priority_set: '{{title}} priority set to {{priority}}',
+    invalid_priority: 'Priority must be urgent, high, medium or low.',
+    comment_added: 'Comment added to {{title}}',
+    quoted_task_missing: 'That task no longer exists, so your reply was not saved.',
+    sender_not_verified: 'Task commands only work from your own WhatsApp number.',
+    action_failed: 'Sorry, that did not work. Please try again.',
+    ask_title: 'What should the task be called?',
+    ask_assignee: 'Who should do it? Send a WhatsApp number, "me", or "skip".',
+    ask_assignee_retry: 'That does not look like a WhatsApp number. Send a number like +919800000000, "me", or "skip".',
+    ask_due_date: 'When is it due? Send "today", "tomorrow", a date like 2025-10-20, or "skip".',
+    ask_due_date_retry: 'I could not read that date. Send "today", "tomorrow", 2025-10-20, or "skip".',
+    confirm_task: 'Create "{{title}}"{{assignee}}{{due}}? Reply yes or no.',
+    confirm_assignee: ' for {{assignee}}',
+    confirm_due: ', due {{date}}',
+    confirm_retry: 'Please reply yes to create the task, or no to cancel.',
+    session_cancelled: 'Cancelled. Nothing was saved.',
+    session_expired: 'Your previous request timed out, so it was discarded.',
+    nothing_to_cancel: 'There is nothing to cancel.',
+    assignee_not_found: 'I could not find {{name}} in your contacts, so the task is unassigned.',
+    assignee_ambiguous: 'More than one contact matches {{name}}, so the task is unassigned. Use "assign <n> to <phone>".',
+    voice_heard: '🎤 "{{transcript}}"',
+    voice_unclear: 'Sorry, I could not make out your voice note. Please try again or type the message.',
+    voice_failed: 'Sorry, I could not process your voice note. Please type the message instead.'
+  },
+
+  notifications: {
+    task_assigned: '📝 New task assigned to you: {{title}}',
+    task_updated: '🔔 Task updated: {{title}} ({{details}})',
+    tasks_bulk_updated: '🔔 {{count}} of your tasks were updated ({{details}}): {{titles}}',
+    task_recurring: '🔁 Recurring task: {{title}}, due {{date}}',
+    task_due_soon: '⏰ Reminder: {{title}} is due {{date}}',
+    task_due_soon_subject: 'Reminder: {{title}} is due {{date}}',
+    task_overdue: '⚠️ Overdue: {{title}} was due {{date}} and is not done yet',
+    task_overdue_subject: 'Overdue: {{title}}',
+    comment_mention: '💬 {{author}} mentioned you on {{title}}: {{body}}',
+    someone: 'Someone',
+    fields: {
+      status: 'status',
+      due_date: 'due date',
+      priority: 'priority',
+      assigned_to_whatsapp: 'assigned to',
+      title: 'title'
+    }
+  },
+
+  ai: {
+    reply: {
+      create_task: 'I\'ll help you create a task. What would you like to name it?',
+      assign_task: 'I can help assign tasks. Who should this be assigned to?',
+      check_status: 'I\'ll check the status of your tasks. Which project are you interested in?',
+      help_request: 'I\'m here to help! What would you like to know about?',
+      general: 'I understand you\'re asking about task management. How can I assist you?'
+    },
+    whatsapp_reply: {
+      create_task: 'Great! Let\'s create a new task. 📝\n\nWhat would you like to name it?',
+      assign_task: 'Perfect! I can help assign tasks. 👥\n\nWho should this be assigned to?',
+      check_status: 'Sure! Let me check your task status. 📊\n\nWhich project are you interested in?',
+      help_request: 'Hi! I\'m your AI assistant. 🤖\n\nHow can I help you today?',
+      general: 'I\'m here to help with task management! 📋\n\nWhat would you like to do?'
+    }
+  },
+
+  errors: {
+    internal: 'Internal Server Error',
+    route_not_found: 'Route not found',
+    auth: {
+      header_required: 'Authorization header required',
+      token_required: 'Token required',
+      invalid_token: 'Invalid or expired token',
+      failed: 'Authentication failed',
+      required: 'Authentication required',
+      admin_required: 'Admin access required',
+      manager_required: 'Manager or admin access required',
+      access_denied: 'Access denied'
+    },
+    ai: {
+      message_and_phone_required: 'Message and phone number are required',
+      analyze_failed: 'Failed to analyze message',
+      process_failed: 'Failed to process WhatsApp message',
+      variants_failed: 'Failed to get prompt variants',
+      create_variant_failed: 'Failed to create prompt variant',
+      promote_failed: 'Failed to promote prompt variant',
+      test_result_fields_required: 'variant_id, intent, and language are required',
+      test_result_failed: 'Failed to log test result'
+    }
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * Spanish messages
+ */
+
+module.exports = {
+  whatsapp: {
+    task_created: '¡Tarea creada!',
+    task_not_available: 'La creación de tareas no está disponible',
+    help: 'Puedes enviar:\n• crear tarea <título>\n• mis tareas\n• hecho <n>\n• asignar <n> a <teléfono>\n• vence <n> <fecha>\n• prioridad <n> <alta|media|baja>\n• comentario <n> <texto>',
+    unknown: 'No pude entender tu solicitud.',
+    no_open_tasks: 'No tienes tareas abiertas.',
+    task_list_header: {
+      one: 'Tu tarea abierta:',
+      other: 'Tus tareas abiertas:'
+    },
+    task_list_line: '{{n}}. {{title}}{{due}}',
+    task_list_due: ' (vence {{date}})',
+    task_list_footer: 'Responde "hecho <n>" para completar una tarea.',
+    task_not_found: 'La tarea {{n}} no está en tu lista. Envía "mis tareas" para verla.',
+    task_completed: 'Completada: {{title}}',
+    task_blocked: '{{title}} depende de: {{blockers}}. Termina esas primero.',
+    task_conflict: 'Otra persona acaba de cambiar {{title}}, así que no se actualizó nada. Envía "mis tareas" para ver lo último e inténtalo de nuevo.',
+    task_reassigned: '{{title}} ahora está asignada a {{assignee}}',
+    invalid_assignee: 'Envía el número de WhatsApp a asignar, p. ej. "asignar 2 a +5215500000000".',
+    due_date_set: '{{title}} ahora vence el {{date}}',
+    invalid_date: 'No pude leer esa fecha. Prueba "hoy", "mañana" o 2025-10-20.',
+    priority_set: 'Prioridad de {{title}}: {{priority}}',
+    invalid_priority: 'La prioridad debe ser urgente, alta, media o baja.',
+    comment_added: 'Comentario añadido a {{title}}',
+    quoted_task_missing: 'Esa tarea ya no existe, así que tu respuesta no se guardó.',
+    sender_not_verified: 'Los comandos de tareas solo funcionan desde tu propio número de WhatsApp.',
+    action_failed: 'Lo siento, no funcionó. Inténtalo de nuevo.',
+    ask_title: '¿Cómo se debe llamar la tarea?',
+    ask_assignee: '¿Quién la hará? Envía un número de WhatsApp, "yo" u "omitir".',
+    ask_assignee_retry: 'Eso no parece un número de WhatsApp. Envía un número como +5215500000000, "yo" u "omitir".',
+    ask_due_date: '¿Para cuándo es? Envía "hoy", "mañana", una fecha como 2025-10-20 u "omitir".',
+    ask_due_date_retry: 'No pude leer esa fecha. Envía "hoy", "mañana", 2025-10-20 u "omitir".',
+    confirm_task: '¿Crear "{{title}}"{{assignee}}{{due}}? Responde sí o no.',
+    confirm_assignee: ' para {{assignee}}',
+    confirm_due: ', vence el {{date}}',
+    confirm_retry: 'Responde sí para crear la tarea o no para cancelar.',
+    session_cancelled: 'Cancelado. No se guardó nada.',
+    session_expired: 'Tu solicitud anterior caducó y se descartó.',
+    nothing_to_cancel: 'No hay nada que cancelar.',
+    assignee_not_found: 'No encontré a {{name}} en tus contactos, así que la tarea quedó sin asignar.',
+    assignee_ambiguous: 'Varios contactos coinciden con {{name}}, así que la tarea quedó sin asignar. Usa "asignar <n> a <teléfono>".',
+    voice_heard: '🎤 "{{transcript}}"',
+    voice_unclear: 'Lo siento, no entendí tu nota de voz. Inténtalo de nuevo o escribe el mensaje.',
+    voice_failed: 'Lo siento, no pude procesar tu nota de voz. Escribe el mensaje, por favor.'
+  },
+
+  notifications: {
+    task_assigned: '📝 Nueva tarea asignada a ti: {{title}}',
+    task_updated: '🔔 Tarea actualizada: {{title}} ({{details}})',
+    tasks_bulk_updated: '🔔 Se actualizaron {{count}} de tus tareas ({{details}}): {{titles}}',
+    task_recurring: '🔁 Tarea recurrente: {{title}}, vence {{date}}',
+    task_due_soon: '⏰ Recordatorio: {{title}} vence {{date}}',
+    task_due_soon_subject: 'Recordatorio: {{title}} vence {{date}}',
+    task_overdue: '⚠️ Atrasada: {{title}} vencía {{date}} y aún no está terminada',
+    task_overdue_subject: 'Atrasada: {{title}}',
+    comment_mention: '💬 {{author}} te mencionó en {{title}}: {{body}}',
+    someone: 'Alguien',
+    fields: {
+      status: 'estado',
+      due_date: 'vencimiento',
+      priority: 'prioridad',
+      assigned_to_whatsapp: 'asignada a',
+      title: 'título'
+    }
+  },
+
+  ai: {
+    reply: {
+      create_task: 'Te ayudo a crear una tarea. ¿Cómo quieres llamarla?',
+      assign_task: 'Puedo ayudarte a asignar tareas. ¿A quién se la asigno?',
+      check_status: 'Revisaré el estado de tus tareas. ¿Qué proyecto te interesa?',
+      help_request: '¡Estoy aquí para ayudarte! ¿Qué te gustaría saber?',
+      general: 'Entiendo que preguntas por la gestión de tareas. ¿Cómo puedo ayudarte?'
+    },
+    whatsapp_reply: {
+      create_task: '¡Genial! Creemos una nueva tarea. 📝\n\n¿Cómo quieres llamarla?',
+      assign_task: '¡Perfecto! Puedo ayudarte a asignar tareas. 👥\n\n¿A quién se la asigno?',
+      check_status: '¡Claro! Reviso el estado de tus tareas. 📊\n\n¿Qué proyecto te interesa?',
+      help_request: '¡Hola! Soy tu asistente de IA. 🤖\n\n¿En qué puedo ayudarte hoy?',
+      general: '¡Estoy aquí para ayudarte con tus tareas! 📋\n\n¿Qué te gustaría hacer?'
+    }
+  },
+
+  errors: {
+    internal: 'Error interno del servidor',
+    route_not_found: 'Ruta no encontrada',
+    auth: {
+      header_required: 'Se requiere el encabezado Authorization',
+      token_required: 'Se requiere un token',
+      invalid_token: 'Token no válido o caducado',
+      failed: 'Falló la autenticación',
+      required: 'Se requiere autenticación',
+      admin_required: 'Se requiere acceso de administrador',
+      manager_required: 'Se requiere acceso de gerente o administrador',
+      access_denied: 'Acceso denegado'
+    },
+    ai: {
+      message_and_phone_required: 'El mensaje y el número de teléfono son obligatorios',
+      analyze_failed: 'No se pudo analizar el mensaje',
+      process_failed: 'No se pudo procesar el mensaje de WhatsApp',
+      variants_failed: 'No se pudieron obtener las variantes del prompt',
+      create_variant_failed: 'No se pudo crear la variante del prompt',
+      promote_failed: 'No se pudo promover la variante del prompt',
+      test_result_fields_required: 'variant_id, intent y language son obligatorios',
+      test_result_failed: 'No se pudo registrar el resultado de la prueba'
+    }
+  }
+};
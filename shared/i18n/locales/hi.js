@@ -0,0 +1,113 @@
+/**
+ * Hindi messages
+ */
+
+module.exports = {
+  whatsapp: {
+    task_created: 'कार्य बनाया गया!',
+    task_not_available: 'कार्य बनाना अभी उपलब्ध नहीं है',
+    help: 'आप भेज सकते हैं:\n• create task <शीर्षक>\n• my tasks\n• done <n>\n• assign <n> to <फ़ोन>\n• due <n> <तारीख>\n• priority <n> <high|medium|low>\n• comment <n> <टिप्पणी>',
+    unknown: 'आपका अनुरोध समझ नहीं आया।',
+    no_open_tasks: 'आपके कोई खुले कार्य नहीं हैं।',
+    task_list_header: {
+      one: 'आपका खुला कार्य:',
+      other: 'आपके खुले कार्य:'
+    },
+    task_list_line: '{{n}}. {{title}}{{due}}',
+    task_list_due: ' (अंतिम तिथि {{date}})',
+    task_list_footer: 'कार्य पूरा करने के लिए "done <n>" भेजें।',
+    task_not_found: 'कार्य {{n}} आपकी सूची में नहीं है। सूची देखने के लिए "my tasks" भेजें।',
+    task_completed: 'पूरा हुआ: {{title}}',
+    task_blocked: '{{title}} इन पर निर्भर है: {{blockers}}। पहले इन्हें पूरा करें।',
+    task_conflict: '{{title}} को अभी किसी और ने बदल दिया है, इसलिए कुछ भी अपडेट नहीं हुआ। नवीनतम देखने के लिए "my tasks" भेजें और फिर से प्रयास करें।',
+    task_reassigned: '{{title}} अब {{assignee}} को सौंपा गया है',
+    invalid_assignee: 'कृपया व्हाट्सएप नंबर भेजें, जैसे "assign 2 to +919800000000"।',
+    due_date_set: '{{title}} की अंतिम तिथि अब {{date}} है',
+    invalid_date: 'तारीख समझ नहीं आई। "today", "tomorrow" या 2025-10-20 आज़माएँ।',
+    priority_set: '{{title}} की प्राथमिकता {{priority}} की गई',
+    invalid_priority: 'प्राथमिकता urgent, high, medium या low होनी चाहिए।',
+    comment_added: '{{title}} पर टिप्पणी जोड़ी गई',
+    quoted_task_missing: 'वह कार्य अब मौजूद नहीं है, इसलिए आपका जवाब सहेजा नहीं गया।',
+    sender_not_verified: 'कार्य कमांड केवल आपके अपने WhatsApp नंबर से काम करते हैं।',
+    action_failed: 'क्षमा करें, यह नहीं हो सका। कृपया फिर से प्रयास करें।',
+    ask_title: 'कार्य का नाम क्या होना चाहिए?',
+    ask_assignee: 'यह कौन करेगा? व्हाट्सएप नंबर, "me" या "skip" भेजें।',
+    ask_assignee_retry: 'यह व्हाट्सएप नंबर नहीं लगता। +919800000000 जैसा नंबर, "me" या "skip" भेजें।',
+    ask_due_date: 'अंतिम तिथि क्या है? "today", "tomorrow", 2025-10-20 जैसी तारीख या "skip" भेजें।',
+    ask_due_date_retry: 'तारीख समझ नहीं आई। "today", "tomorrow", 2025-10-20 या "skip" भेजें।',
+    confirm_task: '"{{title}}"{{assignee}}{{due}} बनाएँ? हाँ या नहीं में उत्तर दें।',
+    confirm_assignee: ' ({{assignee}} के लिए)',
+    confirm_due: ', अंतिम तिथि {{date}}',
+    confirm_retry: 'कार्य बनाने के लिए हाँ, या रद्द करने के लिए नहीं भेजें।',
+    session_cancelled: 'रद्द किया गया। कुछ भी सहेजा नहीं गया।',
+    session_expired: 'आपका पिछला अनुरोध समय सीमा पार कर गया, इसलिए हटा दिया गया।',
+    nothing_to_cancel: 'रद्द करने के लिए कुछ नहीं है।',
+    assignee_not_found: '{{name}} आपके संपर्कों में नहीं मिला, इसलिए कार्य किसी को सौंपा नहीं गया।',
+    assignee_ambiguous: '{{name}} से एक से अधिक संपर्क मिलते हैं, इसलिए कार्य किसी को सौंपा नहीं गया। "assign <n> to <फ़ोन>" भेजें।',
+    voice_heard: '🎤 "{{transcript}}"',
+    voice_unclear: 'क्षमा करें, आपका वॉइस नोट समझ नहीं आया। कृपया फिर से भेजें या संदेश टाइप करें।',
+    voice_failed: 'क्षमा करें, आपका वॉइस नोट प्रोसेस नहीं हो सका। कृपया संदेश टाइप करें।'
+  },
+
+  notifications: {
+    task_assigned: '📝 आपको नया कार्य सौंपा गया: {{title}}',
+    task_updated: '🔔 कार्य अपडेट हुआ: {{title}} ({{details}})',
+    tasks_bulk_updated: '🔔 आपके {{count}} कार्य अपडेट हुए ({{details}}): {{titles}}',
+    task_recurring: '🔁 दोहराया जाने वाला कार्य: {{title}}, अंतिम तिथि {{date}}',
+    task_due_soon: '⏰ याद दिलाना: {{title}} की अंतिम तिथि {{date}} है',
+    task_due_soon_subject: 'याद दिलाना: {{title}} की अंतिम तिथि {{date}} है',
+    task_overdue: '⚠️ समय सीमा बीत गई: {{title}} की अंतिम तिथि {{date}} थी और यह अभी पूरा नहीं हुआ है',
+    task_overdue_subject: 'समय सीमा बीत गई: {{title}}',
+    comment_mention: '💬 {{author}} ने {{title}} पर आपका उल्लेख किया: {{body}}',
+    someone: 'किसी',
+    fields: {
+      status: 'स्थिति',
+      due_date: 'अंतिम तिथि',
+      priority: 'प्राथमिकता',
+      assigned_to_whatsapp: 'सौंपा गया',
+      title: 'शीर्षक'
+    }
+  },
+
+  ai: {
+    reply: {
+      create_task: 'मैं आपको कार्य बनाने में मदद करूंगा। आप इसे क्या नाम देना चाहते हैं?',
+      assign_task: 'मैं कार्य सौंपने में मदद कर सकता हूं। इसे किसे सौंपा जाना चाहिए?',
+      check_status: 'मैं आपके कार्यों की स्थिति की जांच करूंगा। आप किस प्रोजेक्ट में रुचि रखते हैं?',
+      help_request: 'मैं यहां मदद के लिए हूं! आप क्या जानना चाहते हैं?',
+      general: 'मैं समझता हूं कि आप कार्य प्रबंधन के बारे में पूछ रहे हैं। मैं आपकी कैसे मदद कर सकता हूं?'
+    },
+    whatsapp_reply: {
+      create_task: 'बहुत अच्छा! चलिए एक नया कार्य बनाते हैं। 📝\n\nआप इसे क्या नाम देना चाहते हैं?',
+      assign_task: 'बिल्कुल! मैं कार्य सौंपने में मदद कर सकता हूं। 👥\n\nइसे किसे सौंपा जाना चाहिए?',
+      check_status: 'ज़रूर! मैं आपके कार्य की स्थिति की जांच करता हूं। 📊\n\nआप किस प्रोजेक्ट में रुचि रखते हैं?',
+      help_request: 'नमस्ते! मैं आपका AI सहायक हूं। 🤖\n\nमैं आज आपकी कैसे मदद कर सकता हूं?',
+      general: 'मैं कार्य प्रबंधन में मदद के लिए यहां हूं! 📋\n\nआप क्या करना चाहते हैं?'
+    }
+  },
+
+  errors: {
+    internal: 'आंतरिक सर्वर त्रुटि',
+    route_not_found: 'रूट नहीं मिला',
+    auth: {
+      header_required: 'Authorization हेडर आवश्यक है',
+      token_required: 'टोकन आवश्यक है',
+      invalid_token: 'टोकन अमान्य है या उसकी अवधि समाप्त हो गई है',
+      failed: 'प्रमाणीकरण विफल रहा',
+      required: 'प्रमाणीकरण आवश्यक है',
+      admin_required: 'एडमिन एक्सेस आवश्यक है',
+      manager_required: 'मैनेजर या एडमिन एक्सेस आवश्यक है',
+      access_denied: 'पहुँच अस्वीकृत'
+    },
+    ai: {
+      message_and_phone_required: 'संदेश और फ़ोन नंबर आवश्यक हैं',
+      analyze_failed: 'संदेश का विश्लेषण नहीं हो सका',
+      process_failed: 'व्हाट्सएप संदेश प्रोसेस नहीं हो सका',
+      variants_failed: 'प्रॉम्प्ट वेरिएंट नहीं मिल सके',
+      create_variant_failed: 'प्रॉम्प्ट वेरिएंट नहीं बन सका',
+      promote_failed: 'प्रॉम्प्ट वेरिएंट को प्रमोट नहीं किया जा सका',
+      test_result_fields_required: 'variant_id, intent और language आवश्यक हैं',
+      test_result_failed: 'परीक्षण परिणाम दर्ज नहीं हो सका'
+    }
+  }
+};